@@ -0,0 +1,35 @@
+const aiUsageService = require('../../../src/services/aiUsage');
+
+describe('AI Usage Service', () => {
+  describe('estimateCost', () => {
+    test('should price known models per 1000 tokens', () => {
+      // 1000 * 0.03 / 1000 + 500 * 0.06 / 1000
+      expect(aiUsageService.estimateCost('gpt-4', 1000, 500)).toBeCloseTo(0.06);
+    });
+
+    test('should match dated model versions by the longest prefix', () => {
+      expect(aiUsageService.estimateCost('gpt-4o-2024-08-06', 1000, 1000))
+        .toBeCloseTo(aiUsageService.estimateCost('gpt-4o', 1000, 1000));
+      expect(aiUsageService.estimateCost('gpt-4o-mini', 1000, 1000)).toBeCloseTo(0.00075);
+    });
+
+    test('should treat unknown and local models as free', () => {
+      expect(aiUsageService.estimateCost('template', 1000, 1000)).toBe(0);
+      expect(aiUsageService.estimateCost(null, 1000, 1000)).toBe(0);
+    });
+  });
+
+  describe('evaluateQuota', () => {
+    test('should allow usage without quota', () => {
+      expect(aiUsageService.evaluateQuota(null, { tokens: 1e9, cost: 1e6 })).toEqual({ allowed: true, reason: null });
+    });
+
+    test('should block when token or cost limit is reached', () => {
+      const quota = { monthlyTokens: 10000, monthlyCost: 5 };
+
+      expect(aiUsageService.evaluateQuota(quota, { tokens: 10000, cost: 1 }).reason).toBe('TOKENS');
+      expect(aiUsageService.evaluateQuota(quota, { tokens: 100, cost: 5 }).reason).toBe('COST');
+      expect(aiUsageService.evaluateQuota(quota, { tokens: 100, cost: 1 }).allowed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const calculationTemplateService = require('../../../src/services/calculationTemplates');
+const priceListService = require('../../../src/services/priceLists');
+const currencyService = require('../../../src/services/currency');
+
+describe('Calculation Templates', () => {
+  const generic = { id: 'generic', productId: null, clientGroup: null, sellingCompany: null };
+  const wholesale = { id: 'wholesale', productId: null, clientGroup: 'WHOLESALE', sellingCompany: null };
+  const oxygen = { id: 'oxygen', productId: 'o2', clientGroup: null, sellingCompany: 'nova' };
+
+  const priceList = {
+    id: 'list-1',
+    currency: 'RUB',
+    items: [
+      { productId: 'o2', minQuantity: 0, pricePerUnit: 1000 },
+      { productId: 'o2', minQuantity: 10, pricePerUnit: 900 },
+      { productId: 'o2', minQuantity: 50, pricePerUnit: 800 },
+      { productId: 'n2', minQuantity: 0, pricePerUnit: 500 }
+    ]
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('pickTemplate', () => {
+    const templates = [generic, wholesale, oxygen];
+
+    test('should prefer a product template over a client group template', () => {
+      expect(calculationTemplateService.pickTemplate(templates, ['o2'], 'WHOLESALE')).toBe(oxygen);
+      expect(calculationTemplateService.pickTemplate(templates, ['n2'], 'WHOLESALE')).toBe(wholesale);
+      expect(calculationTemplateService.pickTemplate(templates, ['n2'], 'RETAIL')).toBe(generic);
+    });
+
+    test('should skip templates of another selling company', () => {
+      expect(calculationTemplateService.pickTemplate(templates, ['o2'], null, 'co-lab')).toBe(generic);
+    });
+  });
+
+  test('should take the price of the largest volume tier reached', () => {
+    expect(priceListService.getPrice(priceList, 'o2', 5)).toBe(1000);
+    expect(priceListService.getPrice(priceList, 'o2', 10)).toBe(900);
+    expect(priceListService.getPrice(priceList, 'o2', 120)).toBe(800);
+    expect(priceListService.getPrice(priceList, 'ar', 10)).toBeNull();
+  });
+
+  describe('buildPrefill', () => {
+    const order = {
+      orderDate: new Date(2024, 0, 15),
+      client: { clientGroup: 'WHOLESALE' },
+      items: [
+        { productId: 'o2', quantity: 10 },
+        { productId: 'n2', quantity: 10 }
+      ]
+    };
+
+    const template = {
+      id: 'wholesale',
+      currency: 'RUB',
+      sellingCompany: 'nova',
+      gasCost: 300,
+      cylinderCost: 100,
+      preparationCost: 20,
+      logisticsCost: 15,
+      workersCost: 5,
+      kickbacksCost: 0
+    };
+
+    test('should fill costs per quantity and the average tier price', async () => {
+      jest.spyOn(calculationTemplateService, 'findTemplate').mockResolvedValue(template);
+      jest.spyOn(priceListService, 'findPriceList').mockResolvedValue(priceList);
+
+      const prefill = await calculationTemplateService.buildPrefill(order, {}, 'RUB');
+
+      expect(prefill.values).toMatchObject({
+        quantity: 20,
+        gasCost: 6000,
+        cylinderCost: 2000,
+        logisticsCost: 300,
+        sellingCompany: 'nova',
+        pricePerUnit: 700
+      });
+      expect(prefill).toMatchObject({ calculationTemplateId: 'wholesale', priceListId: 'list-1', missingPrices: [] });
+    });
+
+    test('should keep entered values and not price a partly covered order', async () => {
+      jest.spyOn(calculationTemplateService, 'findTemplate').mockResolvedValue(template);
+      jest.spyOn(priceListService, 'findPriceList').mockResolvedValue({ ...priceList, items: priceList.items.slice(0, 3) });
+
+      const prefill = await calculationTemplateService.buildPrefill(order, { gasCost: 1, sellingCompany: 'co-lab' }, 'RUB');
+
+      expect(prefill.values.gasCost).toBeUndefined();
+      expect(prefill.values.sellingCompany).toBeUndefined();
+      expect(prefill.values.pricePerUnit).toBeUndefined();
+      expect(prefill.priceListId).toBeNull();
+      expect(prefill.missingPrices).toEqual(['n2']);
+    });
+
+    test('should report a missing exchange rate instead of failing', async () => {
+      jest.spyOn(calculationTemplateService, 'findTemplate').mockResolvedValue({ ...template, currency: 'USD' });
+      jest.spyOn(priceListService, 'findPriceList').mockResolvedValue(priceList);
+      jest.spyOn(currencyService, 'getRate').mockImplementation(async (from, to) => {
+        if (from === to) return 1;
+        throw currencyService.createError('Нет курса USD на 15.01.2024');
+      });
+
+      const prefill = await calculationTemplateService.buildPrefill(order, {}, 'RUB');
+
+      expect(prefill.values.gasCost).toBeUndefined();
+      expect(prefill.values).toMatchObject({ quantity: 20, sellingCompany: 'nova', pricePerUnit: 700 });
+      expect(prefill).toMatchObject({ calculationTemplateId: 'wholesale', priceListId: 'list-1', missingRates: ['USD'] });
+    });
+
+    test('should not look up a rate for template costs that are not used', async () => {
+      jest.spyOn(calculationTemplateService, 'findTemplate').mockResolvedValue({ ...template, currency: 'USD' });
+      const getRate = jest.spyOn(currencyService, 'getRate');
+      const entered = { gasCost: 1, cylinderCost: 1, preparationCost: 1, logisticsCost: 1, workersCost: 1, pricePerUnit: 10 };
+
+      const prefill = await calculationTemplateService.buildPrefill(order, entered, 'RUB');
+
+      expect(getRate).not.toHaveBeenCalled();
+      expect(prefill.values).toEqual({ quantity: 20, kickbacksCost: 0, sellingCompany: 'nova' });
+      expect(prefill.missingRates).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const certificationService = require('../../../src/services/certificationService');
+
+describe('Certification Service', () => {
+  describe('parseMonthYear', () => {
+    test('should parse MM/YYYY into the first day of the month', () => {
+      const date = certificationService.parseMonthYear('03/2027');
+
+      expect(date.getFullYear()).toBe(2027);
+      expect(date.getMonth()).toBe(2);
+      expect(date.getDate()).toBe(1);
+    });
+
+    test('should return null for empty or malformed values', () => {
+      expect(certificationService.parseMonthYear(null)).toBeNull();
+      expect(certificationService.parseMonthYear('2027-03')).toBeNull();
+      expect(certificationService.parseMonthYear('3/2027')).toBeNull();
+    });
+  });
+
+  describe('addMonths', () => {
+    test('should roll the date forward by the interval', () => {
+      const base = new Date(2024, 0, 15);
+      const next = certificationService.addMonths(base, 60);
+
+      expect(next.getFullYear()).toBe(2029);
+      expect(next.getMonth()).toBe(0);
+      expect(base.getFullYear()).toBe(2024); // original date is not mutated
+    });
+  });
+
+  describe('isExpired', () => {
+    test('should treat past next certification date as expired', () => {
+      const asOf = new Date(2025, 5, 1);
+
+      expect(certificationService.isExpired({ nextCertificationDate: new Date(2025, 4, 1) }, asOf)).toBe(true);
+      expect(certificationService.isExpired({ nextCertificationDate: new Date(2025, 6, 1) }, asOf)).toBe(false);
+    });
+
+    test('should not block cylinders without a certification date', () => {
+      expect(certificationService.isExpired({ nextCertificationDate: null })).toBe(false);
+    });
+  });
+
+  describe('recordCertification', () => {
+    test('should require serial numbers', async () => {
+      await expect(certificationService.recordCertification({ productId: 'p1', userId: 'u1' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should reject next date before certification date', async () => {
+      await expect(certificationService.recordCertification({
+        productId: 'p1',
+        userId: 'u1',
+        serialNumbers: ['A-1'],
+        certificationDate: '2025-06-01',
+        nextCertificationDate: '2025-01-01'
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
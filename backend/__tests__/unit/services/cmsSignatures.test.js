@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const cmsSignatureService = require('../../../src/services/cmsSignatures');
+const digitalSignatureService = require('../../../src/services/digitalSignature');
+
+describe('CMS Signatures', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  const keyId = digitalSignatureService.generateKeyId(publicKey);
+  const certificate = cmsSignatureService.createCertificate(
+    { keyId, publicKey, privateKey, createdAt: new Date('2026-01-15T10:00:00Z') },
+    { name: 'Иван Петров', email: 'ivan@example.com' }
+  );
+  const document = Buffer.from('Договор поставки №7');
+
+  test('should issue a self-signed certificate for the signature key', () => {
+    const described = cmsSignatureService.describeCertificate(forge.pki.certificateFromPem(certificate));
+
+    expect(described).toMatchObject({
+      commonName: 'Иван Петров',
+      email: 'ivan@example.com',
+      selfSigned: true
+    });
+    expect(digitalSignatureService.generateKeyId(described.publicKey)).toBe(keyId);
+  });
+
+  test('should verify a detached signature of the signed content only', () => {
+    const signingTime = new Date('2026-02-01T12:30:00Z');
+    const cms = cmsSignatureService.signDetached(document, { privateKey, certificate }, signingTime);
+
+    const result = cmsSignatureService.verifyDetached(cms, document);
+    expect(result).toMatchObject({ valid: true, integrity: true, signatureValid: true, signingTime });
+    expect(result.certificate.email).toBe('ivan@example.com');
+
+    expect(cmsSignatureService.verifyDetached(cms, Buffer.from('Договор поставки №8'))).toMatchObject({
+      valid: false,
+      integrity: false,
+      reason: 'Document has been modified after signing'
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const companyTemplatesService = require('../../../src/services/companyTemplates');
+const competitiveProposalsService = require('../../../src/services/competitiveProposals');
+
+describe('Company Templates Service', () => {
+  const seed = companyTemplatesService.templates.get('nova');
+
+  describe('toRecord / fromRecord', () => {
+    test('should store nested settings as JSON and restore them', () => {
+      const { id, logoPath, ...data } = seed;
+      const record = {
+        id: 'tpl-1',
+        code: 'nova',
+        version: 3,
+        isActive: true,
+        ...companyTemplatesService.toRecord(data)
+      };
+
+      expect(typeof record.paymentTerms).toBe('string');
+      expect(typeof record.competitiveAdvantages).toBe('string');
+
+      const template = companyTemplatesService.fromRecord(record);
+
+      expect(template.id).toBe('nova');
+      expect(template.version).toBe(3);
+      expect(template.paymentTerms).toEqual(seed.paymentTerms);
+      expect(template.productDescriptions).toEqual(seed.productDescriptions);
+      expect(template.competitiveAdvantages).toEqual(seed.competitiveAdvantages);
+    });
+
+    test('should take the logo from the uploaded file', () => {
+      const template = companyTemplatesService.fromRecord({
+        code: 'nova',
+        name: 'Nova',
+        logoFileId: 'file-1',
+        logoFile: { path: '/uploads/logo.png' }
+      });
+
+      expect(template.logoPath).toBe('/uploads/logo.png');
+      expect(template.contacts).toEqual([]);
+    });
+  });
+
+  test('should seed competitive advantages and city from built-in data', () => {
+    expect(seed.competitiveAdvantages).toEqual(competitiveProposalsService.competitiveStrategies.nova);
+    expect(seed.city).toBe('Москва');
+  });
+
+  test('should use template data for product descriptions and pricing', () => {
+    const template = {
+      ...seed,
+      productDescriptions: {
+        'аргон': { prefix: 'Аргон из шаблона', features: 'чистота 99.999%' }
+      },
+      paymentTerms: { prepayment: 100, shipmentPayment: 0, paymentDays: 0, currency: 'RUB' }
+    };
+
+    const description = companyTemplatesService.generateProductDescription('Аргон 40л', null, template, {
+      benefits: false,
+      applications: false
+    });
+    const pricing = companyTemplatesService.formatPricing({ total: 100 }, template);
+
+    expect(description).toBe('Аргон из шаблона, чистота 99.999%');
+    expect(pricing.paymentTerms.prepayment).toBe(100);
+    expect(pricing.total).toBe(100);
+  });
+
+  test('should prefer competitive advantages from the template', () => {
+    const advantages = { positioning: 'Из БД', advantages: ['Быстро'], competitiveEdge: '' };
+
+    expect(competitiveProposalsService.getCompanyAdvantages('nova', { competitiveAdvantages: advantages }))
+      .toBe(advantages);
+    expect(competitiveProposalsService.getCompanyAdvantages('nova', null))
+      .toBe(competitiveProposalsService.competitiveStrategies.nova);
+  });
+
+  test('should reject templates without required fields', () => {
+    expect(() => companyTemplatesService.validateTemplate({ id: 'x', name: 'X' }))
+      .toThrow('Missing required template fields');
+  });
+
+  describe('seeding', () => {
+    const createClient = (count) => {
+      const tx = {
+        companyTemplate: {
+          count: jest.fn().mockResolvedValue(count),
+          upsert: jest.fn().mockImplementation(({ create }) => Promise.resolve({ id: `tpl-${create.code}`, ...create }))
+        },
+        companyTemplateVersion: { upsert: jest.fn().mockResolvedValue({}) }
+      };
+      return { tx, $transaction: jest.fn().mockImplementation(callback => callback(tx)) };
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      companyTemplatesService.seeding = null;
+    });
+
+    test('should upsert the templates defined in code into an empty table', async () => {
+      const client = createClient(0);
+
+      await expect(companyTemplatesService.seedTemplates(client)).resolves.toBe(true);
+
+      expect(client.tx.companyTemplate.upsert).toHaveBeenCalledTimes(companyTemplatesService.templates.size);
+      expect(client.tx.companyTemplate.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { code: 'nova' },
+        update: {}
+      }));
+      expect(client.tx.companyTemplateVersion.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { templateId_version: { templateId: 'tpl-nova', version: 1 } }
+      }));
+    });
+
+    test('should leave a filled table alone', async () => {
+      const client = createClient(2);
+
+      await expect(companyTemplatesService.seedTemplates(client)).resolves.toBe(false);
+      expect(client.tx.companyTemplate.upsert).not.toHaveBeenCalled();
+    });
+
+    test('should seed once per process and retry after a failure', async () => {
+      const seedTemplates = jest.spyOn(companyTemplatesService, 'seedTemplates')
+        .mockRejectedValueOnce(new Error('database is locked'))
+        .mockResolvedValue(false);
+
+      await expect(companyTemplatesService.ensureSeeded()).rejects.toThrow('database is locked');
+      await companyTemplatesService.ensureSeeded();
+      await companyTemplatesService.ensureSeeded();
+
+      expect(seedTemplates).toHaveBeenCalledTimes(2);
+    });
+  });
+});
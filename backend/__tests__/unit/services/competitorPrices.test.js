@@ -0,0 +1,101 @@
+const competitorPriceService = require('../../../src/services/competitorPrices');
+const competitiveProposalsService = require('../../../src/services/competitiveProposals');
+const { calculateProfitabilityMetrics } = require('../../../src/utils/profitability');
+const { parseCsv, parseNumber, parseDate, mapColumns } = require('../../../src/utils/csv');
+
+describe('Competitor Price Service', () => {
+  const calculation = {
+    gasCost: 7000,
+    cylinderCost: 2000,
+    logisticsCost: 1000,
+    pricePerUnit: 1000,
+    quantity: 10,
+    vatPercent: 12,
+    items: []
+  };
+
+  describe('parseCsv', () => {
+    test('should detect semicolon delimiter and handle quoted fields', () => {
+      const rows = parseCsv('Конкурент;Товар;Цена\r\n"Газ ""Плюс""";"Аргон; 40л";1 250,50\n');
+
+      expect(rows).toEqual([
+        { _line: 2, 'Конкурент': 'Газ "Плюс"', 'Товар': 'Аргон; 40л', 'Цена': '1 250,50' }
+      ]);
+    });
+  });
+
+  describe('mapColumns and parsing helpers', () => {
+    test('should map Russian and English column names', () => {
+      const fields = mapColumns(
+        { 'Конкурент': 'A', product_name: 'Аргон', 'Цена': '10' },
+        { competitor: ['competitor', 'конкурент'], productName: ['productname', 'товар'], price: ['price', 'цена'] }
+      );
+
+      expect(fields.competitor).toBe('A');
+      expect(fields.productName).toBe('Аргон');
+      expect(fields.price).toBe('10');
+    });
+
+    test('should parse localized numbers and dates', () => {
+      expect(parseNumber('1 250,50')).toBe(1250.5);
+      expect(parseNumber('')).toBeNaN();
+      expect(parseDate('31.05.2024')).toEqual(new Date(2024, 4, 31));
+      expect(parseDate('not a date')).toBeNull();
+    });
+  });
+
+  describe('getMinimumMarkup', () => {
+    test('should find the smallest markup reaching the minimum net profitability', () => {
+      const { markup, metrics } = competitorPriceService.getMinimumMarkup(calculation, 10);
+
+      expect(metrics.profitabilityPercent).toBeGreaterThanOrEqual(10);
+      const below = calculateProfitabilityMetrics({ ...calculation, pricePerUnit: 1000 * (1 + (markup - 0.5) / 100) });
+      expect(below.profitabilityPercent).toBeLessThan(10);
+    });
+
+    test('should return null markup when the minimum is unreachable', () => {
+      const { markup } = competitorPriceService.getMinimumMarkup({ ...calculation, pricePerUnit: 100 }, 10);
+
+      expect(markup).toBeNull();
+    });
+  });
+
+  describe('recommendForCalculation', () => {
+    test('should raise the competitor-based markup to keep minimum profitability', async () => {
+      const result = await competitorPriceService.recommendForCalculation(calculation, {
+        competitorPrices: [1050, 1080],
+        minProfitability: 10
+      });
+
+      expect(result.recommendation.limitedByProfitability).toBe(true);
+      expect(result.recommendation.markup).toBeGreaterThanOrEqual(result.profitability.minMarkup);
+      expect(result.profitability.atRecommended.profitabilityPercent).toBeGreaterThanOrEqual(10);
+      expect(result.marketAnalysis.competitorAnalysis[0].competitor).toBe('Конкурент 1');
+    });
+
+    test('should keep the competitor-based markup when profitability allows it', async () => {
+      const result = await competitorPriceService.recommendForCalculation(
+        { ...calculation, pricePerUnit: 1500 },
+        { competitorPrices: [1800], minProfitability: 10 }
+      );
+
+      expect(result.profitability.minMarkup).toBe(0);
+      expect(result.recommendation.markup).toBe(18);
+      expect(result.recommendation.limitedByProfitability).toBeUndefined();
+    });
+
+    test('should reject calculations without sale price', async () => {
+      await expect(competitorPriceService.recommendForCalculation({ gasCost: 100 }))
+        .rejects.toThrow('no sale price');
+    });
+  });
+
+  test('should label price book entries by competitor name', () => {
+    const table = competitiveProposalsService.generateComparisonTable(100, [
+      { competitor: 'ГазТорг', price: 120, source: 'Прайс-лист' }
+    ]);
+
+    expect(table.competitorAnalysis[0]).toMatchObject({ competitor: 'ГазТорг', price: 120, source: 'Прайс-лист' });
+    expect(table.recommendation.markup).toBe(18);
+  });
+});
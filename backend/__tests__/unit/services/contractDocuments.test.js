@@ -0,0 +1,47 @@
+const contractDocumentService = require('../../../src/services/contractDocuments');
+
+describe('Contract Document Service', () => {
+  const contract = {
+    id: 'contract-1',
+    contractNumber: 'Д-7',
+    contractType: 'SUPPLY',
+    contractDate: new Date('2026-03-01'),
+    validFrom: new Date('2026-03-01'),
+    totalAmount: 12000,
+    currency: 'RUB',
+    client: { name: 'ООО Ромашка', inn: '7701234567', address: 'Москва', contactPerson: 'Иванов И.И.' },
+    orders: [{
+      items: [{ quantity: 2, price: 6000, total: 12000, product: { name: 'Баллон 40л', unit: 'шт' } }]
+    }]
+  };
+  const user = { id: 'user-1' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should build the contract text from the contract template', () => {
+    const { text, validation } = contractDocumentService.buildText(contract);
+
+    expect(validation.valid).toBe(true);
+    expect(text.startsWith('ДОГОВОР ПОСТАВКИ № Д-7')).toBe(true);
+    expect(text).toContain('ПРИЛОЖЕНИЕ 1');
+  });
+
+  test('should not generate documents with missing template variables', async () => {
+    const getDocument = jest.spyOn(contractDocumentService, 'getDocument');
+
+    await expect(contractDocumentService.generateDocument({ ...contract, client: { ...contract.client, inn: null } }, user))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Contract template cannot be filled: clientINN' });
+    expect(getDocument).not.toHaveBeenCalled();
+  });
+
+  test('should not regenerate a signed document', async () => {
+    jest.spyOn(contractDocumentService, 'getDocument').mockResolvedValue({ id: 'doc-2', version: 2, signatureCount: 1 });
+    const renderPdf = jest.spyOn(contractDocumentService, 'renderPdf');
+
+    await expect(contractDocumentService.generateDocument(contract, user))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(renderPdf).not.toHaveBeenCalled();
+  });
+});
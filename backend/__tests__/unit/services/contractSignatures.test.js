@@ -0,0 +1,107 @@
+const contractSignatureService = require('../../../src/services/contractSignatures');
+const digitalSignatureService = require('../../../src/services/digitalSignature');
+const signatureKeysService = require('../../../src/services/signatureKeys');
+
+describe('Contract Signatures', () => {
+  const buildLedger = (count) => {
+    const entries = [];
+    for (let sequence = 1; sequence <= count; sequence++) {
+      const entry = {
+        contractId: 'contract-1',
+        sequence,
+        signatureId: `sig-${sequence}`,
+        certificateId: `cert-${sequence}`,
+        signerId: `user-${sequence}`,
+        keyId: `key-${sequence}`,
+        documentHash: 'hash',
+        signature: 'c2lnbmF0dXJl',
+        payload: '{}',
+        certificate: '{}',
+        signedAt: new Date(2024, 0, sequence),
+        previousHash: entries.length > 0 ? entries[entries.length - 1].entryHash : null
+      };
+      entry.entryHash = contractSignatureService.computeEntryHash(entry);
+      entries.push(entry);
+    }
+    return entries;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkChain', () => {
+    test('should accept an intact ledger', () => {
+      const entries = buildLedger(3);
+      const head = { head: entries[2].entryHash, count: 3 };
+
+      expect(contractSignatureService.checkChain(entries, head)).toMatchObject({ valid: true, entries: 3 });
+    });
+
+    test('should detect a modified entry', () => {
+      const entries = buildLedger(3);
+      entries[1] = { ...entries[1], signerId: 'someone-else' };
+
+      expect(contractSignatureService.checkChain(entries)).toMatchObject({ valid: false, brokenAt: 2 });
+    });
+
+    test('should detect removed entries', () => {
+      const entries = buildLedger(3);
+
+      expect(contractSignatureService.checkChain([entries[0], entries[2]])).toMatchObject({ valid: false, brokenAt: 2 });
+      expect(contractSignatureService.checkChain(entries.slice(0, 2), { head: entries[2].entryHash, count: 3 }))
+        .toMatchObject({ valid: false, reason: 'Ledger does not end with the recorded head' });
+    });
+  });
+
+  test('should complete the workflow only when all required signers signed', () => {
+    const contract = {
+      metadata: JSON.stringify({
+        requiredSigners: [
+          { userId: 'user-1', required: true },
+          { userId: 'user-2', required: true },
+          { userId: 'user-3', required: false }
+        ]
+      })
+    };
+    const entries = buildLedger(2);
+
+    expect(contractSignatureService.getWorkflowStatus(contract, entries.slice(0, 1)).allRequiredSigned).toBe(false);
+    expect(contractSignatureService.getWorkflowStatus(contract, entries).allRequiredSigned).toBe(true);
+    expect(contractSignatureService.getWorkflowStatus({ metadata: null }, entries)).toBeNull();
+  });
+
+  test('should verify stored signatures against the document', async () => {
+    const keyPair = digitalSignatureService.generateKeyPair();
+    const document = Buffer.from('Договор поставки №1');
+    const signed = digitalSignatureService.signDocument(document, keyPair.privateKey, {
+      userId: 'user-1',
+      name: 'Иванов',
+      email: 'ivanov@example.com',
+      role: 'Director'
+    });
+
+    jest.spyOn(contractSignatureService, 'getSignatures').mockResolvedValue([{
+      sequence: 1,
+      signatureId: signed.signatureId,
+      certificateId: 'cert-1',
+      keyId: keyPair.keyId,
+      signature: signed.signature,
+      payload: JSON.stringify(signed.payload),
+      signerName: 'Иванов',
+      signerEmail: 'ivanov@example.com',
+      signedAt: new Date()
+    }]);
+    jest.spyOn(signatureKeysService, 'getPublicKey').mockResolvedValue({
+      publicKey: keyPair.publicKey,
+      status: 'ROTATED',
+      revokedAt: null
+    });
+
+    const [valid] = await contractSignatureService.verifySignatures('contract-1', document);
+    const [modified] = await contractSignatureService.verifySignatures('contract-1', Buffer.from('Договор поставки №2'));
+
+    expect(valid).toMatchObject({ valid: true, keyStatus: 'ROTATED' });
+    expect(modified).toMatchObject({ valid: false, reason: 'Document has been modified after signing' });
+  });
+});
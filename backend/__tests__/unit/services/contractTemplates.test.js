@@ -0,0 +1,116 @@
+const templateEngine = require('../../../src/services/templateEngine');
+const contractTemplatesService = require('../../../src/services/contractTemplates');
+
+describe('Contract Templates', () => {
+  // ru-RU отделяет разряды неразрывным пробелом
+  const normalize = text => text.replace(/[\u00a0\u202f]/g, ' ');
+
+  describe('templateEngine', () => {
+    test('should render conditionals, loops and filters', () => {
+      const text = normalize(templateEngine.renderTemplate([
+        'Договор № {number} от {date | date:long}',
+        '{#if autoRenewal}',
+        'Пролонгация',
+        '{#else}',
+        'Без пролонгации',
+        '{/if}',
+        '{#each items}',
+        '{@number}. {name} - {total | money}',
+        '{/each}',
+        'Итого: {amount | words:currency}'
+      ].join('\n'), {
+        number: 'Д-7',
+        date: new Date(2026, 2, 1),
+        autoRenewal: false,
+        currency: 'RUB',
+        amount: 12000.5,
+        items: [{ name: 'Баллон 40л', total: 12000 }, { name: 'Кислород', total: 0.5 }]
+      }));
+
+      expect(text).toBe([
+        'Договор № Д-7 от «01» марта 2026 г.',
+        'Без пролонгации',
+        '1. Баллон 40л - 12 000,00',
+        '2. Кислород - 0,50',
+        'Итого: Двенадцать тысяч рублей 50 копеек'
+      ].join('\n'));
+    });
+
+    test('should convert numbers to Russian words with grammatical gender', () => {
+      expect(templateEngine.numberToWords(21)).toBe('двадцать один');
+      expect(templateEngine.numberToWords(2012)).toBe('две тысячи двенадцать');
+      expect(templateEngine.numberToWords(1001001)).toBe('один миллион одна тысяча один');
+      expect(templateEngine.amountToWords(1.01)).toBe('Один рубль 01 копейка');
+      expect(templateEngine.amountToWords(22.22, 'USD')).toBe('Двадцать два доллара США 22 цента');
+    });
+
+    test('should report missing variables outside of skipped branches', () => {
+      const validation = templateEngine.validateTemplate([
+        'ИНН {inn}',
+        '{#if exchangeName}{exchangeType}{/if}',
+        '{#each items}{name}{/each}',
+        '{terms | default:"-"}'
+      ].join('\n'), { items: [{}] });
+
+      expect(validation.valid).toBe(false);
+      expect(validation.missing).toEqual([
+        { name: 'inn', line: 1 },
+        { name: 'items[].name', line: 3 }
+      ]);
+    });
+
+    test('should report syntax errors with the line', () => {
+      expect(templateEngine.validateTemplate('a\n{#each items}\n{name}', {}).errors)
+        .toEqual([{ message: '{#each} is not closed (line 2)', line: 2 }]);
+      expect(templateEngine.validateTemplate('{#if a}{/each}', {}).errors[0].message).toBe('Unexpected {/each} (line 1)');
+      expect(templateEngine.validateTemplate('{a | bold}', {}).errors[0].message).toBe('Unknown filter "bold" (line 1)');
+    });
+  });
+
+  describe('generateContract', () => {
+    const contract = {
+      contractNumber: 'Д-7',
+      contractDate: new Date(2026, 2, 1),
+      totalAmount: 12000,
+      currency: 'RUB',
+      validFrom: new Date(2026, 2, 1),
+      validTo: null,
+      orders: [{
+        items: [{ quantity: 2, price: 6000, total: 12000, product: { name: 'Баллон 40л', unit: 'шт' } }]
+      }]
+    };
+    const client = { name: 'ООО Ромашка', inn: '7701234567', contactPerson: 'Иванов И.И.', address: 'Москва' };
+
+    test('should render the specification from order items', () => {
+      const text = normalize(contractTemplatesService.generateContract('SUPPLY', contract, client));
+
+      expect(text).toContain('составляет 12 000,00 (Двенадцать тысяч рублей 00 копеек), включая НДС');
+      expect(text).toContain('действует до полного исполнения обязательств');
+      expect(text).toContain('ПРИЛОЖЕНИЕ 1\nк Договору № Д-7 от 01.03.2026');
+      expect(text).toContain('1 | Баллон 40л | 2 | шт | 6 000,00 | 12 000,00');
+      expect(contractTemplatesService.validateContract('SUPPLY', contract, client).valid).toBe(true);
+    });
+
+    test('should render seller requisites from the company template', () => {
+      const text = contractTemplatesService.generateContract('SUPPLY', contract, client, null, {
+        fullName: 'ООО "Нова"',
+        inn: '1234567890',
+        kpp: '770101001',
+        address: 'г. Москва, ул. Промышленная, д. 15',
+        signatoryName: 'Петров П.П.',
+        signatoryPosition: 'Генерального директора',
+        bankDetails: { bankName: 'ПАО Банк', bik: '044525225', account: '40702810000000000001' }
+      });
+
+      expect(text).toContain('ООО "Нова", именуемое в дальнейшем "Поставщик", в лице Генерального директора Петров П.П.');
+      expect(text).toContain('РЕКВИЗИТЫ СТОРОН:\n\nООО "Нова"\nИНН 1234567890, КПП 770101001\nАдрес: г. Москва, ул. Промышленная, д. 15\nПАО Банк, БИК 044525225, р/с 40702810000000000001');
+      expect(text).toContain('ООО Ромашка\nИНН 7701234567\nАдрес: Москва');
+    });
+
+    test('should report missing client data and specification', () => {
+      const validation = contractTemplatesService.validateContract('SUPPLY', { ...contract, orders: [] }, { ...client, inn: null });
+
+      expect(validation.missing.map(item => item.name)).toEqual(['clientINN', 'items']);
+    });
+  });
+});
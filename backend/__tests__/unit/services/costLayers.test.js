@@ -0,0 +1,70 @@
+const costLayerService = require('../../../src/services/costLayers');
+
+describe('Cost Layer Service', () => {
+  describe('replayAverage', () => {
+    test('should keep average cost on consumption and blend on receipt', () => {
+      const result = costLayerService.replayAverage(
+        [
+          { quantity: 10, unitCost: 100, receivedAt: '2025-01-01' },
+          { quantity: 10, unitCost: 160, receivedAt: '2025-01-10' }
+        ],
+        [
+          { quantity: 5, consumedAt: '2025-01-05' }
+        ]
+      );
+
+      // После расхода 5 шт по 100, затем приход 10 шт по 160: (5*100 + 10*160) / 15
+      expect(result.quantity).toBe(15);
+      expect(result.unitCost).toBeCloseTo(140);
+    });
+
+    test('should return zero quantity without layers', () => {
+      expect(costLayerService.replayAverage([], [])).toEqual({ quantity: 0, unitCost: 0 });
+    });
+  });
+
+  describe('resolveMethod', () => {
+    test('should fall back to default for unknown methods', () => {
+      expect(costLayerService.resolveMethod('AVERAGE')).toBe('AVERAGE');
+      expect(costLayerService.resolveMethod('LIFO')).toBe(costLayerService.defaultMethod);
+    });
+  });
+
+  describe('createOpeningLayers', () => {
+    test('should date opening stock before the oldest layer of the product', async () => {
+      const oldest = new Date('2026-03-01T10:00:00Z');
+      const tx = {
+        warehouseItem: {
+          findMany: jest.fn().mockResolvedValue([
+            { productId: 'prod-1', quantity: 15, product: { purchasePrice: 100 } },
+            { productId: 'prod-2', quantity: 4, product: { purchasePrice: 50 } }
+          ])
+        },
+        costLayer: {
+          aggregate: jest.fn().mockImplementation(({ where }) =>
+            Promise.resolve({ _sum: { remainingQuantity: where.productId === 'prod-1' ? 5 : null } })),
+          findFirst: jest.fn().mockImplementation(({ where }) =>
+            Promise.resolve(where.productId === 'prod-1' ? { receivedAt: oldest } : null)),
+          create: jest.fn().mockImplementation(({ data }) => Promise.resolve(data))
+        }
+      };
+      const client = { $transaction: jest.fn().mockImplementation(callback => callback(tx)) };
+
+      const result = await costLayerService.createOpeningLayers('user-1', client);
+
+      expect(result).toEqual({ created: 2, value: 1200 });
+      expect(tx.costLayer.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          productId: 'prod-1',
+          sourceType: 'OPENING',
+          quantity: 10,
+          unitCost: 100,
+          receivedAt: new Date('2026-03-01T09:59:59Z')
+        })
+      });
+      expect(tx.costLayer.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ productId: 'prod-2', quantity: 4, receivedAt: expect.any(Date) })
+      });
+    });
+  });
+});
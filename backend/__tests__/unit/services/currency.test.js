@@ -0,0 +1,57 @@
+const currencyService = require('../../../src/services/currency');
+
+describe('Currency Service', () => {
+  const base = currencyService.baseCurrency;
+  const rates = [
+    { currencyCode: 'USD', date: new Date(2024, 0, 1), rate: 90, nominal: 1 },
+    { currencyCode: 'USD', date: new Date(2024, 1, 1), rate: 100, nominal: 1 },
+    { currencyCode: 'CNY', date: new Date(2024, 0, 1), rate: 125, nominal: 10 }
+  ];
+
+  describe('buildConverter', () => {
+    test('should use the latest rate on or before the date', () => {
+      const converter = currencyService.buildConverter(rates, base);
+
+      expect(converter.convert(10, 'USD', new Date(2024, 0, 15))).toBe(900);
+      expect(converter.convert(10, 'USD', new Date(2024, 1, 1, 18))).toBe(1000);
+      expect(converter.convert(10, base, new Date(2024, 0, 15))).toBe(10);
+    });
+
+    test('should apply the nominal and cross rates', () => {
+      const converter = currencyService.buildConverter(rates, 'USD');
+
+      expect(converter.rate('CNY', new Date(2024, 1, 10))).toBeCloseTo(0.125);
+      expect(converter.convert(1000, base, new Date(2024, 1, 10))).toBe(10);
+    });
+
+    test('should report missing rates instead of mixing currencies', () => {
+      const converter = currencyService.buildConverter(rates, base);
+
+      expect(converter.convert(10, 'USD', new Date(2023, 11, 31))).toBeNull();
+      expect(converter.convert(10, 'EUR', new Date(2024, 5, 1))).toBeNull();
+      expect(converter.missingRates.map(missing => missing.currency)).toEqual(['USD', 'EUR']);
+    });
+  });
+
+  describe('getRate', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should return 1 for the same currency without a lookup', async () => {
+      await expect(currencyService.getRate('usd', 'USD')).resolves.toBe(1);
+    });
+
+    test('should fail when no rate is entered', async () => {
+      jest.spyOn(currencyService, 'findRate').mockResolvedValue(null);
+
+      await expect(currencyService.getRate('USD', base, new Date(2024, 0, 1)))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  test('should reject an empty CSV import', async () => {
+    await expect(currencyService.importRatesCsv('currency;date;rate\n', 'user-1'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
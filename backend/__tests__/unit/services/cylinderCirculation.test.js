@@ -0,0 +1,234 @@
+const cylinderCirculationService = require('../../../src/services/cylinderCirculation');
+const warehouseLocationService = require('../../../src/services/warehouseLocations');
+
+describe('Cylinder Circulation Service', () => {
+  const inStock = (id, serialNumber, productId = 'prod-gas') => ({
+    id,
+    productId,
+    serialNumber,
+    status: 'IN_STOCK',
+    nextCertificationDate: new Date('2035-01-01T00:00:00Z'),
+    locationId: null
+  });
+
+  describe('resolveShipmentSerials', () => {
+    const orderItems = [
+      { productId: 'prod-gas', quantity: 2 },
+      { productId: 'prod-valve', quantity: 5 }
+    ];
+
+    const createClient = (records = [], trackedProductIds = ['prod-gas']) => ({
+      serialNumber: {
+        groupBy: jest.fn().mockResolvedValue(trackedProductIds.map(productId => ({ productId }))),
+        findMany: jest.fn().mockImplementation(({ where }) =>
+          Promise.resolve(records.filter(record => where.serialNumber.in.includes(record.serialNumber))))
+      }
+    });
+
+    test('should resolve serial numbers of tracked products and pass untracked ones', async () => {
+      const client = createClient([inStock('sn-1', 'A-001'), inStock('sn-2', 'A-002')]);
+
+      const { errors, resolved } = await cylinderCirculationService.resolveShipmentSerials(orderItems, [
+        { productId: 'prod-gas', quantity: 2, serialNumbers: ['A-001', 'A-002'] },
+        { productId: 'prod-valve', quantity: 5 }
+      ], client);
+
+      expect(errors).toEqual([]);
+      expect(resolved[0].map(record => record.id)).toEqual(['sn-1', 'sn-2']);
+      expect(resolved[1]).toEqual([]);
+    });
+
+    test('should require serial numbers for serial-tracked products', async () => {
+      const client = createClient();
+
+      const { errors } = await cylinderCirculationService.resolveShipmentSerials(orderItems, [
+        { productId: 'prod-gas', quantity: 2 }
+      ], client);
+
+      expect(errors).toEqual([
+        expect.objectContaining({ productId: 'prod-gas', error: expect.stringContaining('серийным номерам') })
+      ]);
+    });
+
+    test('should reject products that are not on the order', async () => {
+      const client = createClient([], []);
+
+      const { errors } = await cylinderCirculationService.resolveShipmentSerials(orderItems, [
+        { productId: 'prod-other', quantity: 1 }
+      ], client);
+
+      expect(errors).toEqual([{ productId: 'prod-other', error: 'Товар отсутствует в заявке' }]);
+    });
+
+    test('should reject quantities above the order across repeated items', async () => {
+      const client = createClient([], []);
+
+      const { errors } = await cylinderCirculationService.resolveShipmentSerials(orderItems, [
+        { productId: 'prod-valve', quantity: 3 },
+        { productId: 'prod-valve', quantity: 3 }
+      ], client);
+
+      expect(errors).toEqual([
+        expect.objectContaining({ productId: 'prod-valve', error: expect.stringContaining('(6)') })
+      ]);
+    });
+
+    test('should report count mismatches, duplicates and unavailable cylinders', async () => {
+      const client = createClient([
+        inStock('sn-1', 'A-001'),
+        { ...inStock('sn-2', 'A-002'), status: 'OUT_OF_STOCK' },
+        inStock('sn-3', 'B-001', 'prod-valve'),
+        { ...inStock('sn-4', 'A-004'), nextCertificationDate: new Date('2020-01-01T00:00:00Z') }
+      ]);
+
+      const { errors, resolved } = await cylinderCirculationService.resolveShipmentSerials(
+        [{ productId: 'prod-gas', quantity: 10 }],
+        [{ productId: 'prod-gas', quantity: 2, serialNumbers: ['A-001', 'A-001', 'A-002', 'B-001', 'A-004', 'X-404'] }],
+        client
+      );
+
+      expect(errors.map(error => error.serialNumber)).toEqual([undefined, 'A-001', 'A-002', 'B-001', 'A-004', 'X-404']);
+      expect(errors[3].error).toBe('Серийный номер принадлежит другому товару');
+      expect(errors[5].error).toBe('Серийный номер не найден');
+      expect(resolved[0].map(record => record.id)).toEqual(['sn-1']);
+    });
+  });
+
+  describe('returns and client balance', () => {
+    const product = { id: 'prod-gas', name: 'Кислород 40л', code: 'O2-40' };
+    const clients = { 'client-1': { id: 'client-1', name: 'ООО Ромашка' }, 'client-2': { id: 'client-2', name: 'ООО Лютик' } };
+    let cylinders;
+    let client;
+
+    // Баллоны после отгрузки: у клиента, с залогом и сроком возврата
+    const shipped = (id, serialNumber, clientId, returnDueDate = new Date('2035-01-01T00:00:00Z')) => ({
+      ...inStock(id, serialNumber),
+      status: 'OUT_OF_STOCK',
+      clientId,
+      shippedAt: new Date('2026-01-10T00:00:00Z'),
+      returnDueDate,
+      depositAmount: 1500
+    });
+
+    const withRelations = record => ({ ...record, product, client: clients[record.clientId] || null });
+
+    beforeEach(() => {
+      cylinders = [
+        shipped('sn-1', 'A-001', 'client-1'),
+        shipped('sn-2', 'A-002', 'client-1'),
+        shipped('sn-3', 'A-003', 'client-1', new Date('2026-02-01T00:00:00Z')),
+        shipped('sn-4', 'A-004', 'client-2')
+      ];
+
+      client = {
+        serialNumber: {
+          findMany: jest.fn().mockImplementation(({ where }) => Promise.resolve(cylinders
+            .filter(record => where.OR
+              ? record.productId === where.productId &&
+                (where.OR[0].id.in.includes(record.id) || where.OR[1].serialNumber.in.includes(record.serialNumber))
+              : record.clientId === where.clientId && record.status === where.status)
+            .map(withRelations))),
+          update: jest.fn().mockImplementation(({ where, data }) => {
+            const record = cylinders.find(cylinder => cylinder.id === where.id);
+            Object.assign(record, data);
+            return Promise.resolve(record);
+          })
+        },
+        transaction: {
+          create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: `tx-${data.serialNumberId}`, ...data }))
+        }
+      };
+
+      jest.spyOn(warehouseLocationService, 'resolveLocation').mockResolvedValue({ id: 'loc-default', isDefault: true });
+      jest.spyOn(warehouseLocationService, 'adjust').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should return part of the shipped cylinders and refund their deposit', async () => {
+      const result = await cylinderCirculationService.returnCylinders({
+        productId: 'prod-gas',
+        userId: 'user-1',
+        clientId: 'client-1',
+        serialNumbers: ['A-001']
+      }, client);
+
+      expect(result.stockIncrement).toBe(1);
+      expect(result.refundedDeposit).toBe(1500);
+      expect(result.transactions).toEqual([
+        expect.objectContaining({ type: 'RETURN', quantity: 1, clientId: 'client-1', serialNumberId: 'sn-1' })
+      ]);
+      expect(cylinders[0]).toMatchObject({ status: 'IN_STOCK', clientId: null, depositAmount: null, locationId: null });
+      expect(cylinders[1]).toMatchObject({ status: 'OUT_OF_STOCK', clientId: 'client-1' });
+      expect(warehouseLocationService.adjust).toHaveBeenCalledWith('prod-gas', 'loc-default', 1, client);
+    });
+
+    test('should keep cylinders awaiting inspection out of stock', async () => {
+      const result = await cylinderCirculationService.returnCylinders({
+        productId: 'prod-gas',
+        userId: 'user-1',
+        serialNumberIds: ['sn-2'],
+        needsInspection: true
+      }, client);
+
+      expect(result.stockIncrement).toBe(0);
+      expect(result.transactions[0].quantity).toBe(0);
+      expect(cylinders[1].status).toBe('NEEDS_INSPECTION');
+      expect(warehouseLocationService.adjust).not.toHaveBeenCalled();
+    });
+
+    test('should reject cylinders held by another client', async () => {
+      await expect(cylinderCirculationService.returnCylinders({
+        productId: 'prod-gas',
+        userId: 'user-1',
+        clientId: 'client-1',
+        serialNumbers: ['A-001', 'A-004']
+      }, client)).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('A-004 (ООО Лютик)') });
+
+      expect(client.serialNumber.update).not.toHaveBeenCalled();
+    });
+
+    test('should reject cylinders that are not shipped or unknown', async () => {
+      cylinders[1].status = 'IN_STOCK';
+
+      await expect(cylinderCirculationService.returnCylinders({
+        productId: 'prod-gas',
+        userId: 'user-1',
+        serialNumbers: ['A-002']
+      }, client)).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('not shipped') });
+
+      await expect(cylinderCirculationService.returnCylinders({
+        productId: 'prod-gas',
+        userId: 'user-1',
+        serialNumbers: ['X-404']
+      }, client)).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('X-404') });
+
+      await expect(cylinderCirculationService.returnCylinders({ productId: 'prod-gas', userId: 'user-1' }, client))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should reduce the client balance after a return', async () => {
+      const before = await cylinderCirculationService.getClientBalance('client-1', client);
+
+      expect(before).toMatchObject({ totalHeld: 3, depositHeld: 4500, overdueCount: 1 });
+      expect(before.byProduct).toEqual([
+        expect.objectContaining({ productId: 'prod-gas', held: 3, overdue: 1, depositHeld: 4500 })
+      ]);
+      expect(before.overdueCylinders.map(cylinder => cylinder.serialNumber)).toEqual(['A-003']);
+
+      await cylinderCirculationService.returnCylinders({
+        productId: 'prod-gas',
+        userId: 'user-1',
+        clientId: 'client-1',
+        serialNumbers: ['A-003']
+      }, client);
+
+      const after = await cylinderCirculationService.getClientBalance('client-1', client);
+
+      expect(after).toMatchObject({ totalHeld: 2, depositHeld: 3000, overdueCount: 0 });
+      expect(after.cylinders.map(cylinder => cylinder.serialNumber)).toEqual(['A-001', 'A-002']);
+    });
+  });
+});
@@ -0,0 +1,18 @@
+const labelService = require('../../../src/services/labels');
+
+describe('Label Service', () => {
+  describe('formatCode / parseCode', () => {
+    test('should round-trip label codes', () => {
+      const code = labelService.formatCode('SERIAL', 'ckx123');
+
+      expect(code).toBe('SN:ckx123');
+      expect(labelService.parseCode(code)).toEqual({ type: 'SERIAL', value: 'ckx123' });
+      expect(labelService.parseCode(' prd:O2-40 ')).toEqual({ type: 'PRODUCT', value: 'O2-40' });
+    });
+
+    test('should treat unknown prefixes and plain text as raw codes', () => {
+      expect(labelService.parseCode('12345')).toEqual({ type: null, value: '12345' });
+      expect(labelService.parseCode('ABC:777')).toEqual({ type: null, value: 'ABC:777' });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// Глобальный мок из setup.js не содержит методов генерации КП
+jest.unmock('../../../src/services/openaiService');
+
+const llmProviders = require('../../../src/services/llmProviders');
+const openaiService = require('../../../src/services/openaiService');
+const companyTemplatesService = require('../../../src/services/companyTemplates');
+
+describe('LLM Providers', () => {
+  const calculation = {
+    id: 'calc-1',
+    name: 'Поставка кислорода',
+    productName: 'Кислород технический',
+    pricePerUnit: 1000,
+    quantity: 10,
+    totalSaleAmount: 10000,
+    client: { name: 'ООО "Ромашка"' }
+  };
+  const companyTemplate = companyTemplatesService.templates.get('nova'); // Начальный шаблон без БД
+  const fake = llmProviders.get('fake');
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  describe('resolve', () => {
+    test('should reject unknown providers', () => {
+      expect(() => llmProviders.resolve('unknown')).toThrow('Unknown LLM provider');
+    });
+
+    test('should reject explicitly requested provider without configuration', () => {
+      expect(() => llmProviders.resolve('local')).toThrow('is not configured');
+    });
+
+    test('should always resolve the template provider', () => {
+      expect(llmProviders.resolve('template').name).toBe('template');
+    });
+  });
+
+  describe('template provider', () => {
+    test('should build a deterministic proposal from calculation data', async () => {
+      const first = await openaiService.generateCommercialProposal(calculation, companyTemplate, { provider: 'template' });
+      const second = await openaiService.generateCommercialProposal(calculation, companyTemplate, { provider: 'template' });
+
+      expect(first.proposalText).toBe(second.proposalText);
+      expect(first.proposalText).toContain('ООО "Ромашка"');
+      expect(first.proposalText).toContain('10000 RUB');
+      expect(first.metadata.provider).toBe('template');
+      expect(first.metadata.tokensUsed).toBe(0);
+    });
+
+    test('should apply competitive markup to prices', async () => {
+      const result = await openaiService.generateCommercialProposal(calculation, companyTemplate, {
+        provider: 'template',
+        competitive: true,
+        markup: 10
+      });
+
+      expect(result.proposalText).toContain('11000 RUB');
+      expect(result.proposalText).toContain('10%');
+    });
+
+    test('should append modifications when customizing', async () => {
+      const result = await openaiService.customizeProposal('Текст КП', 'Срок поставки 2 дня', companyTemplate, {
+        provider: 'template'
+      });
+
+      expect(result.proposalText).toBe('Текст КП\n\nУточнения к предложению:\nСрок поставки 2 дня');
+    });
+  });
+
+  describe('fake provider', () => {
+    test('should record requests and return the configured response', async () => {
+      fake.setResponse('Готовое КП');
+
+      const result = await openaiService.generateCommercialProposal(calculation, companyTemplate, { provider: 'fake' });
+
+      expect(result.proposalText).toBe('Готовое КП');
+      expect(result.metadata.model).toBe('fake');
+      expect(fake.calls).toHaveLength(1);
+      expect(fake.calls[0].task).toBe('proposal');
+      expect(fake.calls[0].prompt).toContain('Поставка кислорода');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const pdfSignatureService = require('../../../src/services/pdfSignatures');
+const cmsSignatureService = require('../../../src/services/cmsSignatures');
+const contractDocumentService = require('../../../src/services/contractDocuments');
+const digitalSignatureService = require('../../../src/services/digitalSignature');
+
+describe('PDF Signatures', () => {
+  const createSigner = (name, email) => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    const keyId = digitalSignatureService.generateKeyId(publicKey);
+    const certificate = cmsSignatureService.createCertificate({ keyId, publicKey, privateKey, createdAt: new Date() }, { name, email });
+    return { name, email, privateKey, certificate };
+  };
+
+  const sign = (pdf, signer, signingTime = new Date()) => pdfSignatureService.signPdf(
+    pdf,
+    { name: signer.name, email: signer.email, reason: 'Подписание договора', signingTime },
+    content => cmsSignatureService.signDetached(content, signer, signingTime)
+  );
+
+  const seller = createSigner('Продавец', 'seller@example.com');
+  const buyer = createSigner('Покупатель', 'buyer@example.com');
+  let contractPdf;
+
+  beforeAll(async () => {
+    const { text } = contractDocumentService.buildText({
+      contractNumber: 'Д-7',
+      contractType: 'SUPPLY',
+      contractDate: new Date('2026-03-01'),
+      validFrom: new Date('2026-03-01'),
+      validTo: new Date('2027-03-01'),
+      autoRenewal: true,
+      totalAmount: 12000,
+      currency: 'RUB',
+      terms: 'Оплата в течение 10 дней',
+      client: { name: 'ООО Ромашка', inn: '7701234567', address: 'Москва', contactPerson: 'Иванов И.И.' },
+      orders: [{
+        items: [{ productId: 'p1', quantity: 2, price: 6000, total: 12000, product: { name: 'Баллон 40л', unit: 'шт' } }]
+      }]
+    });
+    contractPdf = await contractDocumentService.renderPdf(text, 'Договор Д-7');
+  });
+
+  test('should embed sequential signatures as incremental updates', () => {
+    const signed = sign(sign(contractPdf, seller), buyer);
+
+    expect(signed.subarray(0, contractPdf.length).equals(contractPdf)).toBe(true);
+
+    const result = pdfSignatureService.verifyPdf(signed);
+    expect(result).toMatchObject({ totalSignatures: 2, allSignaturesValid: true, modifiedAfterLastSignature: false });
+    expect(result.signatures.map(signature => signature.signer.email)).toEqual(['seller@example.com', 'buyer@example.com']);
+    expect(result.signatures[0]).toMatchObject({ subFilter: 'ETSI.CAdES.detached', coversWholeDocument: false, reason: 'Подписание договора' });
+  });
+
+  test('should detect changes of signed bytes and appended content', () => {
+    const signed = sign(contractPdf, seller);
+
+    const tampered = Buffer.from(signed);
+    const offset = tampered.indexOf('/Title');
+    tampered[offset + 1] = 'X'.charCodeAt(0);
+    expect(pdfSignatureService.verifyPdf(tampered).signatures[0]).toMatchObject({
+      valid: false,
+      integrity: false,
+      result: 'Document has been modified after signing'
+    });
+
+    const appended = Buffer.concat([signed, Buffer.from('\n% appended\n')]);
+    expect(pdfSignatureService.verifyPdf(appended)).toMatchObject({
+      allSignaturesValid: true,
+      modifiedAfterLastSignature: true
+    });
+  });
+
+  test('should reject files that are not PDF', () => {
+    expect(() => pdfSignatureService.verifyPdf(Buffer.from('hello')))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
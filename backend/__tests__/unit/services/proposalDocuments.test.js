@@ -0,0 +1,64 @@
+const proposalDocumentService = require('../../../src/services/proposalDocuments');
+const companyTemplatesService = require('../../../src/services/companyTemplates');
+
+describe('Proposal Document Service', () => {
+  describe('buildPriceTable', () => {
+    test('should build rows from calculation items', () => {
+      const table = proposalDocumentService.buildPriceTable({
+        items: [
+          { name: 'Баллон 40л', quantity: 2, cost: 5000, finalPrice: 6000 },
+          { name: 'Кислород', quantity: 4, cost: 300, finalPrice: null }
+        ]
+      }, null);
+
+      expect(table.rows).toEqual([
+        { name: 'Баллон 40л', quantity: 2, unitPrice: 6000, total: 12000 },
+        { name: 'Кислород', quantity: 4, unitPrice: 300, total: 1200 }
+      ]);
+      expect(table.total).toBe(13200);
+    });
+
+    test('should use single product fields and apply competitive pricing', () => {
+      const table = proposalDocumentService.buildPriceTable({
+        items: [],
+        name: 'Расчет',
+        productName: 'Аргон',
+        quantity: 10,
+        pricePerUnit: 100
+      }, { pricing: { original: 1000, adjusted: 1100 } });
+
+      expect(table.rows).toEqual([{ name: 'Аргон', quantity: 10, unitPrice: 110, total: 1100 }]);
+      expect(table.total).toBe(1100);
+    });
+  });
+
+  describe('renderPdf / renderDocx', () => {
+    const template = { ...companyTemplatesService.templates.get('nova'), logoPath: null }; // Начальный шаблон без БД
+    const calculation = {
+      items: [{ name: 'Баллон кислородный 40л', quantity: 2, cost: 5000, finalPrice: 6000 }],
+      client: { name: 'ООО "Ромашка"', contactPerson: 'Иванов Иван' }
+    };
+    const context = {
+      proposal: { number: 'KP-7' },
+      version: { version: 2, text: 'Уважаемый Иван Иванович!\nПредлагаем поставку технических газов.' },
+      calculation,
+      template,
+      table: proposalDocumentService.buildPriceTable(calculation, null),
+      terms: companyTemplatesService.formatPricing({}, template),
+      currency: 'RUB',
+      date: '19.10.2026'
+    };
+
+    test('should render a PDF with Cyrillic text', async () => {
+      const buffer = await proposalDocumentService.renderPdf(context);
+
+      expect(buffer.subarray(0, 4).toString()).toBe('%PDF');
+    });
+
+    test('should render a DOCX with Cyrillic text', async () => {
+      const buffer = await proposalDocumentService.renderDocx(context);
+
+      expect(buffer.subarray(0, 2).toString()).toBe('PK');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+process.env.SHARE_LINK_SECRET = 'test-share-secret';
+
+const proposalShareLinkService = require('../../../src/services/proposalShareLinks');
+const reminderService = require('../../../src/services/reminderService');
+
+describe('Proposal Share Link Service', () => {
+  const link = { id: 'link-1', expiresAt: new Date('2030-01-01T00:00:00Z') };
+
+  describe('tokens', () => {
+    test('should build "<id>.<signature>" tokens', () => {
+      const token = proposalShareLinkService.buildToken(link);
+
+      expect(token.startsWith('link-1.')).toBe(true);
+      expect(token).toBe(proposalShareLinkService.buildToken({ ...link }));
+      expect(proposalShareLinkService.buildUrl(link)).toMatch(/\/p\/link-1\./);
+    });
+
+    test('should bind the signature to the expiry date', () => {
+      const extended = { ...link, expiresAt: new Date('2031-01-01T00:00:00Z') };
+
+      expect(proposalShareLinkService.sign(link.id, link.expiresAt))
+        .not.toBe(proposalShareLinkService.sign(extended.id, extended.expiresAt));
+    });
+
+    test('should not sign links without SHARE_LINK_SECRET', () => {
+      const { secret } = proposalShareLinkService;
+      proposalShareLinkService.secret = undefined;
+
+      try {
+        expect(() => proposalShareLinkService.buildToken(link)).toThrow('SHARE_LINK_SECRET is not configured');
+      } finally {
+        proposalShareLinkService.secret = secret;
+      }
+    });
+
+    test('should reject malformed tokens', async () => {
+      await expect(proposalShareLinkService.resolve('no-signature')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(proposalShareLinkService.resolve('')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  test('should reject unknown responses before touching the link', async () => {
+    await expect(proposalShareLinkService.respond('link-1.sig', { response: 'MAYBE' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should stop pending follow-up reminders of the calculation', async () => {
+    const client = {
+      reminder: { updateMany: jest.fn().mockResolvedValue({ count: 2 }) },
+      calculation: { update: jest.fn().mockResolvedValue({}) }
+    };
+
+    const cancelled = await reminderService.stopFollowUpReminders('calc-1', client);
+
+    expect(cancelled).toBe(2);
+    expect(client.reminder.updateMany).toHaveBeenCalledWith({
+      where: { relatedId: 'calc-1', relatedType: 'CALCULATION', status: 'PENDING' },
+      data: { status: 'CANCELLED' }
+    });
+    expect(client.calculation.update).toHaveBeenCalledWith({
+      where: { id: 'calc-1' },
+      data: { reminderActive: false, nextReminderDate: null }
+    });
+  });
+});
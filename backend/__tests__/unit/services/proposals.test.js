@@ -0,0 +1,66 @@
+const proposalService = require('../../../src/services/proposals');
+
+describe('Proposal Service', () => {
+  describe('diffLines', () => {
+    test('should mark added, removed and unchanged lines', () => {
+      const lines = proposalService.diffLines(
+        'Коммерческое предложение\nЦена: 100\nСрок: 5 дней',
+        'Коммерческое предложение\nЦена: 90\nСрок: 5 дней\nГарантия: 1 год'
+      );
+
+      expect(lines).toEqual([
+        { type: 'equal', text: 'Коммерческое предложение' },
+        { type: 'removed', text: 'Цена: 100' },
+        { type: 'added', text: 'Цена: 90' },
+        { type: 'equal', text: 'Срок: 5 дней' },
+        { type: 'added', text: 'Гарантия: 1 год' }
+      ]);
+    });
+
+    test('should return only equal lines for identical texts', () => {
+      const lines = proposalService.diffLines('a\nb', 'a\nb');
+
+      expect(lines.every(line => line.type === 'equal')).toBe(true);
+      expect(lines).toHaveLength(2);
+    });
+  });
+
+  describe('accessWhere', () => {
+    test('should limit managers to their own calculations', () => {
+      expect(proposalService.accessWhere({ id: 'u1', role: 'MANAGER' })).toEqual({ calculation: { userId: 'u1' } });
+      expect(proposalService.accessWhere({ id: 'u2', role: 'ADMIN' })).toEqual({});
+    });
+  });
+
+  describe('getOrCreateProposal', () => {
+    const calculation = { id: 'calc-1', clientId: 'client-1', currency: 'KZT' };
+
+    test('should number a new proposal after the last issued one', async () => {
+      const client = {
+        proposal: {
+          findFirst: jest.fn()
+            .mockResolvedValueOnce(null)
+            .mockResolvedValueOnce({ number: 'KP-41' }),
+          create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: 'kp-new', ...data }))
+        }
+      };
+
+      const proposal = await proposalService.getOrCreateProposal(calculation, 'company-1', 'user-1', null, client);
+
+      expect(proposal).toMatchObject({ number: 'KP-42', calculationId: 'calc-1', companyId: 'company-1' });
+    });
+
+    test('should reuse the latest proposal of the calculation and company', async () => {
+      const existing = { id: 'kp-1', number: 'KP-7' };
+      const client = {
+        proposal: {
+          findFirst: jest.fn().mockResolvedValue(existing),
+          create: jest.fn()
+        }
+      };
+
+      await expect(proposalService.getOrCreateProposal(calculation, 'company-1', 'user-1', null, client)).resolves.toBe(existing);
+      expect(client.proposal.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const purchaseOrderService = require('../../../src/services/purchaseOrders');
+
+describe('Purchase Order Service', () => {
+  describe('calculateCost', () => {
+    afterEach(() => {
+      purchaseOrderService.costMethod = 'MOVING_AVERAGE';
+    });
+
+    test('should blend current stock and received goods into moving average', () => {
+      // 10 шт по 100 + 30 шт по 200 = 7000 / 40
+      expect(purchaseOrderService.calculateCost(10, 100, 30, 200)).toBe(175);
+    });
+
+    test('should use received price when stock is empty or negative', () => {
+      expect(purchaseOrderService.calculateCost(0, 100, 5, 120)).toBe(120);
+      expect(purchaseOrderService.calculateCost(-3, 100, 5, 120)).toBe(120);
+    });
+
+    test('should round to kopecks', () => {
+      expect(purchaseOrderService.calculateCost(1, 10, 2, 11)).toBe(10.67);
+    });
+
+    test('should use last purchase price when configured', () => {
+      purchaseOrderService.costMethod = 'LAST';
+
+      expect(purchaseOrderService.calculateCost(10, 100, 30, 200)).toBe(200);
+    });
+  });
+});
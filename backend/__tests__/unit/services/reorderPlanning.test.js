@@ -0,0 +1,56 @@
+const reorderPlanningService = require('../../../src/services/reorderPlanning');
+
+describe('Reorder Planning Service', () => {
+  describe('calculateSuggestion', () => {
+    // 90 единиц за 90 дней - расход 1 в день
+    const params = { historyDays: 90, leadTimeDays: 14, coverDays: 30 };
+    const stock = { consumed: 90, onHand: 10, reserved: 0, onOrder: 0, minStock: 5 };
+
+    const suggest = (input = {}, overrides = {}) =>
+      reorderPlanningService.calculateSuggestion({ ...stock, ...input }, { ...params, ...overrides });
+
+    test('should cover lead time and cover days above the safety stock', () => {
+      expect(suggest()).toEqual({
+        averageDailyConsumption: 1,
+        available: 10,
+        projected: 10,
+        daysOfCover: 10,
+        reorderPoint: 19,
+        suggestedQuantity: 39
+      });
+    });
+
+    test('should move the reorder point with the lead time', () => {
+      expect(suggest({}, { leadTimeDays: 0 })).toMatchObject({ reorderPoint: 5, suggestedQuantity: 0 });
+      expect(suggest({}, { leadTimeDays: 30 })).toMatchObject({ reorderPoint: 35, suggestedQuantity: 55 });
+    });
+
+    test('should reorder earlier with a larger safety stock', () => {
+      expect(suggest({ onHand: 25, minStock: 0 })).toMatchObject({ reorderPoint: 14, suggestedQuantity: 0 });
+      expect(suggest({ onHand: 25, minStock: 15 })).toMatchObject({ reorderPoint: 29, suggestedQuantity: 34 });
+    });
+
+    test('should refill the safety stock of products without consumption', () => {
+      expect(suggest({ consumed: 0, onHand: 5, minStock: 20 })).toMatchObject({
+        averageDailyConsumption: 0,
+        daysOfCover: null,
+        reorderPoint: 20,
+        suggestedQuantity: 15
+      });
+      expect(suggest({ consumed: 0, onHand: 0, minStock: 0 }).suggestedQuantity).toBe(0);
+    });
+
+    test('should count quantities already ordered from suppliers', () => {
+      expect(suggest({ onOrder: 30 })).toMatchObject({ projected: 40, suggestedQuantity: 0 });
+      expect(suggest({ onOrder: 5 })).toMatchObject({ projected: 15, suggestedQuantity: 34 });
+    });
+
+    test('should not count reserved stock as available', () => {
+      expect(suggest({ onHand: 30, reserved: 20 })).toMatchObject({
+        available: 10,
+        daysOfCover: 10,
+        suggestedQuantity: 39
+      });
+    });
+  });
+});
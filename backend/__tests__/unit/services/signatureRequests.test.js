@@ -0,0 +1,169 @@
+process.env.SHARE_LINK_SECRET = 'test-share-secret';
+
+const crypto = require('crypto');
+const signatureRequestService = require('../../../src/services/signatureRequests');
+const contractSignatureService = require('../../../src/services/contractSignatures');
+const digitalSignatureService = require('../../../src/services/digitalSignature');
+
+describe('Signature Requests', () => {
+  const document = Buffer.from('Договор поставки №7');
+
+  const buildRequest = (overrides = {}) => ({
+    id: 'request-1',
+    contractId: 'contract-1',
+    signingOrder: 'SEQUENTIAL',
+    status: 'PENDING',
+    documentData: document.toString('base64'),
+    documentHash: digitalSignatureService.createDocumentHash(document),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    createdAt: new Date(Date.now() - 60 * 1000),
+    createdById: 'manager-1',
+    contract: { id: 'contract-1', contractNumber: 'Д-7', status: 'SENT' },
+    signers: [
+      { id: 's1', position: 1, userId: 'manager-1', email: 'manager@example.com', name: 'Менеджер', role: 'Seller', required: true, status: 'PENDING' },
+      { id: 's2', position: 2, userId: null, email: 'Client@Example.com', name: 'Клиент', role: 'Buyer', required: true, status: 'PENDING' },
+      { id: 's3', position: 3, userId: null, email: 'witness@example.com', name: 'Свидетель', role: 'Witness', required: false, status: 'PENDING' }
+    ],
+    ...overrides
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getCurrentSigners', () => {
+    test('should let only the next required signer sign in sequential order', () => {
+      const request = buildRequest();
+
+      expect(signatureRequestService.getCurrentSigners(request).map(signer => signer.id)).toEqual(['s1']);
+
+      request.signers[0].status = 'SIGNED';
+      expect(signatureRequestService.getCurrentSigners(request).map(signer => signer.id)).toEqual(['s2']);
+      expect(() => signatureRequestService.assertCanSign(request, request.signers[2]))
+        .toThrow(expect.objectContaining({ statusCode: 409, message: 'Waiting for previous signers' }));
+    });
+
+    test('should let all pending signers sign in parallel order', () => {
+      const request = buildRequest({ signingOrder: 'PARALLEL' });
+      request.signers[1].status = 'DECLINED';
+
+      expect(signatureRequestService.getCurrentSigners(request).map(signer => signer.id)).toEqual(['s1', 's3']);
+    });
+  });
+
+  test('should reject signing of finished or expired requests', () => {
+    const signer = buildRequest().signers[0];
+
+    expect(() => signatureRequestService.assertCanSign(buildRequest({ status: 'CANCELLED' }), signer))
+      .toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => signatureRequestService.assertCanSign(buildRequest({ expiresAt: new Date(Date.now() - 1000) }), signer))
+      .toThrow(expect.objectContaining({ statusCode: 410 }));
+  });
+
+  test('should bind signer tokens to the request expiry', () => {
+    const request = buildRequest();
+    const signer = request.signers[1];
+    const token = signatureRequestService.buildToken(signer, request);
+
+    expect(token.startsWith('s2.')).toBe(true);
+    expect(signatureRequestService.buildToken(signer, { expiresAt: new Date(request.expiresAt.getTime() + 1000) }))
+      .not.toBe(token);
+  });
+
+  test('should not sign signer links without SHARE_LINK_SECRET', () => {
+    const request = buildRequest();
+    const { secret } = signatureRequestService;
+    signatureRequestService.secret = undefined;
+
+    try {
+      expect(() => signatureRequestService.buildToken(request.signers[0], request))
+        .toThrow(expect.objectContaining({ statusCode: 500, message: 'SHARE_LINK_SECRET is not configured' }));
+    } finally {
+      signatureRequestService.secret = secret;
+    }
+  });
+
+  test('should match external signers with ledger entries by e-mail', () => {
+    const request = buildRequest();
+    const signers = signatureRequestService.toWorkflowSigners(request);
+    const signatures = [
+      { signerId: 'manager-1', signerEmail: 'manager@example.com', signedAt: new Date() },
+      { signerId: null, signerEmail: 'client@example.com', signedAt: new Date() }
+    ];
+
+    const partial = contractSignatureService.getWorkflowStatus({ metadata: null }, signatures.slice(0, 1), signers);
+    const complete = contractSignatureService.getWorkflowStatus({ metadata: null }, signatures, signers);
+
+    expect(partial.allRequiredSigned).toBe(false);
+    expect(partial.pendingSigners.map(signer => signer.email)).toEqual(['Client@Example.com', 'witness@example.com']);
+    expect(complete.allRequiredSigned).toBe(true);
+  });
+
+  describe('signExternal', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    const signPayload = (payload) => crypto.sign('RSA-SHA256', Buffer.from(payload), {
+      key: privateKey,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING
+    }).toString('base64');
+
+    const resolveSigner = () => {
+      const request = buildRequest();
+      request.signers[0].status = 'SIGNED';
+      const signer = { ...request.signers[1], request };
+      jest.spyOn(signatureRequestService, 'resolve').mockResolvedValue(signer);
+      return signer;
+    };
+
+    test('should record a signature made with the signer\'s own key', async () => {
+      const signer = resolveSigner();
+      const record = jest.spyOn(signatureRequestService, 'recordSignature')
+        .mockImplementation(async (contract, data) => ({ record: data, request: signer.request }));
+
+      const payload = signatureRequestService.buildSigningPayload(signer.request, signer);
+      await signatureRequestService.signExternal('token', { payload, signature: signPayload(payload), publicKey });
+
+      const [contract, data, requestSigner] = record.mock.calls[0];
+      expect(contract.contractNumber).toBe('Д-7');
+      expect(requestSigner).toBe(signer);
+      expect(data).toMatchObject({
+        publicKey,
+        keyId: digitalSignatureService.generateKeyId(publicKey),
+        signerInfo: { userId: null, email: 'Client@Example.com' }
+      });
+    });
+
+    test('should reject payloads and signatures not matching the request', async () => {
+      const signer = resolveSigner();
+      jest.spyOn(signatureRequestService, 'recordSignature').mockResolvedValue({});
+
+      const foreign = JSON.stringify({
+        ...JSON.parse(signatureRequestService.buildSigningPayload(signer.request, signer)),
+        documentHash: digitalSignatureService.createDocumentHash(Buffer.from('Другой договор'))
+      });
+      const payload = signatureRequestService.buildSigningPayload(signer.request, signer);
+
+      await expect(signatureRequestService.signExternal('token', { payload: foreign, signature: signPayload(foreign), publicKey }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Payload does not match the signature request' });
+      await expect(signatureRequestService.signExternal('token', { payload, signature: signPayload(foreign), publicKey }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Invalid signature' });
+      expect(signatureRequestService.recordSignature).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should reject internal signatures of another document', async () => {
+    const request = buildRequest({ signingOrder: 'PARALLEL' });
+    jest.spyOn(signatureRequestService, 'findActiveRequest').mockResolvedValue(request);
+    const record = jest.spyOn(contractSignatureService, 'recordSignature').mockResolvedValue({});
+
+    await expect(signatureRequestService.recordSignature(request.contract, {
+      signature: { payload: { documentHash: 'other' } },
+      signerInfo: { userId: 'manager-1', email: 'manager@example.com' }
+    })).rejects.toMatchObject({ statusCode: 400 });
+    expect(record).not.toHaveBeenCalled();
+  });
+});
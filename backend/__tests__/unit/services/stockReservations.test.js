@@ -0,0 +1,175 @@
+const stockReservationService = require('../../../src/services/stockReservations');
+
+describe('Stock Reservation Service', () => {
+  const createClient = ({ warehouseItems = [], reserved = [], active = null } = {}) => ({
+    warehouseItem: { findMany: jest.fn().mockResolvedValue(warehouseItems) },
+    stockReservation: {
+      groupBy: jest.fn().mockResolvedValue(reserved),
+      findFirst: jest.fn().mockResolvedValue(active),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+      create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: `res-${data.productId}`, ...data }))
+    }
+  });
+
+  const order = {
+    id: 'order-1',
+    items: [
+      { productId: 'prod-1', quantity: 2 },
+      { productId: 'prod-2', quantity: 1 },
+      { productId: 'prod-1', quantity: 3 }
+    ]
+  };
+
+  const warehouseItems = [
+    { productId: 'prod-1', quantity: 10, product: { name: 'Кислород', unit: 'баллон' } },
+    { productId: 'prod-2', quantity: 4, product: { name: 'Аргон', unit: 'баллон' } }
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reserveOrder', () => {
+    test('should reserve summed quantities per product', async () => {
+      const client = createClient({ warehouseItems });
+      const expiresAt = new Date('2030-01-01T00:00:00Z');
+
+      const reservations = await stockReservationService.reserveOrder(order, { expiresAt }, client);
+
+      expect(reservations).toHaveLength(2);
+      expect(client.stockReservation.create).toHaveBeenCalledWith({
+        data: { orderId: 'order-1', productId: 'prod-1', quantity: 5, expiresAt }
+      });
+      expect(client.stockReservation.create).toHaveBeenCalledWith({
+        data: { orderId: 'order-1', productId: 'prod-2', quantity: 1, expiresAt }
+      });
+    });
+
+    test('should reject an order when free stock is insufficient', async () => {
+      const client = createClient({
+        warehouseItems,
+        reserved: [{ productId: 'prod-1', _sum: { quantity: 6 } }]
+      });
+
+      await expect(stockReservationService.reserveOrder(order, {}, client))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Кислород') });
+      expect(client.stockReservation.updateMany).not.toHaveBeenCalled();
+      expect(client.stockReservation.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject products missing from the warehouse', async () => {
+      const client = createClient({ warehouseItems: [warehouseItems[0]] });
+
+      await expect(stockReservationService.reserveOrder(order, {}, client))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('prod-2') });
+    });
+
+    test('should not count own reservations when re-reserving', async () => {
+      const client = createClient({ warehouseItems });
+
+      await stockReservationService.reserveOrder(order, {}, client);
+
+      expect(client.stockReservation.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          productId: { in: ['prod-1', 'prod-2'] },
+          orderId: { not: 'order-1' }
+        })
+      }));
+    });
+  });
+
+  describe('refreshOrder', () => {
+    test('should replace reservations with the new items and keep the expiry', async () => {
+      const expiresAt = new Date('2030-01-01T00:00:00Z');
+      const client = createClient({ warehouseItems, active: { id: 'res-old', expiresAt } });
+      const changed = { id: 'order-1', items: [{ productId: 'prod-2', quantity: 4 }] };
+
+      const reservations = await stockReservationService.refreshOrder(changed, client);
+
+      expect(client.stockReservation.updateMany).toHaveBeenCalledWith({
+        where: { orderId: 'order-1', status: 'ACTIVE' },
+        data: expect.objectContaining({ status: 'RELEASED', releaseReason: 'Резерв пересоздан' })
+      });
+      expect(reservations).toEqual([
+        expect.objectContaining({ productId: 'prod-2', quantity: 4, expiresAt })
+      ]);
+    });
+
+    test('should leave orders without active reservations untouched', async () => {
+      const client = createClient({ warehouseItems });
+
+      const reservations = await stockReservationService.refreshOrder(order, client);
+
+      expect(reservations).toEqual([]);
+      expect(client.stockReservation.updateMany).not.toHaveBeenCalled();
+      expect(client.stockReservation.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncWithOrderStatus', () => {
+    let client;
+
+    beforeEach(() => {
+      client = createClient();
+      jest.spyOn(stockReservationService, 'reserveOrder').mockResolvedValue([]);
+      jest.spyOn(stockReservationService, 'consumeOrder').mockResolvedValue(1);
+      jest.spyOn(stockReservationService, 'releaseOrder').mockResolvedValue(1);
+    });
+
+    test('should reserve with the default expiry on proposal acceptance', async () => {
+      await stockReservationService.syncWithOrderStatus(order, 'PROPOSAL_ACCEPTED', client);
+
+      expect(stockReservationService.reserveOrder).toHaveBeenCalledWith(order, {}, client);
+    });
+
+    test.each(['PAID', 'FOR_SHIPMENT_UNPAID'])('should hold stock until shipment on %s', async (status) => {
+      await stockReservationService.syncWithOrderStatus(order, status, client);
+
+      expect(stockReservationService.reserveOrder).toHaveBeenCalledWith(order, { expiresAt: null }, client);
+    });
+
+    test('should consume reservations on shipment', async () => {
+      await stockReservationService.syncWithOrderStatus(order, 'SHIPPED', client);
+
+      expect(stockReservationService.consumeOrder).toHaveBeenCalledWith('order-1', client);
+      expect(stockReservationService.releaseOrder).not.toHaveBeenCalled();
+    });
+
+    test('should keep reservations while picking', async () => {
+      await stockReservationService.syncWithOrderStatus(order, 'PICKING', client);
+
+      expect(stockReservationService.reserveOrder).not.toHaveBeenCalled();
+      expect(stockReservationService.consumeOrder).not.toHaveBeenCalled();
+      expect(stockReservationService.releaseOrder).not.toHaveBeenCalled();
+    });
+
+    test.each(['PROPOSAL_REJECTED', 'CALCULATION'])('should release reservations on %s', async (status) => {
+      await stockReservationService.syncWithOrderStatus(order, status, client);
+
+      expect(stockReservationService.releaseOrder)
+        .toHaveBeenCalledWith('order-1', `Статус заявки изменен на ${status}`, client);
+    });
+  });
+
+  describe('expireReservations', () => {
+    test('should expire overdue active reservations', async () => {
+      const client = createClient();
+      client.stockReservation.updateMany.mockResolvedValue({ count: 3 });
+
+      const expired = await stockReservationService.expireReservations(client);
+
+      expect(expired).toBe(3);
+      expect(client.stockReservation.updateMany).toHaveBeenCalledWith({
+        where: { status: 'ACTIVE', expiresAt: { lte: expect.any(Date) } },
+        data: expect.objectContaining({ status: 'EXPIRED', releaseReason: 'Истек срок резерва' })
+      });
+    });
+
+    test('should rethrow database errors', async () => {
+      const client = createClient();
+      client.stockReservation.updateMany.mockRejectedValue(new Error('database is locked'));
+
+      await expect(stockReservationService.expireReservations(client)).rejects.toThrow('database is locked');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const stocktakeService = require('../../../src/services/stocktake');
+const warehouseLocationService = require('../../../src/services/warehouseLocations');
+const costLayerService = require('../../../src/services/costLayers');
+
+describe('Stocktake Service', () => {
+  describe('approveSession', () => {
+    const openSession = { id: 'st-1', number: 'INV-3', status: 'OPEN', locationId: null };
+    const stock = { 'prod-1': 10, 'prod-2': 5 };
+    let session;
+    let lines;
+    let tx;
+    let client;
+
+    const line = (id, productId, countedQuantity) => ({
+      id,
+      productId,
+      countedQuantity,
+      product: { name: `Товар ${productId}`, unit: 'шт' }
+    });
+
+    beforeEach(() => {
+      session = { ...openSession };
+      lines = [line('line-1', 'prod-1', 8), line('line-2', 'prod-2', 5), line('line-3', 'prod-3', 7)];
+
+      tx = {
+        stocktakeSession: {
+          findUnique: jest.fn().mockImplementation(() => Promise.resolve(session)),
+          update: jest.fn().mockImplementation(({ data }) => Promise.resolve({ ...session, ...data }))
+        },
+        stocktakeLine: {
+          findMany: jest.fn().mockImplementation(() => Promise.resolve(lines)),
+          update: jest.fn().mockResolvedValue({})
+        },
+        warehouseItem: {
+          findUnique: jest.fn().mockImplementation(({ where }) =>
+            Promise.resolve(stock[where.productId] !== undefined ? { quantity: stock[where.productId] } : null)),
+          upsert: jest.fn().mockResolvedValue({})
+        },
+        transaction: {
+          create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: `tx-${data.productId}`, ...data }))
+        }
+      };
+      client = { $transaction: jest.fn().mockImplementation(callback => callback(tx)) };
+
+      jest.spyOn(warehouseLocationService, 'getAllocatedQuantity').mockResolvedValue(0);
+      jest.spyOn(warehouseLocationService, 'getQuantityAt').mockResolvedValue(4);
+      jest.spyOn(warehouseLocationService, 'adjust').mockResolvedValue({});
+      jest.spyOn(costLayerService, 'recordMovement').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should post variances against current stock', async () => {
+      const result = await stocktakeService.approveSession('st-1', 'user-1', client);
+
+      expect(result.session).toMatchObject({ status: 'APPROVED', approvedById: 'user-1' });
+      expect(result.transactions.map(transaction => [transaction.productId, transaction.quantity]))
+        .toEqual([['prod-1', 8], ['prod-3', 7]]);
+      expect(tx.transaction.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ type: 'INVENTORY', stocktakeId: 'st-1', reason: 'Инвентаризация INV-3' })
+      });
+
+      expect(tx.stocktakeLine.update).toHaveBeenCalledWith({ where: { id: 'line-1' }, data: { systemQuantity: 10, variance: -2 } });
+      expect(tx.stocktakeLine.update).toHaveBeenCalledWith({ where: { id: 'line-2' }, data: { systemQuantity: 5, variance: 0 } });
+      expect(tx.stocktakeLine.update).toHaveBeenCalledWith({ where: { id: 'line-3' }, data: { systemQuantity: 0, variance: 7 } });
+
+      expect(tx.warehouseItem.upsert).toHaveBeenCalledWith({
+        where: { productId: 'prod-3' },
+        create: { productId: 'prod-3', quantity: 7 },
+        update: { quantity: { increment: 7 } }
+      });
+      expect(costLayerService.recordMovement).toHaveBeenCalledWith('prod-1', -2, {
+        transactionId: 'tx-prod-1',
+        sourceType: 'INVENTORY'
+      }, tx);
+      expect(costLayerService.recordMovement).toHaveBeenCalledTimes(2);
+    });
+
+    test('should count a location session against the bin quantity', async () => {
+      session.locationId = 'loc-a1';
+      lines = [line('line-1', 'prod-1', 6)];
+
+      const result = await stocktakeService.approveSession('st-1', 'user-1', client);
+
+      expect(warehouseLocationService.getQuantityAt).toHaveBeenCalledWith('prod-1', 'loc-a1', tx);
+      expect(warehouseLocationService.adjust).toHaveBeenCalledWith('prod-1', 'loc-a1', 2, tx);
+      expect(result.transactions[0]).toMatchObject({ quantity: 6, locationId: 'loc-a1' });
+    });
+
+    test('should not count the whole warehouse below stock allocated to bins', async () => {
+      warehouseLocationService.getAllocatedQuantity.mockResolvedValue(9);
+
+      await expect(stocktakeService.approveSession('st-1', 'user-1', client))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('allocated to storage locations (9 шт)') });
+      expect(tx.stocktakeSession.update).not.toHaveBeenCalled();
+    });
+
+    test.each(['APPROVED', 'CANCELLED'])('should reject a session that is already %s', async (status) => {
+      session.status = status;
+
+      await expect(stocktakeService.approveSession('st-1', 'user-1', client))
+        .rejects.toMatchObject({ statusCode: 400, message: `Stocktake session is ${status.toLowerCase()}` });
+      expect(tx.stocktakeLine.findMany).not.toHaveBeenCalled();
+      expect(tx.transaction.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown and empty sessions', async () => {
+      session = null;
+      await expect(stocktakeService.approveSession('st-404', 'user-1', client)).rejects.toMatchObject({ statusCode: 404 });
+
+      session = { ...openSession };
+      lines = [];
+      await expect(stocktakeService.approveSession('st-1', 'user-1', client))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Stocktake session has no counted products' });
+    });
+  });
+});
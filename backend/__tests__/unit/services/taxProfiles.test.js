@@ -0,0 +1,114 @@
+const taxProfileService = require('../../../src/services/taxProfiles');
+const { calculateProfitabilityMetrics } = require('../../../src/utils/profitability');
+
+describe('Tax Profiles', () => {
+  const costs = {
+    gasCost: 500,
+    cylinderCost: 200,
+    preparationCost: 100,
+    logisticsCost: 100,
+    workersCost: 50,
+    kickbacksCost: 50,
+    pricePerUnit: 120,
+    quantity: 10
+  };
+
+  const profile = {
+    id: 'profile-1',
+    companyCode: 'tehgaz',
+    regime: 'SIMPLIFIED_INCOME',
+    vatPercent: 0,
+    pricesIncludeVat: false,
+    incomeTaxPercent: 6
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateProfitabilityMetrics', () => {
+    test('should keep the legacy formula without tax settings', () => {
+      const metrics = calculateProfitabilityMetrics(costs);
+
+      expect(metrics.grossProfit).toBe(200);
+      expect(metrics.vatAmount).toBeCloseTo(24);
+      expect(metrics.incomeTaxAmount).toBeCloseTo(40);
+      expect(metrics.netProfit).toBeCloseTo(136);
+    });
+
+    test('should extract VAT from VAT-inclusive prices', () => {
+      const metrics = calculateProfitabilityMetrics({ ...costs, vatPercent: 20, pricesIncludeVat: true });
+
+      expect(metrics.vatAmount).toBeCloseTo(200 * 20 / 120);
+      expect(metrics.incomeTaxAmount).toBeCloseTo((200 - 200 * 20 / 120) * 0.2);
+    });
+
+    test('should tax income under the simplified regime', () => {
+      const metrics = calculateProfitabilityMetrics({
+        ...costs,
+        taxRegime: 'SIMPLIFIED_INCOME',
+        vatPercent: 0,
+        incomeTaxPercent: 6
+      });
+
+      expect(metrics.vatAmount).toBe(0);
+      expect(metrics.incomeTaxAmount).toBeCloseTo(72);
+      expect(metrics.netProfit).toBeCloseTo(128);
+    });
+
+    test('should apply the minimum tax for income minus expenses', () => {
+      const metrics = calculateProfitabilityMetrics({
+        ...costs,
+        pricePerUnit: 101,
+        taxRegime: 'SIMPLIFIED_PROFIT',
+        vatPercent: 0,
+        incomeTaxPercent: 15
+      });
+
+      // 15% с прибыли 10 меньше 1% с доходов 1010
+      expect(metrics.incomeTaxAmount).toBeCloseTo(10.1);
+    });
+  });
+
+  describe('resolveTaxes', () => {
+    test('should take a chosen profile first', async () => {
+      jest.spyOn(taxProfileService, 'getProfile').mockResolvedValue(profile);
+
+      const taxes = await taxProfileService.resolveTaxes({ taxProfileId: 'profile-1', vatPercent: 20 });
+
+      expect(taxes).toEqual({
+        taxProfileId: 'profile-1',
+        taxRegime: 'SIMPLIFIED_INCOME',
+        vatPercent: 0,
+        incomeTaxPercent: 6,
+        pricesIncludeVat: false
+      });
+    });
+
+    test('should keep current taxes for fields not entered', async () => {
+      const effective = jest.spyOn(taxProfileService, 'findEffectiveProfile');
+
+      const taxes = await taxProfileService.resolveTaxes(
+        { vatPercent: 20 },
+        { current: { taxRegime: 'SIMPLIFIED_PROFIT', vatPercent: 0, incomeTaxPercent: 15, pricesIncludeVat: true } }
+      );
+
+      expect(effective).not.toHaveBeenCalled();
+      expect(taxes).toEqual({
+        taxProfileId: null,
+        taxRegime: 'SIMPLIFIED_PROFIT',
+        vatPercent: 20,
+        incomeTaxPercent: 15,
+        pricesIncludeVat: true
+      });
+    });
+
+    test('should fall back to the defaults without a profile in effect', async () => {
+      jest.spyOn(taxProfileService, 'findEffectiveProfile').mockResolvedValue(null);
+
+      const taxes = await taxProfileService.resolveTaxes({ sellingCompany: 'ТЕХГАЗ' });
+
+      expect(taxes).toMatchObject({ taxProfileId: null, taxRegime: 'GENERAL', vatPercent: 12 });
+    });
+  });
+});
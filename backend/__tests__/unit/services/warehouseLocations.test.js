@@ -0,0 +1,220 @@
+const warehouseLocationService = require('../../../src/services/warehouseLocations');
+
+describe('Warehouse Location Service', () => {
+  const warehouse = { id: 'wh-main', name: 'Основной склад', isActive: true };
+  const defaultLocation = { id: 'loc-main', code: 'MAIN', isDefault: true, isActive: true, warehouse };
+  const shelf = { id: 'loc-a1', code: 'A-01', isDefault: false, isActive: true, warehouse };
+  const inactive = { id: 'loc-old', code: 'Z-99', isDefault: false, isActive: false, warehouse };
+
+  let stock;
+  let serials;
+  let client;
+
+  // Склад в памяти: общий остаток по товару и остатки ячеек кроме ячейки по умолчанию
+  const createClient = () => ({
+    storageLocation: {
+      findFirst: jest.fn().mockResolvedValue(defaultLocation),
+      findUnique: jest.fn().mockImplementation(({ where }) =>
+        Promise.resolve([defaultLocation, shelf, inactive].find(location => location.id === where.id) || null))
+    },
+    warehouseItem: {
+      findMany: jest.fn().mockImplementation(({ where }) => Promise.resolve(
+        Object.entries(stock.total)
+          .filter(([productId]) => !where.productId || where.productId.in.includes(productId))
+          .map(([productId, quantity]) => ({ productId, quantity }))
+      ))
+    },
+    locationStock: {
+      findMany: jest.fn().mockImplementation(({ where }) => Promise.resolve(
+        stock.rows.filter(row => (!where.productId || where.productId.in.includes(row.productId)) &&
+          row.locationId !== where.locationId.not && row.quantity !== 0)
+      )),
+      upsert: jest.fn().mockImplementation(({ where, create, update }) => {
+        const { productId, locationId } = where.productId_locationId;
+        let row = stock.rows.find(r => r.productId === productId && r.locationId === locationId);
+        if (row) {
+          row.quantity += update.quantity.increment;
+        } else {
+          row = { ...create };
+          stock.rows.push(row);
+        }
+        return Promise.resolve({ ...row });
+      })
+    },
+    serialNumber: {
+      findMany: jest.fn().mockImplementation(({ where }) => Promise.resolve(
+        serials.filter(serial => serial.productId === where.productId &&
+          where.serialNumber.in.includes(serial.serialNumber) && serial.status === where.status)
+      )),
+      updateMany: jest.fn().mockImplementation(({ where, data }) => {
+        serials.filter(serial => where.id.in.includes(serial.id)).forEach(serial => Object.assign(serial, data));
+        return Promise.resolve({ count: where.id.in.length });
+      })
+    },
+    transaction: {
+      create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: 'tx-1', ...data }))
+    }
+  });
+
+  const quantityAt = (productId, locationId) => warehouseLocationService.getQuantityAt(productId, locationId, client);
+
+  beforeEach(() => {
+    stock = {
+      total: { 'prod-1': 10, 'prod-2': 3 },
+      rows: [{ productId: 'prod-1', locationId: 'loc-a1', quantity: 4 }]
+    };
+    serials = [
+      { id: 'sn-1', productId: 'prod-2', serialNumber: 'A-001', status: 'IN_STOCK', locationId: null },
+      { id: 'sn-2', productId: 'prod-2', serialNumber: 'A-002', status: 'IN_STOCK', locationId: 'loc-a1' }
+    ];
+    client = createClient();
+  });
+
+  describe('adjust', () => {
+    test('should leave the default bin to follow the product total', async () => {
+      const location = await warehouseLocationService.adjust('prod-1', null, -2, client);
+
+      expect(location.id).toBe('loc-main');
+      expect(client.locationStock.upsert).not.toHaveBeenCalled();
+    });
+
+    test('should change the quantity of other bins', async () => {
+      await warehouseLocationService.adjust('prod-1', 'loc-a1', -3, client);
+      await warehouseLocationService.adjust('prod-2', 'loc-a1', 2, client);
+
+      expect(stock.rows).toEqual([
+        { productId: 'prod-1', locationId: 'loc-a1', quantity: 1 },
+        { productId: 'prod-2', locationId: 'loc-a1', quantity: 2 }
+      ]);
+    });
+
+    test('should reject taking more than the bin holds', async () => {
+      await expect(warehouseLocationService.adjust('prod-1', 'loc-a1', -5, client))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Не хватает: 1') });
+    });
+
+    test('should reject inactive and unknown locations', async () => {
+      await expect(warehouseLocationService.adjust('prod-1', 'loc-old', 1, client)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(warehouseLocationService.adjust('prod-1', 'loc-404', 1, client)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('pick', () => {
+    test('should take shipped stock out of a bin', async () => {
+      const location = await warehouseLocationService.pick('prod-1', 'loc-a1', 4, client);
+
+      expect(location.id).toBe('loc-a1');
+      expect(stock.rows[0].quantity).toBe(0);
+    });
+
+    test('should only ship unallocated stock from the default bin', async () => {
+      await expect(warehouseLocationService.pick('prod-1', null, 7, client))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Доступно: 6, отгружается: 7') });
+
+      await expect(warehouseLocationService.pick('prod-1', null, 6, client)).resolves.toMatchObject({ id: 'loc-main' });
+    });
+  });
+
+  describe('transfer', () => {
+    test('should move stock between bins without changing the total', async () => {
+      const transaction = await warehouseLocationService.transfer({
+        productId: 'prod-1',
+        userId: 'user-1',
+        quantity: 5,
+        fromLocationId: null,
+        toLocationId: 'loc-a1'
+      }, client);
+
+      expect(transaction).toMatchObject({
+        type: 'TRANSFER',
+        quantity: 5,
+        locationId: 'loc-main',
+        toLocationId: 'loc-a1',
+        reason: 'Перемещение: MAIN → A-01'
+      });
+      expect(await quantityAt('prod-1', 'loc-a1')).toBe(9);
+      expect(await quantityAt('prod-1', null)).toBe(1);
+      expect(stock.total['prod-1']).toBe(10);
+    });
+
+    test('should reject moving more than the source bin holds', async () => {
+      await expect(warehouseLocationService.transfer({
+        productId: 'prod-1',
+        userId: 'user-1',
+        quantity: 5,
+        fromLocationId: 'loc-a1',
+        toLocationId: null
+      }, client)).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Доступно: 4') });
+
+      expect(client.transaction.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject the same source and target', async () => {
+      await expect(warehouseLocationService.transfer({
+        productId: 'prod-1',
+        userId: 'user-1',
+        quantity: 1,
+        fromLocationId: 'loc-a1',
+        toLocationId: 'loc-a1'
+      }, client)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should move serial numbers along with the stock', async () => {
+      await warehouseLocationService.transfer({
+        productId: 'prod-2',
+        userId: 'user-1',
+        quantity: 1,
+        fromLocationId: null,
+        toLocationId: 'loc-a1',
+        serialNumbers: ['A-001']
+      }, client);
+
+      expect(serials[0].locationId).toBe('loc-a1');
+    });
+
+    test('should reject serial numbers stored in another bin', async () => {
+      await expect(warehouseLocationService.transfer({
+        productId: 'prod-2',
+        userId: 'user-1',
+        quantity: 1,
+        fromLocationId: null,
+        toLocationId: 'loc-a1',
+        serialNumbers: ['A-002']
+      }, client)).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(client.serialNumber.updateMany).not.toHaveBeenCalled();
+      expect(stock.rows).toHaveLength(1);
+    });
+  });
+
+  describe('getDefaultLocation', () => {
+    const createEmptyClient = () => ({
+      storageLocation: {
+        findFirst: jest.fn().mockResolvedValue(null),
+        upsert: jest.fn().mockResolvedValue(defaultLocation)
+      },
+      warehouse: {
+        findFirst: jest.fn().mockResolvedValue(null),
+        upsert: jest.fn().mockResolvedValue(warehouse)
+      }
+    });
+
+    test('should create the default bin through unique keys', async () => {
+      const empty = createEmptyClient();
+
+      await expect(warehouseLocationService.getDefaultLocation(empty)).resolves.toBe(defaultLocation);
+      expect(empty.warehouse.upsert).toHaveBeenCalledWith(expect.objectContaining({ where: { code: 'MAIN' } }));
+      expect(empty.storageLocation.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { warehouseId_code: { warehouseId: 'wh-main', code: 'MAIN' } }
+      }));
+    });
+
+    test('should use the bin created by a concurrent request', async () => {
+      const empty = createEmptyClient();
+      empty.storageLocation.upsert.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+      empty.storageLocation.findFirst.mockResolvedValueOnce(null).mockResolvedValueOnce(defaultLocation);
+
+      await expect(warehouseLocationService.getDefaultLocation(empty)).resolves.toBe(defaultLocation);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const { nextNumber, withNumberRetry } = require('../../../src/utils/numbering');
+
+describe('Document Numbering', () => {
+  test('should continue after the last issued number', async () => {
+    const delegate = { findFirst: jest.fn().mockResolvedValue({ number: 'INV-12' }) };
+
+    await expect(nextNumber(delegate, 'INV')).resolves.toBe('INV-13');
+    expect(delegate.findFirst).toHaveBeenCalledWith({
+      where: { number: { startsWith: 'INV-' } },
+      orderBy: { createdAt: 'desc' },
+      select: { number: true }
+    });
+  });
+
+  test('should start from 1 without issued numbers', async () => {
+    const delegate = { findFirst: jest.fn().mockResolvedValue(null) };
+
+    await expect(nextNumber(delegate, 'PO')).resolves.toBe('PO-1');
+  });
+
+  test('should retry when a concurrent request took the number', async () => {
+    const duplicate = Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+    const create = jest.fn()
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce({ number: 'PO-2' });
+
+    await expect(withNumberRetry(create)).resolves.toEqual({ number: 'PO-2' });
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  test('should give up after repeated conflicts and rethrow other errors', async () => {
+    const duplicate = Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+    const conflicting = jest.fn().mockRejectedValue(duplicate);
+
+    await expect(withNumberRetry(conflicting)).rejects.toBe(duplicate);
+    expect(conflicting).toHaveBeenCalledTimes(3);
+
+    const failing = jest.fn().mockRejectedValue(new Error('database is locked'));
+    await expect(withNumberRetry(failing)).rejects.toThrow('database is locked');
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,25 @@
+describe('PDF Utils', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  const loadPdf = () => {
+    let pdf;
+    jest.isolateModules(() => {
+      pdf = require('../../../src/utils/pdf');
+    });
+    return pdf;
+  };
+
+  test('should reject a missing Cyrillic font instead of falling back to Helvetica', () => {
+    process.env.PDF_FONT_PATH = '/nonexistent/DejaVuSans.ttf';
+    const { createPdfDocument } = loadPdf();
+
+    expect(() => createPdfDocument()).toThrow(expect.objectContaining({
+      statusCode: 500,
+      message: expect.stringContaining('PDF font not found: /nonexistent/DejaVuSans.ttf')
+    }));
+  });
+});
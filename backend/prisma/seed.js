@@ -114,6 +114,31 @@ async function main() {
 
   console.log('✅ Sample products created:', products.length);
 
+  // Default warehouse and bin holding the stock not allocated to other bins
+  const defaultCode = process.env.DEFAULT_LOCATION_CODE || 'MAIN';
+  const defaultWarehouse = await prisma.warehouse.upsert({
+    where: { code: defaultCode },
+    update: {},
+    create: {
+      name: process.env.DEFAULT_WAREHOUSE_NAME || 'Основной склад',
+      code: defaultCode,
+      isDefault: true
+    }
+  });
+
+  await prisma.storageLocation.upsert({
+    where: { warehouseId_code: { warehouseId: defaultWarehouse.id, code: defaultCode } },
+    update: {},
+    create: {
+      warehouseId: defaultWarehouse.id,
+      code: defaultCode,
+      name: 'Нераспределенный остаток',
+      isDefault: true
+    }
+  });
+
+  console.log('✅ Default warehouse location created');
+
   // Create warehouse items for products
   await Promise.all(
     products.map(product =>
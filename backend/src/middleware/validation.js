@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { TAX_REGIMES } = require('../utils/profitability');
 
 const validate = (schema) => {
   return (req, res, next) => {
@@ -38,7 +39,8 @@ const clientCreateSchema = Joi.object({
     'string.pattern.base': 'Telegram должен содержать от 5 до 32 символов и может включать только буквы, цифры и подчеркивания'
   }),
   address: Joi.string().max(500).optional(),
-  notes: Joi.string().max(1000).optional()
+  notes: Joi.string().max(1000).optional(),
+  clientGroup: Joi.string().max(50).optional().allow(null) // Группа для прайс-листов и шаблонов расчета
 });
 
 const clientUpdateSchema = clientCreateSchema.fork(['name'], (schema) => schema.optional());
@@ -48,6 +50,7 @@ const productCreateSchema = Joi.object({
   name: Joi.string().min(1).max(200).required(),
   code: Joi.string().max(100).optional(),
   supplier: Joi.string().max(200).optional(),
+  supplierId: Joi.string().optional().allow(null),
   unit: Joi.string().max(20).default('шт'),
   purchasePrice: Joi.number().min(0).required(),
   minStock: Joi.number().min(0).default(0),
@@ -61,7 +64,9 @@ const productCreateSchema = Joi.object({
   }),
   nextCertificationDate: Joi.string().pattern(/^(0[1-9]|1[0-2])\/\d{4}$/).optional().messages({
     'string.pattern.base': 'Следующая дата переосвидетельствования должна быть в формате MM/YYYY'
-  })
+  }),
+  depositAmount: Joi.number().min(0).optional(), // Залог за возвратную тару
+  returnPeriodDays: Joi.number().integer().min(1).optional().allow(null)
 });
 
 const productUpdateSchema = productCreateSchema.fork(['name', 'purchasePrice'], (schema) => schema.optional());
@@ -71,15 +76,342 @@ const warehouseUpdateSchema = Joi.object({
   quantity: Joi.number().min(0).required()
 });
 
+const warehouseCreateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  code: Joi.string().max(20).optional().allow(null),
+  address: Joi.string().max(500).optional().allow('', null),
+  isActive: Joi.boolean().optional()
+});
+
+const warehouseEditSchema = warehouseCreateSchema.fork(['name'], (schema) => schema.optional());
+
+const storageLocationCreateSchema = Joi.object({
+  code: Joi.string().min(1).max(30).required(), // Код ячейки, например A-01-02
+  name: Joi.string().max(100).optional().allow('', null),
+  isActive: Joi.boolean().optional()
+});
+
+const storageLocationUpdateSchema = storageLocationCreateSchema.fork(['code'], (schema) => schema.optional());
+
+// Supplier schemas
+const supplierCreateSchema = Joi.object({
+  name: Joi.string().min(1).max(200).required(),
+  inn: Joi.string().pattern(/^\d{9,12}$/).optional().allow(null),
+  contactPerson: Joi.string().max(100).optional().allow('', null),
+  phone: Joi.string().max(20).optional().allow('', null),
+  email: Joi.string().email().optional().allow('', null),
+  address: Joi.string().max(500).optional().allow('', null),
+  notes: Joi.string().max(1000).optional().allow('', null),
+  isActive: Joi.boolean().optional()
+});
+
+const supplierUpdateSchema = supplierCreateSchema.fork(['name'], (schema) => schema.optional());
+
+// Purchase order schemas
+const purchaseOrderItemSchema = Joi.object({
+  productId: Joi.string().required(),
+  quantity: Joi.number().positive().required(),
+  unitPrice: Joi.number().min(0).required()
+});
+
+const purchaseOrderCreateSchema = Joi.object({
+  supplierId: Joi.string().required(),
+  expectedDate: Joi.date().iso().optional().allow(null),
+  notes: Joi.string().max(1000).optional().allow('', null),
+  items: Joi.array().items(purchaseOrderItemSchema).min(1).required()
+});
+
+const purchaseOrderUpdateSchema = purchaseOrderCreateSchema.fork(['supplierId', 'items'], (schema) => schema.optional());
+
+const purchaseOrderStatusSchema = Joi.object({
+  status: Joi.string().valid('ORDERED', 'RECEIVED', 'CANCELLED').required()
+});
+
+const purchaseOrderReceiveSchema = Joi.object({
+  locationId: Joi.string().optional().allow(null), // Ячейка приемки
+  items: Joi.array().items(
+    Joi.object({
+      itemId: Joi.string().required(),
+      quantity: Joi.number().positive().required(),
+      unitPrice: Joi.number().min(0).optional(), // Фактическая цена, если отличается от заказа
+      serialNumbers: Joi.array().items(
+        Joi.alternatives().try(
+          Joi.string().min(1),
+          Joi.object({
+            serialNumber: Joi.string().required(),
+            manufactureDate: Joi.string().pattern(/^(0[1-9]|1[0-2])\/\d{4}$/).optional(),
+            certificationDate: Joi.string().pattern(/^(0[1-9]|1[0-2])\/\d{4}$/).optional(),
+            nextCertificationDate: Joi.string().pattern(/^(0[1-9]|1[0-2])\/\d{4}$/).optional()
+          })
+        )
+      ).optional()
+    })
+  ).min(1).required()
+});
+
+// Stocktake schemas
+const stocktakeCreateSchema = Joi.object({
+  locationId: Joi.string().optional().allow(null), // Пересчет одной ячейки
+  notes: Joi.string().max(1000).optional().allow('', null)
+});
+
+const stocktakeCountSchema = Joi.object({
+  productId: Joi.string().required(),
+  countedQuantity: Joi.number().min(0).optional().allow(null),
+  serialNumbers: Joi.array().items(Joi.string().min(1)).optional(), // Отсканированные номера
+  notes: Joi.string().max(500).optional().allow('', null)
+}).or('countedQuantity', 'serialNumbers');
+
+// Label schemas
+const labelSheetSchema = Joi.object({
+  type: Joi.string().valid('SERIAL', 'PRODUCT').required(),
+  ids: Joi.array().items(Joi.string()).min(1).optional(),
+  productId: Joi.string().optional(), // Все баллоны товара
+  status: Joi.string().valid('IN_STOCK', 'OUT_OF_STOCK', 'NEEDS_INSPECTION').optional(),
+  format: Joi.string().valid('qr', 'code128').optional(),
+  columns: Joi.number().integer().min(1).max(6).optional(),
+  rows: Joi.number().integer().min(1).max(20).optional(),
+  copies: Joi.number().integer().min(1).max(10).optional()
+}).when(Joi.object({ type: Joi.valid('SERIAL') }).unknown(), {
+  then: Joi.object().or('ids', 'productId')
+});
+
+// Company template schemas
+const companyTemplateFields = {
+  name: Joi.string().min(2).max(100),
+  fullName: Joi.string().max(255),
+  inn: Joi.string().pattern(/^\d{10}$|^\d{12}$/).allow('', null),
+  kpp: Joi.string().pattern(/^\d{9}$/).allow('', null),
+  ogrn: Joi.string().pattern(/^\d{13}$|^\d{15}$/).allow('', null),
+  address: Joi.string().max(500).allow('', null),
+  city: Joi.string().max(100).allow('', null),
+  phone: Joi.string().max(50).allow('', null),
+  email: Joi.string().email().allow('', null),
+  website: Joi.string().max(255).allow('', null),
+  bankDetails: Joi.object({
+    bankName: Joi.string().required(),
+    bik: Joi.string().pattern(/^\d{9}$/).required(),
+    account: Joi.string().pattern(/^\d{20}$/).required(),
+    correspondentAccount: Joi.string().pattern(/^\d{20}$/).optional()
+  }).allow(null),
+  signatoryName: Joi.string().max(255).allow('', null),
+  signatoryPosition: Joi.string().max(255).allow('', null),
+  signatoryBasis: Joi.string().max(255).allow('', null),
+  logoFileId: Joi.string().allow(null), // Загруженный файл (PNG/JPEG)
+  descriptionStyle: Joi.string().max(1000),
+  features: Joi.string().max(1000),
+  paymentTerms: Joi.object({
+    prepayment: Joi.number().min(0).max(100).required(),
+    shipmentPayment: Joi.number().min(0).max(100).required(),
+    paymentDays: Joi.number().integer().min(0).required(),
+    currency: Joi.string().length(3).uppercase().default('RUB')
+  }),
+  deliveryTerms: Joi.object({
+    deliveryTime: Joi.string().required(),
+    deliveryMethods: Joi.array().items(Joi.string()).default([]),
+    freeDeliveryFrom: Joi.number().min(0).allow(null)
+  }),
+  warranty: Joi.object({
+    period: Joi.string().required(),
+    conditions: Joi.string().allow('')
+  }).allow(null),
+  contacts: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    position: Joi.string().allow(''),
+    phone: Joi.string().allow(''),
+    email: Joi.string().email().allow('')
+  })),
+  productDescriptions: Joi.object().pattern(Joi.string(), Joi.object({
+    prefix: Joi.string().required(),
+    features: Joi.string().allow(''),
+    advantages: Joi.string().allow(''),
+    applications: Joi.string().allow('')
+  })),
+  proposalTemplate: Joi.object({
+    header: Joi.string().allow(''),
+    footer: Joi.string().allow(''),
+    validityPeriod: Joi.number().integer().min(1)
+  }).unknown(true).allow(null),
+  competitiveAdvantages: Joi.object({
+    positioning: Joi.string().required(),
+    advantages: Joi.array().items(Joi.string()).required(),
+    competitiveEdge: Joi.string().allow('')
+  }).allow(null),
+  changeNote: Joi.string().max(500).optional()
+};
+
+const companyTemplateCreateSchema = Joi.object({
+  ...companyTemplateFields,
+  id: Joi.string().pattern(/^[a-z0-9-]+$/).max(50).required(), // Код компании, например "nova"
+  name: companyTemplateFields.name.required(),
+  fullName: companyTemplateFields.fullName.required(),
+  descriptionStyle: companyTemplateFields.descriptionStyle.required(),
+  features: companyTemplateFields.features.required(),
+  paymentTerms: companyTemplateFields.paymentTerms.required(),
+  deliveryTerms: companyTemplateFields.deliveryTerms.required()
+});
+
+const companyTemplateUpdateSchema = Joi.object({
+  ...companyTemplateFields,
+  isActive: Joi.boolean()
+}).min(1);
+
+// Competitor price schemas
+const competitorPriceCreateSchema = Joi.object({
+  competitor: Joi.string().min(1).max(255).required(),
+  productId: Joi.string().allow(null).optional(),
+  productName: Joi.string().max(255).when('productId', {
+    is: Joi.string(),
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }),
+  price: Joi.number().positive().required(),
+  currency: Joi.string().length(3).uppercase().optional(),
+  priceDate: Joi.date().max('now').optional(), // По умолчанию - сегодня
+  source: Joi.string().max(500).optional().allow('', null)
+});
+
+const competitorPriceUpdateSchema = Joi.object({
+  competitor: Joi.string().min(1).max(255),
+  productId: Joi.string().allow(null),
+  productName: Joi.string().max(255),
+  price: Joi.number().positive(),
+  currency: Joi.string().length(3).uppercase(),
+  priceDate: Joi.date().max('now'),
+  source: Joi.string().max(500).allow('', null)
+}).min(1);
+
+// Currency schemas
+const currencyCreateSchema = Joi.object({
+  code: Joi.string().length(3).uppercase().required(),
+  name: Joi.string().min(1).max(100).required(),
+  symbol: Joi.string().max(10).optional().allow('', null),
+  decimals: Joi.number().integer().min(0).max(4).optional()
+});
+
+const currencyUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(100),
+  symbol: Joi.string().max(10).allow('', null),
+  decimals: Joi.number().integer().min(0).max(4),
+  isActive: Joi.boolean()
+}).min(1);
+
+const exchangeRateSchema = Joi.object({
+  currency: Joi.string().length(3).uppercase().required(),
+  date: Joi.date().optional(), // По умолчанию - сегодня
+  rate: Joi.number().positive().required(),
+  nominal: Joi.number().integer().min(1).optional(),
+  source: Joi.string().max(100).optional().allow('', null)
+});
+
+// Tax profile schemas
+const taxProfileCreateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  companyCode: Joi.string().max(50).optional().allow(null), // null - профиль по умолчанию
+  regime: Joi.string().valid(...TAX_REGIMES).default('GENERAL'),
+  vatPercent: Joi.number().min(0).max(100).required(),
+  pricesIncludeVat: Joi.boolean().optional(),
+  incomeTaxPercent: Joi.number().min(0).max(100).required(),
+  validFrom: Joi.date().required(),
+  validTo: Joi.date().min(Joi.ref('validFrom')).optional().allow(null)
+});
+
+const taxProfileUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(100),
+  companyCode: Joi.string().max(50).allow(null),
+  regime: Joi.string().valid(...TAX_REGIMES),
+  vatPercent: Joi.number().min(0).max(100),
+  pricesIncludeVat: Joi.boolean(),
+  incomeTaxPercent: Joi.number().min(0).max(100),
+  validFrom: Joi.date(),
+  validTo: Joi.date().allow(null),
+  isActive: Joi.boolean()
+}).min(1);
+
+const taxRecalculationSchema = Joi.object({
+  calculationIds: Joi.array().items(Joi.string()).optional(),
+  sellingCompany: Joi.string().max(100).optional(),
+  dateFrom: Joi.date().optional(),
+  dateTo: Joi.date().optional(),
+  taxProfileId: Joi.string().optional(), // Применить этот профиль вместо действующего на дату расчета
+  dryRun: Joi.boolean().optional()
+});
+
+// Calculation template schemas (затраты на единицу товара)
+const calculationTemplateCreateSchema = Joi.object({
+  name: Joi.string().min(1).max(200).required(),
+  productId: Joi.string().optional().allow(null), // null - для любого товара
+  clientGroup: Joi.string().max(50).optional().allow(null), // null - для всех групп
+  sellingCompany: Joi.string().max(100).optional().allow(null),
+  currency: Joi.string().length(3).uppercase().optional(),
+  gasCost: Joi.number().min(0).default(0),
+  cylinderCost: Joi.number().min(0).default(0),
+  preparationCost: Joi.number().min(0).default(0),
+  logisticsCost: Joi.number().min(0).default(0),
+  workersCost: Joi.number().min(0).default(0),
+  kickbacksCost: Joi.number().min(0).default(0),
+  notes: Joi.string().max(1000).optional().allow('', null)
+});
+
+const calculationTemplateUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(200),
+  productId: Joi.string().allow(null),
+  clientGroup: Joi.string().max(50).allow(null),
+  sellingCompany: Joi.string().max(100).allow(null),
+  currency: Joi.string().length(3).uppercase(),
+  gasCost: Joi.number().min(0),
+  cylinderCost: Joi.number().min(0),
+  preparationCost: Joi.number().min(0),
+  logisticsCost: Joi.number().min(0),
+  workersCost: Joi.number().min(0),
+  kickbacksCost: Joi.number().min(0),
+  notes: Joi.string().max(1000).allow('', null),
+  isActive: Joi.boolean()
+}).min(1);
+
+// Price list schemas
+const priceListItemSchema = Joi.object({
+  productId: Joi.string().required(),
+  minQuantity: Joi.number().min(0).default(0), // Цена действует от этого количества
+  pricePerUnit: Joi.number().min(0).required()
+});
+
+const priceListCreateSchema = Joi.object({
+  name: Joi.string().min(1).max(200).required(),
+  clientGroup: Joi.string().max(50).optional().allow(null), // null - базовый прайс-лист
+  currency: Joi.string().length(3).uppercase().optional(),
+  validFrom: Joi.date().required(),
+  validTo: Joi.date().min(Joi.ref('validFrom')).optional().allow(null),
+  items: Joi.array().items(priceListItemSchema).min(1).required()
+});
+
+const priceListUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(200),
+  clientGroup: Joi.string().max(50).allow(null),
+  currency: Joi.string().length(3).uppercase(),
+  validFrom: Joi.date(),
+  validTo: Joi.date().allow(null),
+  isActive: Joi.boolean(),
+  items: Joi.array().items(priceListItemSchema).min(1) // Заменяет все цены прайс-листа
+}).min(1);
+
 // Transaction schemas
 const transactionCreateSchema = Joi.object({
   productId: Joi.string().required(),
-  type: Joi.string().valid('INCOMING', 'OUTGOING', 'INVENTORY').required(),
+  type: Joi.string().valid('INCOMING', 'OUTGOING', 'INVENTORY', 'RETURN', 'CERTIFICATION', 'TRANSFER').required(),
   quantity: Joi.number().min(0).required(),
   reason: Joi.string().max(500).optional(),
   clientId: Joi.string().optional(),
-  serialNumbers: Joi.array().items(Joi.string()).optional(), // Для поступления
-  serialNumberIds: Joi.array().items(Joi.string()).optional() // Для списания
+  serialNumbers: Joi.array().items(Joi.string()).optional(), // Для поступления и возврата тары
+  serialNumberIds: Joi.array().items(Joi.string()).optional(), // Для списания и возврата тары
+  needsInspection: Joi.boolean().optional(), // Возврат тары на проверку
+  unitCost: Joi.number().min(0).optional(), // Себестоимость единицы при поступлении
+  locationId: Joi.string().optional().allow(null), // Ячейка (для TRANSFER - откуда)
+  toLocationId: Joi.string().optional().allow(null), // Ячейка назначения для TRANSFER
+  // Переосвидетельствование баллонов
+  certificationDate: Joi.date().iso().optional(),
+  nextCertificationDate: Joi.date().iso().optional(),
+  certificationIntervalMonths: Joi.number().integer().min(1).max(240).optional()
 });
 
 // Calculation schemas
@@ -92,7 +424,7 @@ const calculationCreateSchema = Joi.object({
   transportCost: Joi.number().min(0).default(0),
   certificationCost: Joi.number().min(0).default(0),
   customsCost: Joi.number().min(0).default(0),
-  vatPercent: Joi.number().min(0).default(12),
+  vatPercent: Joi.number().min(0).max(100).optional(), // По умолчанию - из налогового профиля
   quattroMargin: Joi.number().min(0).default(30),
   
   // New detailed cost breakdown fields (Себестоимость)
@@ -107,6 +439,7 @@ const calculationCreateSchema = Joi.object({
   productName: Joi.string().max(200).optional(),
   pricePerUnit: Joi.number().min(0).optional(),
   quantity: Joi.number().min(0).optional(),
+  currency: Joi.string().length(3).uppercase().optional(), // По умолчанию - базовая валюта
   
   // Company and organization information
   sellingCompany: Joi.string().max(100).optional(),
@@ -114,8 +447,11 @@ const calculationCreateSchema = Joi.object({
   organizationName: Joi.string().max(200).optional(),
   responsibleManager: Joi.string().max(100).optional(),
   
-  // Tax calculation fields
-  incomeTaxPercent: Joi.number().min(0).max(100).default(20).optional(),
+  // Tax calculation fields: profile of the selling company or rates entered manually
+  taxProfileId: Joi.string().optional(),
+  taxRegime: Joi.string().valid(...TAX_REGIMES).optional(),
+  incomeTaxPercent: Joi.number().min(0).max(100).optional(),
+  pricesIncludeVat: Joi.boolean().optional(),
   
   items: Joi.array().items(
     Joi.object({
@@ -123,7 +459,8 @@ const calculationCreateSchema = Joi.object({
       name: Joi.string().min(1).max(200).required(),
       cost: Joi.number().min(0).required(),
       duty: Joi.number().min(0).default(0),
-      quantity: Joi.number().min(0).default(1)
+      quantity: Joi.number().min(0).default(1),
+      currency: Joi.string().length(3).uppercase().optional() // Валюта стоимости, по умолчанию - валюта расчета
     })
   ).optional() // Make items optional for new cost calculation system
 });
@@ -181,6 +518,33 @@ module.exports = {
   productCreateSchema,
   productUpdateSchema,
   warehouseUpdateSchema,
+  warehouseCreateSchema,
+  warehouseEditSchema,
+  storageLocationCreateSchema,
+  storageLocationUpdateSchema,
+  supplierCreateSchema,
+  supplierUpdateSchema,
+  purchaseOrderCreateSchema,
+  purchaseOrderUpdateSchema,
+  purchaseOrderStatusSchema,
+  purchaseOrderReceiveSchema,
+  stocktakeCreateSchema,
+  stocktakeCountSchema,
+  labelSheetSchema,
+  companyTemplateCreateSchema,
+  companyTemplateUpdateSchema,
+  competitorPriceCreateSchema,
+  competitorPriceUpdateSchema,
+  currencyCreateSchema,
+  currencyUpdateSchema,
+  exchangeRateSchema,
+  taxProfileCreateSchema,
+  taxProfileUpdateSchema,
+  taxRecalculationSchema,
+  calculationTemplateCreateSchema,
+  calculationTemplateUpdateSchema,
+  priceListCreateSchema,
+  priceListUpdateSchema,
   transactionCreateSchema,
   calculationCreateSchema,
   calculationUpdateSchema,
@@ -20,7 +20,8 @@ const dateRangeSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20),
   page: Joi.number().integer().min(1).default(1),
   sortBy: Joi.string().valid('date', 'revenue', 'orders', 'clients').default('date'),
-  sortOrder: Joi.string().valid('asc', 'desc').default('desc')
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+  currency: Joi.string().length(3).uppercase().optional() // Валюта отчета, по умолчанию REPORTING_CURRENCY
 });
 
 const analyticsParamsSchema = Joi.object({
@@ -30,7 +31,8 @@ const analyticsParamsSchema = Joi.object({
     managerId: Joi.string().optional(),
     clientId: Joi.string().optional(),
     status: Joi.string().optional(),
-    category: Joi.string().optional()
+    category: Joi.string().optional(),
+    currency: Joi.string().length(3).uppercase().optional()
   }).optional()
 });
 
@@ -76,12 +78,13 @@ router.get('/overview', validate(analyticsParamsSchema, 'query'), async (req, re
 // GET /api/analytics/revenue - Detailed revenue analytics
 router.get('/revenue', validate(dateRangeSchema, 'query'), async (req, res, next) => {
   try {
-    const { dateFrom, dateTo, groupBy } = req.query;
+    const { dateFrom, dateTo, groupBy, currency } = req.query;
 
     const revenueAnalytics = await salesAnalyticsService.getRevenueAnalytics(
       new Date(dateFrom),
       new Date(dateTo),
-      groupBy
+      groupBy,
+      currency
     );
 
     logBusinessEvent('revenue_analytics_requested', req, {
@@ -155,12 +158,13 @@ router.get('/products', validate(dateRangeSchema, 'query'), async (req, res, nex
 // GET /api/analytics/clients - Client analytics and segmentation
 router.get('/clients', validate(dateRangeSchema, 'query'), async (req, res, next) => {
   try {
-    const { dateFrom, dateTo, limit } = req.query;
+    const { dateFrom, dateTo, limit, currency } = req.query;
 
     const clientAnalytics = await salesAnalyticsService.getClientAnalytics(
       new Date(dateFrom),
       new Date(dateTo),
-      parseInt(limit)
+      parseInt(limit),
+      currency
     );
 
     logBusinessEvent('client_analytics_requested', req, {
@@ -195,11 +199,12 @@ router.get('/clients', validate(dateRangeSchema, 'query'), async (req, res, next
 // GET /api/analytics/managers - Manager performance analytics
 router.get('/managers', validate(analyticsParamsSchema, 'query'), async (req, res, next) => {
   try {
-    const { dateFrom, dateTo } = req.query;
+    const { dateFrom, dateTo, filters = {} } = req.query;
 
     const managerAnalytics = await salesAnalyticsService.getManagerAnalytics(
       new Date(dateFrom),
-      new Date(dateTo)
+      new Date(dateTo),
+      filters.currency
     );
 
     logBusinessEvent('manager_analytics_requested', req, {
@@ -280,9 +285,9 @@ router.get('/dashboard', validate(analyticsParamsSchema, 'query'), async (req, r
       managerAnalytics
     ] = await Promise.all([
       salesAnalyticsService.getSalesOverview(new Date(dateFrom), new Date(dateTo), filters),
-      salesAnalyticsService.getRevenueAnalytics(new Date(dateFrom), new Date(dateTo), 'day'),
+      salesAnalyticsService.getRevenueAnalytics(new Date(dateFrom), new Date(dateTo), 'day', filters.currency),
       salesAnalyticsService.getSalesFunnelAnalytics(new Date(dateFrom), new Date(dateTo)),
-      salesAnalyticsService.getManagerAnalytics(new Date(dateFrom), new Date(dateTo))
+      salesAnalyticsService.getManagerAnalytics(new Date(dateFrom), new Date(dateTo), filters.currency)
     ]);
 
     const dashboard = {
@@ -0,0 +1,76 @@
+const express = require('express');
+const {
+  validate,
+  calculationTemplateCreateSchema,
+  calculationTemplateUpdateSchema
+} = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const calculationTemplateService = require('../services/calculationTemplates');
+
+const router = express.Router();
+
+// Get calculation templates
+router.get('/', async (req, res, next) => {
+  try {
+    const templates = await calculationTemplateService.getTemplates({
+      productId: req.query.productId,
+      clientGroup: req.query.clientGroup,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({ templates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get calculation template by ID
+router.get('/:id', async (req, res, next) => {
+  try {
+    const template = await calculationTemplateService.getTemplate(req.params.id);
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create calculation template
+router.post('/', requireRole(['ADMIN', 'MANAGER']), validate(calculationTemplateCreateSchema), async (req, res, next) => {
+  try {
+    const template = await calculationTemplateService.createTemplate(req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Calculation template created successfully',
+      template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update calculation template
+router.put('/:id', requireRole(['ADMIN', 'MANAGER']), validate(calculationTemplateUpdateSchema), async (req, res, next) => {
+  try {
+    const template = await calculationTemplateService.updateTemplate(req.params.id, req.body, req.user.id);
+
+    res.json({
+      message: 'Calculation template updated successfully',
+      template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate calculation template
+router.delete('/:id', requireRole(['ADMIN', 'MANAGER']), async (req, res, next) => {
+  try {
+    await calculationTemplateService.deactivateTemplate(req.params.id, req.user.id);
+
+    res.json({ message: 'Calculation template deactivated successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
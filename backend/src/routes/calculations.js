@@ -2,10 +2,32 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { validate, calculationCreateSchema, calculationUpdateSchema } = require('../middleware/validation');
 const reminderService = require('../services/reminderService');
+const proposalService = require('../services/proposals');
+const currencyService = require('../services/currency');
+const taxProfileService = require('../services/taxProfiles');
+const { calculateProfitabilityMetrics } = require('../utils/profitability');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * Resolve item currencies and their rates to the calculation currency
+ * @param {Object[]} items - Legacy calculation items
+ * @param {string} currency - Calculation currency
+ * @param {Date} date - Date of the rates
+ * @returns {Promise<Object[]>} Items with currency and exchangeRate
+ */
+async function withExchangeRates(items, currency, date = new Date()) {
+  return Promise.all(items.map(async (item) => {
+    const itemCurrency = await currencyService.assertCurrency(item.currency || currency);
+    return {
+      ...item,
+      currency: itemCurrency,
+      exchangeRate: await currencyService.getRate(itemCurrency, currency, date)
+    };
+  }));
+}
+
 // Get all calculations
 router.get('/', async (req, res, next) => {
   try {
@@ -97,67 +119,39 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
-// Helper function to calculate profitability metrics
-function calculateProfitabilityMetrics(data) {
-  const {
-    gasCost = 0,
-    cylinderCost = 0,
-    preparationCost = 0,
-    logisticsCost = 0,
-    workersCost = 0,
-    kickbacksCost = 0,
-    pricePerUnit = 0,
-    quantity = 0,
-    vatPercent = 12,
-    incomeTaxPercent = 20
-  } = data;
-
-  // Calculate totals according to customer requirements
-  const totalCostBreakdown = gasCost + cylinderCost + preparationCost + logisticsCost + workersCost + kickbacksCost;
-  const totalSaleAmount = pricePerUnit * quantity;
-  const grossProfit = totalSaleAmount - totalCostBreakdown;
-  const vatAmount = grossProfit * (vatPercent / 100);
-  const incomeTaxAmount = grossProfit * (incomeTaxPercent / 100);
-  const netProfit = grossProfit - vatAmount - incomeTaxAmount;
-  const profitabilityPercent = totalCostBreakdown > 0 ? (netProfit / totalCostBreakdown) * 100 : 0;
-
-  return {
-    totalCostBreakdown,
-    totalSaleAmount,
-    grossProfit,
-    vatAmount,
-    incomeTaxAmount,
-    netProfit,
-    profitabilityPercent
-  };
-}
-
 // Create calculation
 router.post('/', validate(calculationCreateSchema), async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { items, ...calculationData } = req.body;
 
+    calculationData.currency = await currencyService.assertCurrency(calculationData.currency);
+    Object.assign(calculationData, await taxProfileService.resolveTaxes(calculationData));
+    const ratedItems = items && items.length > 0
+      ? await withExchangeRates(items, calculationData.currency)
+      : [];
+
     const result = await prisma.$transaction(async (prisma) => {
       let totalCost = 0;
       let processedItems = [];
 
       // Handle legacy items-based calculation for backward compatibility
-      if (items && items.length > 0) {
-        // Calculate totals using legacy algorithm
-        const totalBaseCost = items.reduce((sum, item) => sum + (item.cost * item.quantity), 0);
+      if (ratedItems.length > 0) {
+        // Calculate totals using legacy algorithm, costs in the calculation currency
+        const totalBaseCost = ratedItems.reduce((sum, item) => sum + (item.cost * item.exchangeRate * item.quantity), 0);
         
         // Calculate each item's final price based on the legacy algorithm
-        processedItems = items.map(item => {
-          const itemShare = (item.cost * item.quantity) / totalBaseCost;
+        processedItems = ratedItems.map(item => {
+          const itemCost = item.cost * item.exchangeRate;
+          const itemShare = (itemCost * item.quantity) / totalBaseCost;
           const itemTransport = calculationData.transportCost * itemShare;
           
-          const brokerFee = (item.cost + itemTransport / item.quantity) * (calculationData.brokerPercent / 100) * item.quantity;
-          const dutyAmount = (item.cost + itemTransport / item.quantity + brokerFee / item.quantity) * (item.duty / 100) * item.quantity;
+          const brokerFee = (itemCost + itemTransport / item.quantity) * (calculationData.brokerPercent / 100) * item.quantity;
+          const dutyAmount = (itemCost + itemTransport / item.quantity + brokerFee / item.quantity) * (item.duty / 100) * item.quantity;
           const itemCertification = calculationData.certificationCost * itemShare;
           const itemCustoms = calculationData.customsCost * itemShare;
           
-          const itemTotalCost = (item.cost * item.quantity) + itemTransport + brokerFee + dutyAmount + itemCertification + itemCustoms;
+          const itemTotalCost = (itemCost * item.quantity) + itemTransport + brokerFee + dutyAmount + itemCertification + itemCustoms;
           const vatAmount = itemTotalCost * (calculationData.vatPercent / 100);
           const costWithVat = itemTotalCost + vatAmount;
           const quattroMarginAmount = costWithVat * (calculationData.quattroMargin / 100);
@@ -195,7 +189,9 @@ router.post('/', validate(calculationCreateSchema), async (req, res, next) => {
             cost: item.cost,
             duty: item.duty,
             quantity: item.quantity,
-            finalPrice: item.finalPrice
+            finalPrice: item.finalPrice,
+            currency: item.currency,
+            exchangeRate: item.exchangeRate
           }))
         });
       }
@@ -229,23 +225,44 @@ router.put('/:id', validate(calculationUpdateSchema), async (req, res, next) =>
         throw new Error('Calculation not found');
       }
 
+      // Налоги пересчитываются при выборе профиля, вводе ставок или смене продающей компании
+      const sellingCompanyChanged = calculationData.sellingCompany !== undefined &&
+        calculationData.sellingCompany !== existingCalculation.sellingCompany;
+      if (taxProfileService.hasTaxInput(calculationData) || sellingCompanyChanged) {
+        Object.assign(calculationData, await taxProfileService.resolveTaxes(
+          { ...calculationData, sellingCompany: calculationData.sellingCompany ?? existingCalculation.sellingCompany },
+          { date: existingCalculation.createdAt, current: existingCalculation }
+        ));
+      }
+
+      // При смене валюты расчета позиции пересчитываются по текущему курсу
+      const currency = await currencyService.assertCurrency(calculationData.currency || existingCalculation.currency);
+      const currencyChanged = currency !== existingCalculation.currency;
+      if (calculationData.currency) calculationData.currency = currency;
+
+      const sourceItems = items || (currencyChanged
+        ? await prisma.calculationItem.findMany({ where: { calculationId } })
+        : null);
+
       // Recalculate if items are provided (legacy support)
       let totalCost = existingCalculation.totalCost;
       
-      if (items) {
-        const totalBaseCost = items.reduce((sum, item) => sum + (item.cost * item.quantity), 0);
+      if (sourceItems) {
+        const ratedItems = await withExchangeRates(sourceItems, currency);
+        const totalBaseCost = ratedItems.reduce((sum, item) => sum + (item.cost * item.exchangeRate * item.quantity), 0);
         
-        const processedItems = items.map(item => {
-          const itemShare = (item.cost * item.quantity) / totalBaseCost;
+        const processedItems = ratedItems.map(item => {
+          const itemCost = item.cost * item.exchangeRate;
+          const itemShare = (itemCost * item.quantity) / totalBaseCost;
           const itemTransport = (calculationData.transportCost || existingCalculation.transportCost) * itemShare;
           
-          const brokerFee = (item.cost + itemTransport / item.quantity) * ((calculationData.brokerPercent || existingCalculation.brokerPercent) / 100) * item.quantity;
-          const dutyAmount = (item.cost + itemTransport / item.quantity + brokerFee / item.quantity) * (item.duty / 100) * item.quantity;
+          const brokerFee = (itemCost + itemTransport / item.quantity) * ((calculationData.brokerPercent || existingCalculation.brokerPercent) / 100) * item.quantity;
+          const dutyAmount = (itemCost + itemTransport / item.quantity + brokerFee / item.quantity) * (item.duty / 100) * item.quantity;
           const itemCertification = (calculationData.certificationCost || existingCalculation.certificationCost) * itemShare;
           const itemCustoms = (calculationData.customsCost || existingCalculation.customsCost) * itemShare;
           
-          const itemTotalCost = (item.cost * item.quantity) + itemTransport + brokerFee + dutyAmount + itemCertification + itemCustoms;
-          const vatAmount = itemTotalCost * ((calculationData.vatPercent || existingCalculation.vatPercent) / 100);
+          const itemTotalCost = (itemCost * item.quantity) + itemTransport + brokerFee + dutyAmount + itemCertification + itemCustoms;
+          const vatAmount = itemTotalCost * ((calculationData.vatPercent ?? existingCalculation.vatPercent) / 100);
           const costWithVat = itemTotalCost + vatAmount;
           const quattroMarginAmount = costWithVat * ((calculationData.quattroMargin || existingCalculation.quattroMargin) / 100);
           const finalPrice = costWithVat + quattroMarginAmount;
@@ -272,7 +289,9 @@ router.put('/:id', validate(calculationUpdateSchema), async (req, res, next) =>
             cost: item.cost,
             duty: item.duty,
             quantity: item.quantity,
-            finalPrice: item.finalPrice
+            finalPrice: item.finalPrice,
+            currency: item.currency,
+            exchangeRate: item.exchangeRate
           }))
         });
       }
@@ -353,6 +372,11 @@ router.post('/:id/duplicate', async (req, res, next) => {
           customsCost: original.customsCost,
           vatPercent: original.vatPercent,
           quattroMargin: original.quattroMargin,
+          taxProfileId: original.taxProfileId,
+          taxRegime: original.taxRegime,
+          incomeTaxPercent: original.incomeTaxPercent,
+          pricesIncludeVat: original.pricesIncludeVat,
+          currency: original.currency,
           totalCost: original.totalCost
         }
       });
@@ -367,7 +391,9 @@ router.post('/:id/duplicate', async (req, res, next) => {
             cost: item.cost,
             duty: item.duty,
             quantity: item.quantity,
-            finalPrice: item.finalPrice
+            finalPrice: item.finalPrice,
+            currency: item.currency,
+            exchangeRate: item.exchangeRate
           }))
         });
       }
@@ -458,6 +484,7 @@ router.get('/:id/export', async (req, res, next) => {
       include: {
         client: true,
         items: true,
+        taxProfile: { select: { id: true, name: true } },
         user: {
           select: { name: true, email: true }
         }
@@ -488,6 +515,7 @@ router.get('/:id/export', async (req, res, next) => {
         pricePerUnit: calculation.pricePerUnit,
         quantity: calculation.quantity,
         totalSaleAmount: calculation.totalSaleAmount,
+        currency: calculation.currency,
         
         // Legacy parameters for backward compatibility
         parameters: {
@@ -511,6 +539,15 @@ router.get('/:id/export', async (req, res, next) => {
         totalCostBreakdown: calculation.totalCostBreakdown || 0
       },
       
+      // Taxes the profitability was calculated with
+      taxes: {
+        taxProfile: calculation.taxProfile,
+        taxRegime: calculation.taxRegime,
+        vatPercent: calculation.vatPercent,
+        incomeTaxPercent: calculation.incomeTaxPercent,
+        pricesIncludeVat: calculation.pricesIncludeVat
+      },
+      
       // Profitability analysis
       profitability: {
         grossProfit: calculation.grossProfit || 0,
@@ -526,7 +563,9 @@ router.get('/:id/export', async (req, res, next) => {
         cost: item.cost,
         duty: item.duty,
         quantity: item.quantity,
-        finalPrice: item.finalPrice
+        finalPrice: item.finalPrice,
+        currency: item.currency,
+        exchangeRate: item.exchangeRate
       })),
       
       totals: {
@@ -552,13 +591,12 @@ router.post('/profitability-analysis', validate(calculationCreateSchema), async
       workersCost = 0,
       kickbacksCost = 0,
       pricePerUnit = 0,
-      quantity = 0,
-      vatPercent = 12,
-      incomeTaxPercent = 20
+      quantity = 0
     } = req.body;
 
     // Calculate profitability metrics without saving to database
-    const profitabilityMetrics = calculateProfitabilityMetrics(req.body);
+    const taxes = await taxProfileService.resolveTaxes(req.body);
+    const profitabilityMetrics = calculateProfitabilityMetrics({ ...req.body, ...taxes });
 
     // Add additional analysis
     const analysis = {
@@ -587,7 +625,7 @@ router.post('/profitability-analysis', validate(calculationCreateSchema), async
       inputs: {
         costBreakdown: { gasCost, cylinderCost, preparationCost, logisticsCost, workersCost, kickbacksCost },
         sales: { pricePerUnit, quantity },
-        taxes: { vatPercent, incomeTaxPercent }
+        taxes
       }
     });
   } catch (error) {
@@ -625,6 +663,13 @@ router.post('/:id/send-proposal', async (req, res, next) => {
       });
     }
 
+    // Отмечаем версию КП, которая фактически ушла клиенту
+    // (по умолчанию - последняя версия последнего КП по расчету)
+    const sentProposal = await proposalService.markSent(calculationId, {
+      proposalId: req.body.proposalId,
+      version: req.body.version
+    });
+
     // Create follow-up reminders
     const reminder = await reminderService.scheduleFollowUpReminders(
       calculationId,
@@ -645,6 +690,7 @@ router.post('/:id/send-proposal', async (req, res, next) => {
     res.json({
       message: 'КП отправлено и напоминания активированы',
       calculation: updatedCalculation,
+      proposal: sentProposal,
       reminder: {
         id: reminder.id,
         nextReminderDate: reminder.scheduledDate,
@@ -1,6 +1,7 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { validate, clientCreateSchema, clientUpdateSchema } = require('../middleware/validation');
+const cylinderCirculationService = require('../services/cylinderCirculation');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -14,7 +15,8 @@ router.get('/', async (req, res, next) => {
       limit = 20, 
       sort = 'createdAt', 
       order = 'DESC',
-      status
+      status,
+      clientGroup
     } = req.query;
 
     // Validate and sanitize pagination parameters
@@ -51,6 +53,11 @@ router.get('/', async (req, res, next) => {
       where.status = status;
     }
 
+    // Группа клиента (прайс-листы, шаблоны расчета)
+    if (clientGroup) {
+      where.clientGroup = clientGroup;
+    }
+
     // Execute queries in parallel for performance
     const [clients, total, totalUnfiltered] = await Promise.all([
       prisma.client.findMany({
@@ -199,7 +206,7 @@ router.get('/:id/stats', async (req, res, next) => {
   try {
     const clientId = req.params.id;
 
-    const [calculations, transactions] = await Promise.all([
+    const [calculations, transactions, cylinders] = await Promise.all([
       prisma.calculation.findMany({
         where: { clientId },
         select: {
@@ -217,7 +224,8 @@ router.get('/:id/stats', async (req, res, next) => {
             }
           }
         }
-      })
+      }),
+      cylinderCirculationService.getClientBalance(clientId)
     ]);
 
     const totalCalculations = calculations.length;
@@ -232,7 +240,37 @@ router.get('/:id/stats', async (req, res, next) => {
       totalTransactions,
       totalTransactionValue,
       lastCalculation: calculations[0]?.createdAt,
-      lastTransaction: transactions[0]?.createdAt
+      lastTransaction: transactions[0]?.createdAt,
+      cylinders: {
+        held: cylinders.totalHeld,
+        depositHeld: cylinders.depositHeld,
+        byProduct: cylinders.byProduct,
+        overdueCount: cylinders.overdueCount,
+        overdue: cylinders.overdueCylinders
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get cylinders currently held by client
+router.get('/:id/cylinders', async (req, res, next) => {
+  try {
+    const client = await prisma.client.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, name: true }
+    });
+
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const balance = await cylinderCirculationService.getClientBalance(client.id);
+
+    res.json({
+      client,
+      ...balance
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,98 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const {
+  validate,
+  companyTemplateCreateSchema,
+  companyTemplateUpdateSchema
+} = require('../middleware/validation');
+const companyTemplatesService = require('../services/companyTemplates');
+
+const router = express.Router();
+
+// Шаблоны компаний редактирует только администратор
+router.use(requireRole(['ADMIN']));
+
+// Список шаблонов (?includeInactive=true - вместе с отключенными)
+router.get('/', async (req, res, next) => {
+  try {
+    const templates = await companyTemplatesService.getAllTemplates({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({ templates, count: templates.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:code', async (req, res, next) => {
+  try {
+    const template = await companyTemplatesService.getTemplate(req.params.code, { includeInactive: true });
+    res.json({ template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', validate(companyTemplateCreateSchema), async (req, res, next) => {
+  try {
+    const template = await companyTemplatesService.addTemplate(req.body, req.user.id);
+    res.status(201).json({ message: 'Company template created', template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:code', validate(companyTemplateUpdateSchema), async (req, res, next) => {
+  try {
+    const template = await companyTemplatesService.updateTemplate(req.params.code, req.body, req.user.id);
+    res.json({ message: 'Company template updated', template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Шаблон отключается, история версий сохраняется
+router.delete('/:code', async (req, res, next) => {
+  try {
+    const template = await companyTemplatesService.removeTemplate(req.params.code, req.user.id);
+    res.json({ message: 'Company template deactivated', template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// История изменений шаблона
+router.get('/:code/versions', async (req, res, next) => {
+  try {
+    const versions = await companyTemplatesService.getVersions(req.params.code);
+    res.json({ versions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:code/versions/:version', async (req, res, next) => {
+  try {
+    const version = await companyTemplatesService.getVersion(req.params.code, req.params.version);
+    res.json({ version });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Восстановить версию: сохраняется как новая версия
+router.post('/:code/versions/:version/restore', async (req, res, next) => {
+  try {
+    const template = await companyTemplatesService.restoreVersion(
+      req.params.code,
+      req.params.version,
+      req.user.id
+    );
+    res.json({ message: `Version ${req.params.version} restored`, template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
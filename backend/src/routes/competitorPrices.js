@@ -0,0 +1,200 @@
+const express = require('express');
+const multer = require('multer');
+const { PrismaClient } = require('@prisma/client');
+const {
+  validate,
+  competitorPriceCreateSchema,
+  competitorPriceUpdateSchema
+} = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const competitorPriceService = require('../services/competitorPrices');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// CSV читаем из памяти, на диск не сохраняем
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+const priceInclude = {
+  product: { select: { id: true, name: true, code: true, unit: true } },
+  createdBy: { select: { name: true } }
+};
+
+// Get competitor prices
+router.get('/', async (req, res, next) => {
+  try {
+    const { competitor, productId, search, dateFrom, dateTo, page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+
+    if (competitor) {
+      where.competitor = { contains: competitor };
+    }
+
+    if (productId) {
+      where.productId = productId;
+    }
+
+    if (search) {
+      where.OR = [
+        { productName: { contains: search } },
+        { competitor: { contains: search } },
+        { product: { name: { contains: search } } }
+      ];
+    }
+
+    if (dateFrom || dateTo) {
+      where.priceDate = {
+        ...(dateFrom && { gte: new Date(dateFrom) }),
+        ...(dateTo && { lte: new Date(dateTo) })
+      };
+    }
+
+    const [prices, total] = await Promise.all([
+      prisma.competitorPrice.findMany({
+        where,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        include: priceInclude,
+        orderBy: { priceDate: 'desc' }
+      }),
+      prisma.competitorPrice.count({ where })
+    ]);
+
+    res.json({
+      prices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import competitor prices from CSV (file field "file" or text field "csv")
+router.post('/import', requireRole(['ADMIN', 'MANAGER']), upload.single('file'), async (req, res, next) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!text) {
+      return res.status(400).json({ error: 'CSV file is required' });
+    }
+
+    const result = await competitorPriceService.importCsv(text, req.user.id);
+
+    res.status(result.imported > 0 ? 201 : 400).json({
+      message: `Imported ${result.imported} competitor prices`,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get competitor price by ID
+router.get('/:id', async (req, res, next) => {
+  try {
+    const price = await prisma.competitorPrice.findUnique({
+      where: { id: req.params.id },
+      include: priceInclude
+    });
+
+    if (!price) {
+      return res.status(404).json({ error: 'Competitor price not found' });
+    }
+
+    res.json(price);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create competitor price
+router.post('/', requireRole(['ADMIN', 'MANAGER']), validate(competitorPriceCreateSchema), async (req, res, next) => {
+  try {
+    const data = { ...req.body };
+
+    if (data.productId) {
+      const product = await prisma.product.findUnique({ where: { id: data.productId } });
+      if (!product) {
+        return res.status(400).json({ error: 'Product not found' });
+      }
+      data.productName = data.productName || product.name;
+    }
+
+    const price = await prisma.competitorPrice.create({
+      data: {
+        ...data,
+        priceDate: data.priceDate ? new Date(data.priceDate) : new Date(),
+        createdById: req.user.id
+      },
+      include: priceInclude
+    });
+
+    res.status(201).json({
+      message: 'Competitor price created successfully',
+      price
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update competitor price
+router.put('/:id', requireRole(['ADMIN', 'MANAGER']), validate(competitorPriceUpdateSchema), async (req, res, next) => {
+  try {
+    const existing = await prisma.competitorPrice.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Competitor price not found' });
+    }
+
+    if (req.body.productId) {
+      const product = await prisma.product.findUnique({ where: { id: req.body.productId } });
+      if (!product) {
+        return res.status(400).json({ error: 'Product not found' });
+      }
+    }
+
+    const price = await prisma.competitorPrice.update({
+      where: { id: req.params.id },
+      data: {
+        ...req.body,
+        ...(req.body.priceDate && { priceDate: new Date(req.body.priceDate) })
+      },
+      include: priceInclude
+    });
+
+    res.json({
+      message: 'Competitor price updated successfully',
+      price
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete competitor price
+router.delete('/:id', requireRole(['ADMIN', 'MANAGER']), async (req, res, next) => {
+  try {
+    const existing = await prisma.competitorPrice.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Competitor price not found' });
+    }
+
+    await prisma.competitorPrice.delete({ where: { id: req.params.id } });
+
+    res.json({ message: 'Competitor price deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
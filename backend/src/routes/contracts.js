@@ -1,6 +1,8 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { validate, Joi } = require('../middleware/validation');
+const contractTemplatesService = require('../services/contractTemplates');
+const contractDocumentService = require('../services/contractDocuments');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -37,6 +39,16 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// GET /api/contracts/templates - Get available contract templates
+router.get('/templates', async (req, res, next) => {
+  try {
+    const templates = contractTemplatesService.getAvailableTemplates();
+    res.json({ templates });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/contracts/:id - Get contract by ID
 router.get('/:id', async (req, res, next) => {
   try {
@@ -62,4 +74,60 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+// POST /api/contracts/:id/generate-document - Generate contract document from template
+router.post('/:id/generate-document', async (req, res, next) => {
+  try {
+    const contract = await contractDocumentService.getContract(req.params.id);
+    // Реквизиты продавца - из шаблона компании (companyId или продающая компания расчета заявки)
+    const companyTemplate = await contractDocumentService.findCompanyTemplate(contract, req.body.companyId);
+
+    // Check the template against contract data: syntax errors and variables that would be empty
+    const { validation } = contractDocumentService.buildText(contract, companyTemplate);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Contract template cannot be filled',
+        errors: validation.errors,
+        missing: validation.missing
+      });
+    }
+
+    // PDF из текста шаблона - версия 1, которую затем подписывают стороны
+    const { document, text } = await contractDocumentService.generateDocument(contract, req.user, companyTemplate);
+
+    res.json({
+      message: 'Contract document generated successfully',
+      document: text,
+      pdf: {
+        version: document.version,
+        fileName: document.fileName,
+        hash: document.hash
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/contracts/:id/preview - Preview generated contract with template validation
+router.get('/:id/preview', async (req, res, next) => {
+  try {
+    const contract = await contractDocumentService.getContract(req.params.id);
+    const companyTemplate = await contractDocumentService.findCompanyTemplate(contract, req.query.companyId);
+
+    const { text, validation } = contractDocumentService.buildText(contract, companyTemplate);
+
+    res.json({
+      preview: text,
+      validation,
+      contractType: contract.contractType,
+      template: contractTemplatesService.getTemplate(contract.contractType)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
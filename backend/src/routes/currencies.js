@@ -0,0 +1,158 @@
+const express = require('express');
+const multer = require('multer');
+const {
+  validate,
+  currencyCreateSchema,
+  currencyUpdateSchema,
+  exchangeRateSchema
+} = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const currencyService = require('../services/currency');
+
+const router = express.Router();
+
+// CSV читаем из памяти, на диск не сохраняем
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Get currencies
+router.get('/', async (req, res, next) => {
+  try {
+    const currencies = await currencyService.getCurrencies({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      baseCurrency: currencyService.baseCurrency,
+      reportingCurrency: currencyService.reportingCurrency,
+      currencies
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Convert an amount at the rate of a date
+router.get('/convert', async (req, res, next) => {
+  try {
+    const { amount, from, to, date } = req.query;
+    const value = parseFloat(amount);
+
+    if (isNaN(value) || !from || !to) {
+      return res.status(400).json({ error: 'amount, from and to are required' });
+    }
+
+    const rateDate = date ? new Date(date) : new Date();
+    const result = await currencyService.convert(value, from, to, rateDate);
+
+    res.json({
+      amount: value,
+      from: currencyService.normalizeCode(from),
+      to: currencyService.normalizeCode(to),
+      date: currencyService.toDay(rateDate),
+      rate: result.rate,
+      result: result.amount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set exchange rate for a date
+router.post('/rates', requireRole(['ADMIN', 'MANAGER']), validate(exchangeRateSchema), async (req, res, next) => {
+  try {
+    const rate = await currencyService.setRate(req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Exchange rate saved successfully',
+      rate
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import exchange rates from CSV (file field "file" or text field "csv")
+router.post('/rates/import', requireRole(['ADMIN', 'MANAGER']), upload.single('file'), async (req, res, next) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!text) {
+      return res.status(400).json({ error: 'CSV file is required' });
+    }
+
+    const result = await currencyService.importRatesCsv(text, req.user.id);
+
+    res.status(result.imported > 0 ? 201 : 400).json({
+      message: `Imported ${result.imported} exchange rates`,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete exchange rate
+router.delete('/rates/:id', requireRole(['ADMIN', 'MANAGER']), async (req, res, next) => {
+  try {
+    await currencyService.deleteRate(req.params.id, req.user.id);
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get currency by code
+router.get('/:code', async (req, res, next) => {
+  try {
+    const currency = await currencyService.getCurrency(req.params.code);
+    res.json(currency);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get exchange rates of a currency
+router.get('/:code/rates', async (req, res, next) => {
+  try {
+    const { dateFrom, dateTo } = req.query;
+    const rates = await currencyService.getRates(req.params.code, { dateFrom, dateTo });
+
+    res.json({ baseCurrency: currencyService.baseCurrency, rates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create currency
+router.post('/', requireRole(['ADMIN']), validate(currencyCreateSchema), async (req, res, next) => {
+  try {
+    const currency = await currencyService.createCurrency(req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Currency created successfully',
+      currency
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update currency
+router.put('/:code', requireRole(['ADMIN']), validate(currencyUpdateSchema), async (req, res, next) => {
+  try {
+    const currency = await currencyService.updateCurrency(req.params.code, req.body, req.user.id);
+
+    res.json({
+      message: 'Currency updated successfully',
+      currency
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,57 @@
 const express = require('express');
+const multer = require('multer');
 const { PrismaClient } = require('@prisma/client');
 const digitalSignatureService = require('../services/digitalSignature');
 const signatureKeysService = require('../services/signatureKeys');
+const contractSignatureService = require('../services/contractSignatures');
+const signatureRequestService = require('../services/signatureRequests');
+const cmsSignatureService = require('../services/cmsSignatures');
+const contractDocumentService = require('../services/contractDocuments');
 const { logger, logBusinessEvent } = require('../utils/logger');
 const Joi = require('joi');
 const { validate } = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }
+});
+
+// Author, responsible manager or signer of the active signature request
+const canSignContract = async (contract, user) => {
+  if (!contract) {
+    return false;
+  }
+  if (contract.createdBy === user.id || contract.responsibleManager === user.email) {
+    return true;
+  }
+
+  const activeRequest = await signatureRequestService.findActiveRequest(contract.id);
+  return Boolean(activeRequest && signatureRequestService.findSigner(activeRequest, { userId: user.id, email: user.email }));
+};
+
 // Validation schemas
 const generateKeysSchema = Joi.object({
-  regenerate: Joi.boolean().default(false)
+  regenerate: Joi.boolean().default(false),
+  passphrase: Joi.string().min(8).max(200).optional() // Without passphrase the key is encrypted with the server master key
+});
+
+const rotateKeysSchema = Joi.object({
+  passphrase: Joi.string().min(8).max(200).optional(),
+  reason: Joi.string().max(500).optional().allow('')
+});
+
+const revokeKeySchema = Joi.object({
+  reason: Joi.string().min(1).max(500).required()
 });
 
 const signDocumentSchema = Joi.object({
   contractId: Joi.string().required(),
   documentData: Joi.string().required(), // Base64 encoded document content
+  passphrase: Joi.string().max(200).optional(), // For keys protected with a passphrase
   signerInfo: Joi.object({
     role: Joi.string().optional(),
     comments: Joi.string().optional().allow(''),
@@ -42,15 +77,31 @@ const signatureRequestSchema = Joi.object({
       required: Joi.boolean().default(true)
     })
   ).min(1).required(),
+  signingOrder: Joi.string().valid('PARALLEL', 'SEQUENTIAL').default('PARALLEL'), // SEQUENTIAL - in the order of requiredSigners
   expirationHours: Joi.number().min(1).max(168).default(72), // Max 1 week
-  message: Joi.string().optional().allow('')
+  message: Joi.string().optional().allow(''),
+  documentData: Joi.string().optional(), // Base64 document for signers via link; signatures must match it
+  documentName: Joi.string().max(255).optional()
+});
+
+const signatureRequestActionSchema = Joi.object({
+  reason: Joi.string().max(500).optional().allow('')
+});
+
+const signPdfSchema = Joi.object({
+  passphrase: Joi.string().max(200).optional(),
+  reason: Joi.string().max(500).optional(), // /Reason of the PDF signature
+  location: Joi.string().max(200).optional(),
+  signerInfo: Joi.object({
+    role: Joi.string().max(100).optional()
+  }).optional()
 });
 
 // POST /api/digital-signatures/keys/generate - Generate signature keys for user
 router.post('/keys/generate', validate(generateKeysSchema), async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { regenerate } = req.body;
+    const { regenerate, passphrase } = req.body;
 
     // Check if user already has keys
     const existingKeys = await signatureKeysService.getUserKeys(userId);
@@ -62,17 +113,10 @@ router.post('/keys/generate', validate(generateKeysSchema), async (req, res, nex
       });
     }
 
-    // Revoke existing keys if regenerating
-    if (existingKeys && regenerate) {
-      await signatureKeysService.revokeUserKeys(userId, 'Key regeneration requested');
-    }
-
-    // Generate new keys
-    const keys = await signatureKeysService.generateUserKeys(userId, {
-      name: req.user.name || req.user.email,
-      email: req.user.email,
-      role: req.user.role || 'USER'
-    });
+    // Rotate existing keys if regenerating (old public key stays for verification)
+    const keys = existingKeys && regenerate
+      ? await signatureKeysService.rotateUserKeys(userId, { passphrase, reason: 'Key regeneration requested' })
+      : await signatureKeysService.generateUserKeys(userId, { passphrase });
 
     logBusinessEvent('signature_keys_generated', req, {
       keyId: keys.keyId,
@@ -85,7 +129,9 @@ router.post('/keys/generate', validate(generateKeysSchema), async (req, res, nex
         keyId: keys.keyId,
         publicKey: keys.publicKey,
         createdAt: keys.createdAt,
-        status: keys.status
+        status: keys.status,
+        protection: keys.protection,
+        previousKeyId: keys.previousKeyId
       },
       regenerated: !!regenerate
     });
@@ -119,7 +165,9 @@ router.get('/keys', async (req, res, next) => {
         keyId: keys.keyId,
         publicKey: keys.publicKey,
         createdAt: keys.createdAt,
-        status: keys.status
+        status: keys.status,
+        protection: keys.protection,
+        lastUsedAt: keys.lastUsedAt
       }
     });
 
@@ -133,21 +181,66 @@ router.get('/keys', async (req, res, next) => {
   }
 });
 
+// GET /api/digital-signatures/keys/history - All user's keys including rotated and revoked
+router.get('/keys/history', async (req, res, next) => {
+  try {
+    const keys = await signatureKeysService.getUserKeyHistory(req.user.id);
+
+    res.json({ keys });
+
+  } catch (error) {
+    logger.error('Failed to get signature key history', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    next(error);
+  }
+});
+
+// POST /api/digital-signatures/keys/rotate - Replace user's key, keeping the old public key for verification
+router.post('/keys/rotate', validate(rotateKeysSchema), async (req, res, next) => {
+  try {
+    const { passphrase, reason } = req.body;
+    const keys = await signatureKeysService.rotateUserKeys(req.user.id, { passphrase, reason });
+
+    logBusinessEvent('signature_keys_rotated', req, {
+      keyId: keys.keyId,
+      previousKeyId: keys.previousKeyId,
+      reason
+    });
+
+    res.json({
+      message: 'Signature keys rotated successfully',
+      keys: {
+        keyId: keys.keyId,
+        publicKey: keys.publicKey,
+        createdAt: keys.createdAt,
+        status: keys.status,
+        protection: keys.protection,
+        previousKeyId: keys.previousKeyId
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to rotate signature keys', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    next(error);
+  }
+});
+
 // POST /api/digital-signatures/sign - Sign a contract document
 router.post('/sign', validate(signDocumentSchema), async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { contractId, documentData, signerInfo = {} } = req.body;
-
-    // Verify contract exists and user has access
-    const contract = await prisma.contract.findFirst({
-      where: {
-        id: contractId,
-        OR: [
-          { userId: userId },
-          { responsibleManager: req.user.email }
-        ]
-      },
+    const { contractId, documentData, passphrase, signerInfo = {} } = req.body;
+
+    // Verify contract exists and user has access: author, responsible manager or signer of the active request
+    const contract = await prisma.contract.findUnique({
+      where: { id: contractId },
       include: {
         client: {
           select: { name: true, email: true }
@@ -155,14 +248,14 @@ router.post('/sign', validate(signDocumentSchema), async (req, res, next) => {
       }
     });
 
-    if (!contract) {
+    if (!await canSignContract(contract, req.user)) {
       return res.status(404).json({
         error: 'Contract not found or access denied'
       });
     }
 
     // Get user's private key
-    const userKeys = await signatureKeysService.getUserPrivateKey(userId);
+    const userKeys = await signatureKeysService.getUserPrivateKey(userId, passphrase);
     if (!userKeys) {
       return res.status(400).json({
         error: 'No signature keys found. Please generate keys first.',
@@ -189,6 +282,13 @@ router.post('/sign', validate(signDocumentSchema), async (req, res, next) => {
       completeSignerInfo
     );
 
+    // Detached CMS over the same document, verifiable with standard tools
+    const cms = cmsSignatureService.signDetached(
+      documentBuffer,
+      { privateKey: userKeys.privateKey, certificate: await signatureKeysService.getCertificate(userKeys) },
+      new Date(signature.payload.signerInfo.timestamp)
+    );
+
     // Create signature certificate
     const certificate = digitalSignatureService.createSignatureCertificate(
       signature,
@@ -200,33 +300,14 @@ router.post('/sign', validate(signDocumentSchema), async (req, res, next) => {
       }
     );
 
-    // Store signature in database (you may want to create a signatures table)
-    // For now, we'll use the contract metadata field
-    const existingMetadata = contract.metadata ? JSON.parse(contract.metadata) : {};
-    const signatures = existingMetadata.signatures || [];
-    
-    signatures.push({
-      signatureId: signature.signatureId,
-      certificateId: certificate.certificateId,
-      signerId: userId,
-      signerName: completeSignerInfo.name,
-      signerEmail: completeSignerInfo.email,
-      signedAt: signature.createdAt,
+    // Append signature to the contract ledger; status moves to SIGNED when all required signers
+    // of the active signature request signed
+    const result = await signatureRequestService.recordSignature(contract, {
+      signature,
+      certificate,
       keyId: userKeys.keyId,
-      verified: true
-    });
-
-    // Update contract with signature info
-    await prisma.contract.update({
-      where: { id: contractId },
-      data: {
-        metadata: JSON.stringify({
-          ...existingMetadata,
-          signatures,
-          lastSignedAt: signature.createdAt
-        }),
-        status: signatures.length > 0 ? 'SIGNED' : contract.status
-      }
+      cms: cms.toString('base64'),
+      signerInfo: completeSignerInfo
     });
 
     logBusinessEvent('contract_signed', req, {
@@ -251,9 +332,13 @@ router.post('/sign', validate(signDocumentSchema), async (req, res, next) => {
       contract: {
         id: contract.id,
         contractNumber: contract.contractNumber,
-        status: 'SIGNED',
-        totalSignatures: signatures.length
-      }
+        status: result.contractStatus,
+        totalSignatures: result.signatures.length
+      },
+      signatureRequest: result.request
+        ? { id: result.request.id, status: result.request.status }
+        : null,
+      workflowStatus: result.workflowStatus
     });
 
   } catch (error) {
@@ -281,8 +366,7 @@ router.post('/verify', validate(verifySignatureSchema), async (req, res, next) =
       return res.status(404).json({ error: 'Contract not found' });
     }
 
-    const metadata = contract.metadata ? JSON.parse(contract.metadata) : {};
-    const signatures = metadata.signatures || [];
+    const signatures = await contractSignatureService.getSignatures(contractId);
 
     if (signatures.length === 0) {
       return res.json({
@@ -293,75 +377,8 @@ router.post('/verify', validate(verifySignatureSchema), async (req, res, next) =
     }
 
     const documentBuffer = Buffer.from(documentData, 'base64');
-    const verificationResults = [];
-
-    // Verify specific signature or all signatures
-    const signaturesToVerify = signatureId 
-      ? signatures.filter(s => s.signatureId === signatureId)
-      : signatures;
-
-    for (const sig of signaturesToVerify) {
-      try {
-        // Get signer's public key
-        const publicKeyInfo = await signatureKeysService.getPublicKey(sig.keyId);
-        
-        if (!publicKeyInfo) {
-          verificationResults.push({
-            signatureId: sig.signatureId,
-            valid: false,
-            reason: 'Public key not found',
-            signerInfo: {
-              name: sig.signerName,
-              email: sig.signerEmail
-            }
-          });
-          continue;
-        }
-
-        // For verification, we need the full signature data
-        // In a real implementation, this would be stored separately
-        const mockSignatureData = {
-          signature: 'mock-signature', // Would be real signature from storage
-          payload: {
-            documentHash: digitalSignatureService.createDocumentHash(documentBuffer),
-            signerInfo: {
-              userId: sig.signerId,
-              name: sig.signerName,
-              email: sig.signerEmail,
-              timestamp: sig.signedAt
-            }
-          }
-        };
-
-        const verification = digitalSignatureService.verifySignature(
-          documentBuffer,
-          mockSignatureData,
-          publicKeyInfo.publicKey
-        );
-
-        verificationResults.push({
-          signatureId: sig.signatureId,
-          certificateId: sig.certificateId,
-          ...verification,
-          signerInfo: {
-            name: sig.signerName,
-            email: sig.signerEmail,
-            signedAt: sig.signedAt
-          }
-        });
-
-      } catch (error) {
-        verificationResults.push({
-          signatureId: sig.signatureId,
-          valid: false,
-          reason: `Verification failed: ${error.message}`,
-          signerInfo: {
-            name: sig.signerName,
-            email: sig.signerEmail
-          }
-        });
-      }
-    }
+    const verificationResults = await contractSignatureService.verifySignatures(contractId, documentBuffer, signatureId);
+    const ledger = await contractSignatureService.verifyLedger(contract, signatures);
 
     const validSignatures = verificationResults.filter(r => r.valid).length;
     const allValid = validSignatures === verificationResults.length;
@@ -374,6 +391,7 @@ router.post('/verify', validate(verifySignatureSchema), async (req, res, next) =
       verifiedSignatures: verificationResults.length,
       validSignatures,
       allSignaturesValid: allValid,
+      ledger,
       verificationResults,
       verifiedAt: new Date().toISOString()
     });
@@ -407,23 +425,12 @@ router.get('/contract/:contractId', async (req, res, next) => {
       return res.status(404).json({ error: 'Contract not found' });
     }
 
-    const metadata = contract.metadata ? JSON.parse(contract.metadata) : {};
-    const signatures = metadata.signatures || [];
-
-    // Get signature workflow status if required signers are defined
-    const requiredSigners = metadata.requiredSigners || [];
-    let workflowStatus = null;
-    
-    if (requiredSigners.length > 0) {
-      workflowStatus = digitalSignatureService.getSignatureWorkflowStatus(
-        signatures.map(s => ({
-          payload: {
-            signerInfo: { userId: s.signerId }
-          }
-        })),
-        requiredSigners
-      );
-    }
+    const signatureRequest = await signatureRequestService.findLatestRequest(contractId);
+    const requiredSigners = signatureRequestService.toWorkflowSigners(signatureRequest) ||
+      contractSignatureService.parseMetadata(contract).requiredSigners || [];
+    const signatures = await contractSignatureService.getSignatures(contractId);
+    const workflowStatus = contractSignatureService.getWorkflowStatus(contract, signatures, requiredSigners);
+    const ledger = await contractSignatureService.verifyLedger(contract, signatures);
 
     res.json({
       contractId,
@@ -431,22 +438,35 @@ router.get('/contract/:contractId', async (req, res, next) => {
       contractType: contract.contractType,
       status: contract.status,
       client: contract.client,
+      signedDate: contract.signedDate,
       signatures: signatures.map(s => ({
+        sequence: s.sequence,
         signatureId: s.signatureId,
         certificateId: s.certificateId,
+        signerType: s.signerType,
+        signerId: s.signerId,
         signerName: s.signerName,
         signerEmail: s.signerEmail,
+        signerRole: s.signerRole,
+        keyId: s.keyId,
+        documentHash: s.documentHash,
         signedAt: s.signedAt,
-        verified: s.verified
+        ipAddress: s.ipAddress,
+        userAgent: s.userAgent,
+        entryHash: s.entryHash
       })),
       signatureStats: {
         totalSignatures: signatures.length,
         hasSignatures: signatures.length > 0,
-        lastSignedAt: metadata.lastSignedAt || null,
-        allVerified: signatures.every(s => s.verified)
+        lastSignedAt: signatures.length > 0 ? signatures[signatures.length - 1].signedAt : null,
+        ledgerValid: ledger.valid
       },
+      ledger,
       workflowStatus,
-      requiredSigners: requiredSigners.length
+      requiredSigners: requiredSigners.length,
+      signatureRequest: signatureRequest
+        ? { id: signatureRequest.id, status: signatureRequest.status, signingOrder: signatureRequest.signingOrder, expiresAt: signatureRequest.expiresAt }
+        : null
     });
 
   } catch (error) {
@@ -460,79 +480,236 @@ router.get('/contract/:contractId', async (req, res, next) => {
   }
 });
 
-// POST /api/digital-signatures/request - Create signature request for multiple signers
-router.post('/request', validate(signatureRequestSchema), async (req, res, next) => {
+// GET /api/digital-signatures/contract/:contractId/ledger - Signature ledger with hash chain check
+router.get('/contract/:contractId/ledger', async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const { contractId, requiredSigners, expirationHours, message } = req.body;
-
-    // Verify contract exists
     const contract = await prisma.contract.findUnique({
-      where: { id: contractId }
+      where: { id: req.params.contractId }
     });
 
     if (!contract) {
       return res.status(404).json({ error: 'Contract not found' });
     }
 
-    // Generate signature request
-    const signatureRequest = digitalSignatureService.generateSignatureRequest(
-      contractId,
-      requiredSigners,
-      {
-        userId,
-        name: req.user.name || req.user.email,
-        email: req.user.email
-      },
-      expirationHours
+    const signatures = await contractSignatureService.getSignatures(contract.id);
+    const ledger = await contractSignatureService.verifyLedger(contract, signatures);
+
+    if (!ledger.valid) {
+      logBusinessEvent('signature_ledger_broken', req, {
+        contractId: contract.id,
+        brokenAt: ledger.brokenAt,
+        reason: ledger.reason
+      });
+    }
+
+    res.json({
+      contractId: contract.id,
+      contractNumber: contract.contractNumber,
+      ledger,
+      entries: signatures.map(s => ({
+        sequence: s.sequence,
+        signatureId: s.signatureId,
+        certificateId: s.certificateId,
+        signerType: s.signerType,
+        signerId: s.signerId,
+        signerName: s.signerName,
+        signerEmail: s.signerEmail,
+        keyId: s.keyId,
+        publicKey: s.publicKey,
+        documentHash: s.documentHash,
+        signature: s.signature,
+        hasCms: Boolean(s.cms),
+        payload: JSON.parse(s.payload),
+        certificate: JSON.parse(s.certificate),
+        signedAt: s.signedAt,
+        previousHash: s.previousHash,
+        entryHash: s.entryHash
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Failed to get contract signature ledger', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      contractId: req.params.contractId
+    });
+    next(error);
+  }
+});
+
+// GET /api/digital-signatures/contract/:contractId/pdf - Contract PDF with embedded signatures (?version=N)
+router.get('/contract/:contractId/pdf', async (req, res, next) => {
+  try {
+    const document = await contractDocumentService.getDocument(
+      req.params.contractId,
+      req.query.version ? parseInt(req.query.version) : null
     );
 
-    // Update contract metadata with signature request info
-    const existingMetadata = contract.metadata ? JSON.parse(contract.metadata) : {};
-    
-    await prisma.contract.update({
-      where: { id: contractId },
-      data: {
-        metadata: JSON.stringify({
-          ...existingMetadata,
-          signatureRequest: {
-            requestId: signatureRequest.requestId,
-            requiredSigners: signatureRequest.requiredSigners,
-            createdAt: signatureRequest.createdAt,
-            expiresAt: signatureRequest.expiresAt,
-            status: signatureRequest.status,
-            message: message || ''
-          },
-          requiredSigners: signatureRequest.requiredSigners
-        }),
-        status: 'SENT' // Update contract status to SENT
-      }
+    // Документ создается в POST /api/contracts/:id/generate-document или при подписании
+    if (!document) {
+      return res.status(404).json({ error: 'Contract document not found' });
+    }
+
+    const buffer = Buffer.from(document.data, 'base64');
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(document.fileName)}"`,
+      'Content-Length': buffer.length,
+      'X-Document-Version': document.version
     });
+    res.send(buffer);
 
-    logBusinessEvent('signature_request_created', req, {
-      contractId,
-      requestId: signatureRequest.requestId,
-      requiredSigners: requiredSigners.length,
-      expirationHours
+  } catch (error) {
+    logger.error('Failed to get contract PDF', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      contractId: req.params.contractId
+    });
+    next(error);
+  }
+});
+
+// POST /api/digital-signatures/contract/:contractId/pdf/sign - Sign the contract PDF (PAdES)
+router.post('/contract/:contractId/pdf/sign', validate(signPdfSchema), async (req, res, next) => {
+  try {
+    const contract = await contractDocumentService.getContract(req.params.contractId);
+
+    if (!await canSignContract(contract, req.user)) {
+      return res.status(404).json({
+        error: 'Contract not found or access denied'
+      });
+    }
+
+    const { passphrase, reason, location, signerInfo = {} } = req.body;
+    const result = await contractDocumentService.signPdf(contract, req.user, {
+      passphrase,
+      reason,
+      location,
+      role: signerInfo.role,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    logBusinessEvent('contract_signed', req, {
+      contractId: contract.id,
+      contractNumber: contract.contractNumber,
+      signatureId: result.signature.signatureId,
+      certificateId: result.certificate.certificateId,
+      documentVersion: result.document.version
     });
 
     res.json({
-      message: 'Signature request created successfully',
-      signatureRequest: {
-        requestId: signatureRequest.requestId,
-        contractId,
+      message: 'Contract PDF signed successfully',
+      signature: {
+        signatureId: result.signature.signatureId,
+        certificateId: result.certificate.certificateId,
+        signedAt: result.signature.createdAt
+      },
+      document: {
+        version: result.document.version,
+        fileName: result.document.fileName,
+        hash: result.document.hash,
+        signatureCount: result.document.signatureCount
+      },
+      contract: {
+        id: contract.id,
         contractNumber: contract.contractNumber,
-        requiredSigners: signatureRequest.requiredSigners.map(s => ({
-          email: s.email,
-          name: s.name,
-          role: s.role,
-          required: s.required
-        })),
-        createdAt: signatureRequest.createdAt,
-        expiresAt: signatureRequest.expiresAt,
-        status: signatureRequest.status,
-        signatureUrl: `${req.protocol}://${req.get('host')}${signatureRequest.signatureUrl}`
-      }
+        status: result.contractStatus,
+        totalSignatures: result.signatures.length
+      },
+      signatureRequest: result.request
+        ? { id: result.request.id, status: result.request.status }
+        : null,
+      workflowStatus: result.workflowStatus
+    });
+
+  } catch (error) {
+    logger.error('Failed to sign contract PDF', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      contractId: req.params.contractId
+    });
+    next(error);
+  }
+});
+
+// GET /api/digital-signatures/signatures/:signatureId/cms - Detached CMS (PKCS#7) signature file
+router.get('/signatures/:signatureId/cms', async (req, res, next) => {
+  try {
+    const entry = await prisma.contractSignature.findUnique({
+      where: { signatureId: req.params.signatureId },
+      include: { contract: { select: { contractNumber: true } } }
+    });
+
+    if (!entry || !entry.cms) {
+      return res.status(404).json({ error: 'CMS signature not found' });
+    }
+
+    const buffer = Buffer.from(entry.cms, 'base64');
+    res.set({
+      'Content-Type': 'application/pkcs7-signature',
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(`${entry.contract.contractNumber}-${entry.sequence}.sig`)}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+
+  } catch (error) {
+    logger.error('Failed to export CMS signature', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      signatureId: req.params.signatureId
+    });
+    next(error);
+  }
+});
+
+// POST /api/digital-signatures/verify-pdf - Verify signatures embedded in an uploaded PDF
+router.post('/verify-pdf', upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'File is required' });
+    }
+
+    const result = await contractDocumentService.verifyPdf(req.file.buffer);
+
+    res.json({
+      message: 'PDF signature verification completed',
+      fileName: req.file.originalname,
+      hasSignatures: result.totalSignatures > 0,
+      ...result,
+      verifiedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Failed to verify signed PDF', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    next(error);
+  }
+});
+
+// POST /api/digital-signatures/request - Create signature request for multiple signers
+router.post('/request', validate(signatureRequestSchema), async (req, res, next) => {
+  try {
+    const contract = await prisma.contract.findUnique({
+      where: { id: req.body.contractId }
+    });
+
+    if (!contract) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+
+    const signatureRequest = await signatureRequestService.createRequest(contract, req.body, req.user);
+
+    res.status(201).json({
+      message: 'Signature request created successfully',
+      signatureRequest
     });
 
   } catch (error) {
@@ -546,6 +723,85 @@ router.post('/request', validate(signatureRequestSchema), async (req, res, next)
   }
 });
 
+// GET /api/digital-signatures/requests?contractId= - Signature requests of a contract
+router.get('/requests', async (req, res, next) => {
+  try {
+    if (!req.query.contractId) {
+      return res.status(400).json({ error: 'contractId is required' });
+    }
+
+    const requests = await signatureRequestService.getRequests(req.query.contractId);
+    res.json({ requests });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/digital-signatures/requests/:requestId - Signature request with signer statuses
+router.get('/requests/:requestId', async (req, res, next) => {
+  try {
+    const request = await signatureRequestService.getRequest(req.params.requestId);
+    res.json({ signatureRequest: signatureRequestService.formatRequest(request) });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/digital-signatures/requests/:requestId/cancel - Cancel a pending request (author or admin)
+router.post('/requests/:requestId/cancel', validate(signatureRequestActionSchema), async (req, res, next) => {
+  try {
+    const signatureRequest = await signatureRequestService.cancelRequest(
+      req.params.requestId,
+      req.user,
+      req.body.reason || null
+    );
+
+    res.json({
+      message: 'Signature request cancelled',
+      signatureRequest
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/digital-signatures/requests/:requestId/decline - Decline signing as the current user
+router.post('/requests/:requestId/decline', validate(signatureRequestActionSchema), async (req, res, next) => {
+  try {
+    const result = await signatureRequestService.declineByUser(
+      req.params.requestId,
+      req.user,
+      req.body.reason || null
+    );
+
+    res.json({
+      message: 'Signing declined',
+      ...result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/digital-signatures/requests/:requestId/remind - Resend the link to signers whose turn it is
+router.post('/requests/:requestId/remind', async (req, res, next) => {
+  try {
+    const reminded = await signatureRequestService.remind(req.params.requestId, req.user);
+
+    res.json({
+      message: 'Reminders sent',
+      reminded
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/digital-signatures/keys/statistics - Get signature keys statistics (admin)
 router.get('/keys/statistics', async (req, res, next) => {
   try {
@@ -579,7 +835,8 @@ router.delete('/keys', async (req, res, next) => {
 
     const result = await signatureKeysService.revokeUserKeys(
       userId,
-      reason || 'User requested key revocation'
+      reason || 'User requested key revocation',
+      userId
     );
 
     logBusinessEvent('signature_keys_revoked', req, {
@@ -602,4 +859,30 @@ router.delete('/keys', async (req, res, next) => {
   }
 });
 
+// DELETE /api/digital-signatures/keys/:keyId - Revoke any key, e.g. compromised (admin)
+router.delete('/keys/:keyId', requireRole(['ADMIN']), validate(revokeKeySchema), async (req, res, next) => {
+  try {
+    const result = await signatureKeysService.revokeKey(req.params.keyId, req.body.reason, req.user.id);
+
+    logBusinessEvent('signature_key_revoked_by_admin', req, {
+      keyId: result.keyId,
+      reason: result.reason
+    });
+
+    res.json({
+      message: 'Signature key revoked successfully',
+      result
+    });
+
+  } catch (error) {
+    logger.error('Failed to revoke signature key', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      keyId: req.params.keyId
+    });
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
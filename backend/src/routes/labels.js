@@ -0,0 +1,45 @@
+const express = require('express');
+const { validate, labelSheetSchema } = require('../middleware/validation');
+const labelService = require('../services/labels');
+
+const router = express.Router();
+
+// Сформировать лист этикеток (PDF) для баллонов или товаров
+router.post('/pdf', validate(labelSheetSchema), async (req, res, next) => {
+  try {
+    const { buffer } = await labelService.generateSheet(req.body);
+    const fileName = `labels-${req.body.type.toLowerCase()}-${Date.now()}.pdf`;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Найти баллон или товар по отсканированному коду
+router.get('/lookup', async (req, res, next) => {
+  try {
+    const { code } = req.query;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const result = await labelService.lookup(code);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Код не найден', code });
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
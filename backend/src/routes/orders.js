@@ -2,6 +2,14 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { validate } = require('../middleware/validation');
 const Joi = require('joi');
+const stockReservationService = require('../services/stockReservations');
+const cylinderCirculationService = require('../services/cylinderCirculation');
+const warehouseLocationService = require('../services/warehouseLocations');
+const costLayerService = require('../services/costLayers');
+const currencyService = require('../services/currency');
+const taxProfileService = require('../services/taxProfiles');
+const calculationTemplateService = require('../services/calculationTemplates');
+const { calculateProfitabilityMetrics, TAX_REGIMES } = require('../utils/profitability');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -10,12 +18,14 @@ const prisma = new PrismaClient();
 const orderCreateSchema = Joi.object({
   clientId: Joi.string().required(),
   orderDate: Joi.date().required(),
+  currency: Joi.string().length(3).uppercase().optional(), // По умолчанию - базовая валюта
   notes: Joi.string().optional().allow('', null),
   items: Joi.array().items(
     Joi.object({
       id: Joi.string().required(), // ID товара
       quantity: Joi.number().positive().required(),
-      price: Joi.number().min(0).required()
+      price: Joi.number().min(0).required(),
+      currency: Joi.string().length(3).uppercase().optional() // Валюта цены, по умолчанию - валюта заявки
     })
   ).min(1).required()
 });
@@ -23,6 +33,7 @@ const orderCreateSchema = Joi.object({
 const orderUpdateSchema = Joi.object({
   clientId: Joi.string().optional(),
   orderDate: Joi.date().optional(),
+  currency: Joi.string().length(3).uppercase().optional(),
   notes: Joi.string().optional().allow('', null),
   status: Joi.string().valid('CREATED', 'CALCULATION', 'PROPOSAL_SENT', 'PROPOSAL_ACCEPTED', 'PROPOSAL_REJECTED', 'PAID', 'FOR_SHIPMENT_UNPAID', 'PICKING', 'SHIPPED', 'CLOSED').optional(),
   calculationId: Joi.string().optional(),
@@ -30,7 +41,8 @@ const orderUpdateSchema = Joi.object({
     Joi.object({
       id: Joi.string().required(),
       quantity: Joi.number().positive().required(),
-      price: Joi.number().min(0).required()
+      price: Joi.number().min(0).required(),
+      currency: Joi.string().length(3).uppercase().optional()
     })
   ).optional()
 });
@@ -38,20 +50,43 @@ const orderUpdateSchema = Joi.object({
 // Validation schema for calculation creation from order
 const orderCalculationSchema = Joi.object({
   name: Joi.string().min(1).max(200).required(),
-  gasCost: Joi.number().min(0).default(0),
-  cylinderCost: Joi.number().min(0).default(0),
-  preparationCost: Joi.number().min(0).default(0),
-  logisticsCost: Joi.number().min(0).default(0),
-  workersCost: Joi.number().min(0).default(0),
-  kickbacksCost: Joi.number().min(0).default(0),
+  // Не указанные затраты и цена берутся из шаблона расчета и прайс-листа группы клиента
+  calculationTemplateId: Joi.string().optional(),
+  priceListId: Joi.string().optional(),
+  gasCost: Joi.number().min(0).optional(),
+  cylinderCost: Joi.number().min(0).optional(),
+  preparationCost: Joi.number().min(0).optional(),
+  logisticsCost: Joi.number().min(0).optional(),
+  workersCost: Joi.number().min(0).optional(),
+  kickbacksCost: Joi.number().min(0).optional(),
   pricePerUnit: Joi.number().min(0).optional(),
   quantity: Joi.number().min(0).optional(),
   sellingCompany: Joi.string().max(100).optional(),
   organizationINN: Joi.string().pattern(/^\d{9,12}$/).optional(),
   organizationName: Joi.string().max(200).optional(),
   responsibleManager: Joi.string().max(100).optional(),
-  vatPercent: Joi.number().min(0).default(12),
-  incomeTaxPercent: Joi.number().min(0).max(100).default(20)
+  // Налоги: профиль продающей компании или ставки вручную
+  taxProfileId: Joi.string().optional(),
+  taxRegime: Joi.string().valid(...TAX_REGIMES).optional(),
+  vatPercent: Joi.number().min(0).max(100).optional(),
+  incomeTaxPercent: Joi.number().min(0).max(100).optional(),
+  pricesIncludeVat: Joi.boolean().optional(),
+  currency: Joi.string().length(3).uppercase().optional() // По умолчанию - валюта заявки
+});
+
+// Validation schema for shipment creation
+const shipmentCreateSchema = Joi.object({
+  notes: Joi.string().max(1000).optional().allow('', null),
+  fileIds: Joi.array().items(Joi.string()).optional(),
+  locationId: Joi.string().optional().allow(null), // Ячейка отбора для всех позиций
+  items: Joi.array().items(
+    Joi.object({
+      productId: Joi.string().required(),
+      quantity: Joi.number().positive().required(),
+      serialNumbers: Joi.array().items(Joi.string().min(1)).optional(), // Номера отгружаемых баллонов
+      locationId: Joi.string().optional().allow(null) // Ячейка отбора позиции
+    })
+  ).min(1).required()
 });
 
 // Validation schema for proposal response
@@ -61,6 +96,35 @@ const proposalResponseSchema = Joi.object({
 });
 
 // Получить все заявки
+/**
+ * Строки заявки с курсами к валюте заявки на дату заявки
+ * @param {Object[]} items - { id, quantity, price, currency }
+ * @param {string} currency - Валюта заявки
+ * @param {Date} orderDate - Дата заявки
+ * @returns {Promise<Object>} { orderItemsData, totalAmount } - сумма в валюте заявки
+ */
+async function priceOrderItems(items, currency, orderDate) {
+  let totalAmount = 0;
+  const orderItemsData = [];
+
+  for (const item of items) {
+    const itemCurrency = await currencyService.assertCurrency(item.currency || currency);
+    const exchangeRate = await currencyService.getRate(itemCurrency, currency, orderDate);
+    const total = item.quantity * item.price;
+    totalAmount += total * exchangeRate;
+    orderItemsData.push({
+      productId: item.id,
+      quantity: item.quantity,
+      price: item.price,
+      total,
+      currency: itemCurrency,
+      exchangeRate
+    });
+  }
+
+  return { orderItemsData, totalAmount: Math.round(totalAmount * 100) / 100 };
+}
+
 router.get('/', async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -172,7 +236,11 @@ router.get('/:id', async (req, res, next) => {
             }
           }
         },
-        files: true
+        files: true,
+        reservations: {
+          where: { status: 'ACTIVE' },
+          select: { id: true, productId: true, quantity: true, expiresAt: true }
+        }
       }
     });
 
@@ -191,6 +259,7 @@ router.post('/', validate(orderCreateSchema), async (req, res, next) => {
   try {
     const { clientId, orderDate, notes, items } = req.body;
     const userId = req.user.id;
+    const currency = await currencyService.assertCurrency(req.body.currency);
 
     // Генерируем номер заявки
     const lastOrder = await prisma.order.findFirst({
@@ -211,35 +280,23 @@ router.post('/', validate(orderCreateSchema), async (req, res, next) => {
       }
     }
 
-    // Проверяем наличие товаров на складе
+    // Проверяем наличие свободного (не зарезервированного) товара на складе
     for (const item of items) {
-      const warehouseItem = await prisma.warehouseItem.findUnique({
-        where: { productId: item.id }
-      });
+      const availability = await stockReservationService.getAvailability(item.id);
 
-      if (!warehouseItem || warehouseItem.quantity < item.quantity) {
+      if (!availability || availability.available < item.quantity) {
         const product = await prisma.product.findUnique({
           where: { id: item.id },
           select: { name: true }
         });
         return res.status(400).json({
-          error: `Недостаточно товара "${product?.name}" на складе. Доступно: ${warehouseItem?.quantity || 0}, запрашивается: ${item.quantity}`
+          error: `Недостаточно товара "${product?.name}" на складе. Доступно: ${availability?.available || 0}, в резерве: ${availability?.reserved || 0}, запрашивается: ${item.quantity}`
         });
       }
     }
 
-    // Вычисляем общую сумму
-    let totalAmount = 0;
-    const orderItemsData = items.map(item => {
-      const total = item.quantity * item.price;
-      totalAmount += total;
-      return {
-        productId: item.id,
-        quantity: item.quantity,
-        price: item.price,
-        total
-      };
-    });
+    // Вычисляем общую сумму в валюте заявки
+    const { orderItemsData, totalAmount } = await priceOrderItems(items, currency, new Date(orderDate));
 
     // Создаем заявку в транзакции
     const order = await prisma.$transaction(async (tx) => {
@@ -251,6 +308,7 @@ router.post('/', validate(orderCreateSchema), async (req, res, next) => {
           orderDate: new Date(orderDate),
           notes: notes || null,
           totalAmount,
+          currency,
           items: {
             create: orderItemsData
           }
@@ -310,40 +368,42 @@ router.put('/:id', validate(orderUpdateSchema), async (req, res, next) => {
     if (notes !== undefined) updateData.notes = notes || null;
     if (status) updateData.status = status;
 
-    // Если обновляются товары, пересчитываем сумму
-    if (items) {
-      let totalAmount = 0;
-      const orderItemsData = items.map(item => {
-        const total = item.quantity * item.price;
-        totalAmount += total;
-        return {
-          productId: item.id,
-          quantity: item.quantity,
-          price: item.price,
-          total
-        };
-      });
-      updateData.totalAmount = totalAmount;
+    const currency = await currencyService.assertCurrency(req.body.currency || existingOrder.currency);
+    if (currency !== existingOrder.currency) updateData.currency = currency;
+
+    // Если обновляются товары, валюта или дата заявки, пересчитываем сумму
+    const pricedItems = items || (updateData.currency || updateData.orderDate
+      ? existingOrder.items.map(item => ({ id: item.productId, quantity: item.quantity, price: item.price, currency: item.currency }))
+      : null);
+    let orderItemsData = null;
+    if (pricedItems) {
+      const priced = await priceOrderItems(pricedItems, currency, updateData.orderDate || existingOrder.orderDate);
+      orderItemsData = priced.orderItemsData;
+      updateData.totalAmount = priced.totalAmount;
     }
 
     const order = await prisma.$transaction(async (tx) => {
-      // Если обновляются товары, удаляем старые и создаем новые
-      if (items) {
+      // Если пересчитываются товары, удаляем старые и создаем новые
+      if (orderItemsData) {
         await tx.orderItem.deleteMany({
           where: { orderId }
         });
 
         await tx.orderItem.createMany({
-          data: items.map(item => ({
-            orderId,
-            productId: item.id,
-            quantity: item.quantity,
-            price: item.price,
-            total: item.quantity * item.price
-          }))
+          data: orderItemsData.map(item => ({ orderId, ...item }))
         });
       }
 
+      // Резерв следует за статусом и составом заявки
+      const orderItems = items
+        ? items.map(item => ({ productId: item.id, quantity: item.quantity }))
+        : existingOrder.items;
+      if (status && status !== existingOrder.status) {
+        await stockReservationService.syncWithOrderStatus({ id: orderId, items: orderItems }, status, tx);
+      } else if (items) {
+        await stockReservationService.refreshOrder({ id: orderId, items: orderItems }, tx);
+      }
+
       const updatedOrder = await tx.order.update({
         where: { id: orderId },
         data: updateData,
@@ -393,8 +453,12 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    await prisma.order.delete({
-      where: { id: orderId }
+    await prisma.$transaction(async (tx) => {
+      await stockReservationService.releaseOrder(orderId, 'Заявка удалена', tx);
+
+      await tx.order.delete({
+        where: { id: orderId }
+      });
     });
 
     res.json({ message: 'Order deleted successfully' });
@@ -501,22 +565,46 @@ router.patch('/:id/status', async (req, res, next) => {
       });
     }
 
+    // Баллоны отгружаются только с номерами - через создание отгрузки
+    if (status === 'SHIPPED' && existingOrder.status === 'PICKING') {
+      const trackedProducts = await cylinderCirculationService.getSerialTrackedProducts(
+        existingOrder.items.map(item => item.productId)
+      );
+      if (trackedProducts.size > 0) {
+        return res.status(400).json({
+          error: 'Serial numbers required',
+          message: 'Order contains serial-tracked products; create a shipment with serial numbers instead'
+        });
+      }
+    }
+
     // При переходе в статус SHIPPED резервируем товары на складе
     if (status === 'SHIPPED' && existingOrder.status === 'PICKING') {
       await prisma.$transaction(async (tx) => {
         // Создаем транзакции списания для каждого товара
         for (const item of existingOrder.items) {
-          await tx.transaction.create({
+          // Отбор из ячейки по умолчанию, как при создании отгрузки без выбора ячейки
+          const location = await warehouseLocationService.pick(item.productId, null, item.quantity, tx);
+
+          const transaction = await tx.transaction.create({
             data: {
               productId: item.productId,
               userId: req.user.id,
+              clientId: existingOrder.clientId,
               type: 'SHIPMENT',
               quantity: -item.quantity, // Отрицательное значение для списания
+              locationId: location.id,
               reason: `Отгрузка по заявке ${existingOrder.number}`
             }
           });
 
-          // Обновляем количество на складе
+          // Себестоимость отгрузки для отчетов о прибыльности
+          await costLayerService.recordMovement(item.productId, -item.quantity, {
+            transactionId: transaction.id,
+            orderId
+          }, tx);
+
+          // Обновляем количество на складе (списание из ячейки по умолчанию)
           await tx.warehouseItem.update({
             where: { productId: item.productId },
             data: {
@@ -525,6 +613,9 @@ router.patch('/:id/status', async (req, res, next) => {
           });
         }
 
+        // Резерв превращается в фактическое списание
+        await stockReservationService.consumeOrder(orderId, tx);
+
         // Обновляем статус заявки
         await tx.order.update({
           where: { id: orderId },
@@ -532,9 +623,13 @@ router.patch('/:id/status', async (req, res, next) => {
         });
       });
     } else {
-      await prisma.order.update({
-        where: { id: orderId },
-        data: { status }
+      await prisma.$transaction(async (tx) => {
+        await stockReservationService.syncWithOrderStatus(existingOrder, status, tx);
+
+        await tx.order.update({
+          where: { id: orderId },
+          data: { status }
+        });
       });
     }
 
@@ -580,17 +675,29 @@ router.get('/stats/overview', async (req, res, next) => {
       prisma.order.count({
         where: { status: 'CLOSED' }
       }),
-      prisma.order.aggregate({
-        _sum: { totalAmount: true },
-        where: { status: { in: ['PROPOSAL_ACCEPTED', 'PAID', 'FOR_SHIPMENT_UNPAID', 'PICKING', 'SHIPPED', 'CLOSED'] } }
+      prisma.order.findMany({
+        where: { status: { in: ['PROPOSAL_ACCEPTED', 'PAID', 'FOR_SHIPMENT_UNPAID', 'PICKING', 'SHIPPED', 'CLOSED'] } },
+        select: { totalAmount: true, currency: true, orderDate: true }
       })
     ]);
 
+    // Выручка в валюте отчетов по курсу на дату заявки
+    const converter = await currencyService.createConverter(
+      totalRevenue.map(order => order.currency),
+      currencyService.reportingCurrency
+    );
+    const revenue = totalRevenue.reduce(
+      (sum, order) => sum + (converter.convert(order.totalAmount, order.currency, order.orderDate) || 0),
+      0
+    );
+
     res.json({
       totalOrders,
       activeOrders,
       completedOrders,
-      totalRevenue: totalRevenue._sum.totalAmount || 0
+      totalRevenue: Math.round(revenue * 100) / 100,
+      currency: converter.currency,
+      missingRates: converter.missingRates
     });
 
   } catch (error) {
@@ -624,16 +731,16 @@ router.get('/warehouse/pending', async (req, res, next) => {
 });
 
 // Создать отгрузку
-router.post('/:id/shipment', async (req, res, next) => {
+router.post('/:id/shipment', validate(shipmentCreateSchema), async (req, res, next) => {
   try {
     const orderId = req.params.id;
-    const { items, notes, fileIds } = req.body;
+    const { items, notes, fileIds, locationId } = req.body;
     const userId = req.user.id;
 
     // Проверяем существование заявки и её статус
     const order = await prisma.order.findUnique({
       where: { id: orderId },
-      include: { shipment: true }
+      include: { shipment: true, items: true }
     });
 
     if (!order) {
@@ -648,6 +755,29 @@ router.post('/:id/shipment', async (req, res, next) => {
       return res.status(400).json({ error: 'Order already has shipment data' });
     }
 
+    // Проверяем позиции по заявке и серийные номера
+    const { errors: serialErrors, resolved: resolvedSerials } = await cylinderCirculationService.resolveShipmentSerials(order.items, items);
+    if (serialErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid shipment items',
+        details: serialErrors
+      });
+    }
+
+    // Проверяем остатки: резерв этой заявки расходуется отгрузкой
+    const shippedQuantities = new Map();
+    for (const item of items) {
+      shippedQuantities.set(item.productId, (shippedQuantities.get(item.productId) || 0) + item.quantity);
+    }
+    for (const [productId, quantity] of shippedQuantities) {
+      const availability = await stockReservationService.getAvailability(productId, { excludeOrderId: orderId });
+      if (!availability || availability.available < quantity) {
+        return res.status(400).json({
+          error: `Недостаточно товара "${availability?.productName || productId}" на складе. Доступно: ${availability?.available || 0}, отгружается: ${quantity}`
+        });
+      }
+    }
+
     // Создаём отгрузку в транзакции
     const shipment = await prisma.$transaction(async (tx) => {
       // Создаём отгрузку
@@ -659,25 +789,100 @@ router.post('/:id/shipment', async (req, res, next) => {
         }
       });
 
+      const reason = `Отгрузка по заявке ${order.number}`;
+      const shippedAt = new Date();
+      const defaultLocation = await warehouseLocationService.getDefaultLocation(tx);
+
       // Создаём элементы отгрузки с серийными номерами
-      for (const item of items) {
+      for (const [index, item] of items.entries()) {
+        const serials = resolvedSerials[index];
+
+        // Отбор из выбранной ячейки (по умолчанию - нераспределенный остаток основного склада)
+        const location = await warehouseLocationService.pick(item.productId, item.locationId || locationId, item.quantity, tx);
+
+        const misplaced = serials.filter(serial => (serial.locationId || defaultLocation.id) !== location.id);
+        if (misplaced.length > 0) {
+          const error = new Error(`Баллоны находятся в другой ячейке: ${misplaced.map(serial => serial.serialNumber).join(', ')}`);
+          error.statusCode = 400;
+          throw error;
+        }
+
         const shipmentItem = await tx.shipmentItem.create({
           data: {
             shipmentId: newShipment.id,
             productId: item.productId,
-            quantity: item.quantity
+            quantity: item.quantity,
+            locationId: location.id
+          },
+          include: {
+            product: { select: { depositAmount: true, returnPeriodDays: true } }
           }
         });
 
-        // Создаём серийные номера
-        if (item.serialNumbers && item.serialNumbers.length > 0) {
-          await tx.shipmentSerialNumber.createMany({
-            data: item.serialNumbers.map(serialNumber => ({
+        for (const serial of serials) {
+          // Баллон уходит к клиенту; условие по статусу защищает от двойной отгрузки
+          const updated = await tx.serialNumber.updateMany({
+            where: { id: serial.id, status: 'IN_STOCK' },
+            data: {
+              status: 'OUT_OF_STOCK',
+              clientId: order.clientId,
+              shippedAt,
+              returnDueDate: cylinderCirculationService.getReturnDueDate(shipmentItem.product, shippedAt),
+              depositAmount: shipmentItem.product.depositAmount || null
+            }
+          });
+
+          if (updated.count !== 1) {
+            const error = new Error(`Serial number ${serial.serialNumber} is no longer in stock`);
+            error.statusCode = 409;
+            throw error;
+          }
+
+          await tx.shipmentSerialNumber.create({
+            data: {
               shipmentItemId: shipmentItem.id,
-              serialNumber
-            }))
+              serialNumber: serial.serialNumber,
+              serialNumberId: serial.id
+            }
           });
+
+          const transaction = await tx.transaction.create({
+            data: {
+              productId: item.productId,
+              userId,
+              clientId: order.clientId,
+              serialNumberId: serial.id,
+              type: 'SHIPMENT',
+              quantity: -1,
+              locationId: location.id,
+              reason
+            }
+          });
+          await costLayerService.recordMovement(item.productId, -1, { transactionId: transaction.id, orderId }, tx);
         }
+
+        // Товар без серийного учета списываем одной транзакцией
+        if (serials.length === 0) {
+          const transaction = await tx.transaction.create({
+            data: {
+              productId: item.productId,
+              userId,
+              clientId: order.clientId,
+              type: 'SHIPMENT',
+              quantity: -item.quantity,
+              locationId: location.id,
+              reason
+            }
+          });
+          await costLayerService.recordMovement(item.productId, -item.quantity, { transactionId: transaction.id, orderId }, tx);
+        }
+
+        await tx.warehouseItem.update({
+          where: { productId: item.productId },
+          data: {
+            quantity: { decrement: item.quantity }
+          }
+        });
       }
 
       // Привязываем файлы если есть
@@ -690,6 +895,8 @@ router.post('/:id/shipment', async (req, res, next) => {
         });
       }
 
+      await stockReservationService.consumeOrder(orderId, tx);
+
       // Обновляем статус заявки на SHIPPED
       await tx.order.update({
         where: { id: orderId },
@@ -726,6 +933,36 @@ router.post('/:id/shipment', async (req, res, next) => {
 
 // Enhanced Order Management API Endpoints
 
+// Preview calculation prefill from template and price list
+router.get('/:id/calculation-prefill', async (req, res, next) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      include: { client: true, items: true }
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { calculationTemplateId, priceListId, sellingCompany } = req.query;
+    const currency = await currencyService.assertCurrency(req.query.currency || order.currency);
+    const prefill = await calculationTemplateService.buildPrefill(
+      order,
+      { calculationTemplateId, priceListId, sellingCompany },
+      currency
+    );
+
+    res.json({ currency, ...prefill });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Create calculation for order
 router.post('/:id/create-calculation', validate(orderCalculationSchema), async (req, res, next) => {
   try {
@@ -757,39 +994,15 @@ router.post('/:id/create-calculation', validate(orderCalculationSchema), async (
       return res.status(400).json({ error: 'Calculation can only be created for orders in CREATED status' });
     }
 
-    // Helper function to calculate profitability metrics
-    function calculateProfitabilityMetrics(data) {
-      const {
-        gasCost = 0,
-        cylinderCost = 0,
-        preparationCost = 0,
-        logisticsCost = 0,
-        workersCost = 0,
-        kickbacksCost = 0,
-        pricePerUnit = 0,
-        quantity = 0,
-        vatPercent = 12,
-        incomeTaxPercent = 20
-      } = data;
-
-      const totalCostBreakdown = gasCost + cylinderCost + preparationCost + logisticsCost + workersCost + kickbacksCost;
-      const totalSaleAmount = pricePerUnit * quantity;
-      const grossProfit = totalSaleAmount - totalCostBreakdown;
-      const vatAmount = grossProfit * (vatPercent / 100);
-      const incomeTaxAmount = grossProfit * (incomeTaxPercent / 100);
-      const netProfit = grossProfit - vatAmount - incomeTaxAmount;
-      const profitabilityPercent = totalCostBreakdown > 0 ? (netProfit / totalCostBreakdown) * 100 : 0;
-
-      return {
-        totalCostBreakdown,
-        totalSaleAmount,
-        grossProfit,
-        vatAmount,
-        incomeTaxAmount,
-        netProfit,
-        profitabilityPercent
-      };
-    }
+    const currency = await currencyService.assertCurrency(calculationData.currency || order.currency);
+
+    // Предзаполнение из шаблона расчета и прайс-листа
+    const prefill = await calculationTemplateService.buildPrefill(order, calculationData, currency);
+    Object.assign(calculationData, prefill.values, {
+      calculationTemplateId: prefill.calculationTemplateId,
+      priceListId: prefill.priceListId
+    });
+    Object.assign(calculationData, await taxProfileService.resolveTaxes(calculationData));
 
     // Create calculation with order relationship
     const result = await prisma.$transaction(async (tx) => {
@@ -799,6 +1012,7 @@ router.post('/:id/create-calculation', validate(orderCalculationSchema), async (
         data: {
           ...calculationData,
           ...profitabilityMetrics,
+          currency,
           userId,
           clientId: order.clientId,
           orderId: orderId,
@@ -825,7 +1039,14 @@ router.post('/:id/create-calculation', validate(orderCalculationSchema), async (
     res.status(201).json({
       message: 'Calculation created successfully for order',
       calculation: result.calculation,
-      order: result.order
+      order: result.order,
+      prefill: {
+        fields: Object.keys(prefill.values),
+        calculationTemplateId: prefill.calculationTemplateId,
+        priceListId: prefill.priceListId,
+        missingPrices: prefill.missingPrices,
+        missingRates: prefill.missingRates
+      }
     });
 
   } catch (error) {
@@ -920,7 +1141,8 @@ router.put('/:id/proposal-response', validate(proposalResponseSchema), async (re
       where: { id: orderId },
       include: { 
         client: true,
-        calculation: true
+        calculation: true,
+        items: true
       }
     });
 
@@ -940,6 +1162,9 @@ router.put('/:id/proposal-response', validate(proposalResponseSchema), async (re
 
     // Update order and calculation status
     const result = await prisma.$transaction(async (tx) => {
+      // Reserve stock for accepted proposal, release for rejected
+      await stockReservationService.syncWithOrderStatus(order, newOrderStatus, tx);
+
       // Update order status
       const updatedOrder = await tx.order.update({
         where: { id: orderId },
@@ -1039,6 +1264,36 @@ router.get('/:id/calculation', async (req, res, next) => {
   }
 });
 
+// Фактическая себестоимость отгруженной заявки
+router.get('/:id/cogs', async (req, res, next) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, number: true, status: true, totalAmount: true, currency: true, orderDate: true }
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const cogs = await costLayerService.getOrderCogs(order.id, req.query.method);
+
+    // Себестоимость партий учитывается в базовой валюте
+    const revenue = await currencyService.convert(order.totalAmount, order.currency, currencyService.baseCurrency, order.orderDate);
+
+    res.json({
+      order,
+      ...cogs,
+      currency: currencyService.baseCurrency,
+      revenue: revenue.amount,
+      grossProfit: revenue.amount - cogs.totalCost,
+      grossMargin: revenue.amount > 0 ? ((revenue.amount - cogs.totalCost) / revenue.amount) * 100 : 0
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Create calculation copy
 router.post('/:id/duplicate-calculation', async (req, res, next) => {
   try {
@@ -1082,6 +1337,13 @@ router.post('/:id/duplicate-calculation', async (req, res, next) => {
           customsCost: original.customsCost,
           vatPercent: original.vatPercent,
           quattroMargin: original.quattroMargin,
+          taxProfileId: original.taxProfileId,
+          taxRegime: original.taxRegime,
+          incomeTaxPercent: original.incomeTaxPercent,
+          pricesIncludeVat: original.pricesIncludeVat,
+          currency: original.currency,
+          calculationTemplateId: original.calculationTemplateId,
+          priceListId: original.priceListId,
           gasCost: original.gasCost,
           cylinderCost: original.cylinderCost,
           preparationCost: original.preparationCost,
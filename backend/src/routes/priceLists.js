@@ -0,0 +1,76 @@
+const express = require('express');
+const {
+  validate,
+  priceListCreateSchema,
+  priceListUpdateSchema
+} = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const priceListService = require('../services/priceLists');
+
+const router = express.Router();
+
+// Get price lists
+router.get('/', async (req, res, next) => {
+  try {
+    const priceLists = await priceListService.getPriceLists({
+      clientGroup: req.query.clientGroup,
+      activeOn: req.query.activeOn,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({ priceLists });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get price list with volume tiers
+router.get('/:id', async (req, res, next) => {
+  try {
+    const priceList = await priceListService.getPriceList(req.params.id);
+    res.json(priceList);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create price list
+router.post('/', requireRole(['ADMIN', 'MANAGER']), validate(priceListCreateSchema), async (req, res, next) => {
+  try {
+    const priceList = await priceListService.createPriceList(req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Price list created successfully',
+      priceList
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update price list (items replace all tiers)
+router.put('/:id', requireRole(['ADMIN', 'MANAGER']), validate(priceListUpdateSchema), async (req, res, next) => {
+  try {
+    const priceList = await priceListService.updatePriceList(req.params.id, req.body, req.user.id);
+
+    res.json({
+      message: 'Price list updated successfully',
+      priceList
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate price list
+router.delete('/:id', requireRole(['ADMIN', 'MANAGER']), async (req, res, next) => {
+  try {
+    await priceListService.deactivatePriceList(req.params.id, req.user.id);
+
+    res.json({ message: 'Price list deactivated successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
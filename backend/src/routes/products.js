@@ -1,6 +1,8 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { validate, productCreateSchema, productUpdateSchema } = require('../middleware/validation');
+const purchaseOrderService = require('../services/purchaseOrders');
+const reorderPlanningService = require('../services/reorderPlanning');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -310,15 +312,25 @@ router.get('/alerts/low-stock', async (req, res, next) => {
       }
     });
 
+    // Уже заказанное у поставщиков закрывает дефицит
+    const onOrder = await purchaseOrderService.getOnOrderQuantities(products.map(product => product.id));
+
     const lowStockProducts = products.filter(product => {
       const currentStock = product.warehouseItems[0]?.quantity || 0;
       return currentStock <= product.minStock;
-    }).map(product => ({
-      ...product,
-      currentStock: product.warehouseItems[0]?.quantity || 0,
-      lowStock: true,
-      warehouseItems: undefined
-    }));
+    }).map(product => {
+      const currentStock = product.warehouseItems[0]?.quantity || 0;
+      const onOrderQuantity = onOrder.get(product.id) || 0;
+      return {
+        ...product,
+        currentStock,
+        onOrder: onOrderQuantity,
+        projectedStock: currentStock + onOrderQuantity,
+        coveredByOrders: currentStock + onOrderQuantity > product.minStock,
+        lowStock: true,
+        warehouseItems: undefined
+      };
+    });
 
     res.json({ products: lowStockProducts });
   } catch (error) {
@@ -326,6 +338,25 @@ router.get('/alerts/low-stock', async (req, res, next) => {
   }
 });
 
+// Get reorder suggestions based on consumption history
+router.get('/alerts/reorder', async (req, res, next) => {
+  try {
+    const { historyDays, leadTimeDays, coverDays, supplierId, onlyNeeded } = req.query;
+
+    const suggestions = await reorderPlanningService.getSuggestions({
+      historyDays,
+      leadTimeDays,
+      coverDays,
+      supplierId,
+      onlyNeeded: onlyNeeded !== 'false'
+    });
+
+    res.json(suggestions);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get product statistics
 router.get('/:id/stats', async (req, res, next) => {
   try {
@@ -2,7 +2,13 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const openaiService = require('../services/openaiService');
 const companyTemplatesService = require('../services/companyTemplates');
+const competitorPriceService = require('../services/competitorPrices');
 const competitiveProposalsService = require('../services/competitiveProposals');
+const proposalService = require('../services/proposals');
+const proposalDocumentService = require('../services/proposalDocuments');
+const proposalShareLinkService = require('../services/proposalShareLinks');
+const aiUsageService = require('../services/aiUsage');
+const { requireRole } = require('../middleware/auth');
 const { logger, logBusinessEvent } = require('../utils/logger');
 const Joi = require('joi');
 const { validate } = require('../middleware/validation');
@@ -11,41 +17,83 @@ const router = express.Router();
 const prisma = new PrismaClient();
 
 // Validation schemas
+const LLM_PROVIDERS = ['openai', 'local', 'template'];
+
 const generateProposalSchema = Joi.object({
   calculationId: Joi.string().required(),
-  companyId: Joi.string().valid('nova', 'co-lab').required(),
+  companyId: Joi.string().required(), // Код шаблона компании (/api/company-templates)
   language: Joi.string().valid('ru', 'uk').default('ru'),
   customRequirements: Joi.string().optional(),
-  includeBreakdown: Joi.boolean().default(true)
+  includeBreakdown: Joi.boolean().default(true),
+  proposalId: Joi.string().optional(), // Добавить версию к существующему КП
+  provider: Joi.string().valid(...LLM_PROVIDERS).optional() // По умолчанию - LLM_PROVIDER
 });
 
 const competitiveProposalSchema = Joi.object({
   calculationId: Joi.string().required(),
-  companyId: Joi.string().valid('nova', 'co-lab').required(),
+  companyId: Joi.string().required(), // Код шаблона компании (/api/company-templates)
   markup: Joi.number().min(0).max(50).required(), // 0-50% markup
   language: Joi.string().valid('ru', 'uk').default('ru'),
   customRequirements: Joi.string().optional(),
   competitorPrices: Joi.array().items(Joi.number().positive()).optional(),
-  marketPosition: Joi.string().valid('aggressive', 'balanced', 'premium').default('balanced')
+  marketPosition: Joi.string().valid('aggressive', 'balanced', 'premium').default('balanced'),
+  proposalId: Joi.string().optional(),
+  provider: Joi.string().valid(...LLM_PROVIDERS).optional()
 });
 
 const customizeProposalSchema = Joi.object({
-  proposalText: Joi.string().required(),
+  proposalText: Joi.string().optional(),
+  proposalId: Joi.string().optional(), // Сохранить правку как новую версию КП
+  baseVersion: Joi.number().integer().min(1).optional(), // Версия для правки (по умолчанию последняя)
   modifications: Joi.string().required(),
-  companyId: Joi.string().valid('nova', 'co-lab').required(),
-  language: Joi.string().valid('ru', 'uk').default('ru')
+  companyId: Joi.string().required(), // Код шаблона компании (/api/company-templates)
+  language: Joi.string().valid('ru', 'uk').default('ru'),
+  provider: Joi.string().valid(...LLM_PROVIDERS).optional()
+}).or('proposalText', 'proposalId');
+
+const shareLinkSchema = Joi.object({
+  version: Joi.number().integer().min(1).optional(), // По умолчанию - последняя версия
+  expiresInDays: Joi.number().integer().min(1).max(365).optional()
 });
 
+const aiQuotaSchema = Joi.object({
+  monthlyTokens: Joi.number().integer().min(0).allow(null).optional(),
+  monthlyCost: Joi.number().min(0).allow(null).optional()
+});
+
+// Проверка месячного лимита AI для роли пользователя
+const enforceAiQuota = async (req, res, next) => {
+  try {
+    const status = await aiUsageService.getQuotaStatus(req.user);
+
+    if (!status.allowed) {
+      return res.status(429).json({
+        error: status.reason === 'COST'
+          ? 'Месячный лимит затрат на AI исчерпан'
+          : 'Месячный лимит токенов AI исчерпан',
+        code: 'AI_QUOTA_EXCEEDED',
+        quota: status.quota,
+        used: status.used,
+        resetsAt: status.resetsAt
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // POST /api/proposals/generate - Generate КП from calculation
-router.post('/generate', validate(generateProposalSchema), async (req, res, next) => {
+router.post('/generate', validate(generateProposalSchema), enforceAiQuota, async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { calculationId, companyId, language, customRequirements, includeBreakdown } = req.body;
+    const { calculationId, companyId, language, customRequirements, includeBreakdown, proposalId, provider } = req.body;
 
-    // Check if OpenAI service is available
-    if (!openaiService.isAvailable()) {
+    // Check if the requested AI provider is available
+    if (!openaiService.isAvailable(provider)) {
       return res.status(503).json({
-        error: 'AI service is currently unavailable. Please check OpenAI API configuration.',
+        error: `AI provider "${provider || 'default'}" is currently unavailable. Please check its configuration.`,
         code: 'AI_SERVICE_UNAVAILABLE'
       });
     }
@@ -72,7 +120,7 @@ router.post('/generate', validate(generateProposalSchema), async (req, res, next
     }
 
     // Get company template
-    const companyTemplate = companyTemplatesService.getTemplate(companyId);
+    const companyTemplate = await companyTemplatesService.getTemplate(companyId);
 
     // Generate proposal using OpenAI
     const result = await openaiService.generateCommercialProposal(
@@ -83,15 +131,32 @@ router.post('/generate', validate(generateProposalSchema), async (req, res, next
         markup: 0,
         customRequirements,
         language,
-        includeBreakdown
+        includeBreakdown,
+        provider,
+        tracking: { userId, calculationId, operation: 'PROPOSAL' }
       }
     );
 
+    const saved = await proposalService.saveGenerated({
+      calculation,
+      companyId,
+      proposalId,
+      userId,
+      source: 'GENERATED',
+      text: result.proposalText,
+      language,
+      model: result.metadata.model,
+      tokensUsed: result.metadata.tokensUsed,
+      metadata: { ...result.metadata, customRequirements, includeBreakdown }
+    });
+
     // Log business event
     logBusinessEvent('proposal_generated', req, {
       calculationId,
       companyId,
       clientId: calculation.clientId,
+      proposalId: saved.proposal.id,
+      version: saved.version.version,
       tokensUsed: result.metadata.tokensUsed,
       competitive: false
     });
@@ -99,12 +164,14 @@ router.post('/generate', validate(generateProposalSchema), async (req, res, next
     res.json({
       message: 'Commercial proposal generated successfully',
       proposal: {
-        id: `prop_${Date.now()}`,
+        id: saved.proposal.id,
+        number: saved.proposal.number,
+        version: saved.version.version,
         calculationId,
         companyId,
         text: result.proposalText,
         metadata: result.metadata,
-        createdAt: new Date().toISOString()
+        createdAt: saved.version.createdAt
       },
       calculation: {
         id: calculation.id,
@@ -125,15 +192,15 @@ router.post('/generate', validate(generateProposalSchema), async (req, res, next
 });
 
 // POST /api/proposals/competitive - Generate competitive КП
-router.post('/competitive', validate(competitiveProposalSchema), async (req, res, next) => {
+router.post('/competitive', validate(competitiveProposalSchema), enforceAiQuota, async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { calculationId, companyId, markup, language, customRequirements, competitorPrices, marketPosition } = req.body;
+    const { calculationId, companyId, markup, language, customRequirements, competitorPrices, marketPosition, proposalId, provider } = req.body;
 
-    // Check if OpenAI service is available
-    if (!openaiService.isAvailable()) {
+    // Check if the requested AI provider is available
+    if (!openaiService.isAvailable(provider)) {
       return res.status(503).json({
-        error: 'AI service is currently unavailable. Please check OpenAI API configuration.',
+        error: `AI provider "${provider || 'default'}" is currently unavailable. Please check its configuration.`,
         code: 'AI_SERVICE_UNAVAILABLE'
       });
     }
@@ -160,7 +227,7 @@ router.post('/competitive', validate(competitiveProposalSchema), async (req, res
     }
 
     // Get company template
-    const companyTemplate = companyTemplatesService.getTemplate(companyId);
+    const companyTemplate = await companyTemplatesService.getTemplate(companyId);
 
     // Validate markup
     const markupValidation = competitiveProposalsService.validateMarkup(markup);
@@ -176,7 +243,8 @@ router.post('/competitive', validate(competitiveProposalSchema), async (req, res
     const competitivePositioning = competitiveProposalsService.generateCompetitivePositioning(
       companyId, 
       markup, 
-      originalPrice
+      originalPrice,
+      companyTemplate
     );
 
     // Generate market analysis if competitor prices provided
@@ -201,18 +269,51 @@ router.post('/competitive', validate(competitiveProposalSchema), async (req, res
         markup,
         customRequirements: enhancedCustomRequirements,
         language,
-        competitivePositioning
+        competitivePositioning,
+        provider,
+        tracking: { userId, calculationId, operation: 'COMPETITIVE' }
       }
     );
 
     const adjustedPrice = competitivePositioning.pricing.adjusted;
     const priceDifference = competitivePositioning.pricing.difference;
 
+    const metadata = {
+      ...result.metadata,
+      competitive: true,
+      markup,
+      pricing: {
+        original: originalPrice,
+        adjusted: adjustedPrice,
+        difference: priceDifference
+      },
+      competitivePositioning: competitivePositioning,
+      marketPosition: marketPosition,
+      marketAnalysis: marketAnalysis,
+      strategyUsed: competitiveProposalsService.getMarkupStrategy(markup)
+    };
+
+    const saved = await proposalService.saveGenerated({
+      calculation,
+      companyId,
+      proposalId,
+      userId,
+      source: 'COMPETITIVE',
+      text: result.proposalText,
+      language,
+      markup,
+      model: result.metadata.model,
+      tokensUsed: result.metadata.tokensUsed,
+      metadata: { ...metadata, customRequirements, competitorPrices }
+    });
+
     // Log business event
     logBusinessEvent('competitive_proposal_generated', req, {
       calculationId,
       companyId,
       clientId: calculation.clientId,
+      proposalId: saved.proposal.id,
+      version: saved.version.version,
       markup,
       originalPrice,
       adjustedPrice,
@@ -223,25 +324,14 @@ router.post('/competitive', validate(competitiveProposalSchema), async (req, res
     res.json({
       message: 'Competitive commercial proposal generated successfully',
       proposal: {
-        id: `comp_prop_${Date.now()}`,
+        id: saved.proposal.id,
+        number: saved.proposal.number,
+        version: saved.version.version,
         calculationId,
         companyId,
         text: result.proposalText,
-        metadata: {
-          ...result.metadata,
-          competitive: true,
-          markup,
-          pricing: {
-            original: originalPrice,
-            adjusted: adjustedPrice,
-            difference: priceDifference
-          },
-          competitivePositioning: competitivePositioning,
-          marketPosition: marketPosition,
-          marketAnalysis: marketAnalysis,
-          strategyUsed: competitiveProposalsService.getMarkupStrategy(markup)
-        },
-        createdAt: new Date().toISOString()
+        metadata,
+        createdAt: saved.version.createdAt
       },
       calculation: {
         id: calculation.id,
@@ -264,7 +354,7 @@ router.post('/competitive', validate(competitiveProposalSchema), async (req, res
 // GET /api/proposals/templates - Get company templates
 router.get('/templates', async (req, res, next) => {
   try {
-    const templates = companyTemplatesService.getAllTemplates();
+    const templates = await companyTemplatesService.getAllTemplates();
     
     // Return only public information about templates
     const publicTemplates = templates.map(template => ({
@@ -298,7 +388,7 @@ router.get('/templates/:companyId', async (req, res, next) => {
   try {
     const { companyId } = req.params;
     
-    const template = companyTemplatesService.getTemplate(companyId);
+    const template = await companyTemplatesService.getTemplate(companyId);
     
     // Return public template information
     res.json({
@@ -335,79 +425,70 @@ router.get('/templates/:companyId', async (req, res, next) => {
 });
 
 // POST /api/proposals/customize - Customize generated КП
-router.post('/customize', validate(customizeProposalSchema), async (req, res, next) => {
+router.post('/customize', validate(customizeProposalSchema), enforceAiQuota, async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { proposalText, modifications, companyId, language } = req.body;
+    const { proposalId, baseVersion, modifications, companyId, language, provider } = req.body;
 
-    // Check if OpenAI service is available
-    if (!openaiService.isAvailable()) {
+    // Check if the requested AI provider is available
+    if (!openaiService.isAvailable(provider)) {
       return res.status(503).json({
-        error: 'AI service is currently unavailable. Please check OpenAI API configuration.',
+        error: `AI provider "${provider || 'default'}" is currently unavailable. Please check its configuration.`,
         code: 'AI_SERVICE_UNAVAILABLE'
       });
     }
 
-    const companyTemplate = companyTemplatesService.getTemplate(companyId);
-
-    // Create customization prompt
-    const customizationPrompt = `
-Вы получили коммерческое предложение от компании "${companyTemplate.name}":
-
-ТЕКУЩЕЕ КП:
-${proposalText}
-
-ТРЕБУЕМЫЕ ИЗМЕНЕНИЯ:
-${modifications}
+    const companyTemplate = await companyTemplatesService.getTemplate(companyId);
 
-Внесите указанные изменения в коммерческое предложение, сохранив профессиональный стиль и структуру. 
-Убедитесь, что все изменения логичны и соответствуют стандартам деловой переписки.
-
-Язык: ${language === 'ru' ? 'русский' : 'украинский'}
-
-Выведите обновленное коммерческое предложение:`;
+    // Текст для правки берем из запроса или из сохраненной версии КП
+    let { proposalText } = req.body;
+    let base = null;
+    if (proposalId) {
+      base = await proposalService.getVersion(proposalId, baseVersion, req.user);
+      proposalText = proposalText || base.text;
+    }
 
-    const completion = await openaiService.client.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: openaiService.getSystemPrompt(language)
-        },
-        {
-          role: 'user',
-          content: customizationPrompt
-        }
-      ],
-      max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS || '2500'),
-      temperature: 0.5,
+    const result = await openaiService.customizeProposal(proposalText, modifications, companyTemplate, {
+      language,
+      provider,
+      tracking: { userId, calculationId: base?.proposal.calculationId || null, operation: 'CUSTOMIZATION' }
     });
-
-    const customizedProposal = completion.choices[0]?.message?.content;
-
-    if (!customizedProposal) {
-      throw new Error('Failed to customize proposal');
-    }
+    const customizedProposal = result.proposalText;
 
     // Log token usage
     logger.info('Proposal customization completed', {
       userId,
       companyId,
-      tokensUsed: completion.usage.total_tokens,
+      provider: result.metadata.provider,
+      tokensUsed: result.metadata.tokensUsed,
       modificationsLength: modifications.length
     });
 
+    let saved = null;
+    if (proposalId) {
+      saved = await proposalService.addVersion(proposalId, {
+        source: 'CUSTOMIZED',
+        text: customizedProposal,
+        language,
+        markup: base.markup,
+        model: result.metadata.model,
+        tokensUsed: result.metadata.tokensUsed,
+        baseVersion: base.version,
+        metadata: { modifications, provider: result.metadata.provider }
+      }, userId);
+    }
+
     res.json({
       message: 'Proposal customized successfully',
       customizedProposal: {
-        id: `custom_prop_${Date.now()}`,
+        id: saved ? proposalId : `custom_prop_${Date.now()}`,
+        version: saved ? saved.version : null,
         text: customizedProposal,
         originalText: proposalText,
         modifications,
         companyId,
         metadata: {
-          tokensUsed: completion.usage.total_tokens,
-          model: completion.model,
+          ...result.metadata,
           customizedAt: new Date().toISOString()
         }
       }
@@ -432,12 +513,16 @@ router.get('/usage', async (req, res, next) => {
     const dateFrom = from ? new Date(from) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     const dateTo = to ? new Date(to) : new Date();
 
-    // Get usage statistics (this would be enhanced with database tracking)
-    const usage = await openaiService.getUsageStatistics(userId, dateFrom, dateTo);
+    const [usage, quota] = await Promise.all([
+      openaiService.getUsageStatistics(userId, dateFrom, dateTo),
+      aiUsageService.getQuotaStatus(req.user)
+    ]);
 
     res.json({
       usage,
+      quota,
       aiServiceAvailable: openaiService.isAvailable(),
+      providers: openaiService.getProviders(),
       period: {
         from: dateFrom.toISOString(),
         to: dateTo.toISOString()
@@ -454,6 +539,63 @@ router.get('/usage', async (req, res, next) => {
   }
 });
 
+// GET /api/proposals/usage/report - Aggregated AI usage by user, period, model or operation
+router.get('/usage/report', async (req, res, next) => {
+  try {
+    const { from, to, groupBy = 'user', role } = req.query;
+
+    // Менеджеры видят только собственное использование
+    const userId = req.user.role === 'ADMIN' ? req.query.userId : req.user.id;
+
+    const report = await aiUsageService.getUsageReport({
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      userId,
+      role: req.user.role === 'ADMIN' ? role : undefined
+    }, groupBy);
+
+    res.json({ report });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/proposals/usage/quotas - Monthly AI quotas by role
+router.get('/usage/quotas', requireRole(['ADMIN']), async (req, res, next) => {
+  try {
+    const quotas = await aiUsageService.getQuotas();
+
+    res.json({ quotas });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/proposals/usage/quotas/:role - Set monthly AI quota for a role
+router.put('/usage/quotas/:role', requireRole(['ADMIN']), validate(aiQuotaSchema), async (req, res, next) => {
+  try {
+    const role = req.params.role.toUpperCase();
+
+    if (!['USER', 'MANAGER', 'ADMIN', 'WAREHOUSE'].includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    const quota = await aiUsageService.setQuota(role, req.body);
+
+    logBusinessEvent('ai_quota_updated', req, { role, ...req.body });
+
+    res.json({
+      message: 'AI quota updated',
+      quota
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/proposals/competitive/markups - Get available markup strategies
 router.get('/competitive/markups', async (req, res, next) => {
   try {
@@ -480,11 +622,8 @@ router.get('/competitive/:companyId/advantages', async (req, res, next) => {
   try {
     const { companyId } = req.params;
     
-    if (!['nova', 'co-lab'].includes(companyId)) {
-      return res.status(400).json({ error: 'Invalid company ID' });
-    }
-    
-    const advantages = competitiveProposalsService.getCompanyAdvantages(companyId);
+    const template = await companyTemplatesService.getTemplate(companyId);
+    const advantages = competitiveProposalsService.getCompanyAdvantages(companyId, template);
     
     if (!advantages) {
       return res.status(404).json({ error: 'Company advantages not found' });
@@ -506,13 +645,53 @@ router.get('/competitive/:companyId/advantages', async (req, res, next) => {
   }
 });
 
-// POST /api/proposals/competitive/pricing - Calculate competitive pricing scenarios
+// POST /api/proposals/competitive/pricing - Calculate competitive pricing scenarios.
+// With calculationId the unit price, recent competitor prices from the price book and
+// the minimum net profitability of the calculation are taken into account
 router.post('/competitive/pricing', async (req, res, next) => {
   try {
-    const { originalPrice, markups, competitorPrices } = req.body;
-    
-    if (!originalPrice || originalPrice <= 0) {
-      return res.status(400).json({ error: 'Valid original price is required' });
+    const { markups, competitorPrices, calculationId, productId, minProfitability } = req.body;
+    let { originalPrice } = req.body;
+    let priceBook = null;
+    let profitability = null;
+    let marketAnalysis = null;
+    let recommendation = null;
+
+    if (calculationId) {
+      const calculation = await prisma.calculation.findUnique({
+        where: { id: calculationId, userId: req.user.id },
+        include: { items: { select: { productId: true } } }
+      });
+
+      if (!calculation) {
+        return res.status(404).json({ error: 'Calculation not found or access denied' });
+      }
+
+      const result = await competitorPriceService.recommendForCalculation(calculation, {
+        competitorPrices: competitorPrices?.length > 0 ? competitorPrices : null,
+        productId,
+        minProfitability: minProfitability !== undefined ? Number(minProfitability) : undefined
+      });
+
+      originalPrice = result.originalPrice;
+      priceBook = result.competitorPrices;
+      profitability = result.profitability;
+      marketAnalysis = result.marketAnalysis;
+      recommendation = result.recommendation;
+    } else {
+      if (!originalPrice || originalPrice <= 0) {
+        return res.status(400).json({ error: 'Valid original price is required' });
+      }
+
+      let prices = competitorPrices || [];
+      if (prices.length === 0 && productId) {
+        priceBook = await competitorPriceService.getRecentPrices({ productIds: [productId] });
+        prices = priceBook;
+      }
+
+      if (prices.length > 0) {
+        marketAnalysis = competitiveProposalsService.generateComparisonTable(originalPrice, prices);
+      }
     }
     
     const pricingScenarios = competitiveProposalsService.calculateCompetitivePricing(
@@ -520,16 +699,13 @@ router.post('/competitive/pricing', async (req, res, next) => {
       markups || [5, 10, 15, 20]
     );
     
-    let marketAnalysis = null;
-    if (competitorPrices && competitorPrices.length > 0) {
-      marketAnalysis = competitiveProposalsService.generateComparisonTable(originalPrice, competitorPrices);
-    }
-    
     res.json({
       originalPrice,
       pricingScenarios,
       marketAnalysis,
-      recommendation: marketAnalysis?.recommendation || {
+      competitorPrices: priceBook,
+      profitability,
+      recommendation: recommendation || marketAnalysis?.recommendation || {
         markup: 10,
         reason: 'Стандартная рекомендация'
       }
@@ -561,7 +737,7 @@ router.post('/preview', async (req, res, next) => {
       return res.status(404).json({ error: 'Calculation not found' });
     }
 
-    const companyTemplate = companyTemplatesService.getTemplate(companyId);
+    const companyTemplate = await companyTemplatesService.getTemplate(companyId);
 
     // Build prompt without calling OpenAI
     const prompt = openaiService.buildProposalPrompt(calculation, companyTemplate, {
@@ -600,6 +776,159 @@ router.post('/preview', async (req, res, next) => {
   }
 });
 
+// GET /api/proposals - List saved proposals
+router.get('/', async (req, res, next) => {
+  try {
+    const { calculationId, clientId, companyId, status, page, limit } = req.query;
+
+    const result = await proposalService.getProposals(
+      { calculationId, clientId, companyId, status },
+      { page, limit },
+      req.user
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/proposals/:id - Proposal with version history
+router.get('/:id', async (req, res, next) => {
+  try {
+    const proposal = await proposalService.getProposal(req.params.id, req.user);
+
+    res.json({ proposal });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/proposals/:id/diff?from=1&to=2 - Compare two versions
+router.get('/:id/diff', async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!parseInt(from) || !parseInt(to)) {
+      return res.status(400).json({ error: 'Parameters from and to must be version numbers' });
+    }
+
+    const diff = await proposalService.diffVersions(req.params.id, from, to, req.user);
+
+    res.json({ diff });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/proposals/:id/versions/:version - Version text and metadata
+router.get('/:id/versions/:version', async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+
+    if (!parseInt(version)) {
+      return res.status(400).json({ error: 'Invalid version number' });
+    }
+
+    const proposalVersion = await proposalService.getVersion(id, version, req.user);
+
+    res.json({ version: proposalVersion });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/proposals/:id/document?format=pdf|docx&version=N - Download branded document
+router.get('/:id/document', async (req, res, next) => {
+  try {
+    const { format = 'pdf', version } = req.query;
+
+    if (!['pdf', 'docx'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be pdf or docx' });
+    }
+
+    const { buffer, mimetype, fileName } = await proposalDocumentService.render(
+      req.params.id,
+      { format, version },
+      req.user
+    );
+
+    res.set({
+      'Content-Type': mimetype,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/proposals/:id/document/attach - Save document as a calculation file
+router.post('/:id/document/attach', async (req, res, next) => {
+  try {
+    const { format = 'pdf', version } = req.body;
+
+    if (!['pdf', 'docx'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be pdf or docx' });
+    }
+
+    const file = await proposalDocumentService.attachToCalculation(
+      req.params.id,
+      { format, version },
+      req.user
+    );
+
+    res.status(201).json({
+      message: 'Proposal document attached to calculation',
+      file
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/proposals/:id/share-links - Create a public link for the client
+router.post('/:id/share-links', validate(shareLinkSchema), async (req, res, next) => {
+  try {
+    const link = await proposalShareLinkService.createLink(req.params.id, req.body, req.user);
+
+    res.status(201).json({
+      message: 'Share link created',
+      link
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/proposals/:id/share-links - Links with views and client responses
+router.get('/:id/share-links', async (req, res, next) => {
+  try {
+    const links = await proposalShareLinkService.getLinks(req.params.id, req.user);
+    res.json({ links });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/proposals/:id/share-links/:linkId - Revoke a link
+router.delete('/:id/share-links/:linkId', async (req, res, next) => {
+  try {
+    const link = await proposalShareLinkService.revokeLink(req.params.id, req.params.linkId, req.user);
+    res.json({ message: 'Share link revoked', link });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Helper function to build enhanced requirements for competitive proposals
 function buildEnhancedRequirements(customRequirements, competitivePositioning, marketPosition, marketAnalysis) {
   let requirements = customRequirements || '';
@@ -0,0 +1,70 @@
+const express = require('express');
+const Joi = require('joi');
+const { validate } = require('../middleware/validation');
+const proposalShareLinkService = require('../services/proposalShareLinks');
+
+// Маршруты для клиента по публичной ссылке: без авторизации, доступ проверяется подписью токена
+const router = express.Router();
+
+const proposalResponseSchema = Joi.object({
+  response: Joi.string().valid('ACCEPTED', 'REJECTED').required(),
+  comment: Joi.string().max(2000).optional().allow(''),
+  name: Joi.string().max(255).optional().allow('') // Кто ответил со стороны клиента
+});
+
+// GET /api/public/proposals/:token - View the proposal
+router.get('/:token', async (req, res, next) => {
+  try {
+    const view = await proposalShareLinkService.getPublicView(req.params.token);
+    res.json(view);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/public/proposals/:token/document?format=pdf|docx - Download the proposal
+router.get('/:token/document', async (req, res, next) => {
+  try {
+    const { format = 'pdf' } = req.query;
+
+    if (!['pdf', 'docx'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be pdf or docx' });
+    }
+
+    const { buffer, mimetype, fileName } = await proposalShareLinkService.renderDocument(req.params.token, format);
+
+    res.set({
+      'Content-Type': mimetype,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/public/proposals/:token/respond - Accept or reject the proposal
+router.post('/:token/respond', validate(proposalResponseSchema), async (req, res, next) => {
+  try {
+    const { response, respondedAt } = await proposalShareLinkService.respond(
+      req.params.token,
+      {
+        response: req.body.response,
+        comment: req.body.comment || null,
+        name: req.body.name || null
+      },
+      { ip: req.ip }
+    );
+
+    res.json({
+      message: response === 'ACCEPTED' ? 'Спасибо! КП принято' : 'Ваш ответ получен',
+      response,
+      respondedAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
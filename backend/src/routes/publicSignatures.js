@@ -0,0 +1,79 @@
+const express = require('express');
+const Joi = require('joi');
+const { validate } = require('../middleware/validation');
+const signatureRequestService = require('../services/signatureRequests');
+
+// Подписание договора по персональной ссылке: без авторизации, доступ проверяется подписью токена
+const router = express.Router();
+
+const externalSignSchema = Joi.object({
+  payload: Joi.string().max(10000).required(), // signingPayload from GET /:token, signed as is
+  signature: Joi.string().max(4096).required(), // Base64 RSA-PSS signature of the payload
+  publicKey: Joi.string().max(4096).required() // PEM public key of the signer
+});
+
+const declineSchema = Joi.object({
+  reason: Joi.string().max(500).optional().allow('')
+});
+
+// GET /api/public/signature-requests/:token - Request, signer state and payload to sign
+router.get('/:token', async (req, res, next) => {
+  try {
+    const view = await signatureRequestService.getPublicView(req.params.token);
+    res.json(view);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/public/signature-requests/:token/document - Download the document to sign
+router.get('/:token/document', async (req, res, next) => {
+  try {
+    const { buffer, mimetype, fileName } = await signatureRequestService.getDocument(req.params.token);
+
+    res.set({
+      'Content-Type': mimetype,
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(fileName)}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/public/signature-requests/:token/sign - Sign with the signer's own key
+router.post('/:token/sign', validate(externalSignSchema), async (req, res, next) => {
+  try {
+    const result = await signatureRequestService.signExternal(req.params.token, req.body, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({
+      message: 'Договор подписан',
+      signatureId: result.record.signatureId,
+      certificateId: result.certificate.certificateId,
+      signedAt: result.record.signedAt,
+      requestStatus: result.request.status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/public/signature-requests/:token/decline - Decline signing
+router.post('/:token/decline', validate(declineSchema), async (req, res, next) => {
+  try {
+    const result = await signatureRequestService.declineByToken(req.params.token, req.body.reason || null);
+
+    res.json({
+      message: 'Ваш отказ получен',
+      declinedAt: result.signer.declinedAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
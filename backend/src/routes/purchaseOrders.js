@@ -0,0 +1,135 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const {
+  validate,
+  purchaseOrderCreateSchema,
+  purchaseOrderUpdateSchema,
+  purchaseOrderStatusSchema,
+  purchaseOrderReceiveSchema
+} = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const purchaseOrderService = require('../services/purchaseOrders');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Получить заказы поставщикам
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, supplierId, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (status) where.status = status;
+    if (supplierId) where.supplierId = supplierId;
+
+    const [purchaseOrders, total] = await Promise.all([
+      prisma.purchaseOrder.findMany({
+        where,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        include: purchaseOrderService.orderInclude(),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.purchaseOrder.count({ where })
+    ]);
+
+    res.json({
+      purchaseOrders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Получить заказ поставщику с приемками
+router.get('/:id', async (req, res, next) => {
+  try {
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({
+      where: { id: req.params.id },
+      include: {
+        ...purchaseOrderService.orderInclude(),
+        transactions: {
+          include: {
+            product: { select: { name: true, unit: true } },
+            user: { select: { name: true } }
+          },
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    res.json(purchaseOrder);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Создать черновик заказа
+router.post('/', requireRole(['ADMIN', 'MANAGER']), validate(purchaseOrderCreateSchema), async (req, res, next) => {
+  try {
+    const purchaseOrder = await purchaseOrderService.createOrder(req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Purchase order created successfully',
+      purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Изменить черновик заказа
+router.put('/:id', requireRole(['ADMIN', 'MANAGER']), validate(purchaseOrderUpdateSchema), async (req, res, next) => {
+  try {
+    const purchaseOrder = await purchaseOrderService.updateOrder(req.params.id, req.body);
+
+    res.json({
+      message: 'Purchase order updated successfully',
+      purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Изменить статус (отправить поставщику, отменить, закрыть с недопоставкой)
+router.patch('/:id/status', requireRole(['ADMIN', 'MANAGER']), validate(purchaseOrderStatusSchema), async (req, res, next) => {
+  try {
+    const purchaseOrder = await purchaseOrderService.changeStatus(req.params.id, req.body.status);
+
+    res.json({
+      message: 'Purchase order status updated',
+      purchaseOrder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Принять товар по заказу
+router.post('/:id/receive', validate(purchaseOrderReceiveSchema), async (req, res, next) => {
+  try {
+    const result = await purchaseOrderService.receive(req.params.id, req.body, req.user.id);
+
+    res.json({
+      message: 'Goods received successfully',
+      purchaseOrder: result.purchaseOrder,
+      transactions: result.transactions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { validate } = require('../middleware/validation');
 const Joi = require('joi');
+const certificationService = require('../services/certificationService');
+const warehouseLocationService = require('../services/warehouseLocations');
+const costLayerService = require('../services/costLayers');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -16,11 +19,12 @@ const serialNumberCreateSchema = Joi.object({
       certificationDate: Joi.string().pattern(/^(0[1-9]|1[0-2])\/\d{4}$/).optional().messages({'string.pattern.base': 'Дата переосвидетельствования должна быть в формате MM/YYYY'}),
       nextCertificationDate: Joi.string().pattern(/^(0[1-9]|1[0-2])\/\d{4}$/).optional().messages({'string.pattern.base': 'Следующая дата переосвидетельствования должна быть в формате MM/YYYY'})
     })
-  ).min(1).required()
+  ).min(1).required(),
+  locationId: Joi.string().optional().allow(null) // Ячейка приемки (по умолчанию - основная)
 });
 
 const serialNumberUpdateSchema = Joi.object({
-  status: Joi.string().valid('IN_STOCK', 'OUT_OF_STOCK').optional(),
+  status: Joi.string().valid('IN_STOCK', 'OUT_OF_STOCK', 'NEEDS_INSPECTION').optional(),
   manufactureDate: Joi.string().pattern(/^(0[1-9]|1[0-2])\/\d{4}$/).optional().messages({'string.pattern.base': 'Дата изготовления должна быть в формате MM/YYYY'}),
   certificationDate: Joi.string().pattern(/^(0[1-9]|1[0-2])\/\d{4}$/).optional().messages({'string.pattern.base': 'Дата переосвидетельствования должна быть в формате MM/YYYY'}),
   nextCertificationDate: Joi.string().pattern(/^(0[1-9]|1[0-2])\/\d{4}$/).optional().messages({'string.pattern.base': 'Следующая дата переосвидетельствования должна быть в формате MM/YYYY'})
@@ -43,6 +47,9 @@ router.get('/product/:productId', async (req, res, next) => {
         product: {
           select: { name: true, code: true }
         },
+        client: {
+          select: { id: true, name: true }
+        },
         transactions: {
           select: {
             id: true,
@@ -67,6 +74,20 @@ router.get('/product/:productId', async (req, res, next) => {
   }
 });
 
+// Баллоны, которым предстоит (или просрочено) переосвидетельствование
+router.get('/certification/due', async (req, res, next) => {
+  try {
+    const { days, status, productId } = req.query;
+    const window = Math.max(0, parseInt(days) || certificationService.alertDays);
+
+    const due = await certificationService.getDue(window, { status, productId });
+
+    res.json(due);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Получить историю серийного номера
 router.get('/:id/history', async (req, res, next) => {
   try {
@@ -76,6 +97,9 @@ router.get('/:id/history', async (req, res, next) => {
         product: {
           select: { name: true, code: true }
         },
+        client: {
+          select: { id: true, name: true, phone: true }
+        },
         transactions: {
           include: {
             user: {
@@ -86,6 +110,23 @@ router.get('/:id/history', async (req, res, next) => {
             }
           },
           orderBy: { createdAt: 'desc' }
+        },
+        shipmentSerials: {
+          select: {
+            shipmentItem: {
+              select: {
+                shipment: {
+                  select: {
+                    id: true,
+                    createdAt: true,
+                    order: {
+                      select: { id: true, number: true, client: { select: { name: true } } }
+                    }
+                  }
+                }
+              }
+            }
+          }
         }
       }
     });
@@ -94,7 +135,12 @@ router.get('/:id/history', async (req, res, next) => {
       return res.status(404).json({ error: 'Serial number not found' });
     }
 
-    res.json(serialNumber);
+    const { shipmentSerials, ...serialData } = serialNumber;
+
+    res.json({
+      ...serialData,
+      shipments: shipmentSerials.map(s => s.shipmentItem.shipment)
+    });
   } catch (error) {
     next(error);
   }
@@ -105,7 +151,7 @@ router.post('/', validate(serialNumberCreateSchema), async (req, res, next) => {
   try {
     console.log('=== SERIAL NUMBERS POST REQUEST ===');
     console.log('Request body:', JSON.stringify(req.body, null, 2));
-    const { productId, serialNumbers } = req.body;
+    const { productId, serialNumbers, locationId } = req.body;
 
     // Проверяем, что товар существует
     const product = await prisma.product.findUnique({
@@ -149,6 +195,8 @@ router.post('/', validate(serialNumberCreateSchema), async (req, res, next) => {
 
     // Создаем серийные номера
     const created = await prisma.$transaction(async (tx) => {
+      const location = await warehouseLocationService.resolveLocation(locationId, tx);
+
       // Создаем серийные номера
       const createdSerials = await Promise.all(
         serialNumbers.map(serialData => {
@@ -196,7 +244,8 @@ router.post('/', validate(serialNumberCreateSchema), async (req, res, next) => {
               manufactureDate: processDate(data.manufactureDate),
               certificationDate: processDate(data.certificationDate),
               nextCertificationDate: processDate(data.nextCertificationDate),
-              status: 'IN_STOCK'
+              status: 'IN_STOCK',
+              locationId: location.isDefault ? null : location.id
             }
           });
         })
@@ -211,6 +260,8 @@ router.post('/', validate(serialNumberCreateSchema), async (req, res, next) => {
           }
         }
       });
+      await warehouseLocationService.adjust(productId, location.id, serialNumbers.length, tx);
+      await costLayerService.recordMovement(productId, serialNumbers.length, { sourceType: 'INCOMING' }, tx);
 
       return createdSerials;
     });
@@ -238,9 +289,31 @@ router.put('/:id', validate(serialNumberUpdateSchema), async (req, res, next) =>
       return res.status(404).json({ error: 'Serial number not found' });
     }
 
-    const updated = await prisma.serialNumber.update({
-      where: { id: req.params.id },
-      data: { status }
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.serialNumber.update({
+        where: { id: req.params.id },
+        // Возвращенный на склад баллон больше не числится за клиентом
+        data: status === 'IN_STOCK' ? { status, clientId: null, returnDueDate: null } : { status }
+      });
+
+      // Баллон после проверки становится складским остатком (и наоборот)
+      if (serialNumber.status === 'NEEDS_INSPECTION' && status === 'IN_STOCK') {
+        await tx.warehouseItem.update({
+          where: { id: serialNumber.warehouseItemId },
+          data: { quantity: { increment: 1 } }
+        });
+        await warehouseLocationService.adjust(serialNumber.productId, serialNumber.locationId, 1, tx);
+        await costLayerService.recordMovement(serialNumber.productId, 1, { sourceType: 'RETURN' }, tx);
+      } else if (serialNumber.status === 'IN_STOCK' && status === 'NEEDS_INSPECTION') {
+        await tx.warehouseItem.update({
+          where: { id: serialNumber.warehouseItemId },
+          data: { quantity: { decrement: 1 } }
+        });
+        await warehouseLocationService.adjust(serialNumber.productId, serialNumber.locationId, -1, tx);
+        await costLayerService.recordMovement(serialNumber.productId, -1, {}, tx);
+      }
+
+      return result;
     });
 
     res.json({
@@ -372,7 +445,8 @@ router.get('/grouped', async (req, res, next) => {
         totalQuantity: product.warehouseItems[0]?.quantity || 0,
         serialNumbers: product.serialNumbers,
         inStockCount: product.serialNumbers.filter(s => s.status === 'IN_STOCK').length,
-        outOfStockCount: product.serialNumbers.filter(s => s.status === 'OUT_OF_STOCK').length
+        outOfStockCount: product.serialNumbers.filter(s => s.status === 'OUT_OF_STOCK').length,
+        needsInspectionCount: product.serialNumbers.filter(s => s.status === 'NEEDS_INSPECTION').length
       }));
 
     res.json({ grouped });
@@ -0,0 +1,104 @@
+const express = require('express');
+const { validate, stocktakeCreateSchema, stocktakeCountSchema } = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const stocktakeService = require('../services/stocktake');
+
+const router = express.Router();
+
+// Получить список инвентаризаций
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    const result = await stocktakeService.getSessions({ status }, { page, limit });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Открыть инвентаризацию
+router.post('/', validate(stocktakeCreateSchema), async (req, res, next) => {
+  try {
+    const session = await stocktakeService.createSession(req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Stocktake session opened',
+      session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Получить инвентаризацию с расхождениями
+router.get('/:id', async (req, res, next) => {
+  try {
+    const session = await stocktakeService.getSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Stocktake session not found' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Внести фактическое количество по товару (повторный ввод заменяет предыдущий)
+router.put('/:id/lines', validate(stocktakeCountSchema), async (req, res, next) => {
+  try {
+    const line = await stocktakeService.recordCount(req.params.id, req.body, req.user.id);
+
+    res.json({
+      message: 'Count recorded',
+      line
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Убрать товар из инвентаризации
+router.delete('/:id/lines/:productId', async (req, res, next) => {
+  try {
+    await stocktakeService.removeLine(req.params.id, req.params.productId);
+
+    res.json({ message: 'Count removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Утвердить инвентаризацию и провести корректировки
+router.post('/:id/approve', requireRole(['ADMIN']), async (req, res, next) => {
+  try {
+    const result = await stocktakeService.approveSession(req.params.id, req.user.id);
+
+    res.json({
+      message: 'Stocktake session approved',
+      session: result.session,
+      transactions: result.transactions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Отменить инвентаризацию без изменения остатков
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const session = await stocktakeService.cancelSession(req.params.id);
+
+    res.json({
+      message: 'Stocktake session cancelled',
+      session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { validate, supplierCreateSchema, supplierUpdateSchema } = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get all suppliers
+router.get('/', async (req, res, next) => {
+  try {
+    const { search, includeInactive, page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = includeInactive === 'true' ? {} : { isActive: true };
+
+    if (search) {
+      where.OR = [
+        { name: { contains: search } },
+        { inn: { contains: search } },
+        { contactPerson: { contains: search } }
+      ];
+    }
+
+    const [suppliers, total] = await Promise.all([
+      prisma.supplier.findMany({
+        where,
+        skip: parseInt(skip),
+        take: parseInt(limit),
+        include: {
+          _count: {
+            select: { products: true, purchaseOrders: true }
+          }
+        },
+        orderBy: { name: 'asc' }
+      }),
+      prisma.supplier.count({ where })
+    ]);
+
+    res.json({
+      suppliers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get supplier by ID
+router.get('/:id', async (req, res, next) => {
+  try {
+    const supplier = await prisma.supplier.findUnique({
+      where: { id: req.params.id },
+      include: {
+        products: {
+          select: { id: true, name: true, code: true, unit: true, purchasePrice: true }
+        },
+        purchaseOrders: {
+          select: {
+            id: true,
+            number: true,
+            status: true,
+            totalAmount: true,
+            expectedDate: true,
+            createdAt: true
+          },
+          orderBy: { createdAt: 'desc' },
+          take: 20
+        }
+      }
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    res.json(supplier);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create supplier
+router.post('/', requireRole(['ADMIN', 'MANAGER']), validate(supplierCreateSchema), async (req, res, next) => {
+  try {
+    const existing = await prisma.supplier.findUnique({ where: { name: req.body.name } });
+    if (existing) {
+      return res.status(400).json({ error: 'Supplier with this name already exists' });
+    }
+
+    const supplier = await prisma.supplier.create({
+      data: req.body
+    });
+
+    res.status(201).json({
+      message: 'Supplier created successfully',
+      supplier
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update supplier
+router.put('/:id', requireRole(['ADMIN', 'MANAGER']), validate(supplierUpdateSchema), async (req, res, next) => {
+  try {
+    const supplier = await prisma.supplier.findUnique({ where: { id: req.params.id } });
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const updatedSupplier = await prisma.supplier.update({
+      where: { id: req.params.id },
+      data: req.body
+    });
+
+    res.json({
+      message: 'Supplier updated successfully',
+      supplier: updatedSupplier
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete supplier (deactivate if it has purchase orders)
+router.delete('/:id', requireRole(['ADMIN']), async (req, res, next) => {
+  try {
+    const supplier = await prisma.supplier.findUnique({
+      where: { id: req.params.id },
+      include: { _count: { select: { purchaseOrders: true } } }
+    });
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    // Заказы поставщику нужны для истории закупок, поэтому только деактивируем
+    if (supplier._count.purchaseOrders > 0) {
+      await prisma.supplier.update({
+        where: { id: req.params.id },
+        data: { isActive: false }
+      });
+
+      return res.json({ message: 'Supplier has purchase orders and was deactivated' });
+    }
+
+    await prisma.$transaction([
+      prisma.product.updateMany({
+        where: { supplierId: req.params.id },
+        data: { supplierId: null }
+      }),
+      prisma.supplier.delete({ where: { id: req.params.id } })
+    ]);
+
+    res.json({ message: 'Supplier deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
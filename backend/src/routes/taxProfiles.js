@@ -0,0 +1,108 @@
+const express = require('express');
+const {
+  validate,
+  taxProfileCreateSchema,
+  taxProfileUpdateSchema,
+  taxRecalculationSchema
+} = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const taxProfileService = require('../services/taxProfiles');
+
+const router = express.Router();
+
+// Get tax profiles
+router.get('/', async (req, res, next) => {
+  try {
+    const profiles = await taxProfileService.getProfiles({
+      companyCode: req.query.companyCode,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({ profiles });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Profile in effect for a selling company on a date
+router.get('/effective', async (req, res, next) => {
+  try {
+    const { sellingCompany } = req.query;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const profile = await taxProfileService.findEffectiveProfile(sellingCompany, date);
+
+    res.json({
+      profile,
+      taxes: await taxProfileService.resolveTaxes({ sellingCompany }, { date })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Recalculate stored calculations with current tax profiles
+router.post('/recalculate', requireRole(['ADMIN']), validate(taxRecalculationSchema), async (req, res, next) => {
+  try {
+    const result = await taxProfileService.recalculate(req.body, req.user.id);
+
+    res.json({
+      message: result.dryRun
+        ? `${result.changes.length} calculations would be recalculated`
+        : `Recalculated ${result.updated} calculations`,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get tax profile by ID
+router.get('/:id', async (req, res, next) => {
+  try {
+    const profile = await taxProfileService.getProfile(req.params.id);
+    res.json(profile);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create tax profile
+router.post('/', requireRole(['ADMIN']), validate(taxProfileCreateSchema), async (req, res, next) => {
+  try {
+    const profile = await taxProfileService.createProfile(req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Tax profile created successfully',
+      profile
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update tax profile
+router.put('/:id', requireRole(['ADMIN']), validate(taxProfileUpdateSchema), async (req, res, next) => {
+  try {
+    const profile = await taxProfileService.updateProfile(req.params.id, req.body, req.user.id);
+
+    res.json({
+      message: 'Tax profile updated successfully',
+      profile
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate tax profile
+router.delete('/:id', requireRole(['ADMIN']), async (req, res, next) => {
+  try {
+    await taxProfileService.deactivateProfile(req.params.id, req.user.id);
+
+    res.json({ message: 'Tax profile deactivated successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
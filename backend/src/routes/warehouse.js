@@ -1,6 +1,20 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { validate, warehouseUpdateSchema, transactionCreateSchema } = require('../middleware/validation');
+const {
+  validate,
+  warehouseUpdateSchema,
+  transactionCreateSchema,
+  warehouseCreateSchema,
+  warehouseEditSchema,
+  storageLocationCreateSchema,
+  storageLocationUpdateSchema
+} = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const stockReservationService = require('../services/stockReservations');
+const cylinderCirculationService = require('../services/cylinderCirculation');
+const certificationService = require('../services/certificationService');
+const warehouseLocationService = require('../services/warehouseLocations');
+const costLayerService = require('../services/costLayers');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -8,8 +22,9 @@ const prisma = new PrismaClient();
 // Get warehouse overview
 router.get('/', async (req, res, next) => {
   try {
-    const { search, lowStock, page = 1, limit = 50 } = req.query;
+    const { search, lowStock, warehouseId, locationId, page = 1, limit = 50 } = req.query;
     const skip = (page - 1) * limit;
+    const scopeLocationIds = await warehouseLocationService.getScopeLocationIds({ warehouseId, locationId });
 
     let where = {};
     
@@ -23,11 +38,11 @@ router.get('/', async (req, res, next) => {
       };
     }
 
+    // С фильтром по складу/ячейке остаток считается в памяти, поэтому пагинация тоже
     const [warehouseItems, total] = await Promise.all([
       prisma.warehouseItem.findMany({
         where,
-        skip: parseInt(skip),
-        take: parseInt(limit),
+        ...(!scopeLocationIds && { skip: parseInt(skip), take: parseInt(limit) }),
         include: {
           product: true
         },
@@ -38,22 +53,53 @@ router.get('/', async (req, res, next) => {
       prisma.warehouseItem.count({ where })
     ]);
 
-    let filteredItems = warehouseItems;
+    // Добавляем резерв, свободный остаток и остатки по ячейкам
+    const productIds = warehouseItems.map(item => item.productId);
+    const [reserved, locationQuantities] = await Promise.all([
+      stockReservationService.getReservedQuantities(productIds),
+      warehouseLocationService.getLocationQuantities(productIds)
+    ]);
+    let filteredItems = warehouseItems.map(item => {
+      const reservedQuantity = reserved.get(item.productId) || 0;
+      const locations = (locationQuantities.get(item.productId) || []).filter(entry => entry.quantity !== 0);
+      return {
+        ...item,
+        reservedQuantity,
+        availableQuantity: Math.max(0, item.quantity - reservedQuantity),
+        locations,
+        ...(scopeLocationIds && {
+          locationQuantity: locations
+            .filter(entry => scopeLocationIds.includes(entry.locationId))
+            .reduce((sum, entry) => sum + entry.quantity, 0)
+        })
+      };
+    });
+
+    if (scopeLocationIds) {
+      filteredItems = filteredItems.filter(item => item.locationQuantity > 0);
+    }
     
     // Filter by low stock if requested
     if (lowStock === 'true') {
-      filteredItems = warehouseItems.filter(item => 
+      filteredItems = filteredItems.filter(item => 
         item.product.minStock > 0 && item.quantity <= item.product.minStock
       );
     }
 
+    const filteredInMemory = lowStock === 'true' || !!scopeLocationIds;
+    const filteredTotal = filteredInMemory ? filteredItems.length : total;
+
+    if (scopeLocationIds) {
+      filteredItems = filteredItems.slice(parseInt(skip), parseInt(skip) + parseInt(limit));
+    }
+
     res.json({
       items: filteredItems,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: lowStock === 'true' ? filteredItems.length : total,
-        pages: Math.ceil((lowStock === 'true' ? filteredItems.length : total) / limit)
+        total: filteredTotal,
+        pages: Math.ceil(filteredTotal / limit)
       }
     });
   } catch (error) {
@@ -64,10 +110,14 @@ router.get('/', async (req, res, next) => {
 // Get warehouse statistics
 router.get('/stats', async (req, res, next) => {
   try {
+    const { warehouseId, locationId } = req.query;
+    const scopeLocationIds = await warehouseLocationService.getScopeLocationIds({ warehouseId, locationId });
+
     const [
       totalItems,
-      warehouseItems,
-      recentTransactions
+      allWarehouseItems,
+      recentTransactions,
+      reserved
     ] = await Promise.all([
       prisma.product.count(),
       prisma.warehouseItem.findMany({
@@ -79,19 +129,38 @@ router.get('/stats', async (req, res, next) => {
             gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // Last 30 days
           }
         }
-      })
+      }),
+      stockReservationService.getReservedQuantities()
     ]);
 
+    // Остаток по выбранному складу/ячейке; резерв ведется по товару в целом
+    const locationQuantities = scopeLocationIds ? await warehouseLocationService.getLocationQuantities() : null;
+    const warehouseItems = !scopeLocationIds ? allWarehouseItems : allWarehouseItems
+      .map(item => ({
+        ...item,
+        quantity: (locationQuantities.get(item.productId) || [])
+          .filter(entry => scopeLocationIds.includes(entry.locationId))
+          .reduce((sum, entry) => sum + entry.quantity, 0)
+      }))
+      .filter(item => item.quantity > 0);
+
     const totalQuantity = warehouseItems.reduce((sum, item) => sum + item.quantity, 0);
     const totalValue = warehouseItems.reduce((sum, item) => 
       sum + (item.quantity * item.product.purchasePrice), 0);
+    const totalReserved = warehouseItems.reduce((sum, item) =>
+      sum + Math.min(item.quantity, reserved.get(item.productId) || 0), 0);
+    const reservedValue = warehouseItems.reduce((sum, item) =>
+      sum + (Math.min(item.quantity, reserved.get(item.productId) || 0) * item.product.purchasePrice), 0);
     const lowStockItems = warehouseItems.filter(item => 
       item.product.minStock > 0 && item.quantity <= item.product.minStock).length;
 
     res.json({
-      totalItems,
+      totalItems: scopeLocationIds ? warehouseItems.length : totalItems,
       totalQuantity: Math.round(totalQuantity),
+      totalReserved: Math.round(totalReserved),
+      totalAvailable: Math.round(totalQuantity - totalReserved),
       totalValue: Math.round(totalValue),
+      reservedValue: Math.round(reservedValue),
       lowStockItems,
       recentTransactions
     });
@@ -100,10 +169,13 @@ router.get('/stats', async (req, res, next) => {
   }
 });
 
-// Create transaction (incoming/outgoing/inventory)
+// Create transaction (incoming/outgoing/inventory/return/transfer)
 router.post('/transactions', validate(transactionCreateSchema), async (req, res, next) => {
   try {
-    const { productId, type, quantity, reason, clientId, serialNumbers, serialNumberIds } = req.body;
+    const {
+      productId, type, quantity, reason, clientId, serialNumbers, serialNumberIds, needsInspection,
+      certificationDate, nextCertificationDate, certificationIntervalMonths, locationId, toLocationId, unitCost
+    } = req.body;
     const userId = req.user.id;
 
     const result = await prisma.$transaction(async (prisma) => {
@@ -117,21 +189,119 @@ router.post('/transactions', validate(transactionCreateSchema), async (req, res,
         throw new Error('Product not found in warehouse');
       }
 
+      // Возврат тары работает по конкретным баллонам
+      if (type === 'RETURN') {
+        const returned = await cylinderCirculationService.returnCylinders({
+          productId,
+          userId,
+          serialNumbers,
+          serialNumberIds,
+          clientId,
+          needsInspection,
+          locationId,
+          reason
+        }, prisma);
+
+        const updatedWarehouseItem = await prisma.warehouseItem.update({
+          where: { productId },
+          data: { quantity: { increment: returned.stockIncrement } }
+        });
+        await costLayerService.recordMovement(productId, returned.stockIncrement, { sourceType: 'RETURN' }, prisma);
+
+        return {
+          transaction: returned.transactions[0],
+          transactions: returned.transactions,
+          refundedDeposit: returned.refundedDeposit,
+          updatedWarehouseItem
+        };
+      }
+
+      // Переосвидетельствование сдвигает даты проверки баллонов
+      if (type === 'CERTIFICATION') {
+        const certified = await certificationService.recordCertification({
+          productId,
+          userId,
+          serialNumbers,
+          serialNumberIds,
+          certificationDate,
+          nextCertificationDate,
+          intervalMonths: certificationIntervalMonths,
+          reason
+        }, prisma);
+
+        const updatedWarehouseItem = await prisma.warehouseItem.update({
+          where: { productId },
+          data: { quantity: { increment: certified.stockIncrement } }
+        });
+        await costLayerService.recordMovement(productId, certified.stockIncrement, { sourceType: 'CERTIFICATION' }, prisma);
+
+        return {
+          transaction: certified.transactions[0],
+          transactions: certified.transactions,
+          nextCertificationDate: certified.nextCertificationDate,
+          updatedWarehouseItem
+        };
+      }
+
+      // Перемещение между ячейками не меняет общий остаток
+      if (type === 'TRANSFER') {
+        const transaction = await warehouseLocationService.transfer({
+          productId,
+          userId,
+          quantity,
+          fromLocationId: locationId,
+          toLocationId,
+          serialNumbers,
+          reason
+        }, prisma);
+
+        return { transaction, updatedWarehouseItem: warehouseItem };
+      }
+
       let newQuantity = warehouseItem.quantity;
+      const location = await warehouseLocationService.resolveLocation(locationId, prisma);
+      const locationQuantity = await warehouseLocationService.getQuantityAt(productId, location.id, prisma);
 
       // Calculate new quantity based on transaction type
       switch (type) {
         case 'INCOMING':
           newQuantity += quantity;
+          await warehouseLocationService.adjust(productId, location.id, quantity, prisma);
           break;
-        case 'OUTGOING':
-          if (quantity > warehouseItem.quantity) {
-            throw new Error(`Insufficient stock. Available: ${warehouseItem.quantity} ${warehouseItem.product.unit}`);
+        case 'OUTGOING': {
+          // Зарезервированный под заявки товар списывать нельзя
+          const reserved = await stockReservationService.getReservedQuantities([productId], {}, prisma);
+          const reservedQuantity = reserved.get(productId) || 0;
+          const available = Math.max(0, warehouseItem.quantity - reservedQuantity);
+
+          if (quantity > available) {
+            const error = new Error(`Insufficient stock. Available: ${available} ${warehouseItem.product.unit} (on hand: ${warehouseItem.quantity}, reserved: ${reservedQuantity})`);
+            error.statusCode = 400;
+            throw error;
+          }
+          if (quantity > locationQuantity) {
+            const error = new Error(`Insufficient stock in location ${location.code}. Available: ${locationQuantity} ${warehouseItem.product.unit}`);
+            error.statusCode = 400;
+            throw error;
           }
           newQuantity -= quantity;
+          await warehouseLocationService.adjust(productId, location.id, -quantity, prisma);
           break;
+        }
         case 'INVENTORY':
-          newQuantity = quantity; // Set absolute quantity
+          if (locationId) {
+            // Пересчет одной ячейки: общий остаток меняется на разницу
+            newQuantity += quantity - locationQuantity;
+            await warehouseLocationService.adjust(productId, location.id, quantity - locationQuantity, prisma);
+          } else {
+            const allocated = await warehouseLocationService.getAllocatedQuantity(productId, prisma);
+            if (quantity < allocated) {
+              const error = new Error(`Quantity is less than stock allocated to storage locations (${allocated} ${warehouseItem.product.unit})`);
+              error.statusCode = 400;
+              throw error;
+            }
+            newQuantity = quantity; // Set absolute quantity
+          }
           break;
         default:
           throw new Error('Invalid transaction type');
@@ -151,7 +321,8 @@ router.post('/transactions', validate(transactionCreateSchema), async (req, res,
           clientId,
           type,
           quantity,
-          reason
+          reason,
+          locationId: location.id
         },
         include: {
           product: {
@@ -166,13 +337,23 @@ router.post('/transactions', validate(transactionCreateSchema), async (req, res,
         }
       });
 
+      // Партия себестоимости при поступлении, списание партий при расходе
+      await costLayerService.recordMovement(productId, newQuantity - warehouseItem.quantity, {
+        transactionId: transaction.id,
+        sourceType: type === 'INCOMING' ? 'INCOMING' : 'INVENTORY',
+        unitCost: type === 'INCOMING' ? unitCost : undefined
+      }, prisma);
+
       return { transaction, updatedWarehouseItem };
     });
 
     res.status(201).json({
       message: 'Transaction completed successfully',
       transaction: result.transaction,
-      newQuantity: result.updatedWarehouseItem.quantity
+      newQuantity: result.updatedWarehouseItem.quantity,
+      ...(result.transactions && { transactions: result.transactions }),
+      ...(result.refundedDeposit !== undefined && { refundedDeposit: result.refundedDeposit }),
+      ...(result.nextCertificationDate && { nextCertificationDate: result.nextCertificationDate })
     });
   } catch (error) {
     next(error);
@@ -197,6 +378,12 @@ router.get('/products/:productId/transactions', async (req, res, next) => {
           },
           client: {
             select: { name: true }
+          },
+          location: {
+            select: { code: true, warehouse: { select: { name: true } } }
+          },
+          toLocation: {
+            select: { code: true, warehouse: { select: { name: true } } }
           }
         },
         orderBy: { createdAt: 'desc' }
@@ -223,10 +410,13 @@ router.get('/products/:productId/transactions', async (req, res, next) => {
 // Get all recent transactions
 router.get('/transactions', async (req, res, next) => {
   try {
-    const { page = 1, limit = 50, type } = req.query;
+    const { page = 1, limit = 50, type, locationId } = req.query;
     const skip = (page - 1) * limit;
 
     const where = type ? { type } : {};
+    if (locationId) {
+      where.OR = [{ locationId }, { toLocationId: locationId }];
+    }
 
     const [transactions, total] = await Promise.all([
       prisma.transaction.findMany({
@@ -242,6 +432,12 @@ router.get('/transactions', async (req, res, next) => {
           },
           client: {
             select: { name: true }
+          },
+          location: {
+            select: { code: true, warehouse: { select: { name: true } } }
+          },
+          toLocation: {
+            select: { code: true, warehouse: { select: { name: true } } }
           }
         },
         orderBy: { createdAt: 'desc' }
@@ -263,6 +459,187 @@ router.get('/transactions', async (req, res, next) => {
   }
 });
 
+// Get stock reservations
+router.get('/reservations', async (req, res, next) => {
+  try {
+    const { productId, orderId, status, page, limit } = req.query;
+
+    const result = await stockReservationService.getReservations(
+      { productId, orderId, status },
+      { page, limit }
+    );
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get stock valuation as of a date (FIFO or weighted average)
+router.get('/valuation', async (req, res, next) => {
+  try {
+    const { asOf, method, productId } = req.query;
+
+    if (asOf && isNaN(new Date(asOf).getTime())) {
+      return res.status(400).json({ error: 'Invalid asOf date' });
+    }
+
+    const valuation = await costLayerService.getValuation({ asOf, method, productId });
+
+    res.json(valuation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create opening cost layers for stock received before cost tracking
+router.post('/valuation/opening-balance', requireRole(['ADMIN']), async (req, res, next) => {
+  try {
+    const result = await costLayerService.createOpeningLayers(req.user.id);
+
+    res.json({
+      message: 'Opening cost layers created',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get warehouses with storage locations
+router.get('/warehouses', async (req, res, next) => {
+  try {
+    const warehouses = await warehouseLocationService.getWarehouses({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({ warehouses });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create warehouse
+router.post('/warehouses', requireRole(['ADMIN']), validate(warehouseCreateSchema), async (req, res, next) => {
+  try {
+    const { name, code, address, isActive } = req.body;
+
+    const existing = await prisma.warehouse.findFirst({
+      where: { OR: [{ name }, ...(code ? [{ code }] : [])] }
+    });
+    if (existing) {
+      return res.status(400).json({ error: 'Warehouse with this name or code already exists' });
+    }
+
+    const warehouse = await prisma.warehouse.create({
+      data: { name, code, address, isActive },
+      include: { locations: true }
+    });
+
+    res.status(201).json({
+      message: 'Warehouse created successfully',
+      warehouse
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update warehouse
+router.put('/warehouses/:id', requireRole(['ADMIN']), validate(warehouseEditSchema), async (req, res, next) => {
+  try {
+    const warehouse = await prisma.warehouse.findUnique({ where: { id: req.params.id } });
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    if (warehouse.isDefault && req.body.isActive === false) {
+      return res.status(400).json({ error: 'Default warehouse cannot be deactivated' });
+    }
+
+    const updatedWarehouse = await prisma.warehouse.update({
+      where: { id: req.params.id },
+      data: req.body,
+      include: { locations: true }
+    });
+
+    res.json({
+      message: 'Warehouse updated successfully',
+      warehouse: updatedWarehouse
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create storage location (bin) in a warehouse
+router.post('/warehouses/:id/locations', requireRole(['ADMIN']), validate(storageLocationCreateSchema), async (req, res, next) => {
+  try {
+    const { code, name, isActive } = req.body;
+
+    const warehouse = await prisma.warehouse.findUnique({ where: { id: req.params.id } });
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const existing = await prisma.storageLocation.findUnique({
+      where: { warehouseId_code: { warehouseId: warehouse.id, code } }
+    });
+    if (existing) {
+      return res.status(400).json({ error: 'Location with this code already exists in the warehouse' });
+    }
+
+    const location = await prisma.storageLocation.create({
+      data: { warehouseId: warehouse.id, code, name, isActive },
+      include: { warehouse: { select: { id: true, name: true } } }
+    });
+
+    res.status(201).json({
+      message: 'Storage location created successfully',
+      location
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update storage location
+router.put('/locations/:id', requireRole(['ADMIN']), validate(storageLocationUpdateSchema), async (req, res, next) => {
+  try {
+    const location = await prisma.storageLocation.findUnique({ where: { id: req.params.id } });
+    if (!location) {
+      return res.status(404).json({ error: 'Storage location not found' });
+    }
+
+    if (req.body.isActive === false) {
+      if (location.isDefault) {
+        return res.status(400).json({ error: 'Default location cannot be deactivated' });
+      }
+
+      const stock = await prisma.locationStock.aggregate({
+        where: { locationId: location.id },
+        _sum: { quantity: true }
+      });
+      if ((stock._sum.quantity || 0) > 0) {
+        return res.status(400).json({ error: 'Location still holds stock. Transfer it before deactivation' });
+      }
+    }
+
+    const updatedLocation = await prisma.storageLocation.update({
+      where: { id: req.params.id },
+      data: req.body,
+      include: { warehouse: { select: { id: true, name: true } } }
+    });
+
+    res.json({
+      message: 'Storage location updated successfully',
+      location: updatedLocation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get warehouse item by product ID
 router.get('/products/:productId', async (req, res, next) => {
   try {
@@ -277,7 +654,27 @@ router.get('/products/:productId', async (req, res, next) => {
       return res.status(404).json({ error: 'Product not found in warehouse' });
     }
 
-    res.json(warehouseItem);
+    const [reserved, locationQuantities] = await Promise.all([
+      stockReservationService.getReservedQuantities([warehouseItem.productId]),
+      warehouseLocationService.getLocationQuantities([warehouseItem.productId])
+    ]);
+    const reservedQuantity = reserved.get(warehouseItem.productId) || 0;
+
+    const entries = (locationQuantities.get(warehouseItem.productId) || []).filter(entry => entry.quantity !== 0);
+    const locations = await prisma.storageLocation.findMany({
+      where: { id: { in: entries.map(entry => entry.locationId) } },
+      include: { warehouse: { select: { id: true, name: true } } }
+    });
+
+    res.json({
+      ...warehouseItem,
+      reservedQuantity,
+      availableQuantity: Math.max(0, warehouseItem.quantity - reservedQuantity),
+      locations: entries.map(entry => ({
+        ...entry,
+        location: locations.find(location => location.id === entry.locationId)
+      }))
+    });
   } catch (error) {
     next(error);
   }
@@ -300,6 +697,13 @@ router.put('/products/:productId/quantity', validate(warehouseUpdateSchema), asy
         throw new Error('Product not found in warehouse');
       }
 
+      const allocated = await warehouseLocationService.getAllocatedQuantity(productId, prisma);
+      if (quantity < allocated) {
+        const error = new Error(`Quantity is less than stock allocated to storage locations (${allocated} ${currentItem.product.unit})`);
+        error.statusCode = 400;
+        throw error;
+      }
+
       const difference = quantity - currentItem.quantity;
 
       // Update warehouse quantity
@@ -309,7 +713,7 @@ router.put('/products/:productId/quantity', validate(warehouseUpdateSchema), asy
       });
 
       // Record as inventory adjustment
-      await prisma.transaction.create({
+      const transaction = await prisma.transaction.create({
         data: {
           productId,
           userId,
@@ -319,6 +723,11 @@ router.put('/products/:productId/quantity', validate(warehouseUpdateSchema), asy
         }
       });
 
+      await costLayerService.recordMovement(productId, difference, {
+        transactionId: transaction.id,
+        sourceType: 'INVENTORY'
+      }, prisma);
+
       return updatedItem;
     });
 
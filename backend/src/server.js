@@ -29,6 +29,18 @@ const remindersRoutes = require('./routes/reminders');
 const proposalsRoutes = require('./routes/proposals');
 const digitalSignaturesRoutes = require('./routes/digitalSignatures');
 const analyticsRoutes = require('./routes/analytics');
+const stocktakeRoutes = require('./routes/stocktakes');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const labelRoutes = require('./routes/labels');
+const companyTemplateRoutes = require('./routes/companyTemplates');
+const competitorPriceRoutes = require('./routes/competitorPrices');
+const currencyRoutes = require('./routes/currencies');
+const taxProfileRoutes = require('./routes/taxProfiles');
+const calculationTemplateRoutes = require('./routes/calculationTemplates');
+const priceListRoutes = require('./routes/priceLists');
+const publicProposalRoutes = require('./routes/publicProposals');
+const publicSignatureRoutes = require('./routes/publicSignatures');
 const { router: backupRoutes, initializeBackupScheduler } = require('./routes/backup');
 const cronJobsService = require('./services/cronJobs');
 
@@ -184,6 +196,10 @@ app.use('/api/auth', (req, res, next) => {
   next();
 }, authRoutes);
 
+// Public client links (signed token instead of login)
+app.use('/api/public/proposals', publicProposalRoutes);
+app.use('/api/public/signature-requests', publicSignatureRoutes);
+
 app.use('/api/clients', authenticateToken, logAuthenticatedAccess, warmCacheMiddleware, cacheMiddleware('clients', 300), clientRoutes);
 app.use('/api/products', authenticateToken, logAuthenticatedAccess, warmCacheMiddleware, cacheMiddleware('products', 600), productRoutes);
 app.use('/api/warehouse', authenticateToken, logAuthenticatedAccess, warmCacheMiddleware, cacheMiddleware('warehouse', 300), warehouseRoutes);
@@ -199,6 +215,16 @@ app.use('/api/proposals', authenticateToken, logAuthenticatedAccess, proposalsRo
 app.use('/api/digital-signatures', authenticateToken, logAuthenticatedAccess, digitalSignaturesRoutes);
 app.use('/api/analytics', authenticateToken, logAuthenticatedAccess, warmCacheMiddleware, cacheMiddleware('analytics', 180), analyticsRoutes);
 app.use('/api/serial-numbers', authenticateToken, logAuthenticatedAccess, require('./routes/serialNumbers'));
+app.use('/api/stocktakes', authenticateToken, logAuthenticatedAccess, stocktakeRoutes);
+app.use('/api/suppliers', authenticateToken, logAuthenticatedAccess, supplierRoutes);
+app.use('/api/purchase-orders', authenticateToken, logAuthenticatedAccess, purchaseOrderRoutes);
+app.use('/api/labels', authenticateToken, logAuthenticatedAccess, labelRoutes);
+app.use('/api/company-templates', authenticateToken, logAuthenticatedAccess, companyTemplateRoutes);
+app.use('/api/competitor-prices', authenticateToken, logAuthenticatedAccess, competitorPriceRoutes);
+app.use('/api/currencies', authenticateToken, logAuthenticatedAccess, currencyRoutes);
+app.use('/api/tax-profiles', authenticateToken, logAuthenticatedAccess, taxProfileRoutes);
+app.use('/api/calculation-templates', authenticateToken, logAuthenticatedAccess, calculationTemplateRoutes);
+app.use('/api/price-lists', authenticateToken, logAuthenticatedAccess, priceListRoutes);
 app.use('/api/backup', authenticateToken, logAuthenticatedAccess, backupRoutes);
 
 // Add error tracking before error handler
@@ -0,0 +1,306 @@
+const { PrismaClient } = require('@prisma/client');
+const { logger, logError } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Цены за 1000 токенов в USD (prompt / completion), переопределяются через AI_MODEL_PRICES
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4': { prompt: 0.03, completion: 0.06 },
+  'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+  'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+  'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+  'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 }
+};
+
+const GROUP_BY_OPTIONS = ['user', 'day', 'month', 'model', 'operation'];
+
+class AiUsageService {
+  constructor() {
+    this.modelPrices = { ...DEFAULT_MODEL_PRICES };
+
+    if (process.env.AI_MODEL_PRICES) {
+      try {
+        Object.assign(this.modelPrices, JSON.parse(process.env.AI_MODEL_PRICES));
+      } catch (error) {
+        logger.warn('Invalid AI_MODEL_PRICES, using default prices', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Estimated cost of a call. Models are matched by the longest known prefix,
+   * so "gpt-4o-2024-08-06" is priced as "gpt-4o"; unknown models (local, template) are free.
+   * @param {string|null} model - Model name
+   * @param {number} promptTokens - Prompt tokens
+   * @param {number} completionTokens - Completion tokens
+   * @returns {number} Cost in USD
+   */
+  estimateCost(model, promptTokens, completionTokens) {
+    if (!model) return 0;
+
+    const key = Object.keys(this.modelPrices)
+      .filter(name => model === name || model.startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!key) return 0;
+
+    const price = this.modelPrices[key];
+    const cost = (promptTokens / 1000) * price.prompt + (completionTokens / 1000) * price.completion;
+
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
+  /**
+   * Record one generation call. Accounting must never break generation,
+   * so failures are only logged.
+   * @param {Object} entry - userId, calculationId, operation, provider, model, usage, latencyMs, outcome, errorMessage
+   * @returns {Promise<Object|null>} Created record
+   */
+  async record(entry) {
+    try {
+      const usage = entry.usage || {};
+      const promptTokens = usage.promptTokens || 0;
+      const completionTokens = usage.completionTokens || 0;
+
+      return await prisma.aiUsage.create({
+        data: {
+          userId: entry.userId,
+          calculationId: entry.calculationId || null,
+          operation: entry.operation,
+          provider: entry.provider,
+          model: entry.model || null,
+          promptTokens,
+          completionTokens,
+          totalTokens: usage.totalTokens || promptTokens + completionTokens,
+          estimatedCost: this.estimateCost(entry.model, promptTokens, completionTokens),
+          latencyMs: Math.round(entry.latencyMs || 0),
+          outcome: entry.outcome,
+          errorMessage: entry.errorMessage ? entry.errorMessage.slice(0, 500) : null
+        }
+      });
+    } catch (error) {
+      logError(error, null, { operation: 'record_ai_usage' });
+      return null;
+    }
+  }
+
+  /**
+   * Start of the current calendar month
+   * @param {Date} now - Reference date
+   * @returns {Date} First day of month, 00:00
+   */
+  getMonthStart(now = new Date()) {
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  }
+
+  /**
+   * Tokens and cost spent by a user in the current month
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { tokens, cost }
+   */
+  async getMonthUsage(userId) {
+    const result = await prisma.aiUsage.aggregate({
+      where: { userId, createdAt: { gte: this.getMonthStart() } },
+      _sum: { totalTokens: true, estimatedCost: true }
+    });
+
+    return {
+      tokens: result._sum.totalTokens || 0,
+      cost: Math.round((result._sum.estimatedCost || 0) * 10000) / 10000
+    };
+  }
+
+  /**
+   * Compare month usage with a quota
+   * @param {Object|null} quota - { monthlyTokens, monthlyCost }
+   * @param {Object} used - { tokens, cost }
+   * @returns {Object} { allowed, reason }
+   */
+  evaluateQuota(quota, used) {
+    if (quota?.monthlyTokens != null && used.tokens >= quota.monthlyTokens) {
+      return { allowed: false, reason: 'TOKENS' };
+    }
+
+    if (quota?.monthlyCost != null && used.cost >= quota.monthlyCost) {
+      return { allowed: false, reason: 'COST' };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Quota status of a user for the current month
+   * @param {Object} user - Current user (id, role)
+   * @returns {Promise<Object>} { allowed, reason, quota, used, resetsAt }
+   */
+  async getQuotaStatus(user) {
+    const [quota, used] = await Promise.all([
+      prisma.aiQuota.findUnique({ where: { role: user.role } }),
+      this.getMonthUsage(user.id)
+    ]);
+
+    const now = new Date();
+
+    return {
+      ...this.evaluateQuota(quota, used),
+      quota: quota
+        ? { role: quota.role, monthlyTokens: quota.monthlyTokens, monthlyCost: quota.monthlyCost }
+        : null,
+      used,
+      resetsAt: new Date(now.getFullYear(), now.getMonth() + 1, 1)
+    };
+  }
+
+  /**
+   * List role quotas
+   * @returns {Promise<Object[]>} Quotas
+   */
+  async getQuotas() {
+    return prisma.aiQuota.findMany({ orderBy: { role: 'asc' } });
+  }
+
+  /**
+   * Create or replace the quota of a role
+   * @param {string} role - User role
+   * @param {Object} data - monthlyTokens, monthlyCost (null - unlimited)
+   * @returns {Promise<Object>} Quota
+   */
+  async setQuota(role, data) {
+    const values = {
+      monthlyTokens: data.monthlyTokens ?? null,
+      monthlyCost: data.monthlyCost ?? null
+    };
+
+    return prisma.aiQuota.upsert({
+      where: { role },
+      create: { role, ...values },
+      update: values
+    });
+  }
+
+  /**
+   * Usage statistics of one user for a period
+   * @param {string} userId - User ID
+   * @param {Date} dateFrom - Period start
+   * @param {Date} dateTo - Period end
+   * @returns {Promise<Object>} Totals
+   */
+  async getUsageStatistics(userId, dateFrom, dateTo) {
+    const where = { userId, createdAt: { gte: dateFrom, lte: dateTo } };
+
+    const [totals, failed] = await Promise.all([
+      prisma.aiUsage.aggregate({
+        where,
+        _count: { _all: true },
+        _sum: { totalTokens: true, promptTokens: true, completionTokens: true, estimatedCost: true },
+        _avg: { latencyMs: true }
+      }),
+      prisma.aiUsage.count({ where: { ...where, outcome: 'ERROR' } })
+    ]);
+
+    return {
+      totalRequests: totals._count._all,
+      failedRequests: failed,
+      totalTokens: totals._sum.totalTokens || 0,
+      promptTokens: totals._sum.promptTokens || 0,
+      completionTokens: totals._sum.completionTokens || 0,
+      estimatedCost: Math.round((totals._sum.estimatedCost || 0) * 10000) / 10000,
+      averageLatencyMs: Math.round(totals._avg.latencyMs || 0),
+      period: { from: dateFrom, to: dateTo }
+    };
+  }
+
+  /**
+   * Aggregated usage report
+   * @param {Object} filters - from, to, userId, role
+   * @param {string} groupBy - user, day, month, model or operation
+   * @returns {Promise<Object>} Groups with totals
+   */
+  async getUsageReport(filters = {}, groupBy = 'user') {
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+      const error = new Error(`groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const where = {
+      createdAt: {
+        gte: filters.from || this.getMonthStart(),
+        lte: filters.to || new Date()
+      }
+    };
+    if (filters.userId) where.userId = filters.userId;
+    if (filters.role) where.user = { role: filters.role };
+
+    const records = await prisma.aiUsage.findMany({
+      where,
+      select: {
+        userId: true,
+        operation: true,
+        model: true,
+        provider: true,
+        totalTokens: true,
+        estimatedCost: true,
+        latencyMs: true,
+        outcome: true,
+        createdAt: true,
+        user: { select: { name: true, email: true, role: true } }
+      }
+    });
+
+    const keyOf = {
+      user: record => record.userId,
+      day: record => record.createdAt.toISOString().slice(0, 10),
+      month: record => record.createdAt.toISOString().slice(0, 7),
+      model: record => record.model || record.provider,
+      operation: record => record.operation
+    }[groupBy];
+
+    const groups = new Map();
+    for (const record of records) {
+      const key = keyOf(record);
+      const group = groups.get(key) || {
+        key,
+        ...(groupBy === 'user' ? { user: record.user } : {}),
+        requests: 0,
+        failedRequests: 0,
+        totalTokens: 0,
+        estimatedCost: 0,
+        totalLatencyMs: 0
+      };
+
+      group.requests += 1;
+      group.failedRequests += record.outcome === 'ERROR' ? 1 : 0;
+      group.totalTokens += record.totalTokens;
+      group.estimatedCost += record.estimatedCost;
+      group.totalLatencyMs += record.latencyMs;
+      groups.set(key, group);
+    }
+
+    const rows = Array.from(groups.values()).map(({ totalLatencyMs, ...group }) => ({
+      ...group,
+      estimatedCost: Math.round(group.estimatedCost * 10000) / 10000,
+      averageLatencyMs: Math.round(totalLatencyMs / group.requests)
+    }));
+
+    rows.sort(groupBy === 'day' || groupBy === 'month'
+      ? (a, b) => a.key.localeCompare(b.key)
+      : (a, b) => b.totalTokens - a.totalTokens);
+
+    return {
+      groupBy,
+      period: where.createdAt,
+      groups: rows,
+      totals: {
+        requests: records.length,
+        failedRequests: rows.reduce((sum, row) => sum + row.failedRequests, 0),
+        totalTokens: rows.reduce((sum, row) => sum + row.totalTokens, 0),
+        estimatedCost: Math.round(rows.reduce((sum, row) => sum + row.estimatedCost, 0) * 10000) / 10000
+      }
+    };
+  }
+}
+
+const aiUsageService = new AiUsageService();
+
+module.exports = aiUsageService;
@@ -0,0 +1,284 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent } = require('../utils/logger');
+const currencyService = require('./currency');
+const priceListService = require('./priceLists');
+
+const prisma = new PrismaClient();
+
+// Затраты шаблона (на единицу товара) и расчета (на сделку)
+const COST_FIELDS = ['gasCost', 'cylinderCost', 'preparationCost', 'logisticsCost', 'workersCost', 'kickbacksCost'];
+
+class CalculationTemplateService {
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Calculation templates
+   * @param {Object} filters - productId, clientGroup ('default' - templates for all groups), includeInactive
+   * @returns {Promise<Object[]>} Templates
+   */
+  async getTemplates(filters = {}) {
+    const where = filters.includeInactive ? {} : { isActive: true };
+
+    if (filters.productId) where.productId = filters.productId;
+    if (filters.clientGroup) {
+      where.clientGroup = filters.clientGroup === 'default' ? null : filters.clientGroup;
+    }
+
+    return prisma.calculationTemplate.findMany({
+      where,
+      include: { product: { select: { id: true, name: true, code: true } } },
+      orderBy: { updatedAt: 'desc' }
+    });
+  }
+
+  /**
+   * Get a calculation template
+   * @param {string} id - Template ID
+   * @returns {Promise<Object>} Template
+   */
+  async getTemplate(id) {
+    const template = await prisma.calculationTemplate.findUnique({
+      where: { id },
+      include: { product: { select: { id: true, name: true, code: true } } }
+    });
+
+    if (!template) {
+      throw this.createError('Шаблон расчета не найден', 404);
+    }
+
+    return template;
+  }
+
+  /**
+   * Check template references
+   * @param {Object} data - Template data
+   * @returns {Promise<Object>} Data with normalized currency
+   */
+  async validateTemplate(data) {
+    if (data.productId) {
+      const product = await prisma.product.findUnique({ where: { id: data.productId } });
+      if (!product) {
+        throw this.createError('Товар не найден');
+      }
+    }
+
+    return data.currency
+      ? { ...data, currency: await currencyService.assertCurrency(data.currency) }
+      : data;
+  }
+
+  /**
+   * Create a calculation template
+   * @param {Object} data - name, productId, clientGroup, sellingCompany, currency, unit costs
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(data, userId) {
+    const fields = await this.validateTemplate({ currency: currencyService.baseCurrency, ...data });
+
+    const template = await prisma.calculationTemplate.create({
+      data: { ...fields, createdById: userId }
+    });
+
+    logBusinessEvent('calculation_template_created', null, {
+      templateId: template.id,
+      productId: template.productId,
+      clientGroup: template.clientGroup,
+      userId
+    });
+
+    return template;
+  }
+
+  /**
+   * Update a calculation template. Existing calculations are not changed.
+   * @param {string} id - Template ID
+   * @param {Object} data - Fields to change
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(id, data, userId) {
+    await this.getTemplate(id);
+    const fields = await this.validateTemplate(data);
+
+    const template = await prisma.calculationTemplate.update({ where: { id }, data: fields });
+
+    logBusinessEvent('calculation_template_updated', null, { templateId: id, userId, fields: Object.keys(data) });
+
+    return template;
+  }
+
+  /**
+   * Deactivate a calculation template
+   * @param {string} id - Template ID
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Deactivated template
+   */
+  async deactivateTemplate(id, userId) {
+    await this.getTemplate(id);
+
+    const template = await prisma.calculationTemplate.update({ where: { id }, data: { isActive: false } });
+
+    logBusinessEvent('calculation_template_deactivated', null, { templateId: id, userId });
+
+    return template;
+  }
+
+  /**
+   * Most specific template for the deal: a product template beats a generic one,
+   * a client group template beats one for all groups; ties go to the latest updated.
+   * Templates of another selling company are skipped.
+   * @param {Object[]} templates - Active templates, latest updated first
+   * @param {string[]} productIds - Products of the order
+   * @param {string} clientGroup - Client group
+   * @param {string} sellingCompany - Selling company of the calculation
+   * @returns {Object|null} Template or null
+   */
+  pickTemplate(templates, productIds, clientGroup, sellingCompany) {
+    let best = null;
+    let bestScore = -1;
+
+    for (const template of templates) {
+      if (template.productId && !productIds.includes(template.productId)) continue;
+      if (template.clientGroup && template.clientGroup !== clientGroup) continue;
+      if (sellingCompany && template.sellingCompany && template.sellingCompany !== sellingCompany) continue;
+
+      const score = (template.productId ? 2 : 0) + (template.clientGroup ? 1 : 0);
+      if (score > bestScore) {
+        best = template;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Find the template for the deal
+   * @param {string[]} productIds - Products of the order
+   * @param {string} clientGroup - Client group
+   * @param {string} sellingCompany - Selling company of the calculation
+   * @returns {Promise<Object|null>} Template or null
+   */
+  async findTemplate(productIds, clientGroup, sellingCompany) {
+    const templates = await prisma.calculationTemplate.findMany({
+      where: {
+        isActive: true,
+        OR: [{ productId: null }, { productId: { in: productIds } }]
+      },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    return this.pickTemplate(templates, productIds, clientGroup, sellingCompany);
+  }
+
+  /**
+   * Values to prefill a calculation for an order: costs from the template
+   * (unit costs x quantity) and the unit price from the client group price list
+   * by volume tier. Fields already entered are left as is. Amounts in a currency
+   * without an exchange rate on the order date are skipped and reported in missingRates.
+   * @param {Object} order - Order with client and items
+   * @param {Object} data - Calculation data entered (calculationTemplateId, priceListId to force)
+   * @param {string} currency - Calculation currency
+   * @returns {Promise<Object>} { values, calculationTemplateId, priceListId, clientGroup, missingPrices, missingRates }
+   */
+  async buildPrefill(order, data, currency) {
+    const items = order.items || [];
+    const productIds = [...new Set(items.map(item => item.productId))];
+    const clientGroup = order.client?.clientGroup || null;
+    const date = order.orderDate || new Date();
+    const values = {};
+    const missingRates = [];
+
+    // Курс в валюту расчета; без курса на дату заявки поле не предзаполняется
+    const findRate = async (from) => {
+      try {
+        return await currencyService.getRate(from, currency, date);
+      } catch (error) {
+        if (error.statusCode !== 400) {
+          throw error;
+        }
+        if (!missingRates.includes(from)) {
+          missingRates.push(from);
+        }
+        return null;
+      }
+    };
+
+    const orderedQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
+    if (data.quantity === undefined && orderedQuantity > 0) {
+      values.quantity = orderedQuantity;
+    }
+    const quantity = data.quantity ?? orderedQuantity;
+
+    const template = data.calculationTemplateId
+      ? await this.getTemplate(data.calculationTemplateId)
+      : await this.findTemplate(productIds, clientGroup, data.sellingCompany);
+
+    if (template) {
+      const fields = COST_FIELDS.filter(field => data[field] === undefined);
+      // Нулевые затраты шаблона курса не требуют
+      const rate = fields.some(field => template[field]) ? await findRate(template.currency) : 1;
+      if (rate !== null) {
+        for (const field of fields) {
+          values[field] = Math.round(template[field] * quantity * rate * 100) / 100;
+        }
+      }
+      if (!data.sellingCompany && template.sellingCompany) {
+        values.sellingCompany = template.sellingCompany;
+      }
+    }
+
+    const missingPrices = [];
+    let priceList = null;
+
+    if (data.pricePerUnit === undefined && items.length > 0) {
+      priceList = data.priceListId
+        ? await priceListService.getPriceList(data.priceListId)
+        : await priceListService.findPriceList(clientGroup, productIds, date);
+    }
+
+    if (priceList) {
+      let amount = 0;
+      for (const item of items) {
+        const price = priceListService.getPrice(priceList, item.productId, item.quantity);
+        if (price === null) {
+          missingPrices.push(item.productId);
+        } else {
+          amount += price * item.quantity;
+        }
+      }
+
+      // Цена за единицу - средняя по позициям заявки, только если оценены все позиции
+      if (missingPrices.length === 0 && orderedQuantity > 0) {
+        const rate = await findRate(priceList.currency);
+        if (rate !== null) {
+          values.pricePerUnit = Math.round(amount / orderedQuantity * rate * 100) / 100;
+        }
+      }
+    }
+
+    return {
+      values,
+      calculationTemplateId: template?.id || null,
+      priceListId: values.pricePerUnit !== undefined ? priceList.id : null,
+      clientGroup,
+      missingPrices,
+      missingRates
+    };
+  }
+}
+
+const calculationTemplateService = new CalculationTemplateService();
+
+module.exports = calculationTemplateService;
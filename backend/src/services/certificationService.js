@@ -0,0 +1,283 @@
+const { PrismaClient } = require('@prisma/client');
+const { createNotification } = require('../utils/notifications');
+const { logBusinessEvent, logError } = require('../utils/logger');
+const warehouseLocationService = require('./warehouseLocations');
+
+const prisma = new PrismaClient();
+
+class CertificationService {
+  constructor() {
+    this.alertDays = parseInt(process.env.CERTIFICATION_ALERT_DAYS) || 30;
+    this.intervalMonths = parseInt(process.env.CERTIFICATION_INTERVAL_MONTHS) || 60;
+    this.staffRoles = (process.env.WAREHOUSE_STAFF_ROLES || 'ADMIN,WAREHOUSE')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Parse MM/YYYY date used by Product fields
+   * @param {string} value - Date in MM/YYYY format
+   * @returns {Date|null} First day of the month or null
+   */
+  parseMonthYear(value) {
+    if (!value) return null;
+
+    const match = /^(\d{2})\/(\d{4})$/.exec(value);
+    if (!match) return null;
+
+    return new Date(parseInt(match[2]), parseInt(match[1]) - 1, 1);
+  }
+
+  /**
+   * Add months to a date
+   * @param {Date} date - Base date
+   * @param {number} months - Months to add
+   * @returns {Date} New date
+   */
+  addMonths(date, months) {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+  }
+
+  /**
+   * Check whether a cylinder certification has expired
+   * @param {Object} serialNumber - Serial number with nextCertificationDate
+   * @param {Date} asOf - Reference date
+   * @returns {boolean} True if expired
+   */
+  isExpired(serialNumber, asOf = new Date()) {
+    return !!serialNumber.nextCertificationDate && new Date(serialNumber.nextCertificationDate) < asOf;
+  }
+
+  /**
+   * Cylinders and products due for re-inspection
+   * @param {number} days - Look-ahead window in days
+   * @param {Object} filters - Optional filters (status, productId)
+   * @returns {Promise<Object>} Due cylinders and products
+   */
+  async getDue(days = this.alertDays, filters = {}) {
+    try {
+      const now = new Date();
+      const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+      const where = {
+        nextCertificationDate: { not: null, lte: until }
+      };
+      if (filters.status) where.status = filters.status;
+      if (filters.productId) where.productId = filters.productId;
+
+      const [serialNumbers, products] = await Promise.all([
+        prisma.serialNumber.findMany({
+          where,
+          include: {
+            product: { select: { id: true, name: true, code: true } },
+            client: { select: { id: true, name: true } }
+          },
+          orderBy: { nextCertificationDate: 'asc' }
+        }),
+        // У товаров дата хранится строкой MM/YYYY, поэтому фильтруем в памяти
+        prisma.product.findMany({
+          where: {
+            nextCertificationDate: { not: null },
+            ...(filters.productId && { id: filters.productId })
+          },
+          select: { id: true, name: true, code: true, nextCertificationDate: true }
+        })
+      ]);
+
+      const cylinders = serialNumbers.map(serial => ({
+        id: serial.id,
+        serialNumber: serial.serialNumber,
+        status: serial.status,
+        product: serial.product,
+        client: serial.client,
+        certificationDate: serial.certificationDate,
+        nextCertificationDate: serial.nextCertificationDate,
+        expired: this.isExpired(serial, now),
+        daysLeft: Math.ceil((serial.nextCertificationDate - now) / (24 * 60 * 60 * 1000))
+      }));
+
+      const dueProducts = products
+        .map(product => ({ ...product, dueDate: this.parseMonthYear(product.nextCertificationDate) }))
+        .filter(product => product.dueDate && product.dueDate <= until)
+        .map(product => ({
+          ...product,
+          expired: product.dueDate < now
+        }));
+
+      return {
+        days,
+        cylinders,
+        products: dueProducts,
+        summary: {
+          total: cylinders.length,
+          expired: cylinders.filter(c => c.expired).length,
+          inStock: cylinders.filter(c => c.status === 'IN_STOCK').length,
+          atClients: cylinders.filter(c => c.client).length,
+          products: dueProducts.length
+        }
+      };
+    } catch (error) {
+      logError(error, null, { operation: 'get_certification_due', days });
+      throw error;
+    }
+  }
+
+  /**
+   * Record an inspection (CERTIFICATION transaction) and roll dates forward.
+   * Cylinders waiting for inspection after return go back to stock.
+   * @param {Object} params - Certification parameters
+   * @param {string} params.productId - Product ID
+   * @param {string} params.userId - Inspector
+   * @param {string[]} params.serialNumbers - Cylinder numbers
+   * @param {string[]} params.serialNumberIds - Serial number IDs
+   * @param {Date} params.certificationDate - Inspection date (default: now)
+   * @param {Date} params.nextCertificationDate - Next inspection date (default: date + interval)
+   * @param {number} params.intervalMonths - Interval when next date is not given
+   * @param {string} params.reason - Transaction reason
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Created transactions and stock increment
+   */
+  async recordCertification(params, client = prisma) {
+    const {
+      productId,
+      userId,
+      serialNumbers = [],
+      serialNumberIds = [],
+      reason
+    } = params;
+
+    if (serialNumbers.length === 0 && serialNumberIds.length === 0) {
+      const error = new Error('Certification requires serialNumbers or serialNumberIds');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const certificationDate = params.certificationDate ? new Date(params.certificationDate) : new Date();
+    const nextCertificationDate = params.nextCertificationDate
+      ? new Date(params.nextCertificationDate)
+      : this.addMonths(certificationDate, params.intervalMonths || this.intervalMonths);
+
+    if (nextCertificationDate <= certificationDate) {
+      const error = new Error('Next certification date must be after certification date');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const records = await client.serialNumber.findMany({
+      where: {
+        productId,
+        OR: [
+          { id: { in: serialNumberIds } },
+          { serialNumber: { in: serialNumbers } }
+        ]
+      }
+    });
+
+    if (records.length !== serialNumbers.length + serialNumberIds.length) {
+      const error = new Error('Some serial numbers were not found for this product');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const transactions = [];
+    let stockIncrement = 0;
+
+    for (const record of records) {
+      const backToStock = record.status === 'NEEDS_INSPECTION';
+
+      await client.serialNumber.update({
+        where: { id: record.id },
+        data: {
+          certificationDate,
+          nextCertificationDate,
+          ...(backToStock && { status: 'IN_STOCK' })
+        }
+      });
+
+      if (backToStock) {
+        stockIncrement += 1;
+        await warehouseLocationService.adjust(productId, record.locationId, 1, client);
+      }
+
+      transactions.push(await client.transaction.create({
+        data: {
+          productId,
+          userId,
+          serialNumberId: record.id,
+          type: 'CERTIFICATION',
+          quantity: backToStock ? 1 : 0,
+          locationId: record.locationId,
+          reason: reason || `Переосвидетельствование, следующее: ${nextCertificationDate.toLocaleDateString('ru-RU')}`
+        },
+        include: {
+          product: { select: { name: true, unit: true } },
+          user: { select: { name: true } }
+        }
+      }));
+    }
+
+    logBusinessEvent('cylinders_certified', null, {
+      productId,
+      count: records.length,
+      nextCertificationDate
+    });
+
+    return { transactions, stockIncrement, certificationDate, nextCertificationDate };
+  }
+
+  /**
+   * Notify warehouse staff about cylinders due for re-inspection
+   * @param {number} days - Look-ahead window in days
+   * @returns {Promise<Object>} Notification results
+   */
+  async notifyDue(days = this.alertDays) {
+    const due = await this.getDue(days);
+
+    if (due.cylinders.length === 0 && due.products.length === 0) {
+      return { notified: 0, ...due.summary };
+    }
+
+    const staff = await prisma.user.findMany({
+      where: { role: { in: this.staffRoles } },
+      select: { id: true }
+    });
+
+    const expired = due.cylinders.filter(c => c.expired);
+    const title = expired.length > 0
+      ? `Просрочено переосвидетельствование: ${expired.length} баллон(ов)`
+      : `Переосвидетельствование в ближайшие ${days} дн.: ${due.cylinders.length} баллон(ов)`;
+    const listed = due.cylinders
+      .slice(0, 20)
+      .map(c => `${c.serialNumber} (${c.product.name}) - ${new Date(c.nextCertificationDate).toLocaleDateString('ru-RU')}${c.client ? `, у клиента ${c.client.name}` : ''}`);
+    const content = [
+      ...listed,
+      due.cylinders.length > listed.length ? `... и еще ${due.cylinders.length - listed.length}` : null,
+      due.products.length > 0 ? `Товары с истекающим сроком: ${due.products.map(p => p.name).join(', ')}` : null
+    ].filter(Boolean).join('\n');
+
+    let notified = 0;
+    for (const user of staff) {
+      await createNotification(user.id, 'ALERT', title, content, {
+        relatedType: 'SERIAL_NUMBER',
+        isUrgent: expired.length > 0,
+        metadata: {
+          reminderType: 'CERTIFICATION_DUE',
+          serialNumberIds: due.cylinders.map(c => c.id),
+          productIds: due.products.map(p => p.id)
+        }
+      });
+      notified += 1;
+    }
+
+    logBusinessEvent('certification_due_notified', null, { notified, ...due.summary });
+
+    return { notified, ...due.summary };
+  }
+}
+
+const certificationService = new CertificationService();
+
+module.exports = certificationService;
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const { asn1 } = forge;
+
+const OIDS = {
+  data: forge.pki.oids.data,
+  signedData: forge.pki.oids.signedData,
+  sha256: forge.pki.oids.sha256,
+  rsaEncryption: forge.pki.oids.rsaEncryption,
+  contentType: forge.pki.oids.contentType,
+  messageDigest: forge.pki.oids.messageDigest,
+  signingTime: forge.pki.oids.signingTime,
+  // ESS signing-certificate-v2 (RFC 5035), обязателен для PAdES / CAdES-BES
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47'
+};
+
+// Срок действия самоподписанного сертификата ключа
+const CERTIFICATE_YEARS = 5;
+
+class CmsSignatureService {
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Self-signed X.509 certificate of a signature key. The serial number is derived
+   * from the key ID, so the certificate identifies the key in CMS signatures.
+   * @param {Object} key - keyId, publicKey, privateKey (PEM), createdAt
+   * @param {Object} subject - name, email
+   * @returns {string} Certificate PEM
+   */
+  createCertificate({ keyId, publicKey, privateKey, createdAt }, { name, email }) {
+    const certificate = forge.pki.createCertificate();
+    const notBefore = new Date(createdAt || Date.now());
+    const notAfter = new Date(notBefore);
+    notAfter.setFullYear(notAfter.getFullYear() + CERTIFICATE_YEARS);
+
+    // UTF8String: имена подписантов на кириллице
+    const attributes = [
+      { name: 'commonName', value: name || email, valueTagClass: asn1.Type.UTF8 },
+      { name: 'emailAddress', value: email }
+    ];
+
+    certificate.publicKey = forge.pki.publicKeyFromPem(publicKey);
+    certificate.serialNumber = `01${keyId}`;
+    certificate.validity.notBefore = notBefore;
+    certificate.validity.notAfter = notAfter;
+    certificate.setSubject(attributes);
+    certificate.setIssuer(attributes);
+    certificate.setExtensions([
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, nonRepudiation: true },
+      { name: 'extKeyUsage', emailProtection: true },
+      { name: 'subjectAltName', altNames: [{ type: 1, value: email }] },
+      { name: 'subjectKeyIdentifier' }
+    ]);
+    certificate.sign(forge.pki.privateKeyFromPem(privateKey), forge.md.sha256.create());
+
+    return forge.pki.certificateToPem(certificate);
+  }
+
+  /**
+   * AlgorithmIdentifier with NULL parameters
+   * @param {string} oid - Algorithm OID
+   * @returns {Object} ASN.1
+   */
+  algorithmIdentifier(oid) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+    ]);
+  }
+
+  /**
+   * CMS attribute
+   * @param {string} oid - Attribute type
+   * @param {Object} value - ASN.1 value
+   * @returns {Object} ASN.1
+   */
+  attribute(oid, value) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [value])
+    ]);
+  }
+
+  /**
+   * DER encoding as a Buffer
+   * @param {Object} node - ASN.1
+   * @returns {Buffer} DER
+   */
+  toDer(node) {
+    return Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+  }
+
+  /**
+   * Detached CMS SignedData (RSA PKCS#1 v1.5, SHA-256) with content type, signing time,
+   * message digest and signing certificate signed attributes
+   * @param {Buffer} content - Signed content
+   * @param {Object} signer - privateKey, certificate (PEM)
+   * @param {Date} signingTime - Signing time
+   * @returns {Buffer} CMS DER
+   */
+  signDetached(content, { privateKey, certificate }, signingTime = new Date()) {
+    const cert = forge.pki.certificateFromPem(certificate);
+    const certificateAsn1 = forge.pki.certificateToAsn1(cert);
+    const certificateHash = crypto.createHash('sha256').update(this.toDer(certificateAsn1)).digest();
+    // issuerAndSerialNumber - точные байты из сертификата (tbsCertificate: version, serial, signature, issuer)
+    const [, serialNode, , issuerNode] = certificateAsn1.value[0].value;
+    const contentHash = crypto.createHash('sha256').update(content).digest();
+
+    const attributes = [
+      this.attribute(OIDS.contentType,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OIDS.data).getBytes())),
+      this.attribute(OIDS.signingTime,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false, asn1.dateToUtcTime(signingTime))),
+      this.attribute(OIDS.messageDigest,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, contentHash.toString('binary'))),
+      this.attribute(OIDS.signingCertificateV2,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+              asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, certificateHash.toString('binary'))
+            ])
+          ])
+        ]))
+    ]
+      // DER: элементы SET OF упорядочены по кодировке
+      .sort((a, b) => Buffer.compare(this.toDer(a), this.toDer(b)));
+
+    // Подписываются атрибуты, закодированные как SET OF
+    const signedAttributes = this.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, attributes));
+    const signature = crypto.sign('sha256', signedAttributes, privateKey);
+
+    const signerInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.copy(issuerNode),
+        asn1.copy(serialNode)
+      ]),
+      this.algorithmIdentifier(OIDS.sha256),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, attributes),
+      this.algorithmIdentifier(OIDS.rsaEncryption),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, signature.toString('binary'))
+    ]);
+
+    const signedData = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [this.algorithmIdentifier(OIDS.sha256)]),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OIDS.data).getBytes())
+      ]),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [certificateAsn1]),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [signerInfo])
+    ]);
+
+    return this.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OIDS.signedData).getBytes()),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [signedData])
+    ]));
+  }
+
+  /**
+   * Parse CMS SignedData
+   * @param {Buffer} cms - CMS DER (trailing zero padding allowed, as in PDF /Contents)
+   * @returns {Object} { certificates, signerInfo }
+   */
+  parse(cms) {
+    let contentInfo;
+    try {
+      contentInfo = asn1.fromDer(forge.util.createBuffer(cms.toString('binary')), { parseAllBytes: false });
+    } catch (error) {
+      throw this.createError('Malformed CMS signature');
+    }
+
+    if (asn1.derToOid(contentInfo.value[0].value) !== OIDS.signedData) {
+      throw this.createError('CMS content is not SignedData');
+    }
+
+    const signedData = contentInfo.value[1].value[0];
+    const certificatesNode = signedData.value.find(node =>
+      node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+    const signerInfos = signedData.value[signedData.value.length - 1];
+
+    if (!signerInfos || signerInfos.value.length === 0) {
+      throw this.createError('CMS signature has no signers');
+    }
+
+    return {
+      certificates: (certificatesNode?.value || []).map(node => forge.pki.certificateFromAsn1(node)),
+      signerInfo: signerInfos.value[0]
+    };
+  }
+
+  /**
+   * Certificate summary
+   * @param {Object} certificate - forge certificate
+   * @returns {Object} subject, issuer, serialNumber, validity, fingerprint, publicKey
+   */
+  describeCertificate(certificate) {
+    const text = attribute => (attribute.valueTagClass === asn1.Type.UTF8
+      ? forge.util.decodeUtf8(attribute.value)
+      : attribute.value);
+    const field = (name, shortName) => {
+      const attribute = certificate.subject.getField(name) || certificate.subject.getField(shortName);
+      return attribute ? text(attribute) : null;
+    };
+    const der = this.toDer(forge.pki.certificateToAsn1(certificate));
+
+    return {
+      commonName: field('CN'),
+      email: field('E', 'emailAddress'),
+      issuer: certificate.issuer.attributes.map(item => `${item.shortName || item.name}=${text(item)}`).join(', '),
+      serialNumber: certificate.serialNumber,
+      validFrom: certificate.validity.notBefore,
+      validTo: certificate.validity.notAfter,
+      selfSigned: certificate.isIssuer(certificate),
+      fingerprint: crypto.createHash('sha256').update(der).digest('hex'),
+      // PEM в формате Node, как хранится в signature_keys (keyId считается от текста PEM)
+      publicKey: crypto.createPublicKey(forge.pki.publicKeyToPem(certificate.publicKey)).export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  /**
+   * Verify a detached CMS signature: the message digest against the content and the
+   * signature over the signed attributes with the embedded certificate
+   * @param {Buffer} cms - CMS DER
+   * @param {Buffer} content - Signed content
+   * @returns {Object} { valid, integrity, signatureValid, signingTime, certificate, reason }
+   */
+  verifyDetached(cms, content) {
+    const { certificates, signerInfo } = this.parse(cms);
+
+    const serialNumber = forge.util.createBuffer(signerInfo.value[1].value[1].value).toHex();
+    const certificate = certificates.find(item => item.serialNumber === serialNumber) || certificates[0];
+    if (!certificate) {
+      return { valid: false, integrity: false, signatureValid: false, reason: 'Signer certificate is missing' };
+    }
+
+    const attributesNode = signerInfo.value.find(node =>
+      node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+    if (!attributesNode) {
+      return { valid: false, integrity: false, signatureValid: false, reason: 'Signed attributes are missing' };
+    }
+
+    const attributes = {};
+    for (const node of attributesNode.value) {
+      attributes[asn1.derToOid(node.value[0].value)] = node.value[1].value[0];
+    }
+
+    const digest = Buffer.from(attributes[OIDS.messageDigest]?.value || '', 'binary');
+    const integrity = digest.equals(crypto.createHash('sha256').update(content).digest());
+
+    // Подпись вычислена над атрибутами с тегом SET вместо [0] IMPLICIT
+    const signedAttributes = this.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, attributesNode.value));
+    const signature = Buffer.from(signerInfo.value[signerInfo.value.indexOf(attributesNode) + 2].value, 'binary');
+    const described = this.describeCertificate(certificate);
+
+    let signatureValid = false;
+    try {
+      signatureValid = crypto.verify('sha256', signedAttributes, described.publicKey, signature);
+    } catch (error) {
+      signatureValid = false;
+    }
+
+    const timeNode = attributes[OIDS.signingTime];
+    const signingTime = timeNode
+      ? (timeNode.type === asn1.Type.UTCTIME ? asn1.utcTimeToDate(timeNode.value) : asn1.generalizedTimeToDate(timeNode.value))
+      : null;
+
+    let reason = 'Signature is valid';
+    if (!integrity) {
+      reason = 'Document has been modified after signing';
+    } else if (!signatureValid) {
+      reason = 'Invalid signature';
+    }
+
+    return {
+      valid: integrity && signatureValid,
+      integrity,
+      signatureValid,
+      signingTime,
+      certificate: described,
+      reason
+    };
+  }
+}
+
+const cmsSignatureService = new CmsSignatureService();
+
+module.exports = cmsSignatureService;
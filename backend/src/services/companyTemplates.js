@@ -1,11 +1,52 @@
-const { logger } = require('../utils/logger');
+const { PrismaClient } = require('@prisma/client');
+const { logger, logBusinessEvent } = require('../utils/logger');
+const competitiveProposalsService = require('./competitiveProposals');
 
+const prisma = new PrismaClient();
+
+// Поля шаблона, которые хранятся в БД как JSON-строки
+const JSON_FIELDS = [
+  'bankDetails',
+  'paymentTerms',
+  'deliveryTerms',
+  'warranty',
+  'contacts',
+  'productDescriptions',
+  'proposalTemplate',
+  'competitiveAdvantages'
+];
+
+const SCALAR_FIELDS = [
+  'name',
+  'fullName',
+  'inn',
+  'kpp',
+  'ogrn',
+  'address',
+  'city',
+  'phone',
+  'email',
+  'website',
+  'signatoryName',
+  'signatoryPosition',
+  'signatoryBasis',
+  'logoFileId',
+  'descriptionStyle',
+  'features'
+];
+
+/**
+ * Company templates are stored in the database (CompanyTemplate) with a snapshot
+ * per change (CompanyTemplateVersion). The templates defined in code only seed
+ * an empty table.
+ */
 class CompanyTemplatesService {
   constructor() {
     this.templates = new Map();
     this.initializeTemplates();
   }
 
+  // Начальные шаблоны для пустой БД
   initializeTemplates() {
     // Nova company template
     this.templates.set('nova', {
@@ -17,6 +58,7 @@ class CompanyTemplatesService {
       phone: '+7 (495) 123-45-67',
       email: 'info@nova-company.ru',
       website: 'www.nova-company.ru',
+      logoPath: process.env.NOVA_LOGO_PATH || null, // PNG/JPEG для шапки документов
       
       // Description style for products
       descriptionStyle: 'Технический и подробный стиль с акцентом на качество и надежность',
@@ -106,6 +148,7 @@ www.nova-company.ru`,
       phone: '+7 (812) 987-65-43',
       email: 'info@co-lab.ru',
       website: 'www.co-lab.ru',
+      logoPath: process.env.COLAB_LOGO_PATH || null,
       
       // Description style for products
       descriptionStyle: 'Инновационный подход с упором на современные технологии и эффективность',
@@ -186,37 +229,211 @@ E-mail: info@co-lab.ru
       }
     });
 
-    logger.info('Company templates initialized', {
-      templateCount: this.templates.size,
-      companies: Array.from(this.templates.keys())
-    });
+    // Конкурентные преимущества раньше задавались в competitiveProposals
+    for (const [id, template] of this.templates) {
+      template.competitiveAdvantages = competitiveProposalsService.getCompanyAdvantages(id);
+      template.city = template.address?.match(/г\. ([^,]+)/)?.[1] || null;
+    }
   }
 
-  getAllTemplates() {
-    return Array.from(this.templates.values());
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Convert template data into database columns
+   * @param {Object} data - Template data
+   * @returns {Object} Prisma data
+   */
+  toRecord(data) {
+    const record = {};
+
+    for (const field of SCALAR_FIELDS) {
+      if (data[field] !== undefined) {
+        record[field] = data[field];
+      }
+    }
+
+    for (const field of JSON_FIELDS) {
+      if (data[field] !== undefined) {
+        record[field] = data[field] === null ? null : JSON.stringify(data[field]);
+      }
+    }
+
+    return record;
   }
 
-  getTemplate(companyId) {
-    const template = this.templates.get(companyId);
-    if (!template) {
-      throw new Error(`Company template not found: ${companyId}`);
+  /**
+   * Convert a database row into the template object used by generators
+   * @param {Object} record - CompanyTemplate row (with optional logoFile)
+   * @returns {Object} Template; id is the company code
+   */
+  fromRecord(record) {
+    const template = {
+      id: record.code,
+      templateId: record.id,
+      version: record.version,
+      isActive: record.isActive,
+      updatedAt: record.updatedAt
+    };
+
+    for (const field of SCALAR_FIELDS) {
+      template[field] = record[field];
     }
+
+    for (const field of JSON_FIELDS) {
+      try {
+        template[field] = record[field] ? JSON.parse(record[field]) : null;
+      } catch (error) {
+        template[field] = null;
+      }
+    }
+
+    template.contacts = template.contacts || [];
+    template.productDescriptions = template.productDescriptions || {};
+    // Логотип из загруженного файла, иначе из переменных окружения
+    template.logoPath = record.logoFile?.path || this.templates.get(record.code)?.logoPath || null;
+
     return template;
   }
 
-  getTemplatesByIds(companyIds) {
-    return companyIds
-      .map(id => this.templates.get(id))
-      .filter(template => template !== undefined);
+  /**
+   * Seed the table from the templates defined in code when it is empty.
+   * Runs once per process; a failed attempt is retried on the next call.
+   * @returns {Promise<void>}
+   */
+  ensureSeeded() {
+    if (!this.seeding) {
+      this.seeding = this.seedTemplates().catch(error => {
+        this.seeding = null;
+        throw error;
+      });
+    }
+
+    return this.seeding;
+  }
+
+  /**
+   * Create the templates defined in code in one transaction. Rows are upserted
+   * by code, so a concurrent seeding (another process) does not fail or duplicate them.
+   * @param {Object} client - Prisma client
+   * @returns {Promise<boolean>} Whether the table was seeded
+   */
+  async seedTemplates(client = prisma) {
+    const seeded = await client.$transaction(async (tx) => {
+      if (await tx.companyTemplate.count() > 0) {
+        return false;
+      }
+
+      for (const [code, template] of this.templates) {
+        const { id, logoPath, ...data } = template;
+        const record = await tx.companyTemplate.upsert({
+          where: { code },
+          create: { code, ...this.toRecord(data) },
+          update: {}
+        });
+
+        await tx.companyTemplateVersion.upsert({
+          where: { templateId_version: { templateId: record.id, version: 1 } },
+          create: {
+            templateId: record.id,
+            version: 1,
+            data: JSON.stringify(this.fromRecord(record)),
+            changeNote: 'Начальный шаблон'
+          },
+          update: {}
+        });
+      }
+
+      return true;
+    });
+
+    if (seeded) {
+      logger.info('Company templates seeded', {
+        templateCount: this.templates.size,
+        companies: Array.from(this.templates.keys())
+      });
+    }
+
+    return seeded;
+  }
+
+  /**
+   * Load a template row with its logo file
+   * @param {string} companyId - Company code
+   * @returns {Promise<Object|null>} Row
+   */
+  async findRecord(companyId) {
+    await this.ensureSeeded();
+
+    const record = await prisma.companyTemplate.findUnique({ where: { code: companyId } });
+    if (!record) {
+      return null;
+    }
+
+    const logoFile = record.logoFileId
+      ? await prisma.file.findUnique({ where: { id: record.logoFileId }, select: { path: true } })
+      : null;
+
+    return { ...record, logoFile };
+  }
+
+  async getAllTemplates(options = {}) {
+    await this.ensureSeeded();
+
+    const records = await prisma.companyTemplate.findMany({
+      where: options.includeInactive ? {} : { isActive: true },
+      orderBy: { name: 'asc' }
+    });
+
+    return records.map(record => this.fromRecord(record));
+  }
+
+  async getTemplate(companyId, options = {}) {
+    const record = await this.findRecord(companyId);
+
+    if (!record || (!record.isActive && !options.includeInactive)) {
+      throw this.createError(`Company template not found: ${companyId}`, 404);
+    }
+
+    return this.fromRecord(record);
+  }
+
+  /**
+   * Find the template of a selling company stored as free text
+   * (Contract.sellingCompany: "NOVA", "Нова", "ООО \"СО-ЛАБ\"" ...)
+   * @param {string|null} sellingCompany - Company code or name
+   * @returns {Promise<Object|null>} Template or null
+   */
+  async findBySellingCompany(sellingCompany) {
+    if (!sellingCompany) {
+      return null;
+    }
+
+    const normalize = value => (value || '').toLowerCase().replace(/[^a-zа-яё0-9]/g, '').replace(/^ооо/, '');
+    const wanted = normalize(sellingCompany);
+    const templates = await this.getAllTemplates();
+
+    return templates.find(template =>
+      [template.id, template.name, template.fullName].some(value => normalize(value) === wanted)
+    ) || null;
   }
 
   // Create a customized product description based on company style
-  generateProductDescription(productName, baseDescription, companyId, options = {}) {
-    const template = this.getTemplate(companyId);
+  generateProductDescription(productName, baseDescription, template, options = {}) {
     const { technical = true, benefits = true, applications = true } = options;
+    const companyId = template.id;
 
     // Find matching product description
-    const productKey = this.findProductKey(productName, template.productDescriptions);
+    const productKey = this.findProductKey(productName, template.productDescriptions || {});
     let description = baseDescription || productName;
 
     if (productKey && template.productDescriptions[productKey]) {
@@ -279,9 +496,9 @@ E-mail: info@co-lab.ru
   }
 
   // Generate company-specific pricing presentation
-  formatPricing(pricing, companyId) {
-    const template = this.getTemplate(companyId);
-    const { paymentTerms, deliveryTerms } = template;
+  formatPricing(pricing, template) {
+    const paymentTerms = template.paymentTerms || {};
+    const deliveryTerms = template.deliveryTerms || {};
 
     return {
       ...pricing,
@@ -301,69 +518,170 @@ E-mail: info@co-lab.ru
     };
   }
 
+  /**
+   * Save a snapshot of the template
+   * @param {Object} record - Updated CompanyTemplate row
+   * @param {string|null} userId - Author of the change
+   * @param {string|null} changeNote - Comment
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Version
+   */
+  async saveVersion(record, userId, changeNote, client = prisma) {
+    return client.companyTemplateVersion.create({
+      data: {
+        templateId: record.id,
+        version: record.version,
+        data: JSON.stringify(this.fromRecord(record)),
+        changeNote: changeNote || null,
+        changedById: userId || null
+      }
+    });
+  }
+
   // Add new template (for admin functionality)
-  addTemplate(templateData) {
-    const { id, name, ...template } = templateData;
+  async addTemplate(templateData, userId = null) {
+    const { id, name, changeNote, ...template } = templateData;
     
     if (!id || !name) {
-      throw new Error('Template ID and name are required');
+      throw this.createError('Template ID and name are required');
     }
 
-    if (this.templates.has(id)) {
-      throw new Error(`Template with ID '${id}' already exists`);
+    this.validateTemplate(templateData);
+    await this.ensureSeeded();
+
+    const existing = await prisma.companyTemplate.findUnique({ where: { code: id } });
+    if (existing) {
+      throw this.createError(`Template with ID '${id}' already exists`);
     }
 
-    this.templates.set(id, {
-      id,
-      name,
-      ...template,
-      createdAt: new Date().toISOString()
+    const record = await prisma.$transaction(async (tx) => {
+      const created = await tx.companyTemplate.create({
+        data: {
+          code: id,
+          ...this.toRecord({ name, ...template }),
+          updatedById: userId
+        }
+      });
+      await this.saveVersion(created, userId, changeNote || 'Шаблон создан', tx);
+      return created;
     });
 
-    logger.info('New company template added', { id, name });
-    return this.templates.get(id);
+    logBusinessEvent('company_template_created', null, { id, name, userId });
+    return this.fromRecord(record);
   }
 
-  // Update existing template
-  updateTemplate(id, updates) {
-    if (!this.templates.has(id)) {
-      throw new Error(`Template with ID '${id}' not found`);
+  // Update existing template, keeping the previous state in version history
+  async updateTemplate(id, updates, userId = null) {
+    const { changeNote, ...changes } = updates;
+    const existing = await this.findRecord(id);
+
+    if (!existing) {
+      throw this.createError(`Template with ID '${id}' not found`, 404);
     }
 
-    const existingTemplate = this.templates.get(id);
-    const updatedTemplate = {
-      ...existingTemplate,
-      ...updates,
-      id, // Ensure ID cannot be changed
-      updatedAt: new Date().toISOString()
-    };
+    const record = await prisma.$transaction(async (tx) => {
+      const updated = await tx.companyTemplate.update({
+        where: { id: existing.id },
+        data: {
+          ...this.toRecord(changes),
+          ...(changes.isActive !== undefined ? { isActive: changes.isActive } : {}),
+          version: { increment: 1 },
+          updatedById: userId
+        }
+      });
+      await this.saveVersion(updated, userId, changeNote, tx);
+      return updated;
+    });
 
-    this.templates.set(id, updatedTemplate);
-    
-    logger.info('Company template updated', { id, updates: Object.keys(updates) });
-    return updatedTemplate;
+    logger.info('Company template updated', { id, version: record.version, updates: Object.keys(changes) });
+    return this.fromRecord(record);
   }
 
-  // Remove template
-  removeTemplate(id) {
-    if (!this.templates.has(id)) {
-      throw new Error(`Template with ID '${id}' not found`);
-    }
+  // Deactivate template: proposals and documents that used it keep working
+  async removeTemplate(id, userId = null) {
+    const removed = await this.updateTemplate(id, { isActive: false, changeNote: 'Шаблон отключен' }, userId);
 
-    const removed = this.templates.get(id);
-    this.templates.delete(id);
-    
     logger.info('Company template removed', { id, name: removed.name });
     return removed;
   }
 
+  /**
+   * Version history of a template (without snapshots)
+   * @param {string} id - Company code
+   * @returns {Promise<Object[]>} Versions
+   */
+  async getVersions(id) {
+    const record = await this.findRecord(id);
+    if (!record) {
+      throw this.createError(`Template with ID '${id}' not found`, 404);
+    }
+
+    return prisma.companyTemplateVersion.findMany({
+      where: { templateId: record.id },
+      select: {
+        id: true,
+        version: true,
+        changeNote: true,
+        createdAt: true,
+        changedBy: { select: { id: true, name: true } }
+      },
+      orderBy: { version: 'desc' }
+    });
+  }
+
+  /**
+   * One template version with its snapshot
+   * @param {string} id - Company code
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Version with parsed data
+   */
+  async getVersion(id, version) {
+    const record = await this.findRecord(id);
+    if (!record) {
+      throw this.createError(`Template with ID '${id}' not found`, 404);
+    }
+
+    const snapshot = await prisma.companyTemplateVersion.findUnique({
+      where: { templateId_version: { templateId: record.id, version: parseInt(version) } },
+      include: { changedBy: { select: { id: true, name: true } } }
+    });
+
+    if (!snapshot) {
+      throw this.createError(`Version ${version} of template '${id}' not found`, 404);
+    }
+
+    return { ...snapshot, data: JSON.parse(snapshot.data) };
+  }
+
+  /**
+   * Restore a previous version as a new version
+   * @param {string} id - Company code
+   * @param {number} version - Version to restore
+   * @param {string|null} userId - Author
+   * @returns {Promise<Object>} Updated template
+   */
+  async restoreVersion(id, version, userId = null) {
+    const snapshot = await this.getVersion(id, version);
+    const data = {};
+
+    for (const field of [...SCALAR_FIELDS, ...JSON_FIELDS]) {
+      data[field] = snapshot.data[field] ?? null;
+    }
+
+    return this.updateTemplate(id, {
+      ...data,
+      isActive: snapshot.data.isActive,
+      changeNote: `Восстановлена версия ${snapshot.version}`
+    }, userId);
+  }
+
   // Validate template structure
   validateTemplate(templateData) {
     const required = ['id', 'name', 'fullName', 'descriptionStyle', 'features'];
     const missing = required.filter(field => !templateData[field]);
     
     if (missing.length > 0) {
-      throw new Error(`Missing required template fields: ${missing.join(', ')}`);
+      throw this.createError(`Missing required template fields: ${missing.join(', ')}`);
     }
 
     return true;
@@ -373,4 +691,4 @@ E-mail: info@co-lab.ru
 // Singleton instance
 const companyTemplatesService = new CompanyTemplatesService();
 
-module.exports = companyTemplatesService;
\ No newline at end of file
+module.exports = companyTemplatesService;
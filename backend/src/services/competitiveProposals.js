@@ -73,15 +73,16 @@ class CompetitiveProposalsService {
     return this.competitiveStrategies.standard[markupStr] || null;
   }
 
-  // Get company-specific competitive advantages
-  getCompanyAdvantages(companyId) {
-    return this.competitiveStrategies[companyId] || null;
+  // Get company-specific competitive advantages: from the company template
+  // stored in the database, otherwise the built-in strategy
+  getCompanyAdvantages(companyId, template = null) {
+    return template?.competitiveAdvantages || this.competitiveStrategies[companyId] || null;
   }
 
   // Generate competitive positioning text
-  generateCompetitivePositioning(companyId, markup, originalPrice) {
+  generateCompetitivePositioning(companyId, markup, originalPrice, template = null) {
     const markupStrategy = this.getMarkupStrategy(markup);
-    const companyStrategy = this.getCompanyAdvantages(companyId);
+    const companyStrategy = this.getCompanyAdvantages(companyId, template);
     
     if (!markupStrategy || !companyStrategy) {
       return null;
@@ -101,13 +102,13 @@ class CompetitiveProposalsService {
         difference: priceDifference,
         markup: markup
       },
-      justification: this.generatePriceJustification(markup, companyId)
+      justification: this.generatePriceJustification(markup, companyId, template)
     };
   }
 
   // Generate price justification for different markup levels
-  generatePriceJustification(markup, companyId) {
-    const companyStrategy = this.getCompanyAdvantages(companyId);
+  generatePriceJustification(markup, companyId, template = null) {
+    const companyStrategy = this.getCompanyAdvantages(companyId, template);
     
     if (markup <= 5) {
       return `Данная цена обеспечивает оптимальное соотношение цены и качества, 
@@ -142,44 +143,62 @@ class CompetitiveProposalsService {
     });
   }
 
-  // Generate competitive comparison table
-  generateComparisonTable(originalPrice, competitorPrices = []) {
+  // Generate competitive comparison table.
+  // competitorPrices - numbers or price book entries ({ competitor, price, priceDate, source })
+  generateComparisonTable(originalPrice, competitorPrices = [], options = {}) {
     const ourPrices = this.calculateCompetitivePricing(originalPrice);
+    const entries = competitorPrices.map((item, index) =>
+      typeof item === 'number' ? { competitor: `Конкурент ${index + 1}`, price: item } : item
+    );
     
     return {
       ourOptions: ourPrices,
-      competitorAnalysis: competitorPrices.map((price, index) => ({
-        competitor: `Конкурент ${index + 1}`,
+      competitorAnalysis: entries.map(({ competitor, price, priceDate, source }) => ({
+        competitor,
         price,
+        ...(priceDate && { priceDate }),
+        ...(source && { source }),
         difference: price - originalPrice,
         percentage: ((price - originalPrice) / originalPrice * 100).toFixed(1) + '%',
         competitivePosition: price > originalPrice ? 'Дороже нас' : 'Дешевле нас'
       })),
-      recommendation: this.getRecommendedMarkup(originalPrice, competitorPrices)
+      recommendation: this.getRecommendedMarkup(originalPrice, entries.map(entry => entry.price), options)
     };
   }
 
-  // Get recommended markup based on competitive analysis
-  getRecommendedMarkup(originalPrice, competitorPrices) {
+  // Get recommended markup based on competitive analysis.
+  // options.minMarkup - lowest markup that keeps options.minProfitability (net, %)
+  getRecommendedMarkup(originalPrice, competitorPrices, options = {}) {
+    const { minMarkup = null, minProfitability } = options;
+    let recommendation;
+
     if (competitorPrices.length === 0) {
-      return {
+      recommendation = {
         markup: 10,
         reason: 'Стандартная рекомендация при отсутствии данных о конкурентах'
       };
+    } else {
+      const avgCompetitorPrice = competitorPrices.reduce((sum, price) => sum + price, 0) / competitorPrices.length;
+      const suggestedMarkup = Math.max(5, Math.min(20, ((avgCompetitorPrice - originalPrice) / originalPrice * 100) - 2));
+
+      recommendation = {
+        markup: Math.round(suggestedMarkup),
+        reason: `Рекомендуется исходя из анализа ${competitorPrices.length} конкурентов (средняя цена: ${avgCompetitorPrice.toFixed(2)} руб.)`
+      };
     }
 
-    const avgCompetitorPrice = competitorPrices.reduce((sum, price) => sum + price, 0) / competitorPrices.length;
-    const suggestedMarkup = Math.max(5, Math.min(20, ((avgCompetitorPrice - originalPrice) / originalPrice * 100) - 2));
-    
-    return {
-      markup: Math.round(suggestedMarkup),
-      reason: `Рекомендуется исходя из анализа ${competitorPrices.length} конкурентов (средняя цена: ${avgCompetitorPrice.toFixed(2)} руб.)`
-    };
+    if (minMarkup !== null && recommendation.markup < minMarkup) {
+      recommendation.markup = Math.ceil(minMarkup);
+      recommendation.reason += `. Наценка повышена до ${recommendation.markup}% для сохранения минимальной рентабельности ${minProfitability}%`;
+      recommendation.limitedByProfitability = true;
+    }
+
+    return recommendation;
   }
 
   // Generate market positioning statement
-  generateMarketPositioning(companyId, markup, marketData = {}) {
-    const companyStrategy = this.getCompanyAdvantages(companyId);
+  generateMarketPositioning(companyId, markup, marketData = {}, template = null) {
+    const companyStrategy = this.getCompanyAdvantages(companyId, template);
     const markupStrategy = this.getMarkupStrategy(markup);
     
     let positioning = `${companyStrategy?.positioning || 'Качественные решения для бизнеса'}.\n\n`;
@@ -223,8 +242,8 @@ class CompetitiveProposalsService {
   }
 
   // Get competitive proposal metadata
-  getProposalMetadata(companyId, markup, originalPrice) {
-    const positioning = this.generateCompetitivePositioning(companyId, markup, originalPrice);
+  getProposalMetadata(companyId, markup, originalPrice, template = null) {
+    const positioning = this.generateCompetitivePositioning(companyId, markup, originalPrice, template);
     const validation = this.validateMarkup(markup);
     
     return {
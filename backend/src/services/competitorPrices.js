@@ -0,0 +1,270 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent } = require('../utils/logger');
+const { parseCsv, parseNumber, parseDate, mapColumns } = require('../utils/csv');
+const { calculateProfitabilityMetrics } = require('../utils/profitability');
+const competitiveProposalsService = require('./competitiveProposals');
+const currencyService = require('./currency');
+
+const prisma = new PrismaClient();
+
+// Названия колонок CSV (английские и русские)
+const CSV_COLUMNS = {
+  competitor: ['competitor', 'конкурент'],
+  productCode: ['productcode', 'code', 'код', 'артикул'],
+  productName: ['productname', 'product', 'товар', 'наименование'],
+  price: ['price', 'цена'],
+  currency: ['currency', 'валюта'],
+  priceDate: ['pricedate', 'date', 'дата'],
+  source: ['source', 'источник']
+};
+
+const MAX_MARKUP = 50; // Как в competitiveProposals.validateMarkup
+const MARKUP_STEP = 0.5;
+
+class CompetitorPriceService {
+  constructor() {
+    // Цены старше этого срока не участвуют в рекомендации
+    this.maxAgeDays = parseInt(process.env.COMPETITOR_PRICE_MAX_AGE_DAYS) || 90;
+    // Минимальная чистая рентабельность сделки, %
+    this.minProfitability = process.env.MIN_NET_PROFITABILITY_PERCENT !== undefined
+      ? parseFloat(process.env.MIN_NET_PROFITABILITY_PERCENT)
+      : 10;
+  }
+
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Import competitor prices from CSV. Valid rows are saved, invalid rows are reported.
+   * Columns: competitor, productCode, productName, price, currency, priceDate, source
+   * @param {string} text - CSV content
+   * @param {string} userId - User importing the prices
+   * @returns {Promise<Object>} { imported, skipped, errors }
+   */
+  async importCsv(text, userId) {
+    const rows = parseCsv(text || '');
+    if (rows.length === 0) {
+      throw this.createError('CSV file is empty or has no data rows');
+    }
+
+    const productCache = new Map();
+    const findProduct = async (code, name) => {
+      const key = code ? `code:${code}` : `name:${name}`;
+      if (!productCache.has(key)) {
+        const product = code
+          ? await prisma.product.findUnique({ where: { code }, select: { id: true, name: true } })
+          : await prisma.product.findFirst({ where: { name }, select: { id: true, name: true } });
+        productCache.set(key, product);
+      }
+      return productCache.get(key);
+    };
+
+    const data = [];
+    const errors = [];
+
+    for (const row of rows) {
+      const fields = mapColumns(row, CSV_COLUMNS);
+      const price = parseNumber(fields.price);
+      const priceDate = fields.priceDate ? parseDate(fields.priceDate) : new Date();
+
+      if (!fields.competitor) {
+        errors.push({ line: row._line, error: 'Competitor is required' });
+        continue;
+      }
+      if (!(price > 0)) {
+        errors.push({ line: row._line, error: `Invalid price: ${fields.price}` });
+        continue;
+      }
+      if (!priceDate) {
+        errors.push({ line: row._line, error: `Invalid date: ${fields.priceDate}` });
+        continue;
+      }
+
+      const product = fields.productCode || fields.productName
+        ? await findProduct(fields.productCode, fields.productName)
+        : null;
+
+      if (fields.productCode && !product) {
+        errors.push({ line: row._line, error: `Product with code ${fields.productCode} not found` });
+        continue;
+      }
+      if (!product && !fields.productName) {
+        errors.push({ line: row._line, error: 'Product code or name is required' });
+        continue;
+      }
+
+      data.push({
+        competitor: fields.competitor,
+        productId: product?.id || null,
+        productName: fields.productName || product.name,
+        price,
+        currency: (fields.currency || 'RUB').toUpperCase(),
+        priceDate,
+        source: fields.source || null,
+        createdById: userId
+      });
+    }
+
+    if (data.length > 0) {
+      await prisma.$transaction(data.map(item => prisma.competitorPrice.create({ data: item })));
+    }
+
+    logBusinessEvent('competitor_prices_imported', null, {
+      userId,
+      imported: data.length,
+      skipped: errors.length
+    });
+
+    return { imported: data.length, skipped: errors.length, errors };
+  }
+
+  /**
+   * Latest price of each competitor for the products within the age limit
+   * @param {Object} filters - productIds, productName, maxAgeDays
+   * @returns {Promise<Object[]>} Prices, newest first
+   */
+  async getRecentPrices(filters = {}) {
+    const { productIds = [], productName, maxAgeDays = this.maxAgeDays } = filters;
+
+    const match = [];
+    if (productIds.length > 0) match.push({ productId: { in: productIds } });
+    if (productName) match.push({ productName: { contains: productName } });
+    if (match.length === 0) {
+      return [];
+    }
+
+    const since = new Date();
+    since.setDate(since.getDate() - maxAgeDays);
+
+    const prices = await prisma.competitorPrice.findMany({
+      where: { OR: match, priceDate: { gte: since } },
+      orderBy: { priceDate: 'desc' }
+    });
+
+    // Одна (последняя) цена на конкурента и товар
+    const latest = new Map();
+    for (const price of prices) {
+      const key = `${price.competitor.toLowerCase()}|${price.productId || price.productName.toLowerCase()}`;
+      if (!latest.has(key)) {
+        latest.set(key, price);
+      }
+    }
+
+    return Array.from(latest.values());
+  }
+
+  /**
+   * Convert registry prices to the calculation currency at the rate of the price date.
+   * Prices without a rate can't be compared and are left out.
+   * @param {Object[]} prices - CompetitorPrice records
+   * @param {string} currency - Calculation currency
+   * @returns {Promise<Object[]>} Prices with `price` in the calculation currency and the source price
+   */
+  async convertPrices(prices, currency) {
+    const converter = await currencyService.createConverter(prices.map(price => price.currency), currency);
+
+    return prices
+      .map(price => ({
+        ...price,
+        price: converter.convert(price.price, price.currency, price.priceDate),
+        sourcePrice: price.price,
+        sourceCurrency: price.currency
+      }))
+      .filter(price => price.price !== null);
+  }
+
+  /**
+   * Smallest markup on the calculation price that keeps net profitability
+   * (calculateProfitabilityMetrics) at or above the minimum
+   * @param {Object} calculation - Calculation with cost breakdown, pricePerUnit and quantity
+   * @param {number} minProfitability - Minimum net profitability, %
+   * @returns {Object} { markup, metrics } - markup is null when even MAX_MARKUP is not enough
+   */
+  getMinimumMarkup(calculation, minProfitability) {
+    const metricsAt = markup => calculateProfitabilityMetrics({
+      ...calculation,
+      pricePerUnit: (calculation.pricePerUnit || 0) * (1 + markup / 100)
+    });
+
+    for (let markup = 0; markup <= MAX_MARKUP; markup += MARKUP_STEP) {
+      const metrics = metricsAt(markup);
+      if (metrics.profitabilityPercent >= minProfitability) {
+        return { markup, metrics };
+      }
+    }
+
+    return { markup: null, metrics: metricsAt(MAX_MARKUP) };
+  }
+
+  /**
+   * Markup recommendation for a calculation from recent competitor prices,
+   * raised when needed to keep the minimum net profitability
+   * @param {Object} calculation - Calculation (with items)
+   * @param {Object} options - competitorPrices (override registry), productId, minProfitability
+   * @returns {Promise<Object>} { originalPrice, competitorPrices, marketAnalysis, profitability, recommendation }
+   */
+  async recommendForCalculation(calculation, options = {}) {
+    const minProfitability = options.minProfitability ?? this.minProfitability;
+    const originalPrice = calculation.pricePerUnit
+      || (calculation.quantity ? (calculation.totalSaleAmount || 0) / calculation.quantity : 0);
+
+    if (!(originalPrice > 0)) {
+      throw this.createError('Calculation has no sale price to compare with competitors');
+    }
+
+    const competitorPrices = options.competitorPrices
+      ? options.competitorPrices.map((price, index) => ({ competitor: `Конкурент ${index + 1}`, price }))
+      : await this.convertPrices(await this.getRecentPrices({
+        productIds: [
+          ...(options.productId ? [options.productId] : []),
+          ...(calculation.items || []).map(item => item.productId).filter(Boolean)
+        ],
+        productName: calculation.productName
+      }), calculation.currency);
+
+    // Без разбивки себестоимости рентабельность посчитать нельзя
+    const hasCostBreakdown = calculateProfitabilityMetrics(calculation).totalCostBreakdown > 0;
+    const minimum = hasCostBreakdown
+      ? this.getMinimumMarkup({ ...calculation, pricePerUnit: originalPrice }, minProfitability)
+      : null;
+
+    const markupOptions = { minMarkup: minimum?.markup ?? null, minProfitability };
+    const marketAnalysis = competitorPrices.length > 0
+      ? competitiveProposalsService.generateComparisonTable(originalPrice, competitorPrices, markupOptions)
+      : null;
+    const recommendation = marketAnalysis?.recommendation
+      || competitiveProposalsService.getRecommendedMarkup(originalPrice, [], markupOptions);
+
+    if (minimum && minimum.markup === null) {
+      recommendation.warning = `Минимальная рентабельность ${minProfitability}% недостижима при наценке до ${MAX_MARKUP}%`;
+    }
+
+    return {
+      originalPrice,
+      competitorPrices,
+      marketAnalysis,
+      profitability: minimum && {
+        minProfitability,
+        minMarkup: minimum.markup,
+        atRecommended: calculateProfitabilityMetrics({
+          ...calculation,
+          pricePerUnit: originalPrice * (1 + recommendation.markup / 100)
+        })
+      },
+      recommendation
+    };
+  }
+}
+
+const competitorPriceService = new CompetitorPriceService();
+
+module.exports = competitorPriceService;
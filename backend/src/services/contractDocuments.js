@@ -0,0 +1,342 @@
+const { PrismaClient } = require('@prisma/client');
+const { createPdfDocument, pdfToBuffer, mm } = require('../utils/pdf');
+const { logBusinessEvent } = require('../utils/logger');
+const digitalSignatureService = require('./digitalSignature');
+const signatureKeysService = require('./signatureKeys');
+const signatureRequestService = require('./signatureRequests');
+const cmsSignatureService = require('./cmsSignatures');
+const pdfSignatureService = require('./pdfSignatures');
+const companyTemplatesService = require('./companyTemplates');
+const contractTemplatesService = require('./contractTemplates');
+
+const prisma = new PrismaClient();
+
+// Ширины колонок спецификации (Приложение 1): №, наименование, кол-во, ед., цена, сумма
+const SPECIFICATION_COLUMNS = [0.06, 0.4, 0.12, 0.1, 0.16, 0.16];
+
+class ContractDocumentService {
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Contract with client, order items and selling companies of the order calculations
+   * @param {string} contractId - Contract ID
+   * @returns {Promise<Object>} Contract
+   */
+  async getContract(contractId) {
+    const contract = await prisma.contract.findUnique({
+      where: { id: contractId },
+      include: {
+        client: true,
+        orders: {
+          include: {
+            items: { include: { product: true } },
+            calculations: { select: { sellingCompany: true } }
+          }
+        }
+      }
+    });
+
+    if (!contract) {
+      throw this.createError('Contract not found', 404);
+    }
+
+    return contract;
+  }
+
+  /**
+   * Company template with the requisites of the selling company: the given company code,
+   * otherwise the selling company of the contract order calculations
+   * @param {Object} contract - Contract from getContract
+   * @param {string|null} companyId - Company template code
+   * @returns {Promise<Object|null>} Company template or null for the built-in company names
+   */
+  async findCompanyTemplate(contract, companyId = null) {
+    if (companyId) {
+      return companyTemplatesService.getTemplate(companyId);
+    }
+
+    const sellingCompany = contract.orders
+      .flatMap(order => order.calculations || [])
+      .map(calculation => calculation.sellingCompany)
+      .find(Boolean);
+
+    return companyTemplatesService.findBySellingCompany(sellingCompany);
+  }
+
+  /**
+   * Contract text from the contract template of the contract type
+   * @param {Object} contract - Contract from getContract
+   * @param {Object|null} companyTemplate - Company template with seller requisites
+   * @returns {Object} { text, validation } - validation as in contractTemplates.validateContract
+   */
+  buildText(contract, companyTemplate = null) {
+    const orderData = contract.orders.length > 0 ? contract.orders[0] : null;
+    const args = [contract.contractType, contract, contract.client, orderData, companyTemplate];
+
+    return {
+      text: contractTemplatesService.generateContract(...args),
+      validation: contractTemplatesService.validateContract(...args)
+    };
+  }
+
+  /**
+   * Render the generated contract text into a PDF: lines ending with a space continue the
+   * paragraph, upper-case lines are headings (appendices start a new page), columns separated
+   * by 3+ spaces are laid out side by side and "a | b | c" lines form the specification table
+   * @param {string} text - Contract text from buildText
+   * @param {string} title - PDF title
+   * @returns {Promise<Buffer>} PDF
+   */
+  async renderPdf(text, title) {
+    const doc = createPdfDocument({ margin: mm(20), info: { Title: title } });
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const columnWidths = SPECIFICATION_COLUMNS.map(share => share * width);
+
+    const drawRow = (cells, bold) => {
+      const y = doc.y;
+      doc.font(bold ? 'Bold' : 'Regular').fontSize(9);
+      const height = Math.max(...cells.map((cell, index) =>
+        doc.heightOfString(cell, { width: (columnWidths[index] || 0) - 6 })
+      )) + 6;
+
+      if (y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        return drawRow(cells, bold);
+      }
+
+      let x = left;
+      cells.forEach((cell, index) => {
+        doc.rect(x, y, columnWidths[index], height).stroke();
+        doc.text(cell, x + 3, y + 3, {
+          width: columnWidths[index] - 6,
+          align: index >= 2 ? 'right' : 'left'
+        });
+        x += columnWidths[index];
+      });
+      doc.x = left;
+      doc.y = y + height;
+    };
+
+    const lines = text.split('\n');
+    let paragraph = '';
+    let tableHeader = true;
+    let titleDone = false;
+
+    lines.forEach((line, index) => {
+      // Строка с пробелом в конце продолжается на следующей
+      if (line.endsWith(' ') && index < lines.length - 1 && lines[index + 1].trim()) {
+        paragraph += line;
+        return;
+      }
+
+      const content = (paragraph + line).trim();
+      paragraph = '';
+
+      if (!content) {
+        tableHeader = true;
+        doc.moveDown(0.5);
+      } else if (content.includes(' | ')) {
+        drawRow(content.split(' | ').map(cell => cell.trim()), tableHeader);
+        tableHeader = false;
+      } else if (!titleDone) {
+        doc.font('Bold').fontSize(14).text(content, left, doc.y, { width, align: 'center' });
+        titleDone = true;
+      } else if (/\s{3,}/.test(content)) {
+        const [first, second] = content.split(/\s{3,}/);
+        const y = doc.y;
+        doc.font('Regular').fontSize(10).text(first, left, y, { width: width / 2 - 6 });
+        const bottom = doc.y;
+        doc.text(second || '', left + width / 2, y, { width: width / 2 });
+        doc.x = left;
+        doc.y = Math.max(bottom, doc.y);
+      } else if (/[А-ЯЁA-Z]/.test(content) && content === content.toUpperCase()) {
+        if (content.startsWith('ПРИЛОЖЕНИЕ')) {
+          doc.addPage();
+        }
+        doc.font('Bold').fontSize(11).text(content, left, doc.y, { width });
+      } else {
+        doc.font('Regular').fontSize(10).text(content, left, doc.y, { width, align: 'justify' });
+      }
+    });
+
+    return pdfToBuffer(doc);
+  }
+
+  /**
+   * Stored PDF version of a contract
+   * @param {string} contractId - Contract ID
+   * @param {number|null} version - Version (latest when omitted)
+   * @returns {Promise<Object|null>} ContractDocument
+   */
+  async getDocument(contractId, version = null) {
+    return prisma.contractDocument.findFirst({
+      where: { contractId, ...(version && { version }) },
+      orderBy: { version: 'desc' }
+    });
+  }
+
+  /**
+   * Generate the contract PDF from the contract template and store it as version 1.
+   * An unsigned document is replaced; a signed one can no longer be regenerated.
+   * @param {Object} contract - Contract from getContract
+   * @param {Object} user - Current user
+   * @param {Object|null} companyTemplate - Company template with seller requisites
+   * @returns {Promise<Object>} { document, text }
+   */
+  async generateDocument(contract, user, companyTemplate = null) {
+    const { text, validation } = this.buildText(contract, companyTemplate);
+    if (!validation.valid) {
+      const problems = [...validation.errors.map(error => error.message), ...validation.missing.map(item => item.name)];
+      throw this.createError(`Contract template cannot be filled: ${problems.join(', ')}`);
+    }
+
+    const existing = await this.getDocument(contract.id);
+    if (existing && existing.signatureCount > 0) {
+      throw this.createError('Contract document is already signed', 409);
+    }
+
+    const pdf = await this.renderPdf(text, `Договор ${contract.contractNumber}`);
+    const data = {
+      fileName: `${contract.contractNumber}.pdf`,
+      data: pdf.toString('base64'),
+      hash: digitalSignatureService.createDocumentHash(pdf),
+      createdById: user.id
+    };
+
+    const document = existing
+      ? await prisma.contractDocument.update({ where: { id: existing.id }, data })
+      : await prisma.contractDocument.create({ data: { contractId: contract.id, version: 1, ...data } });
+
+    logBusinessEvent('contract_pdf_generated', null, { contractId: contract.id, userId: user.id });
+
+    return { document, text };
+  }
+
+  /**
+   * Sign the contract PDF (PAdES): embeds a CMS signature into the latest version as an
+   * incremental update and records the signature of version 1 in the contract ledger with
+   * a detached CMS of the same document
+   * @param {Object} contract - Contract from getContract
+   * @param {Object} user - Signer
+   * @param {Object} options - passphrase, reason, location, role, ipAddress, userAgent
+   * @returns {Promise<Object>} Signature request recordSignature result with document and certificate
+   */
+  async signPdf(contract, user, options = {}) {
+    const userKeys = await signatureKeysService.getUserPrivateKey(user.id, options.passphrase);
+    if (!userKeys) {
+      throw this.createError('No signature keys found. Please generate keys first.');
+    }
+    const certificatePem = await signatureKeysService.getCertificate(userKeys);
+
+    // Без сгенерированного документа подписывается договор по шаблону
+    const current = await this.getDocument(contract.id) ||
+      (await this.generateDocument(contract, user, await this.findCompanyTemplate(contract))).document;
+    const base = current.version === 1 ? current : await this.getDocument(contract.id, 1);
+    const baseBuffer = Buffer.from(base.data, 'base64');
+
+    const signerInfo = {
+      userId: user.id,
+      name: user.name || user.email,
+      email: user.email,
+      role: options.role || 'Contract Manager',
+      comments: '',
+      ipAddress: options.ipAddress || null,
+      userAgent: options.userAgent || null
+    };
+
+    // Подпись журнала и CMS - над исходным PDF (версия 1), одинаковым для всех подписантов
+    const signature = digitalSignatureService.signDocument(baseBuffer, userKeys.privateKey, signerInfo);
+    const signingTime = new Date(signature.payload.signerInfo.timestamp);
+    const signer = { privateKey: userKeys.privateKey, certificate: certificatePem };
+    const cms = cmsSignatureService.signDetached(baseBuffer, signer, signingTime);
+
+    const signedPdf = pdfSignatureService.signPdf(
+      Buffer.from(current.data, 'base64'),
+      {
+        name: signerInfo.name,
+        email: signerInfo.email,
+        reason: options.reason || `Подписание договора ${contract.contractNumber}`,
+        location: options.location || null,
+        signingTime
+      },
+      content => cmsSignatureService.signDetached(content, signer, signingTime)
+    );
+
+    const certificate = digitalSignatureService.createSignatureCertificate(signature, {
+      title: `Contract ${contract.contractNumber}`,
+      type: 'CONTRACT',
+      contractNumber: contract.contractNumber,
+      documentId: contract.id
+    });
+
+    let document = null;
+    const result = await signatureRequestService.recordSignature(contract, {
+      signature,
+      certificate,
+      keyId: userKeys.keyId,
+      cms: cms.toString('base64'),
+      signerInfo
+    }, null, async (tx) => {
+      document = await tx.contractDocument.create({
+        data: {
+          contractId: contract.id,
+          version: current.version + 1,
+          fileName: base.fileName,
+          data: signedPdf.toString('base64'),
+          hash: digitalSignatureService.createDocumentHash(signedPdf),
+          signatureCount: current.signatureCount + 1,
+          signatureId: signature.signatureId,
+          createdById: user.id
+        }
+      });
+    });
+
+    logBusinessEvent('contract_pdf_signed', null, {
+      contractId: contract.id,
+      signatureId: signature.signatureId,
+      version: document.version,
+      userId: user.id
+    });
+
+    return { ...result, signature, certificate, document };
+  }
+
+  /**
+   * Verify an uploaded signed PDF and match signer certificates with stored signature keys
+   * @param {Buffer} pdf - PDF
+   * @returns {Promise<Object>} verifyPdf result; each signature has key (null for unknown keys)
+   */
+  async verifyPdf(pdf) {
+    const result = pdfSignatureService.verifyPdf(pdf);
+
+    for (const signature of result.signatures) {
+      if (!signature.certificate) {
+        signature.key = null;
+        continue;
+      }
+
+      const keyId = digitalSignatureService.generateKeyId(signature.certificate.publicKey);
+      const keyInfo = await signatureKeysService.getPublicKey(keyId);
+      signature.key = keyInfo
+        ? { keyId, status: keyInfo.status, revokedAt: keyInfo.revokedAt, revokeReason: keyInfo.revokeReason }
+        : null;
+    }
+
+    return result;
+  }
+}
+
+const contractDocumentService = new ContractDocumentService();
+
+module.exports = contractDocumentService;
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent } = require('../utils/logger');
+const digitalSignatureService = require('./digitalSignature');
+const signatureKeysService = require('./signatureKeys');
+
+const prisma = new PrismaClient();
+
+// Статусы договора, из которых подписание переводит его в SIGNED
+const SIGNABLE_STATUSES = ['DRAFT', 'SENT'];
+
+class ContractSignatureService {
+  /**
+   * Contract metadata as an object
+   * @param {Object} contract - Contract
+   * @returns {Object} Parsed metadata ({} when empty or broken)
+   */
+  parseMetadata(contract) {
+    try {
+      return contract.metadata ? JSON.parse(contract.metadata) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Hash of a ledger entry. Covers the previous entry hash, so changing
+   * or removing any entry breaks every hash after it.
+   * @param {Object} entry - ContractSignature fields
+   * @returns {string} SHA-256 hex
+   */
+  computeEntryHash(entry) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([
+        entry.previousHash || null,
+        entry.contractId,
+        entry.sequence,
+        entry.signatureId,
+        entry.certificateId,
+        entry.signerId || null,
+        entry.keyId,
+        entry.publicKey || null,
+        entry.cms || null,
+        entry.documentHash,
+        entry.signature,
+        entry.payload,
+        entry.certificate,
+        new Date(entry.signedAt).toISOString()
+      ]))
+      .digest('hex');
+  }
+
+  /**
+   * Key matching a signer with signatures: the user ID, or the e-mail
+   * for external signers
+   * @param {string|null} userId - User ID
+   * @param {string} email - E-mail
+   * @returns {string} Signer key
+   */
+  signerKey(userId, email) {
+    return userId || `email:${String(email || '').toLowerCase()}`;
+  }
+
+  /**
+   * Signature workflow of a contract
+   * @param {Object} contract - Contract
+   * @param {Object[]} signatures - ContractSignature records
+   * @param {Object[]} requiredSigners - Signers of the signature request
+   *   (requiredSigners from contract metadata when omitted)
+   * @returns {Object|null} getSignatureWorkflowStatus result or null without required signers
+   */
+  getWorkflowStatus(contract, signatures, requiredSigners = null) {
+    const signers = requiredSigners || this.parseMetadata(contract).requiredSigners || [];
+    if (signers.length === 0) {
+      return null;
+    }
+
+    const keyedSigners = signers.map(signer => ({ ...signer, userId: this.signerKey(signer.userId, signer.email) }));
+    const workflowStatus = digitalSignatureService.getSignatureWorkflowStatus(
+      signatures.map(signature => ({
+        payload: {
+          signerInfo: {
+            userId: this.signerKey(signature.signerId, signature.signerEmail),
+            timestamp: signature.signedAt
+          }
+        }
+      })),
+      keyedSigners
+    );
+
+    return {
+      ...workflowStatus,
+      pendingSigners: signers.filter((signer, index) => workflowStatus.pendingSigners.includes(keyedSigners[index]))
+    };
+  }
+
+  /**
+   * Append a signature to the contract ledger and move the contract to SIGNED
+   * when all required signers have signed (or on the first signature when
+   * no signers are required)
+   * @param {Object} contract - Contract being signed
+   * @param {Object} data - signature (signDocument result), certificate, keyId, signerInfo;
+   *   publicKey for external signers whose keys are not stored, cms - detached CMS (base64)
+   * @param {Object} options - Signature request context
+   * @param {Object[]} options.requiredSigners - Signers of the request (see getWorkflowStatus)
+   * @param {string} options.requestSignerId - Signer of the request who signs
+   * @param {Function} options.afterRecord - async (tx, result) run in the same transaction
+   * @returns {Promise<Object>} { record, signatures, workflowStatus, complete, contractStatus }
+   */
+  async recordSignature(contract, { signature, certificate, keyId, publicKey = null, cms = null, signerInfo }, options = {}) {
+    const result = await prisma.$transaction(async (tx) => {
+      const last = await tx.contractSignature.findFirst({
+        where: { contractId: contract.id },
+        orderBy: { sequence: 'desc' }
+      });
+
+      const entry = {
+        contractId: contract.id,
+        sequence: (last?.sequence || 0) + 1,
+        signatureId: signature.signatureId,
+        certificateId: certificate.certificateId,
+        signerType: publicKey ? 'EXTERNAL' : 'USER',
+        signerId: signerInfo.userId || null,
+        requestSignerId: options.requestSignerId || null,
+        signerName: signerInfo.name,
+        signerEmail: signerInfo.email,
+        signerRole: signerInfo.role || null,
+        keyId,
+        publicKey,
+        cms,
+        algorithm: signature.payload.algorithm,
+        documentHash: signature.payload.documentHash,
+        signature: signature.signature,
+        payload: JSON.stringify(signature.payload),
+        certificate: JSON.stringify(certificate),
+        ipAddress: signerInfo.ipAddress || null,
+        userAgent: signerInfo.userAgent || null,
+        signedAt: new Date(signature.payload.signerInfo.timestamp),
+        previousHash: last?.entryHash || null
+      };
+      entry.entryHash = this.computeEntryHash(entry);
+
+      const record = await tx.contractSignature.create({ data: entry });
+      const signatures = await tx.contractSignature.findMany({
+        where: { contractId: contract.id },
+        orderBy: { sequence: 'asc' }
+      });
+
+      const workflowStatus = this.getWorkflowStatus(contract, signatures, options.requiredSigners);
+      const complete = workflowStatus ? workflowStatus.allRequiredSigned : true;
+      const contractStatus = complete && SIGNABLE_STATUSES.includes(contract.status) ? 'SIGNED' : contract.status;
+
+      // Голова цепочки в договоре: обнаруживает удаление последних записей
+      await tx.contract.update({
+        where: { id: contract.id },
+        data: {
+          metadata: JSON.stringify({
+            ...this.parseMetadata(contract),
+            signatureLedger: { head: entry.entryHash, count: entry.sequence },
+            lastSignedAt: entry.signedAt.toISOString()
+          }),
+          ...(contractStatus !== contract.status && { status: contractStatus, signedDate: entry.signedAt })
+        }
+      });
+
+      const result = { record, signatures, workflowStatus, complete, contractStatus };
+      if (options.afterRecord) {
+        await options.afterRecord(tx, result);
+      }
+
+      return result;
+    });
+
+    if (result.contractStatus !== contract.status) {
+      logBusinessEvent('contract_fully_signed', null, {
+        contractId: contract.id,
+        contractNumber: contract.contractNumber,
+        signatures: result.signatures.length
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Signatures of a contract in ledger order
+   * @param {string} contractId - Contract ID
+   * @returns {Promise<Object[]>} ContractSignature records
+   */
+  async getSignatures(contractId) {
+    return prisma.contractSignature.findMany({
+      where: { contractId },
+      orderBy: { sequence: 'asc' }
+    });
+  }
+
+  /**
+   * Check the hash chain of ledger entries
+   * @param {Object[]} entries - Entries in sequence order
+   * @param {Object} head - signatureLedger from contract metadata ({ head, count })
+   * @returns {Object} { valid, entries, brokenAt, reason }
+   */
+  checkChain(entries, head = null) {
+    let previousHash = null;
+
+    for (const [index, entry] of entries.entries()) {
+      if (entry.sequence !== index + 1) {
+        return { valid: false, entries: entries.length, brokenAt: index + 1, reason: 'Ledger entry is missing' };
+      }
+
+      if ((entry.previousHash || null) !== previousHash) {
+        return { valid: false, entries: entries.length, brokenAt: entry.sequence, reason: 'Previous hash does not match' };
+      }
+
+      if (this.computeEntryHash(entry) !== entry.entryHash) {
+        return { valid: false, entries: entries.length, brokenAt: entry.sequence, reason: 'Ledger entry has been modified' };
+      }
+
+      previousHash = entry.entryHash;
+    }
+
+    if (head && (head.count !== entries.length || head.head !== previousHash)) {
+      return {
+        valid: false,
+        entries: entries.length,
+        brokenAt: Math.min(head.count || 0, entries.length) + 1,
+        reason: 'Ledger does not end with the recorded head'
+      };
+    }
+
+    return { valid: true, entries: entries.length, brokenAt: null, reason: null };
+  }
+
+  /**
+   * Verify the signature ledger of a contract
+   * @param {Object} contract - Contract
+   * @param {Object[]} signatures - Ledger entries (loaded when omitted)
+   * @returns {Promise<Object>} checkChain result with the head hash
+   */
+  async verifyLedger(contract, signatures = null) {
+    const entries = signatures || await this.getSignatures(contract.id);
+    const head = this.parseMetadata(contract).signatureLedger || null;
+
+    return {
+      ...this.checkChain(entries, head),
+      head: head?.head || null
+    };
+  }
+
+  /**
+   * Verify stored signatures against a document with the signers' public keys
+   * (rotated and revoked keys included; external signers' keys are stored
+   * with the signature)
+   * @param {string} contractId - Contract ID
+   * @param {Buffer} documentBuffer - Document content
+   * @param {string} signatureId - Verify only this signature
+   * @returns {Promise<Object[]>} Verification results
+   */
+  async verifySignatures(contractId, documentBuffer, signatureId = null) {
+    const signatures = (await this.getSignatures(contractId))
+      .filter(signature => !signatureId || signature.signatureId === signatureId);
+
+    const results = [];
+    for (const signature of signatures) {
+      const signerInfo = {
+        name: signature.signerName,
+        email: signature.signerEmail,
+        signedAt: signature.signedAt
+      };
+      const publicKeyInfo = signature.publicKey
+        ? { publicKey: signature.publicKey, status: 'EXTERNAL', revokedAt: null }
+        : await signatureKeysService.getPublicKey(signature.keyId);
+
+      if (!publicKeyInfo) {
+        results.push({
+          signatureId: signature.signatureId,
+          sequence: signature.sequence,
+          valid: false,
+          reason: 'Public key not found',
+          signerInfo
+        });
+        continue;
+      }
+
+      const verification = digitalSignatureService.verifySignature(
+        documentBuffer,
+        { signature: signature.signature, payload: JSON.parse(signature.payload) },
+        publicKeyInfo.publicKey
+      );
+
+      results.push({
+        signatureId: signature.signatureId,
+        certificateId: signature.certificateId,
+        sequence: signature.sequence,
+        ...verification,
+        keyId: signature.keyId,
+        keyStatus: publicKeyInfo.status,
+        keyRevokedAt: publicKeyInfo.revokedAt,
+        signerInfo
+      });
+    }
+
+    return results;
+  }
+}
+
+const contractSignatureService = new ContractSignatureService();
+
+module.exports = contractSignatureService;
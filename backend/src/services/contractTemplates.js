@@ -1,5 +1,38 @@
-const fs = require('fs').promises;
-const path = require('path');
+const templateEngine = require('./templateEngine');
+
+// Приложение 1 - спецификация по позициям заказов договора
+const SPECIFICATION = `ПРИЛОЖЕНИЕ 1
+к Договору № {contractNumber} от {contractDate | date}
+
+СПЕЦИФИКАЦИЯ
+
+№ | Наименование | Кол-во | Ед. | Цена | Сумма
+{#each items}
+{@number} | {name} | {quantity | number} | {unit} | {price | money} | {total | money}
+{/each}
+
+Итого: {totalAmount | money} ({totalAmount | words:currency})`;
+
+// Реквизиты сторон: продавец - из шаблона компании в БД
+const REQUISITES = `РЕКВИЗИТЫ СТОРОН:
+
+{sellingCompany}
+{#if sellingCompanyINN}
+ИНН {sellingCompanyINN}{#if sellingCompanyKPP}, КПП {sellingCompanyKPP}{/if}{#if sellingCompanyOGRN}, ОГРН {sellingCompanyOGRN}{/if}
+{/if}
+{#if sellingCompanyAddress}
+Адрес: {sellingCompanyAddress}
+{/if}
+{#if sellingCompanyBank}
+{sellingCompanyBank}
+{/if}
+
+{clientName}
+ИНН {clientINN}
+{#if clientAddress}
+Адрес: {clientAddress}
+{/if}
+`;
 
 // Contract templates for different types
 const contractTemplates = {
@@ -8,7 +41,7 @@ const contractTemplates = {
     template: `
 ДОГОВОР ПОСТАВКИ № {contractNumber}
 
-г. {city}, {contractDate}
+г. {city}, {contractDate | date:long}
 
 {sellingCompany}, именуемое в дальнейшем "Поставщик", в лице {representativeName}, 
 действующего на основании {representativeBasis}, с одной стороны, 
@@ -24,18 +57,17 @@ const contractTemplates = {
 1.1. Поставщик обязуется поставить товары согласно спецификации (Приложение 1), 
 а Покупатель принять и оплатить их в порядке и на условиях, предусмотренных настоящим Договором.
 
-1.2. Общая стоимость поставки составляет {totalAmount} рублей, включая НДС.
+1.2. Общая стоимость поставки составляет {totalAmount | money} ({totalAmount | words:currency}), включая НДС.
 
 2. УСЛОВИЯ ПОСТАВКИ
 2.1. Поставка товаров осуществляется по адресу: {deliveryAddress}
-2.2. Срок поставки: с {validFrom} по {validTo}
-
+2.2. Срок поставки: с {validFrom | date}{#if validTo} по {validTo | date}{/if}
 {#if exchangeName}
 2.3. Поставка осуществляется через биржу: {exchangeName} ({exchangeType})
 {/if}
 
 3. ПОРЯДОК РАСЧЕТОВ
-3.1. Общая стоимость товаров по настоящему Договору составляет {totalAmount} рублей.
+3.1. Общая стоимость товаров по настоящему Договору составляет {totalAmount | money} ({totalAmount | words:currency}).
 3.2. Оплата производится в течение {paymentTerms} дней с момента поставки товаров.
 
 4. ОТВЕТСТВЕННОСТЬ СТОРОН
@@ -43,7 +75,7 @@ const contractTemplates = {
 стороны несут ответственность в соответствии с действующим законодательством РФ.
 
 5. ЗАКЛЮЧИТЕЛЬНЫЕ ПОЛОЖЕНИЯ
-5.1. Настоящий Договор вступает в силу с {validFrom} и действует до {validTo}.
+5.1. Настоящий Договор вступает в силу с {validFrom | date} и действует {#if validTo}до {validTo | date}{#else}до полного исполнения обязательств{/if}.
 {#if autoRenewal}
 5.2. При отсутствии заявлений о расторжении Договор автоматически продлевается на тот же срок.
 {/if}
@@ -51,10 +83,15 @@ const contractTemplates = {
 5.3. Все изменения и дополнения к Договору действительны лишь при условии, 
 что они совершены в письменной форме и подписаны обеими сторонами.
 
+{#if terms}
 {terms}
 
+{/if}
+{#if conditions}
 {conditions}
 
+{/if}
+${REQUISITES}
 ПОДПИСИ СТОРОН:
 
 Поставщик:                           Покупатель:
@@ -64,13 +101,9 @@ _________________                    _________________
 Подпись                             Подпись
 
 М.П.                                М.П.
-    `,
-    variables: [
-      'contractNumber', 'city', 'contractDate', 'sellingCompany', 'representativeName', 
-      'representativeBasis', 'clientName', 'clientINN', 'clientRepresentative', 
-      'clientBasis', 'totalAmount', 'deliveryAddress', 'validFrom', 'validTo', 
-      'exchangeName', 'exchangeType', 'paymentTerms', 'autoRenewal', 'terms', 'conditions'
-    ]
+
+${SPECIFICATION}
+    `
   },
   
   SERVICE: {
@@ -78,7 +111,7 @@ _________________                    _________________
     template: `
 ДОГОВОР НА ОКАЗАНИЕ УСЛУГ № {contractNumber}
 
-г. {city}, {contractDate}
+г. {city}, {contractDate | date:long}
 
 {sellingCompany}, именуемое в дальнейшем "Исполнитель", в лице {representativeName}, 
 действующего на основании {representativeBasis}, с одной стороны, 
@@ -94,19 +127,24 @@ _________________                    _________________
 1.1. Исполнитель обязуется оказать услуги, указанные в Техническом задании (Приложение 1), 
 а Заказчик принять и оплатить их.
 
-1.2. Общая стоимость услуг составляет {totalAmount} рублей, включая НДС.
+1.2. Общая стоимость услуг составляет {totalAmount | money} ({totalAmount | words:currency}), включая НДС.
 
 2. СРОКИ ВЫПОЛНЕНИЯ
-2.1. Услуги оказываются с {validFrom} по {validTo}
+2.1. Услуги оказываются с {validFrom | date}{#if validTo} по {validTo | date}{/if}
 
 3. ПОРЯДОК РАСЧЕТОВ
-3.1. Общая стоимость услуг по настоящему Договору составляет {totalAmount} рублей.
+3.1. Общая стоимость услуг по настоящему Договору составляет {totalAmount | money} ({totalAmount | words:currency}).
 3.2. Оплата производится согласно календарному плану платежей.
 
+{#if terms}
 {terms}
 
+{/if}
+{#if conditions}
 {conditions}
 
+{/if}
+${REQUISITES}
 ПОДПИСИ СТОРОН:
 
 Исполнитель:                         Заказчик:
@@ -114,12 +152,7 @@ _________________                    _________________
 
 _________________                    _________________
 Подпись                             Подпись
-    `,
-    variables: [
-      'contractNumber', 'city', 'contractDate', 'sellingCompany', 'representativeName', 
-      'representativeBasis', 'clientName', 'clientINN', 'clientRepresentative', 
-      'clientBasis', 'totalAmount', 'validFrom', 'validTo', 'terms', 'conditions'
-    ]
+    `
   },
 
   LEASE: {
@@ -127,7 +160,7 @@ _________________                    _________________
     template: `
 ДОГОВОР АРЕНДЫ № {contractNumber}
 
-г. {city}, {contractDate}
+г. {city}, {contractDate | date:long}
 
 {sellingCompany}, именуемое в дальнейшем "Арендодатель", в лице {representativeName}, 
 действующего на основании {representativeBasis}, с одной стороны, 
@@ -143,19 +176,23 @@ _________________                    _________________
 1.1. Арендодатель предоставляет во временное владение и пользование оборудование/имущество, 
 указанное в Приложении 1.
 
-1.2. Размер арендной платы составляет {totalAmount} рублей за период аренды.
+1.2. Размер арендной платы составляет {totalAmount | money} ({totalAmount | words:currency}) за период аренды.
 
 2. СРОК АРЕНДЫ
-2.1. Договор действует с {validFrom} по {validTo}
-
+2.1. Договор действует с {validFrom | date}{#if validTo} по {validTo | date}{/if}
 {#if autoRenewal}
 2.2. При отсутствии заявлений о расторжении Договор автоматически продлевается.
 {/if}
 
+{#if terms}
 {terms}
 
+{/if}
+{#if conditions}
 {conditions}
 
+{/if}
+${REQUISITES}
 ПОДПИСИ СТОРОН:
 
 Арендодатель:                        Арендатор:
@@ -163,12 +200,9 @@ _________________                    _________________
 
 _________________                    _________________
 Подпись                             Подпись
-    `,
-    variables: [
-      'contractNumber', 'city', 'contractDate', 'sellingCompany', 'representativeName', 
-      'representativeBasis', 'clientName', 'clientINN', 'clientRepresentative', 
-      'clientBasis', 'totalAmount', 'validFrom', 'validTo', 'autoRenewal', 'terms', 'conditions'
-    ]
+
+${SPECIFICATION}
+    `
   },
 
   PURCHASE: {
@@ -176,7 +210,7 @@ _________________                    _________________
     template: `
 ДОГОВОР КУПЛИ-ПРОДАЖИ № {contractNumber}
 
-г. {city}, {contractDate}
+г. {city}, {contractDate | date:long}
 
 {sellingCompany}, именуемое в дальнейшем "Продавец", в лице {representativeName}, 
 действующего на основании {representativeBasis}, с одной стороны, 
@@ -192,19 +226,23 @@ _________________                    _________________
 1.1. Продавец обязуется передать в собственность товары, указанные в Приложении 1,
 а Покупатель принять и оплатить их.
 
-1.2. Общая стоимость товаров составляет {totalAmount} рублей.
+1.2. Общая стоимость товаров составляет {totalAmount | money} ({totalAmount | words:currency}).
 
 2. ПЕРЕХОД ПРАВА СОБСТВЕННОСТИ
 2.1. Право собственности на товар переходит к Покупателю с момента его полной оплаты.
-
 {#if exchangeName}
 2.2. Сделка осуществляется через биржу: {exchangeName} ({exchangeType})
 {/if}
 
+{#if terms}
 {terms}
 
+{/if}
+{#if conditions}
 {conditions}
 
+{/if}
+${REQUISITES}
 ПОДПИСИ СТОРОН:
 
 Продавец:                            Покупатель:
@@ -212,12 +250,9 @@ _________________                    _________________
 
 _________________                    _________________
 Подпись                             Подпись
-    `,
-    variables: [
-      'contractNumber', 'city', 'contractDate', 'sellingCompany', 'representativeName', 
-      'representativeBasis', 'clientName', 'clientINN', 'clientRepresentative', 
-      'clientBasis', 'totalAmount', 'exchangeName', 'exchangeType', 'terms', 'conditions'
-    ]
+
+${SPECIFICATION}
+    `
   },
 
   EXCHANGE: {
@@ -225,7 +260,7 @@ _________________                    _________________
     template: `
 БИРЖЕВОЙ ДОГОВОР № {contractNumber}
 
-г. {city}, {contractDate}
+г. {city}, {contractDate | date:long}
 
 {sellingCompany}, именуемое в дальнейшем "Продавец", с одной стороны, 
 
@@ -241,16 +276,21 @@ _________________                    _________________
 
 1.2. Биржа: {exchangeName}
 1.3. Тип биржи: {exchangeType}
-1.4. Стоимость контракта: {totalAmount} рублей
+1.4. Стоимость контракта: {totalAmount | money} ({totalAmount | words:currency})
 
 2. БИРЖЕВЫЕ УСЛОВИЯ
 2.1. Исполнение договора осуществляется в соответствии с правилами биржи {exchangeName}
 2.2. Расчеты производятся через биржевую систему
 
+{#if terms}
 {terms}
 
+{/if}
+{#if conditions}
 {conditions}
 
+{/if}
+${REQUISITES}
 ПОДПИСИ СТОРОН:
 
 Продавец:                            Покупатель:
@@ -260,11 +300,7 @@ _________________                    _________________
 Подпись                             Подпись
 
 Биржа: {exchangeName}
-    `,
-    variables: [
-      'contractNumber', 'city', 'contractDate', 'sellingCompany', 'clientName', 'clientINN',
-      'totalAmount', 'exchangeName', 'exchangeType', 'terms', 'conditions'
-    ]
+    `
   }
 };
 
@@ -275,7 +311,7 @@ function getAvailableTemplates() {
   return Object.keys(contractTemplates).map(key => ({
     type: key,
     name: contractTemplates[key].name,
-    variables: contractTemplates[key].variables
+    variables: templateEngine.collectVariables(contractTemplates[key].template)
   }));
 }
 
@@ -287,130 +323,142 @@ function getTemplate(contractType) {
 }
 
 /**
- * Simple template engine - replace variables with values
+ * Render template with variables, see templateEngine for the syntax
  */
 function renderTemplate(template, variables) {
-  let rendered = template;
-  
-  // Replace simple variables {variableName}
-  for (const [key, value] of Object.entries(variables)) {
-    if (value !== null && value !== undefined) {
-      const regex = new RegExp(`{${key}}`, 'g');
-      rendered = rendered.replace(regex, value);
-    }
-  }
-  
-  // Handle conditional blocks {#if variable}...{/if}
-  rendered = rendered.replace(/{#if\s+(\w+)}(.*?){\/if}/gs, (match, variable, content) => {
-    return variables[variable] ? content : '';
-  });
-  
-  // Clean up remaining empty variables
-  rendered = rendered.replace(/{[\w]+}/g, '');
-  
-  return rendered.trim();
+  return templateEngine.renderTemplate(template, variables);
 }
 
 /**
- * Generate contract from template
+ * Specification rows from the order items of the contract
+ * (all orders linked to the contract, or the given order)
  */
-function generateContract(contractType, contractData, clientData, orderData = null) {
-  const template = getTemplate(contractType);
-  
-  // Prepare template variables
-  const templateVariables = {
-    // Contract data
+function buildSpecificationItems(contractData, orderData) {
+  const orders = contractData.orders?.length ? contractData.orders : [orderData].filter(Boolean);
+
+  return orders.flatMap(order => order.items || []).map(item => ({
+    name: item.product?.name || '',
+    code: item.product?.code || '',
+    unit: item.product?.unit || 'шт',
+    quantity: item.quantity,
+    price: item.price,
+    total: item.total
+  }));
+}
+
+/**
+ * Template variables for a contract.
+ * companyTemplate - company template from the database (requisites, signatory, bank details);
+ * without it the built-in company names are used
+ */
+function buildTemplateVariables(contractData, clientData, orderData = null, companyTemplate = null) {
+  return {
+    // Contract data; dates and amounts are formatted by the template filters
     contractNumber: contractData.contractNumber,
-    contractDate: contractData.contractDate ? new Date(contractData.contractDate).toLocaleDateString('ru-RU') : '',
-    totalAmount: contractData.totalAmount ? contractData.totalAmount.toLocaleString('ru-RU') : '0',
+    contractDate: contractData.contractDate,
+    totalAmount: contractData.totalAmount || 0,
     currency: contractData.currency || 'RUB',
     description: contractData.description || '',
     terms: contractData.terms || '',
     conditions: contractData.conditions || '',
     exchangeName: contractData.exchangeName || '',
     exchangeType: contractData.exchangeType || '',
-    validFrom: contractData.validFrom ? new Date(contractData.validFrom).toLocaleDateString('ru-RU') : '',
-    validTo: contractData.validTo ? new Date(contractData.validTo).toLocaleDateString('ru-RU') : '',
+    validFrom: contractData.validFrom,
+    validTo: contractData.validTo,
     autoRenewal: contractData.autoRenewal || false,
-    
+
     // Client data
     clientName: clientData.name || '',
     clientINN: clientData.inn || '',
     clientRepresentative: clientData.contactPerson || '',
     clientBasis: 'Устава', // Default value
+    clientAddress: clientData.address || '',
     deliveryAddress: clientData.address || '',
-    
-    // Company data (can be configured)
-    sellingCompany: getSellingCompanyName(contractData.sellingCompany),
-    representativeName: 'Директора', // Default
-    representativeBasis: 'Устава', // Default
-    city: 'Москва', // Default
-    
+
+    // Company data from the company template
+    sellingCompany: companyTemplate?.fullName || getSellingCompanyName(contractData.sellingCompany),
+    representativeName: formatRepresentative(companyTemplate),
+    representativeBasis: companyTemplate?.signatoryBasis || 'Устава', // Default
+    city: companyTemplate?.city || 'Москва', // Default
+    sellingCompanyINN: companyTemplate?.inn || '',
+    sellingCompanyKPP: companyTemplate?.kpp || '',
+    sellingCompanyOGRN: companyTemplate?.ogrn || '',
+    sellingCompanyAddress: companyTemplate?.address || '',
+    sellingCompanyBank: formatBankDetails(companyTemplate?.bankDetails),
+
     // Order data if provided
     orderNumber: orderData?.number || '',
-    orderDate: orderData?.orderDate ? new Date(orderData.orderDate).toLocaleDateString('ru-RU') : '',
-    
+    orderDate: orderData?.orderDate || '',
+    items: buildSpecificationItems(contractData, orderData),
+
     // Default terms
     paymentTerms: '10'
   };
-  
-  return renderTemplate(template.template, templateVariables);
 }
 
 /**
- * Get company name based on selling company code
+ * Generate contract from template
  */
-function getSellingCompanyName(companyCode) {
-  const companies = {
-    'NOVA': 'ООО "НОВА"',
-    'CO-LAB': 'ООО "СО-ЛАБ"',
-    'COLAB': 'ООО "СО-ЛАБ"'
-  };
-  
-  return companies[companyCode] || companies['CO-LAB'];
+function generateContract(contractType, contractData, clientData, orderData = null, companyTemplate = null) {
+  const template = getTemplate(contractType);
+
+  return renderTemplate(template.template, buildTemplateVariables(contractData, clientData, orderData, companyTemplate));
 }
 
 /**
- * Save contract to file system (for PDF generation later)
+ * Validate the contract template against contract data before generating:
+ * { valid, errors: [{ message, line }], missing: [{ name, line }] }
  */
-async function saveContractToFile(contractId, content) {
-  try {
-    const contractsDir = path.join(__dirname, '../../contracts');
-    
-    // Ensure directory exists
-    try {
-      await fs.access(contractsDir);
-    } catch {
-      await fs.mkdir(contractsDir, { recursive: true });
-    }
-    
-    const filePath = path.join(contractsDir, `${contractId}.txt`);
-    await fs.writeFile(filePath, content, 'utf8');
-    
-    return filePath;
-  } catch (error) {
-    throw new Error(`Failed to save contract: ${error.message}`);
+function validateContract(contractType, contractData, clientData, orderData = null, companyTemplate = null) {
+  const template = getTemplate(contractType);
+
+  return templateEngine.validateTemplate(template.template, buildTemplateVariables(contractData, clientData, orderData, companyTemplate));
+}
+
+/**
+ * Signatory for the contract preamble ("в лице ...")
+ */
+function formatRepresentative(companyTemplate) {
+  if (!companyTemplate?.signatoryName) {
+    return 'Директора'; // Default
   }
+
+  return [companyTemplate.signatoryPosition, companyTemplate.signatoryName].filter(Boolean).join(' ');
 }
 
 /**
- * Load contract from file system
+ * Bank details line for the requisites section
  */
-async function loadContractFromFile(contractId) {
-  try {
-    const filePath = path.join(__dirname, '../../contracts', `${contractId}.txt`);
-    const content = await fs.readFile(filePath, 'utf8');
-    return content;
-  } catch (error) {
-    throw new Error(`Failed to load contract: ${error.message}`);
+function formatBankDetails(bankDetails) {
+  if (!bankDetails) {
+    return '';
   }
+
+  return [
+    bankDetails.bankName,
+    `БИК ${bankDetails.bik}`,
+    `р/с ${bankDetails.account}`,
+    bankDetails.correspondentAccount ? `к/с ${bankDetails.correspondentAccount}` : null
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Get company name based on selling company code
+ */
+function getSellingCompanyName(companyCode) {
+  const companies = {
+    'NOVA': 'ООО "НОВА"',
+    'CO-LAB': 'ООО "СО-ЛАБ"',
+    'COLAB': 'ООО "СО-ЛАБ"'
+  };
+  
+  return companies[companyCode] || companies['CO-LAB'];
 }
 
 module.exports = {
   getAvailableTemplates,
   getTemplate,
   generateContract,
-  renderTemplate,
-  saveContractToFile,
-  loadContractFromFile
+  validateContract,
+  renderTemplate
 };
\ No newline at end of file
@@ -0,0 +1,421 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent, logError } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const METHODS = ['FIFO', 'AVERAGE'];
+
+/**
+ * Cost layers for inventory valuation and cost of goods sold.
+ *
+ * Every stock increase creates a layer, every decrease consumes layers oldest
+ * first. Each consumption stores both its FIFO cost and its weighted average
+ * cost, so reports can switch methods without re-posting history.
+ */
+class CostLayerService {
+  constructor() {
+    this.defaultMethod = METHODS.includes(process.env.INVENTORY_VALUATION_METHOD)
+      ? process.env.INVENTORY_VALUATION_METHOD
+      : 'FIFO';
+  }
+
+  /**
+   * Normalize a valuation method name
+   * @param {string} method - FIFO or AVERAGE
+   * @returns {string} Valid method
+   */
+  resolveMethod(method) {
+    return METHODS.includes(method) ? method : this.defaultMethod;
+  }
+
+  /**
+   * Replay layers and consumptions in time order into a perpetual weighted average
+   * @param {Object[]} layers - Layers with quantity, unitCost, receivedAt
+   * @param {Object[]} consumptions - Consumptions with quantity, consumedAt
+   * @returns {Object} Quantity and average unit cost
+   */
+  replayAverage(layers, consumptions) {
+    const events = [
+      ...layers.map(layer => ({ at: new Date(layer.receivedAt), quantity: layer.quantity, unitCost: layer.unitCost })),
+      ...consumptions.map(consumption => ({ at: new Date(consumption.consumedAt), quantity: -consumption.quantity }))
+    ].sort((a, b) => a.at - b.at || b.quantity - a.quantity);
+
+    let quantity = 0;
+    let unitCost = 0;
+
+    for (const event of events) {
+      if (event.quantity > 0) {
+        const total = Math.max(0, quantity) + event.quantity;
+        unitCost = (Math.max(0, quantity) * unitCost + event.quantity * event.unitCost) / total;
+        quantity += event.quantity;
+      } else {
+        quantity += event.quantity;
+      }
+    }
+
+    return { quantity, unitCost };
+  }
+
+  /**
+   * Weighted average unit cost of a product at a date
+   * @param {string} productId - Product ID
+   * @param {Date} asOf - Reference date
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<number|null>} Unit cost or null when the product has no layers
+   */
+  async getAverageCost(productId, asOf = new Date(), client = prisma) {
+    const [layers, consumptions] = await Promise.all([
+      client.costLayer.findMany({
+        where: { productId, receivedAt: { lte: asOf } },
+        select: { quantity: true, unitCost: true, receivedAt: true }
+      }),
+      client.costConsumption.findMany({
+        where: { productId, consumedAt: { lte: asOf }, layerId: { not: null } },
+        select: { quantity: true, consumedAt: true }
+      })
+    ]);
+
+    if (layers.length === 0) {
+      return null;
+    }
+
+    return this.replayAverage(layers, consumptions).unitCost;
+  }
+
+  /**
+   * Add a cost layer for a stock increase
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Quantity added
+   * @param {Object} options - unitCost, sourceType, transactionId, receivedAt
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Created layer
+   */
+  async addLayer(productId, quantity, options = {}, client = prisma) {
+    let unitCost = options.unitCost;
+
+    // Возврат и излишки оцениваем по текущей средней себестоимости
+    if (unitCost === undefined || unitCost === null) {
+      unitCost = await this.getAverageCost(productId, new Date(), client);
+    }
+    if (unitCost === undefined || unitCost === null) {
+      const product = await client.product.findUnique({
+        where: { id: productId },
+        select: { purchasePrice: true }
+      });
+      unitCost = product ? product.purchasePrice : 0;
+    }
+
+    return client.costLayer.create({
+      data: {
+        productId,
+        transactionId: options.transactionId || null,
+        sourceType: options.sourceType || 'INCOMING',
+        quantity,
+        remainingQuantity: quantity,
+        unitCost,
+        receivedAt: options.receivedAt || new Date()
+      }
+    });
+  }
+
+  /**
+   * Consume cost layers (FIFO) for a stock decrease
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Quantity removed
+   * @param {Object} options - transactionId, orderId
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Consumed quantity and costs
+   */
+  async consume(productId, quantity, options = {}, client = prisma) {
+    const averageUnitCost = await this.getAverageCost(productId, new Date(), client);
+    const layers = await client.costLayer.findMany({
+      where: { productId, remainingQuantity: { gt: 0 } },
+      orderBy: [{ receivedAt: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    let remaining = quantity;
+    let fifoCost = 0;
+    let averageCost = 0;
+
+    for (const layer of layers) {
+      if (remaining <= 0) break;
+
+      const taken = Math.min(layer.remainingQuantity, remaining);
+      await client.costLayer.update({
+        where: { id: layer.id },
+        data: { remainingQuantity: { decrement: taken } }
+      });
+
+      const unitAverage = averageUnitCost !== null ? averageUnitCost : layer.unitCost;
+      await client.costConsumption.create({
+        data: {
+          productId,
+          layerId: layer.id,
+          transactionId: options.transactionId || null,
+          orderId: options.orderId || null,
+          quantity: taken,
+          fifoCost: taken * layer.unitCost,
+          averageCost: taken * unitAverage
+        }
+      });
+
+      fifoCost += taken * layer.unitCost;
+      averageCost += taken * unitAverage;
+      remaining -= taken;
+    }
+
+    // Остаток, поступивший до ведения партий, оцениваем по закупочной цене
+    if (remaining > 0) {
+      const product = await client.product.findUnique({
+        where: { id: productId },
+        select: { purchasePrice: true }
+      });
+      const unitCost = product ? product.purchasePrice : 0;
+
+      await client.costConsumption.create({
+        data: {
+          productId,
+          transactionId: options.transactionId || null,
+          orderId: options.orderId || null,
+          quantity: remaining,
+          fifoCost: remaining * unitCost,
+          averageCost: remaining * unitCost
+        }
+      });
+
+      fifoCost += remaining * unitCost;
+      averageCost += remaining * unitCost;
+    }
+
+    return { quantity, fifoCost, averageCost };
+  }
+
+  /**
+   * Record a stock movement: positive delta adds a layer, negative consumes layers
+   * @param {string} productId - Product ID
+   * @param {number} delta - Quantity change
+   * @param {Object} options - unitCost, sourceType, transactionId, orderId
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object|null>} Layer or consumption result
+   */
+  async recordMovement(productId, delta, options = {}, client = prisma) {
+    if (!delta) {
+      return null;
+    }
+
+    return delta > 0
+      ? this.addLayer(productId, delta, options, client)
+      : this.consume(productId, -delta, options, client);
+  }
+
+  /**
+   * Stock valuation as of a date
+   * @param {Object} options - asOf, method, productId
+   * @returns {Promise<Object>} Valuation by product and totals
+   */
+  async getValuation(options = {}) {
+    try {
+      const method = this.resolveMethod(options.method);
+      const asOf = options.asOf ? new Date(options.asOf) : new Date();
+      const productWhere = options.productId ? { productId: options.productId } : {};
+
+      const [layers, consumptions, products] = await Promise.all([
+        prisma.costLayer.findMany({
+          where: { ...productWhere, receivedAt: { lte: asOf } },
+          select: { id: true, productId: true, quantity: true, unitCost: true, receivedAt: true }
+        }),
+        prisma.costConsumption.findMany({
+          where: { ...productWhere, consumedAt: { lte: asOf }, layerId: { not: null } },
+          select: { productId: true, layerId: true, quantity: true, consumedAt: true }
+        }),
+        prisma.product.findMany({
+          where: options.productId ? { id: options.productId } : {},
+          select: {
+            id: true,
+            name: true,
+            code: true,
+            unit: true,
+            purchasePrice: true,
+            warehouseItems: { select: { quantity: true } }
+          }
+        })
+      ]);
+
+      const isCurrent = asOf >= new Date(Date.now() - 60 * 1000);
+      const items = [];
+
+      for (const product of products) {
+        const productLayers = layers.filter(layer => layer.productId === product.id);
+        const productConsumptions = consumptions.filter(consumption => consumption.productId === product.id);
+
+        let quantity = 0;
+        let value = 0;
+
+        if (method === 'FIFO') {
+          for (const layer of productLayers) {
+            const consumed = productConsumptions
+              .filter(consumption => consumption.layerId === layer.id)
+              .reduce((sum, consumption) => sum + consumption.quantity, 0);
+            const remaining = layer.quantity - consumed;
+            quantity += remaining;
+            value += remaining * layer.unitCost;
+          }
+        } else {
+          const average = this.replayAverage(productLayers, productConsumptions);
+          quantity = average.quantity;
+          value = average.quantity * average.unitCost;
+        }
+
+        // Остаток без партий (до начала учета себестоимости) виден только на текущую дату
+        const onHand = product.warehouseItems[0]?.quantity || 0;
+        const unlayeredQuantity = isCurrent ? Math.max(0, onHand - quantity) : 0;
+
+        if (quantity === 0 && unlayeredQuantity === 0) {
+          continue;
+        }
+
+        items.push({
+          productId: product.id,
+          productName: product.name,
+          productCode: product.code,
+          unit: product.unit,
+          quantity,
+          value: Math.round(value * 100) / 100,
+          unitCost: quantity > 0 ? Math.round((value / quantity) * 100) / 100 : 0,
+          unlayeredQuantity,
+          unlayeredValue: Math.round(unlayeredQuantity * product.purchasePrice * 100) / 100
+        });
+      }
+
+      return {
+        method,
+        asOf,
+        items,
+        totals: {
+          quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+          value: Math.round(items.reduce((sum, item) => sum + item.value, 0) * 100) / 100,
+          unlayeredValue: Math.round(items.reduce((sum, item) => sum + item.unlayeredValue, 0) * 100) / 100
+        }
+      };
+    } catch (error) {
+      logError(error, null, { operation: 'get_inventory_valuation' });
+      throw error;
+    }
+  }
+
+  /**
+   * Cost of goods sold by order
+   * @param {string[]} orderIds - Order IDs
+   * @param {string} method - FIFO or AVERAGE
+   * @returns {Promise<Map<string, number>>} orderId -> COGS
+   */
+  async getOrdersCogs(orderIds, method) {
+    const field = this.resolveMethod(method) === 'FIFO' ? 'fifoCost' : 'averageCost';
+
+    const grouped = await prisma.costConsumption.groupBy({
+      by: ['orderId'],
+      where: { orderId: { in: orderIds } },
+      _sum: { [field]: true }
+    });
+
+    return new Map(grouped.map(group => [group.orderId, group._sum[field] || 0]));
+  }
+
+  /**
+   * Cost of goods sold for one shipped order
+   * @param {string} orderId - Order ID
+   * @param {string} method - FIFO or AVERAGE
+   * @returns {Promise<Object>} COGS by product and totals
+   */
+  async getOrderCogs(orderId, method) {
+    const resolvedMethod = this.resolveMethod(method);
+    const field = resolvedMethod === 'FIFO' ? 'fifoCost' : 'averageCost';
+
+    const consumptions = await prisma.costConsumption.findMany({
+      where: { orderId },
+      include: { product: { select: { name: true, unit: true } } }
+    });
+
+    const byProduct = new Map();
+    for (const consumption of consumptions) {
+      const entry = byProduct.get(consumption.productId) || {
+        productId: consumption.productId,
+        productName: consumption.product.name,
+        unit: consumption.product.unit,
+        quantity: 0,
+        cost: 0
+      };
+      entry.quantity += consumption.quantity;
+      entry.cost += consumption[field];
+      byProduct.set(consumption.productId, entry);
+    }
+
+    const items = Array.from(byProduct.values()).map(item => ({
+      ...item,
+      cost: Math.round(item.cost * 100) / 100,
+      unitCost: item.quantity > 0 ? Math.round((item.cost / item.quantity) * 100) / 100 : 0
+    }));
+
+    return {
+      orderId,
+      method: resolvedMethod,
+      items,
+      totalCost: Math.round(items.reduce((sum, item) => sum + item.cost, 0) * 100) / 100
+    };
+  }
+
+  /**
+   * Create opening layers for stock that existed before cost tracking started,
+   * dated before the oldest layer of the product
+   * @param {string} userId - User running the operation
+   * @param {Object} client - Prisma client
+   * @returns {Promise<Object>} Number of layers created and their value
+   */
+  async createOpeningLayers(userId, client = prisma) {
+    const result = await client.$transaction(async (tx) => {
+      const warehouseItems = await tx.warehouseItem.findMany({
+        where: { quantity: { gt: 0 } },
+        include: { product: { select: { purchasePrice: true } } }
+      });
+
+      let created = 0;
+      let value = 0;
+
+      for (const item of warehouseItems) {
+        const layered = await tx.costLayer.aggregate({
+          where: { productId: item.productId },
+          _sum: { remainingQuantity: true }
+        });
+        const missing = item.quantity - (layered._sum.remainingQuantity || 0);
+
+        if (missing <= 0) continue;
+
+        // Начальный остаток был на складе раньше всех учтенных партий и списывается первым
+        const oldest = await tx.costLayer.findFirst({
+          where: { productId: item.productId },
+          orderBy: { receivedAt: 'asc' },
+          select: { receivedAt: true }
+        });
+
+        await this.addLayer(item.productId, missing, {
+          sourceType: 'OPENING',
+          unitCost: item.product.purchasePrice,
+          receivedAt: oldest ? new Date(oldest.receivedAt.getTime() - 1000) : new Date()
+        }, tx);
+
+        created += 1;
+        value += missing * item.product.purchasePrice;
+      }
+
+      return { created, value: Math.round(value * 100) / 100 };
+    });
+
+    logBusinessEvent('opening_cost_layers_created', null, { ...result, userId });
+
+    return result;
+  }
+}
+
+const costLayerService = new CostLayerService();
+
+module.exports = costLayerService;
@@ -1,5 +1,9 @@
 const cron = require('node-cron');
 const reminderService = require('./reminderService');
+const stockReservationService = require('./stockReservations');
+const certificationService = require('./certificationService');
+const reorderPlanningService = require('./reorderPlanning');
+const signatureRequestService = require('./signatureRequests');
 const { logWithContext, logBusinessEvent, logError } = require('../utils/logger');
 
 class CronJobsService {
@@ -27,6 +31,18 @@ class CronJobsService {
       // Health check every hour
       this.scheduleHealthCheck();
 
+      // Expire overdue stock reservations every hour
+      this.scheduleReservationExpiry();
+
+      // Cylinder re-inspection alerts every day at 8:00 AM
+      this.scheduleCertificationAlerts();
+
+      // Reorder digest for administrators on weekdays at 8:30 AM
+      this.scheduleReorderDigest();
+
+      // Signature request reminders and expiry every hour at :45
+      this.scheduleSignatureRequests();
+
       this.isInitialized = true;
       console.log('CronJobs initialized successfully');
       
@@ -285,6 +301,170 @@ class CronJobsService {
     }
   }
 
+  /**
+   * Schedule stock reservation expiry - runs every hour at :15
+   */
+  scheduleReservationExpiry() {
+    const expiryJob = cron.schedule('15 * * * *', async () => {
+      await this.reservationExpiryJob();
+    }, {
+      scheduled: false,
+      timezone: 'Europe/Moscow'
+    });
+
+    expiryJob.start();
+    this.jobs.set('reservation-expiry', expiryJob);
+
+    console.log('Stock reservation expiry job scheduled (every hour at :15)');
+  }
+
+  /**
+   * Stock reservation expiry job implementation
+   */
+  async reservationExpiryJob() {
+    try {
+      const expired = await stockReservationService.expireReservations();
+
+      if (expired > 0) {
+        console.log(`Expired ${expired} stock reservations`);
+      }
+
+      logBusinessEvent('cronjob_reservations_expired', null, {
+        expired,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Reservation expiry job failed:', error);
+      logError(error, null, { 
+        operation: 'cronjob_reservation_expiry',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Schedule cylinder certification alerts - runs daily at 8:00 AM
+   */
+  scheduleCertificationAlerts() {
+    const certificationJob = cron.schedule('0 8 * * *', async () => {
+      await this.certificationAlertJob();
+    }, {
+      scheduled: false,
+      timezone: 'Europe/Moscow'
+    });
+
+    certificationJob.start();
+    this.jobs.set('certification-alerts', certificationJob);
+
+    console.log('Certification alert job scheduled (8:00 AM daily)');
+  }
+
+  /**
+   * Certification alert job implementation
+   */
+  async certificationAlertJob() {
+    try {
+      const results = await certificationService.notifyDue();
+
+      console.log('Certification alerts processed:', results);
+
+      logBusinessEvent('cronjob_certification_alerts', null, {
+        ...results,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Certification alert job failed:', error);
+      logError(error, null, { 
+        operation: 'cronjob_certification_alerts',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Schedule reorder digest - runs on weekdays at 8:30 AM
+   */
+  scheduleReorderDigest() {
+    const reorderJob = cron.schedule('30 8 * * 1-5', async () => {
+      await this.reorderDigestJob();
+    }, {
+      scheduled: false,
+      timezone: 'Europe/Moscow'
+    });
+
+    reorderJob.start();
+    this.jobs.set('reorder-digest', reorderJob);
+
+    console.log('Reorder digest job scheduled (8:30 AM weekdays)');
+  }
+
+  /**
+   * Reorder digest job implementation
+   */
+  async reorderDigestJob() {
+    try {
+      const results = await reorderPlanningService.notifyAdmins();
+
+      console.log('Reorder digest processed:', results);
+
+      logBusinessEvent('cronjob_reorder_digest', null, {
+        ...results,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Reorder digest job failed:', error);
+      logError(error, null, { 
+        operation: 'cronjob_reorder_digest',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Schedule signature request processing - runs every hour at :45
+   */
+  scheduleSignatureRequests() {
+    const signatureJob = cron.schedule('45 * * * *', async () => {
+      await this.signatureRequestJob();
+    }, {
+      scheduled: false,
+      timezone: 'Europe/Moscow'
+    });
+
+    signatureJob.start();
+    this.jobs.set('signature-requests', signatureJob);
+
+    console.log('Signature request job scheduled (every hour at :45)');
+  }
+
+  /**
+   * Signature request job implementation: expiry and reminders before expiry
+   */
+  async signatureRequestJob() {
+    try {
+      const results = await signatureRequestService.processDueRequests();
+
+      if (results.expired > 0 || results.reminded > 0) {
+        console.log('Signature requests processed:', results);
+      }
+
+      logBusinessEvent('cronjob_signature_requests', null, {
+        ...results,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Signature request job failed:', error);
+      logError(error, null, { 
+        operation: 'cronjob_signature_requests',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Stop all cron jobs
    */
@@ -339,6 +519,38 @@ class CronJobsService {
     console.log('Manually triggering notification cleanup...');
     return await this.notificationCleanupJob();
   }
+
+  /**
+   * Manually trigger reservation expiry (for testing)
+   */
+  async triggerReservationExpiry() {
+    console.log('Manually triggering reservation expiry...');
+    return await this.reservationExpiryJob();
+  }
+
+  /**
+   * Manually trigger certification alerts (for testing)
+   */
+  async triggerCertificationAlerts() {
+    console.log('Manually triggering certification alerts...');
+    return await this.certificationAlertJob();
+  }
+
+  /**
+   * Manually trigger reorder digest (for testing)
+   */
+  async triggerReorderDigest() {
+    console.log('Manually triggering reorder digest...');
+    return await this.reorderDigestJob();
+  }
+
+  /**
+   * Manually trigger signature request processing (for testing)
+   */
+  async triggerSignatureRequests() {
+    console.log('Manually triggering signature request processing...');
+    return await this.signatureRequestJob();
+  }
 }
 
 module.exports = new CronJobsService();
\ No newline at end of file
@@ -0,0 +1,440 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent } = require('../utils/logger');
+const { parseCsv, parseNumber, parseDate, mapColumns } = require('../utils/csv');
+
+const prisma = new PrismaClient();
+
+// Названия колонок CSV с курсами (английские и русские)
+const CSV_COLUMNS = {
+  currency: ['currency', 'code', 'валюта', 'код'],
+  date: ['date', 'дата'],
+  rate: ['rate', 'курс'],
+  nominal: ['nominal', 'номинал'],
+  source: ['source', 'источник']
+};
+
+class CurrencyService {
+  constructor() {
+    // Валюта, к которой хранятся курсы
+    this.baseCurrency = (process.env.BASE_CURRENCY || 'RUB').toUpperCase();
+    // Валюта отчетов по продажам
+    this.reportingCurrency = (process.env.REPORTING_CURRENCY || this.baseCurrency).toUpperCase();
+  }
+
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Normalize a currency code, empty code means the base currency
+   * @param {string} code - Currency code
+   * @returns {string} Upper-case code
+   */
+  normalizeCode(code) {
+    return code ? String(code).trim().toUpperCase() : this.baseCurrency;
+  }
+
+  /**
+   * Start of the day a rate belongs to
+   * @param {Date|string} date - Any moment of the day
+   * @returns {Date} Midnight of that day
+   */
+  toDay(date) {
+    const value = new Date(date);
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+
+  /**
+   * Rate of one unit of the currency in the base currency
+   * @param {Object} rate - ExchangeRate
+   * @returns {number} Rate per unit
+   */
+  unitRate(rate) {
+    return rate.rate / (rate.nominal || 1);
+  }
+
+  /**
+   * Currency master. The base currency is created on first use.
+   * @param {Object} options - includeInactive
+   * @returns {Promise<Object[]>} Currencies
+   */
+  async getCurrencies(options = {}) {
+    await prisma.currency.upsert({
+      where: { code: this.baseCurrency },
+      update: {},
+      create: { code: this.baseCurrency, name: this.baseCurrency }
+    });
+
+    const currencies = await prisma.currency.findMany({
+      where: options.includeInactive ? {} : { isActive: true },
+      orderBy: { code: 'asc' }
+    });
+
+    return currencies.map(currency => ({ ...currency, isBase: currency.code === this.baseCurrency }));
+  }
+
+  /**
+   * Get a currency by code
+   * @param {string} code - Currency code
+   * @returns {Promise<Object>} Currency
+   */
+  async getCurrency(code) {
+    const currency = await prisma.currency.findUnique({ where: { code: this.normalizeCode(code) } });
+
+    if (!currency) {
+      throw this.createError(`Валюта ${code} не найдена`, 404);
+    }
+
+    return { ...currency, isBase: currency.code === this.baseCurrency };
+  }
+
+  /**
+   * Check that a currency can be used in documents
+   * @param {string} code - Currency code, empty - base currency
+   * @returns {Promise<string>} Normalized code
+   */
+  async assertCurrency(code) {
+    const normalized = this.normalizeCode(code);
+    if (normalized === this.baseCurrency) {
+      return normalized;
+    }
+
+    const currency = await prisma.currency.findUnique({ where: { code: normalized } });
+    if (!currency || !currency.isActive) {
+      throw this.createError(`Валюта ${normalized} не найдена в справочнике`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Add a currency to the master
+   * @param {Object} data - code, name, symbol, decimals
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Created currency
+   */
+  async createCurrency(data, userId) {
+    const code = this.normalizeCode(data.code);
+
+    const existing = await prisma.currency.findUnique({ where: { code } });
+    if (existing) {
+      throw this.createError(`Валюта ${code} уже существует`, 409);
+    }
+
+    const currency = await prisma.currency.create({ data: { ...data, code } });
+
+    logBusinessEvent('currency_created', null, { code, userId });
+
+    return currency;
+  }
+
+  /**
+   * Update a currency
+   * @param {string} code - Currency code
+   * @param {Object} data - name, symbol, decimals, isActive
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Updated currency
+   */
+  async updateCurrency(code, data, userId) {
+    const currency = await this.getCurrency(code);
+
+    if (currency.isBase && data.isActive === false) {
+      throw this.createError('Базовую валюту нельзя отключить');
+    }
+
+    const updated = await prisma.currency.update({ where: { code: currency.code }, data });
+
+    logBusinessEvent('currency_updated', null, { code: currency.code, userId, fields: Object.keys(data) });
+
+    return updated;
+  }
+
+  /**
+   * Exchange rates of a currency
+   * @param {string} code - Currency code
+   * @param {Object} filters - dateFrom, dateTo
+   * @returns {Promise<Object[]>} Rates, newest first
+   */
+  async getRates(code, filters = {}) {
+    const currency = await this.getCurrency(code);
+
+    const date = {};
+    if (filters.dateFrom) date.gte = this.toDay(filters.dateFrom);
+    if (filters.dateTo) date.lte = this.toDay(filters.dateTo);
+
+    return prisma.exchangeRate.findMany({
+      where: {
+        currencyCode: currency.code,
+        ...(Object.keys(date).length > 0 && { date })
+      },
+      orderBy: { date: 'desc' }
+    });
+  }
+
+  /**
+   * Set the rate of a currency for a date, replacing the rate already entered for that day
+   * @param {Object} data - currency, date, rate, nominal, source
+   * @param {string} userId - Author
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Saved rate
+   */
+  async setRate(data, userId, client = prisma) {
+    const currencyCode = await this.assertCurrency(data.currency);
+
+    if (currencyCode === this.baseCurrency) {
+      throw this.createError('Курс базовой валюты всегда равен 1');
+    }
+
+    const date = this.toDay(data.date || new Date());
+    const values = {
+      rate: data.rate,
+      nominal: data.nominal || 1,
+      source: data.source || 'MANUAL',
+      createdById: userId
+    };
+
+    return client.exchangeRate.upsert({
+      where: { currencyCode_date: { currencyCode, date } },
+      update: values,
+      create: { currencyCode, date, ...values }
+    });
+  }
+
+  /**
+   * Delete a rate
+   * @param {string} id - ExchangeRate ID
+   * @param {string} userId - Author
+   * @returns {Promise<void>}
+   */
+  async deleteRate(id, userId) {
+    const rate = await prisma.exchangeRate.findUnique({ where: { id } });
+    if (!rate) {
+      throw this.createError('Курс не найден', 404);
+    }
+
+    await prisma.exchangeRate.delete({ where: { id } });
+
+    logBusinessEvent('exchange_rate_deleted', null, {
+      currency: rate.currencyCode,
+      date: rate.date,
+      userId
+    });
+  }
+
+  /**
+   * Import exchange rates from CSV. Valid rows are saved, invalid rows are reported.
+   * Columns: currency, date, rate, nominal, source
+   * @param {string} text - CSV content
+   * @param {string} userId - User importing the rates
+   * @returns {Promise<Object>} { imported, skipped, errors }
+   */
+  async importRatesCsv(text, userId) {
+    const rows = parseCsv(text || '');
+    if (rows.length === 0) {
+      throw this.createError('CSV file is empty or has no data rows');
+    }
+
+    const currencies = await prisma.currency.findMany({ where: { isActive: true }, select: { code: true } });
+    const known = new Set(currencies.map(currency => currency.code));
+
+    const data = [];
+    const errors = [];
+
+    for (const row of rows) {
+      const fields = mapColumns(row, CSV_COLUMNS);
+      const currency = this.normalizeCode(fields.currency);
+      const rate = parseNumber(fields.rate);
+      const nominal = fields.nominal ? parseNumber(fields.nominal) : 1;
+      const date = parseDate(fields.date);
+
+      if (!fields.currency || !known.has(currency) || currency === this.baseCurrency) {
+        errors.push({ line: row._line, error: `Unknown currency: ${fields.currency}` });
+        continue;
+      }
+      if (!(rate > 0)) {
+        errors.push({ line: row._line, error: `Invalid rate: ${fields.rate}` });
+        continue;
+      }
+      if (!Number.isInteger(nominal) || nominal < 1) {
+        errors.push({ line: row._line, error: `Invalid nominal: ${fields.nominal}` });
+        continue;
+      }
+      if (!date) {
+        errors.push({ line: row._line, error: `Invalid date: ${fields.date}` });
+        continue;
+      }
+
+      data.push({ currency, date, rate, nominal, source: fields.source || 'CSV' });
+    }
+
+    if (data.length > 0) {
+      await prisma.$transaction(async (tx) => {
+        for (const item of data) {
+          await this.setRate(item, userId, tx);
+        }
+      });
+    }
+
+    logBusinessEvent('exchange_rates_imported', null, {
+      userId,
+      imported: data.length,
+      skipped: errors.length
+    });
+
+    return { imported: data.length, skipped: errors.length, errors };
+  }
+
+  /**
+   * Rate in effect on a date: the latest rate entered on or before that day
+   * @param {string} code - Currency code
+   * @param {Date} date - Date
+   * @returns {Promise<Object|null>} ExchangeRate or null
+   */
+  async findRate(code, date = new Date()) {
+    return prisma.exchangeRate.findFirst({
+      where: { currencyCode: this.normalizeCode(code), date: { lte: this.toDay(date) } },
+      orderBy: { date: 'desc' }
+    });
+  }
+
+  /**
+   * Rate to convert one unit of a currency into another on a date
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {Date} date - Date of the rate
+   * @returns {Promise<number>} Amount of `to` for one unit of `from`
+   */
+  async getRate(from, to, date = new Date()) {
+    const source = this.normalizeCode(from);
+    const target = this.normalizeCode(to);
+
+    if (source === target) {
+      return 1;
+    }
+
+    const toBase = async (code) => {
+      if (code === this.baseCurrency) {
+        return 1;
+      }
+
+      const rate = await this.findRate(code, date);
+      if (!rate) {
+        throw this.createError(`Нет курса ${code} на ${this.toDay(date).toLocaleDateString('ru-RU')}`);
+      }
+
+      return this.unitRate(rate);
+    };
+
+    return (await toBase(source)) / (await toBase(target));
+  }
+
+  /**
+   * Convert an amount between currencies at the rate of a date
+   * @param {number} amount - Amount
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {Date} date - Date of the rate
+   * @returns {Promise<Object>} { amount, rate }
+   */
+  async convert(amount, from, to, date = new Date()) {
+    const rate = await this.getRate(from, to, date);
+    return { amount: Math.round(amount * rate * 100) / 100, rate };
+  }
+
+  /**
+   * Preload rates for converting many amounts at once (reports).
+   * Amounts without a rate are converted to null and listed in `missingRates`.
+   * @param {string[]} codes - Currencies the amounts are in
+   * @param {string} to - Target currency
+   * @returns {Promise<Object>} Converter: { currency, convert(amount, from, date), rate(from, date), missingRates }
+   */
+  async createConverter(codes, to) {
+    const target = this.normalizeCode(to);
+    const needed = [...new Set([...codes.map(code => this.normalizeCode(code)), target])]
+      .filter(code => code !== this.baseCurrency);
+
+    const rates = needed.length > 0
+      ? await prisma.exchangeRate.findMany({
+        where: { currencyCode: { in: needed } },
+        orderBy: { date: 'asc' }
+      })
+      : [];
+
+    return this.buildConverter(rates, target);
+  }
+
+  /**
+   * Converter over a list of rates
+   * @param {Object[]} rates - ExchangeRate records sorted by date
+   * @param {string} target - Target currency
+   * @returns {Object} Converter, see createConverter
+   */
+  buildConverter(rates, target) {
+    const byCurrency = new Map();
+    for (const rate of rates) {
+      if (!byCurrency.has(rate.currencyCode)) byCurrency.set(rate.currencyCode, []);
+      byCurrency.get(rate.currencyCode).push(rate);
+    }
+
+    const missing = new Map();
+
+    const toBase = (code, date) => {
+      if (code === this.baseCurrency) {
+        return 1;
+      }
+
+      const day = this.toDay(date).getTime();
+      const list = byCurrency.get(code) || [];
+      let found = null;
+      for (const rate of list) {
+        if (new Date(rate.date).getTime() > day) break;
+        found = rate;
+      }
+
+      if (!found) {
+        const known = missing.get(code);
+        if (!known || day < known.getTime()) missing.set(code, new Date(day));
+        return null;
+      }
+
+      return this.unitRate(found);
+    };
+
+    const rate = (from, date = new Date()) => {
+      const source = this.normalizeCode(from);
+      if (source === target) {
+        return 1;
+      }
+
+      const sourceRate = toBase(source, date);
+      const targetRate = toBase(target, date);
+
+      return sourceRate === null || targetRate === null ? null : sourceRate / targetRate;
+    };
+
+    return {
+      currency: target,
+      rate,
+      convert: (amount, from, date = new Date()) => {
+        const value = rate(from, date);
+        return value === null ? null : (amount || 0) * value;
+      },
+      // Валюты без курса и самая ранняя дата, на которую курса не хватило
+      get missingRates() {
+        return [...missing.entries()].map(([currency, date]) => ({ currency, date }));
+      }
+    };
+  }
+}
+
+const currencyService = new CurrencyService();
+
+module.exports = currencyService;
@@ -0,0 +1,342 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent, logError } = require('../utils/logger');
+const warehouseLocationService = require('./warehouseLocations');
+const certificationService = require('./certificationService');
+
+const prisma = new PrismaClient();
+
+class CylinderCirculationService {
+  constructor() {
+    this.defaultReturnDays = parseInt(process.env.CYLINDER_RETURN_DAYS) || 90;
+  }
+
+  /**
+   * Return due date for a cylinder shipped now
+   * @param {Object} product - Product with returnPeriodDays
+   * @param {Date} shippedAt - Shipment date
+   * @returns {Date} Return due date
+   */
+  getReturnDueDate(product, shippedAt = new Date()) {
+    const days = product?.returnPeriodDays || this.defaultReturnDays;
+    return new Date(shippedAt.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Bring shipped cylinders back to the warehouse (RETURN transaction).
+   * Each cylinder gets its own transaction so the serial history shows who returned it.
+   * @param {Object} params - Return parameters
+   * @param {string} params.productId - Product ID
+   * @param {string} params.userId - User performing the return
+   * @param {string[]} params.serialNumbers - Cylinder numbers
+   * @param {string[]} params.serialNumberIds - Serial number IDs (alternative to numbers)
+   * @param {string} params.clientId - Expected holder (optional)
+   * @param {boolean} params.needsInspection - Put cylinders into NEEDS_INSPECTION instead of IN_STOCK
+   * @param {string} params.locationId - Storage location receiving the cylinders (default bin if omitted)
+   * @param {string} params.reason - Transaction reason
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Created transactions, stock increment and refunded deposit
+   */
+  async returnCylinders(params, client = prisma) {
+    const {
+      productId,
+      userId,
+      serialNumbers = [],
+      serialNumberIds = [],
+      clientId,
+      needsInspection = false,
+      locationId,
+      reason
+    } = params;
+
+    if (serialNumbers.length === 0 && serialNumberIds.length === 0) {
+      const error = new Error('Return requires serialNumbers or serialNumberIds');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const records = await client.serialNumber.findMany({
+      where: {
+        productId,
+        OR: [
+          { id: { in: serialNumberIds } },
+          { serialNumber: { in: serialNumbers } }
+        ]
+      },
+      include: { client: { select: { id: true, name: true } } }
+    });
+
+    const requested = serialNumbers.length + serialNumberIds.length;
+    if (records.length !== requested) {
+      const found = new Set(records.flatMap(r => [r.id, r.serialNumber]));
+      const missing = [...serialNumbers, ...serialNumberIds].filter(value => !found.has(value));
+      const error = new Error(`Serial numbers not found for this product: ${missing.join(', ') || 'duplicates in request'}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const notShipped = records.filter(r => r.status !== 'OUT_OF_STOCK');
+    if (notShipped.length > 0) {
+      const error = new Error(`Cylinders are not shipped: ${notShipped.map(r => r.serialNumber).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (clientId) {
+      const otherHolder = records.filter(r => r.clientId && r.clientId !== clientId);
+      if (otherHolder.length > 0) {
+        const error = new Error(`Cylinders are held by another client: ${otherHolder.map(r => `${r.serialNumber} (${r.client.name})`).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    const location = await warehouseLocationService.resolveLocation(locationId, client);
+    const newStatus = needsInspection ? 'NEEDS_INSPECTION' : 'IN_STOCK';
+    const transactions = [];
+    let refundedDeposit = 0;
+
+    for (const record of records) {
+      await client.serialNumber.update({
+        where: { id: record.id },
+        data: {
+          status: newStatus,
+          clientId: null,
+          returnDueDate: null,
+          depositAmount: null,
+          returnedAt: new Date(),
+          locationId: location.isDefault ? null : location.id
+        }
+      });
+
+      refundedDeposit += record.depositAmount || 0;
+
+      transactions.push(await client.transaction.create({
+        data: {
+          productId,
+          userId,
+          clientId: record.clientId || clientId,
+          serialNumberId: record.id,
+          type: 'RETURN',
+          quantity: needsInspection ? 0 : 1,
+          locationId: location.id,
+          reason: reason || (needsInspection ? 'Возврат тары (требуется проверка)' : 'Возврат тары')
+        },
+        include: {
+          product: { select: { name: true, unit: true } },
+          user: { select: { name: true } },
+          client: { select: { name: true } }
+        }
+      }));
+    }
+
+    if (!needsInspection) {
+      await warehouseLocationService.adjust(productId, location.id, records.length, client);
+    }
+
+    logBusinessEvent('cylinders_returned', null, {
+      productId,
+      count: records.length,
+      needsInspection,
+      refundedDeposit
+    });
+
+    return {
+      transactions,
+      // Баллоны на проверке не считаются складским остатком до ее завершения
+      stockIncrement: needsInspection ? 0 : records.length,
+      refundedDeposit
+    };
+  }
+
+  /**
+   * Products shipped by serial number: the ones with registered cylinders
+   * @param {string[]} productIds - Product IDs
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Set<string>>} Serial-tracked product IDs
+   */
+  async getSerialTrackedProducts(productIds, client = prisma) {
+    const grouped = await client.serialNumber.groupBy({
+      by: ['productId'],
+      where: { productId: { in: productIds } }
+    });
+
+    return new Set(grouped.map(group => group.productId));
+  }
+
+  /**
+   * Check shipment items against the order and resolve their serial numbers.
+   * Products with registered serial numbers must be shipped by serial number,
+   * one number per unit; products and quantities beyond the order are rejected.
+   * @param {Object[]} orderItems - Order items (productId, quantity)
+   * @param {Object[]} items - Shipment items (productId, quantity, serialNumbers)
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} { errors, resolved } - serial records per shipment item
+   */
+  async resolveShipmentSerials(orderItems, items, client = prisma) {
+    const errors = [];
+    const resolved = [];
+    const seen = new Set();
+
+    // Отгрузка не может превышать заявку (товар в заявке может повторяться)
+    const ordered = new Map();
+    for (const item of orderItems) {
+      ordered.set(item.productId, (ordered.get(item.productId) || 0) + item.quantity);
+    }
+    const shipped = new Map();
+    for (const item of items) {
+      shipped.set(item.productId, (shipped.get(item.productId) || 0) + item.quantity);
+    }
+    for (const [productId, quantity] of shipped) {
+      if (!ordered.has(productId)) {
+        errors.push({ productId, error: 'Товар отсутствует в заявке' });
+      } else if (quantity > ordered.get(productId)) {
+        errors.push({
+          productId,
+          error: `Количество в отгрузке (${quantity}) больше количества в заявке (${ordered.get(productId)})`
+        });
+      }
+    }
+
+    const trackedProducts = await this.getSerialTrackedProducts(Array.from(shipped.keys()), client);
+
+    for (const item of items) {
+      const values = item.serialNumbers || [];
+
+      if (values.length === 0) {
+        if (trackedProducts.has(item.productId)) {
+          errors.push({ productId: item.productId, error: 'Товар учитывается по серийным номерам: укажите номера баллонов' });
+        }
+        resolved.push([]);
+        continue;
+      }
+
+      if (values.length !== item.quantity) {
+        errors.push({
+          productId: item.productId,
+          error: `Количество серийных номеров (${values.length}) не совпадает с количеством в отгрузке (${item.quantity})`
+        });
+      }
+
+      const records = await client.serialNumber.findMany({
+        where: { serialNumber: { in: values } },
+        select: { id: true, productId: true, serialNumber: true, status: true, nextCertificationDate: true, locationId: true }
+      });
+
+      const itemSerials = [];
+      for (const value of values) {
+        if (seen.has(`${item.productId}:${value}`)) {
+          errors.push({ productId: item.productId, serialNumber: value, error: 'Серийный номер указан повторно' });
+          continue;
+        }
+        seen.add(`${item.productId}:${value}`);
+
+        const record = records.find(r => r.serialNumber === value && r.productId === item.productId);
+        if (!record) {
+          const otherProduct = records.some(r => r.serialNumber === value);
+          errors.push({
+            productId: item.productId,
+            serialNumber: value,
+            error: otherProduct ? 'Серийный номер принадлежит другому товару' : 'Серийный номер не найден'
+          });
+          continue;
+        }
+
+        if (record.status !== 'IN_STOCK') {
+          errors.push({ productId: item.productId, serialNumber: value, error: `Баллон не на складе (статус: ${record.status})` });
+          continue;
+        }
+
+        if (certificationService.isExpired(record)) {
+          errors.push({
+            productId: item.productId,
+            serialNumber: value,
+            error: `Истек срок переосвидетельствования (${record.nextCertificationDate.toLocaleDateString('ru-RU')})`
+          });
+          continue;
+        }
+
+        itemSerials.push(record);
+      }
+
+      resolved.push(itemSerials);
+    }
+
+    return { errors, resolved };
+  }
+
+  /**
+   * Cylinders currently held by a client
+   * @param {string} clientId - Client ID
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Balance by product, deposits and overdue cylinders
+   */
+  async getClientBalance(clientId, client = prisma) {
+    try {
+      const cylinders = await client.serialNumber.findMany({
+        where: { clientId, status: 'OUT_OF_STOCK' },
+        include: {
+          product: { select: { id: true, name: true, code: true } }
+        },
+        orderBy: { shippedAt: 'asc' }
+      });
+
+      const now = new Date();
+      const byProduct = new Map();
+
+      for (const cylinder of cylinders) {
+        const entry = byProduct.get(cylinder.productId) || {
+          productId: cylinder.productId,
+          productName: cylinder.product.name,
+          productCode: cylinder.product.code,
+          held: 0,
+          overdue: 0,
+          depositHeld: 0
+        };
+
+        entry.held += 1;
+        entry.depositHeld += cylinder.depositAmount || 0;
+        if (cylinder.returnDueDate && cylinder.returnDueDate < now) {
+          entry.overdue += 1;
+        }
+
+        byProduct.set(cylinder.productId, entry);
+      }
+
+      const overdueCylinders = cylinders
+        .filter(cylinder => cylinder.returnDueDate && cylinder.returnDueDate < now)
+        .map(cylinder => ({
+          id: cylinder.id,
+          serialNumber: cylinder.serialNumber,
+          productName: cylinder.product.name,
+          shippedAt: cylinder.shippedAt,
+          returnDueDate: cylinder.returnDueDate,
+          daysOverdue: Math.floor((now - cylinder.returnDueDate) / (24 * 60 * 60 * 1000)),
+          depositAmount: cylinder.depositAmount || 0
+        }));
+
+      return {
+        totalHeld: cylinders.length,
+        depositHeld: cylinders.reduce((sum, cylinder) => sum + (cylinder.depositAmount || 0), 0),
+        byProduct: Array.from(byProduct.values()),
+        overdueCount: overdueCylinders.length,
+        overdueCylinders,
+        cylinders: cylinders.map(cylinder => ({
+          id: cylinder.id,
+          serialNumber: cylinder.serialNumber,
+          productId: cylinder.productId,
+          productName: cylinder.product.name,
+          shippedAt: cylinder.shippedAt,
+          returnDueDate: cylinder.returnDueDate,
+          depositAmount: cylinder.depositAmount || 0
+        }))
+      };
+    } catch (error) {
+      logError(error, null, { operation: 'get_client_cylinder_balance', clientId });
+      throw error;
+    }
+  }
+}
+
+const cylinderCirculationService = new CylinderCirculationService();
+
+module.exports = cylinderCirculationService;
@@ -239,63 +239,6 @@ class DigitalSignatureService {
     };
   }
 
-  // Generate signature request token for email workflows
-  generateSignatureRequest(documentId, requiredSigners, requestingUser, expirationHours = 72) {
-    const requestData = {
-      documentId,
-      requiredSigners: requiredSigners.map(signer => ({
-        userId: signer.userId || null,
-        email: signer.email,
-        name: signer.name,
-        role: signer.role || 'Signer',
-        required: signer.required !== false
-      })),
-      requestingUser: {
-        userId: requestingUser.userId,
-        name: requestingUser.name,
-        email: requestingUser.email
-      },
-      requestId: crypto.randomUUID(),
-      createdAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + (expirationHours * 60 * 60 * 1000)).toISOString(),
-      status: 'PENDING'
-    };
-
-    // Generate secure token for signature request
-    const token = crypto.createHash('sha256')
-      .update(JSON.stringify(requestData) + process.env.JWT_SECRET)
-      .digest('hex');
-
-    return {
-      ...requestData,
-      token,
-      signatureUrl: `/signature/${token}`
-    };
-  }
-
-  // Validate signature request token
-  validateSignatureRequestToken(token, documentId) {
-    try {
-      // In a real implementation, this would be stored in database
-      // For now, we'll just validate the token format
-      if (!token || token.length !== 64) {
-        return { valid: false, reason: 'Invalid token format' };
-      }
-
-      return {
-        valid: true,
-        documentId,
-        message: 'Token is valid'
-      };
-    } catch (error) {
-      return {
-        valid: false,
-        reason: 'Token validation failed',
-        error: error.message
-      };
-    }
-  }
-
   // Get signature workflow status
   getSignatureWorkflowStatus(signatures, requiredSigners) {
     const signedUsers = new Set(signatures.map(sig => sig.payload.signerInfo.userId));
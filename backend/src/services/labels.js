@@ -0,0 +1,350 @@
+const { PrismaClient } = require('@prisma/client');
+const bwipjs = require('bwip-js');
+const { createPdfDocument, pdfToBuffer, mm } = require('../utils/pdf');
+const { logBusinessEvent, logError } = require('../utils/logger');
+const warehouseLocationService = require('./warehouseLocations');
+
+const prisma = new PrismaClient();
+
+// Префиксы кодов на этикетках: по ним сканер однозначно определяет тип записи
+const CODE_PREFIXES = {
+  SERIAL: 'SN',
+  PRODUCT: 'PRD'
+};
+
+const BARCODE_TYPES = {
+  qr: 'qrcode',
+  code128: 'code128'
+};
+
+const PAGE_WIDTH_MM = 210;
+const PAGE_HEIGHT_MM = 297;
+
+/**
+ * Printable label sheets with QR / Code128 codes and scanned code lookup
+ */
+class LabelService {
+  constructor() {
+    this.defaultColumns = parseInt(process.env.LABEL_COLUMNS) || 3;
+    this.defaultRows = parseInt(process.env.LABEL_ROWS) || 8;
+  }
+
+  /**
+   * Text encoded in the label code
+   * @param {string} type - SERIAL or PRODUCT
+   * @param {string} id - Record ID
+   * @returns {string} Code payload, e.g. "SN:ckx..."
+   */
+  formatCode(type, id) {
+    return `${CODE_PREFIXES[type]}:${id}`;
+  }
+
+  /**
+   * Split a scanned code into type and value
+   * @param {string} code - Scanned text
+   * @returns {Object} { type: SERIAL|PRODUCT|null, value }
+   */
+  parseCode(code) {
+    const text = String(code || '').trim();
+    const match = text.match(/^([A-Z]+):(.+)$/i);
+
+    if (match) {
+      const prefix = match[1].toUpperCase();
+      const type = Object.keys(CODE_PREFIXES).find(key => CODE_PREFIXES[key] === prefix);
+      if (type) {
+        return { type, value: match[2].trim() };
+      }
+    }
+
+    // Код без префикса: заводской штрихкод или введенный вручную номер
+    return { type: null, value: text };
+  }
+
+  /**
+   * Label contents for the requested records
+   * @param {Object} params - type (SERIAL|PRODUCT), ids, productId, status
+   * @returns {Promise<Object[]>} Labels: { code, title, lines }
+   */
+  async getLabels(params) {
+    const { type, ids = [], productId, status } = params;
+
+    if (type === 'SERIAL') {
+      const where = ids.length > 0 ? { id: { in: ids } } : { productId };
+      if (status) {
+        where.status = status;
+      }
+
+      const serials = await prisma.serialNumber.findMany({
+        where,
+        include: { product: { select: { name: true, code: true } } },
+        orderBy: { serialNumber: 'asc' }
+      });
+
+      return serials.map(serial => ({
+        code: this.formatCode('SERIAL', serial.id),
+        title: serial.product.name,
+        lines: [
+          `№ ${serial.serialNumber}`,
+          serial.product.code ? `Код: ${serial.product.code}` : null,
+          serial.nextCertificationDate
+            ? `Освид. до: ${serial.nextCertificationDate.toISOString().slice(0, 7)}`
+            : null
+        ].filter(Boolean)
+      }));
+    }
+
+    const products = await prisma.product.findMany({
+      where: ids.length > 0 ? { id: { in: ids } } : {},
+      orderBy: { name: 'asc' }
+    });
+
+    return products.map(product => ({
+      code: this.formatCode('PRODUCT', product.code || product.id),
+      title: product.name,
+      lines: [
+        product.code ? `Код: ${product.code}` : null,
+        `Ед.: ${product.unit}`
+      ].filter(Boolean)
+    }));
+  }
+
+  /**
+   * Render a barcode image
+   * @param {string} text - Encoded text
+   * @param {string} format - qr or code128
+   * @returns {Promise<Buffer>} PNG image
+   */
+  renderCode(text, format) {
+    const options = { bcid: BARCODE_TYPES[format], text, scale: 3 };
+
+    if (format === 'code128') {
+      options.height = 10;
+    }
+
+    return bwipjs.toBuffer(options);
+  }
+
+  /**
+   * Render a PDF sheet of labels (A4 grid)
+   * @param {Object} params - Label selection (see getLabels) and layout
+   * @param {string} params.format - qr or code128
+   * @param {number} params.columns - Labels per row
+   * @param {number} params.rows - Rows per page
+   * @param {number} params.copies - Copies of every label
+   * @returns {Promise<Object>} { buffer, count }
+   */
+  async generateSheet(params) {
+    try {
+      const format = params.format || 'qr';
+      const columns = params.columns || this.defaultColumns;
+      const rows = params.rows || this.defaultRows;
+      const copies = params.copies || 1;
+
+      const labels = await this.getLabels(params);
+
+      if (labels.length === 0) {
+        const error = new Error('Нет записей для печати этикеток');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const margin = mm(5);
+      const cellWidth = (mm(PAGE_WIDTH_MM) - margin * 2) / columns;
+      const cellHeight = (mm(PAGE_HEIGHT_MM) - margin * 2) / rows;
+      const padding = mm(2);
+      const perPage = columns * rows;
+
+      const doc = createPdfDocument({ margin: 0, autoFirstPage: false });
+      const sheet = labels.flatMap(label => Array(copies).fill(label));
+
+      for (let index = 0; index < sheet.length; index++) {
+        const label = sheet[index];
+        const position = index % perPage;
+
+        if (position === 0) {
+          doc.addPage();
+        }
+
+        const x = margin + (position % columns) * cellWidth;
+        const y = margin + Math.floor(position / columns) * cellHeight;
+        const image = await this.renderCode(label.code, format);
+
+        if (format === 'qr') {
+          // QR слева, текст справа
+          const size = Math.min(cellHeight - padding * 2, cellWidth / 2);
+          doc.image(image, x + padding, y + padding, { fit: [size, size] });
+
+          const textX = x + padding * 2 + size;
+          const textWidth = cellWidth - size - padding * 3;
+          doc.font('Bold').fontSize(8).text(label.title, textX, y + padding, {
+            width: textWidth,
+            height: cellHeight / 2,
+            ellipsis: true
+          });
+          doc.font('Regular').fontSize(7);
+          for (const line of label.lines) {
+            doc.text(line, { width: textWidth, lineBreak: false, ellipsis: true });
+          }
+        } else {
+          // Штрихкод сверху на всю ширину, текст под ним
+          const textHeight = mm(8);
+          doc.font('Bold').fontSize(7).text(label.title, x + padding, y + padding, {
+            width: cellWidth - padding * 2,
+            lineBreak: false,
+            ellipsis: true
+          });
+          doc.image(image, x + padding, y + padding + mm(3.5), {
+            fit: [cellWidth - padding * 2, cellHeight - padding * 2 - mm(3.5) - textHeight],
+            align: 'center'
+          });
+          doc.font('Regular').fontSize(7).text(label.lines.join('  '), x + padding, y + cellHeight - padding - textHeight / 2, {
+            width: cellWidth - padding * 2,
+            align: 'center',
+            lineBreak: false,
+            ellipsis: true
+          });
+        }
+      }
+
+      const buffer = await pdfToBuffer(doc);
+
+      logBusinessEvent('labels_generated', null, {
+        type: params.type,
+        format,
+        count: sheet.length
+      });
+
+      return { buffer, count: sheet.length };
+    } catch (error) {
+      logError(error, null, { operation: 'generate_labels' });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a scanned code to a serial number or a product
+   * @param {string} code - Scanned text (label code, serial number or product code)
+   * @returns {Promise<Object|null>} { type, serialNumber?, product, matches? } or null
+   */
+  async lookup(code) {
+    const { type, value } = this.parseCode(code);
+
+    if (!value) {
+      return null;
+    }
+
+    const serialInclude = {
+      product: { select: { id: true, name: true, code: true, unit: true } },
+      client: { select: { id: true, name: true } },
+      location: {
+        select: { id: true, code: true, name: true, warehouse: { select: { id: true, name: true } } }
+      }
+    };
+
+    if (type === 'SERIAL') {
+      const serial = await prisma.serialNumber.findUnique({
+        where: { id: value },
+        include: serialInclude
+      });
+      return serial ? this.serialResult(serial) : null;
+    }
+
+    if (type === 'PRODUCT') {
+      const product = await this.findProduct(value);
+      return product ? this.productResult(product) : null;
+    }
+
+    // Без префикса сначала ищем по номеру баллона, затем по коду товара
+    const serials = await prisma.serialNumber.findMany({
+      where: { serialNumber: value },
+      include: serialInclude,
+      take: 10
+    });
+
+    if (serials.length === 1) {
+      return this.serialResult(serials[0]);
+    }
+
+    if (serials.length > 1) {
+      // Один номер может встречаться у разных товаров
+      return {
+        type: 'SERIAL',
+        ambiguous: true,
+        matches: await Promise.all(serials.map(serial => this.serialResult(serial)))
+      };
+    }
+
+    const product = await this.findProduct(value);
+    return product ? this.productResult(product) : null;
+  }
+
+  /**
+   * Find a product by code or ID
+   * @param {string} value - Product code or ID
+   * @returns {Promise<Object|null>} Product
+   */
+  async findProduct(value) {
+    return prisma.product.findFirst({
+      where: { OR: [{ code: value }, { id: value }] },
+      include: { warehouseItems: { select: { quantity: true } } }
+    });
+  }
+
+  /**
+   * Lookup result for a serial number
+   * @param {Object} serial - Serial number with product, client and location
+   * @returns {Promise<Object>} Lookup result
+   */
+  async serialResult(serial) {
+    // Баллон без ячейки лежит в ячейке по умолчанию
+    const location = serial.location || (serial.status === 'IN_STOCK'
+      ? await warehouseLocationService.getDefaultLocation()
+      : null);
+
+    return {
+      type: 'SERIAL',
+      serialNumber: {
+        id: serial.id,
+        serialNumber: serial.serialNumber,
+        status: serial.status,
+        nextCertificationDate: serial.nextCertificationDate,
+        returnDueDate: serial.returnDueDate,
+        client: serial.client
+      },
+      product: serial.product,
+      location: location
+        ? {
+          id: location.id,
+          code: location.code,
+          name: location.name,
+          warehouse: location.warehouse ? { id: location.warehouse.id, name: location.warehouse.name } : null
+        }
+        : null
+    };
+  }
+
+  /**
+   * Lookup result for a product
+   * @param {Object} product - Product with warehouse items
+   * @returns {Promise<Object>} Lookup result
+   */
+  async productResult(product) {
+    const quantities = await warehouseLocationService.getLocationQuantities([product.id]);
+
+    return {
+      type: 'PRODUCT',
+      product: {
+        id: product.id,
+        name: product.name,
+        code: product.code,
+        unit: product.unit,
+        quantity: product.warehouseItems[0]?.quantity || 0
+      },
+      locations: (quantities.get(product.id) || []).filter(entry => entry.quantity !== 0)
+    };
+  }
+}
+
+const labelService = new LabelService();
+
+module.exports = labelService;
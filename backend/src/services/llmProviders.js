@@ -0,0 +1,385 @@
+const OpenAI = require('openai');
+const { logger } = require('../utils/logger');
+
+/**
+ * LLM providers for proposal generation.
+ *
+ * Every provider implements the same interface:
+ *   name            - provider id used in configuration and requests
+ *   isAvailable()   - whether the provider can serve requests right now
+ *   complete(req)   - resolves to { text, model, usage: { promptTokens, completionTokens, totalTokens } }
+ *
+ * The request carries both the chat prompt (for real models) and the structured
+ * context it was built from (for the template generator, which needs no model):
+ *   { task: 'proposal'|'customization', system, prompt, context, maxTokens, temperature }
+ */
+
+// Rough estimation: 1 token ≈ 4 characters for Russian text
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.name - Provider id
+   * @param {string} config.apiKey - API key
+   * @param {string} config.baseURL - Endpoint (null - official OpenAI API)
+   * @param {string} config.model - Model name
+   * @param {number} config.maxTokens - Default completion limit
+   */
+  constructor(config) {
+    this.name = config.name;
+    this.model = config.model;
+    this.maxTokens = config.maxTokens;
+    this.client = null;
+
+    if (!config.apiKey && !config.baseURL) {
+      return;
+    }
+
+    try {
+      this.client = new OpenAI({
+        apiKey: config.apiKey || 'not-needed',
+        ...(config.baseURL ? { baseURL: config.baseURL } : {})
+      });
+    } catch (error) {
+      logger.error('Failed to initialize LLM provider', {
+        provider: this.name,
+        error: error.message
+      });
+    }
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  async complete(request) {
+    const completion = await this.client.chat.completions.create({
+      model: request.model || this.model,
+      messages: [
+        { role: 'system', content: request.system },
+        { role: 'user', content: request.prompt }
+      ],
+      max_tokens: request.maxTokens || this.maxTokens,
+      temperature: request.temperature ?? 0.7
+    });
+
+    const text = completion.choices[0]?.message?.content;
+    // Локальные серверы не всегда возвращают usage - оцениваем по длине текста
+    const promptTokens = completion.usage?.prompt_tokens ?? estimateTokens(request.system + request.prompt);
+    const completionTokens = completion.usage?.completion_tokens ?? estimateTokens(text);
+
+    return {
+      text,
+      model: completion.model || request.model || this.model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: completion.usage?.total_tokens ?? promptTokens + completionTokens
+      }
+    };
+  }
+}
+
+const TEMPLATE_LABELS = {
+  ru: {
+    greeting: 'Уважаемые коллеги!',
+    intro: (company, client) => `Компания ${company} рада предложить${client ? ` компании ${client}` : ''} следующие условия поставки.`,
+    product: 'Предмет предложения',
+    price: 'Стоимость',
+    unitPrice: 'Цена за единицу',
+    quantity: 'Количество',
+    total: 'Общая сумма',
+    vat: 'Цены указаны с учетом НДС',
+    competitive: (markup) => `Цена сформирована с учетом конкурентной наценки ${markup}%.`,
+    terms: 'Условия',
+    payment: (terms) => `Оплата: предоплата ${terms.prepayment}%, остаток ${terms.shipmentPayment}% в течение ${terms.paymentDays} дней после отгрузки`,
+    delivery: 'Срок поставки',
+    warranty: 'Гарантия',
+    validity: (days) => `Предложение действительно ${days} дней.`,
+    requirements: 'Дополнительно',
+    changes: 'Уточнения к предложению',
+    contacts: 'Контакты'
+  },
+  uk: {
+    greeting: 'Шановні колеги!',
+    intro: (company, client) => `Компанія ${company} рада запропонувати${client ? ` компанії ${client}` : ''} такі умови постачання.`,
+    product: 'Предмет пропозиції',
+    price: 'Вартість',
+    unitPrice: 'Ціна за одиницю',
+    quantity: 'Кількість',
+    total: 'Загальна сума',
+    vat: 'Ціни вказані з урахуванням ПДВ',
+    competitive: (markup) => `Ціну сформовано з урахуванням конкурентної націнки ${markup}%.`,
+    terms: 'Умови',
+    payment: (terms) => `Оплата: передоплата ${terms.prepayment}%, залишок ${terms.shipmentPayment}% протягом ${terms.paymentDays} днів після відвантаження`,
+    delivery: 'Термін постачання',
+    warranty: 'Гарантія',
+    validity: (days) => `Пропозиція дійсна ${days} днів.`,
+    requirements: 'Додатково',
+    changes: 'Уточнення до пропозиції',
+    contacts: 'Контакти'
+  }
+};
+
+/**
+ * Deterministic generator: assembles the proposal from the calculation and the
+ * company template without any model, so proposals keep working offline.
+ */
+class TemplateProvider {
+  constructor() {
+    this.name = 'template';
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Build proposal text from structured data
+   * @param {Object} context - { calculation, companyTemplate, options }
+   * @returns {string} Proposal text
+   */
+  buildProposal(context) {
+    const companyTemplatesService = require('./companyTemplates');
+    const { calculation, companyTemplate, options = {} } = context;
+    const labels = TEMPLATE_LABELS[options.language] || TEMPLATE_LABELS.ru;
+    const currency = calculation.currency || companyTemplate.paymentTerms?.currency || 'RUB';
+
+    const baseAmount = calculation.totalSaleAmount || calculation.totalCost || 0;
+    const factor = options.competitive && options.markup > 0 ? 1 + options.markup / 100 : 1;
+    const amount = Math.round(baseAmount * factor * 100) / 100;
+    const unitPrice = calculation.pricePerUnit
+      ? Math.round(calculation.pricePerUnit * factor * 100) / 100
+      : null;
+
+    const lines = [
+      companyTemplate.proposalTemplate?.header || 'КОММЕРЧЕСКОЕ ПРЕДЛОЖЕНИЕ',
+      '',
+      labels.greeting,
+      '',
+      labels.intro(companyTemplate.fullName || companyTemplate.name, calculation.client?.name),
+      '',
+      `${labels.product}:`,
+      companyTemplatesService.generateProductDescription(
+        calculation.productName || calculation.name || 'Товар',
+        calculation.description,
+        companyTemplate
+      ),
+      '',
+      `${labels.price}:`
+    ];
+
+    if (calculation.items && calculation.items.length > 0) {
+      calculation.items.forEach((item, index) => {
+        const price = Math.round((item.finalPrice ?? item.cost) * factor * 100) / 100;
+        lines.push(`${index + 1}. ${item.name} - ${item.quantity} x ${price} ${currency}`);
+      });
+    } else {
+      if (unitPrice !== null) lines.push(`- ${labels.unitPrice}: ${unitPrice} ${currency}`);
+      if (calculation.quantity) lines.push(`- ${labels.quantity}: ${calculation.quantity}`);
+    }
+    lines.push(`- ${labels.total}: ${amount} ${currency}`);
+    lines.push(labels.vat);
+    if (factor !== 1) {
+      lines.push(labels.competitive(options.markup));
+    }
+
+    lines.push('', `${labels.terms}:`);
+    if (companyTemplate.paymentTerms) {
+      lines.push(`- ${labels.payment(companyTemplate.paymentTerms)}`);
+    }
+    if (companyTemplate.deliveryTerms?.deliveryTime) {
+      lines.push(`- ${labels.delivery}: ${companyTemplate.deliveryTerms.deliveryTime}`);
+    }
+    if (companyTemplate.warranty?.period) {
+      lines.push(`- ${labels.warranty}: ${companyTemplate.warranty.period}. ${companyTemplate.warranty.conditions || ''}`.trim());
+    }
+    lines.push(labels.validity(companyTemplate.proposalTemplate?.validityPeriod || 30));
+
+    if (options.customRequirements) {
+      lines.push('', `${labels.requirements}:`, options.customRequirements.trim());
+    }
+
+    if (companyTemplate.contacts && companyTemplate.contacts.length > 0) {
+      lines.push('', `${labels.contacts}:`);
+      for (const contact of companyTemplate.contacts) {
+        lines.push([contact.name, contact.position, contact.phone, contact.email].filter(Boolean).join(', '));
+      }
+    }
+
+    if (companyTemplate.proposalTemplate?.footer) {
+      lines.push('', companyTemplate.proposalTemplate.footer);
+    }
+
+    return lines.join('\n');
+  }
+
+  async complete(request) {
+    const { context = {} } = request;
+    let text;
+
+    if (request.task === 'customization') {
+      // Без модели правки не переписывают текст, а добавляются отдельным разделом
+      const labels = TEMPLATE_LABELS[context.language] || TEMPLATE_LABELS.ru;
+      text = `${context.proposalText.trim()}\n\n${labels.changes}:\n${context.modifications.trim()}`;
+    } else {
+      text = this.buildProposal(context);
+    }
+
+    return {
+      text,
+      model: 'template',
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+    };
+  }
+}
+
+/**
+ * Provider for tests: records requests and returns a configurable response
+ */
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    this.calls = [];
+    this.response = null;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Set the text returned by the next calls (null - echo the task)
+   * @param {string|null} text - Response text
+   */
+  setResponse(text) {
+    this.response = text;
+  }
+
+  reset() {
+    this.calls = [];
+    this.response = null;
+  }
+
+  async complete(request) {
+    this.calls.push(request);
+
+    const text = this.response ?? `FAKE ${request.task}: ${request.prompt.slice(0, 100)}`;
+    const promptTokens = estimateTokens(request.system + request.prompt);
+    const completionTokens = estimateTokens(text);
+
+    return {
+      text,
+      model: 'fake',
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+}
+
+class LlmProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProvider = process.env.LLM_PROVIDER
+      || (process.env.OPENAI_API_KEY ? 'openai' : 'template');
+    this.fallbackProvider = process.env.LLM_FALLBACK_PROVIDER || 'template';
+
+    this.register(new OpenAICompatibleProvider({
+      name: 'openai',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4',
+      maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '2000')
+    }));
+    this.register(new OpenAICompatibleProvider({
+      name: 'local',
+      apiKey: process.env.LLM_LOCAL_API_KEY,
+      baseURL: process.env.LLM_LOCAL_BASE_URL,
+      model: process.env.LLM_LOCAL_MODEL || 'llama3',
+      maxTokens: parseInt(process.env.LLM_LOCAL_MAX_TOKENS || process.env.OPENAI_MAX_TOKENS || '2000')
+    }));
+    this.register(new TemplateProvider());
+
+    // Фейковый провайдер доступен только в тестах или при явном выборе
+    if (process.env.NODE_ENV === 'test' || this.defaultProvider === 'fake') {
+      this.register(new FakeProvider());
+    }
+
+    logger.info('LLM providers initialized', {
+      defaultProvider: this.defaultProvider,
+      available: this.list().filter(provider => provider.available).map(provider => provider.name)
+    });
+  }
+
+  /**
+   * Add or replace a provider
+   * @param {Object} provider - Provider implementing the interface above
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider id
+   * @returns {Object|undefined} Provider
+   */
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * Pick the provider for a request. An explicitly requested provider must be
+   * available; the configured default falls back to LLM_FALLBACK_PROVIDER.
+   * @param {string|null} name - Provider requested by the client
+   * @returns {Object} Provider
+   */
+  resolve(name = null) {
+    if (name) {
+      const requested = this.providers.get(name);
+
+      if (!requested) {
+        const error = new Error(`Unknown LLM provider: ${name}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (!requested.isAvailable()) {
+        const error = new Error(`LLM provider "${name}" is not configured`);
+        error.statusCode = 503;
+        error.code = 'AI_SERVICE_UNAVAILABLE';
+        throw error;
+      }
+
+      return requested;
+    }
+
+    const preferred = this.providers.get(this.defaultProvider);
+    if (preferred && preferred.isAvailable()) {
+      return preferred;
+    }
+
+    logger.warn('Default LLM provider unavailable, using fallback', {
+      defaultProvider: this.defaultProvider,
+      fallbackProvider: this.fallbackProvider
+    });
+
+    return this.resolve(this.fallbackProvider);
+  }
+
+  /**
+   * Providers with their availability
+   * @returns {Object[]} [{ name, available, isDefault }]
+   */
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      available: provider.isAvailable(),
+      isDefault: provider.name === this.defaultProvider
+    }));
+  }
+}
+
+// Singleton instance
+const llmProviders = new LlmProviderRegistry();
+
+module.exports = llmProviders;
@@ -1,49 +1,111 @@
-const OpenAI = require('openai');
 const { logger } = require('../utils/logger');
+const llmProviders = require('./llmProviders');
+const aiUsageService = require('./aiUsage');
 
 class OpenAIService {
   constructor() {
-    this.client = null;
-    this.isInitialized = false;
-    this.init();
+    // Клиент OpenAI оставлен для совместимости, генерация идет через llmProviders
+    this.client = llmProviders.get('openai')?.client || null;
+    this.isInitialized = Boolean(this.client);
+
+    if (!this.isInitialized) {
+      logger.warn(`OpenAI API key not provided, proposals will use provider: ${llmProviders.resolve().name}`);
+    }
   }
 
-  init() {
+  /**
+   * Whether proposals can be generated with the given (or default) provider
+   * @param {string|null} provider - Provider requested by the client
+   * @returns {boolean} Availability
+   */
+  isAvailable(provider = null) {
     try {
-      if (!process.env.OPENAI_API_KEY) {
-        logger.warn('OpenAI API key not provided, AI proposal generation will be disabled');
-        return;
+      return Boolean(llmProviders.resolve(provider));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Providers and their availability
+   * @returns {Object[]} Providers
+   */
+  getProviders() {
+    return llmProviders.list();
+  }
+
+  /**
+   * Run a request through the selected provider and translate provider errors.
+   * With tracking the call is recorded in AI usage accounting, successful or not.
+   * @param {Object} request - Provider request (task, system, prompt, context, ...)
+   * @param {string|null} providerName - Requested provider
+   * @param {Object|null} tracking - userId, calculationId, operation
+   * @returns {Promise<Object>} { text, model, usage, provider }
+   */
+  async complete(request, providerName = null, tracking = null) {
+    const provider = llmProviders.resolve(providerName);
+    const startedAt = Date.now();
+
+    try {
+      const result = await provider.complete(request);
+
+      if (!result.text) {
+        throw new Error('No content generated');
       }
 
-      this.client = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
+      if (tracking) {
+        await aiUsageService.record({
+          ...tracking,
+          provider: provider.name,
+          model: result.model,
+          usage: result.usage,
+          latencyMs: Date.now() - startedAt,
+          outcome: 'SUCCESS'
+        });
+      }
+
+      // Log token usage for cost tracking
+      logger.info('LLM usage', {
+        provider: provider.name,
+        task: request.task,
+        model: result.model,
+        promptTokens: result.usage.promptTokens,
+        completionTokens: result.usage.completionTokens,
+        totalTokens: result.usage.totalTokens
       });
 
-      this.isInitialized = true;
-      logger.info('OpenAI service initialized successfully');
+      return { ...result, provider: provider.name };
     } catch (error) {
-      logger.error('Failed to initialize OpenAI service', {
-        error: error.message,
-        stack: error.stack
-      });
-    }
-  }
+      if (tracking) {
+        await aiUsageService.record({
+          ...tracking,
+          provider: provider.name,
+          model: request.model || provider.model || null,
+          latencyMs: Date.now() - startedAt,
+          outcome: 'ERROR',
+          errorMessage: error.message
+        });
+      }
 
-  isAvailable() {
-    return this.isInitialized && this.client;
-  }
+      if (error.status === 429) {
+        throw new Error('OpenAI API rate limit exceeded. Please try again later.');
+      } else if (error.status === 402) {
+        throw new Error('OpenAI API quota exceeded. Please check your billing.');
+      }
 
-  async generateCommercialProposal(calculationData, companyTemplate, options = {}) {
-    if (!this.isAvailable()) {
-      throw new Error('OpenAI service is not available');
+      throw error;
     }
+  }
 
+  async generateCommercialProposal(calculationData, companyTemplate, options = {}) {
     try {
       const {
         competitive = false,
         markup = 0,
         customRequirements = '',
-        language = 'ru'
+        language = 'ru',
+        provider = null,
+        tracking = null
       } = options;
 
       const prompt = this.buildProposalPrompt(calculationData, companyTemplate, {
@@ -53,51 +115,38 @@ class OpenAIService {
         language
       });
 
-      logger.info('Generating commercial proposal with OpenAI', {
+      logger.info('Generating commercial proposal', {
         calculationId: calculationData.id,
         company: companyTemplate.name,
+        provider: provider || 'default',
         competitive,
         markup
       });
 
-      const completion = await this.client.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt(language)
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS || '2000'),
-        temperature: 0.7,
-      });
-
-      const proposalText = completion.choices[0]?.message?.content;
-      
-      if (!proposalText) {
-        throw new Error('No proposal content generated');
-      }
-
-      // Log token usage for cost tracking
-      logger.info('OpenAI API usage', {
-        promptTokens: completion.usage.prompt_tokens,
-        completionTokens: completion.usage.completion_tokens,
-        totalTokens: completion.usage.total_tokens,
-        calculationId: calculationData.id
-      });
+      const result = await this.complete({
+        task: 'proposal',
+        system: this.getSystemPrompt(language),
+        prompt,
+        context: {
+          calculation: calculationData,
+          companyTemplate,
+          options: { competitive, markup, customRequirements, language }
+        },
+        maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '2000'),
+        temperature: 0.7
+      }, provider, tracking);
 
       return {
-        proposalText,
+        proposalText: result.text,
         metadata: {
           company: companyTemplate.name,
           competitive,
           markup,
-          tokensUsed: completion.usage.total_tokens,
-          model: completion.model,
+          provider: result.provider,
+          tokensUsed: result.usage.totalTokens,
+          promptTokens: result.usage.promptTokens,
+          completionTokens: result.usage.completionTokens,
+          model: result.model,
           generatedAt: new Date().toISOString()
         }
       };
@@ -108,26 +157,62 @@ class OpenAIService {
         stack: error.stack,
         calculationId: calculationData.id
       });
-      
-      if (error.status === 429) {
-        throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-      } else if (error.status === 402) {
-        throw new Error('OpenAI API quota exceeded. Please check your billing.');
-      }
-      
+
       throw error;
     }
   }
 
+  async customizeProposal(proposalText, modifications, companyTemplate, options = {}) {
+    const { language = 'ru', provider = null, tracking = null } = options;
+
+    // Create customization prompt
+    const customizationPrompt = `
+Вы получили коммерческое предложение от компании "${companyTemplate.name}":
+
+ТЕКУЩЕЕ КП:
+${proposalText}
+
+ТРЕБУЕМЫЕ ИЗМЕНЕНИЯ:
+${modifications}
+
+Внесите указанные изменения в коммерческое предложение, сохранив профессиональный стиль и структуру. 
+Убедитесь, что все изменения логичны и соответствуют стандартам деловой переписки.
+
+Язык: ${language === 'ru' ? 'русский' : 'украинский'}
+
+Выведите обновленное коммерческое предложение:`;
+
+    const result = await this.complete({
+      task: 'customization',
+      system: this.getSystemPrompt(language),
+      prompt: customizationPrompt,
+      context: { proposalText, modifications, companyTemplate, language },
+      maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '2500'),
+      temperature: 0.5
+    }, provider, tracking);
+
+    return {
+      proposalText: result.text,
+      metadata: {
+        provider: result.provider,
+        tokensUsed: result.usage.totalTokens,
+        promptTokens: result.usage.promptTokens,
+        completionTokens: result.usage.completionTokens,
+        model: result.model
+      }
+    };
+  }
+
   buildProposalPrompt(calculationData, companyTemplate, options) {
     const { competitive, markup, customRequirements, language } = options;
     const companyTemplatesService = require('./companyTemplates');
+    const currency = calculationData.currency || 'RUB';
 
     // Generate company-specific product description
     const productDescription = companyTemplatesService.generateProductDescription(
       calculationData.productName || 'Товар',
       calculationData.description,
-      companyTemplate.id,
+      companyTemplate,
       { technical: true, benefits: true, applications: true }
     );
 
@@ -146,25 +231,25 @@ class OpenAIService {
 - Название расчета: ${calculationData.name}
 - Клиент: ${calculationData.client?.name || 'Не указан'}
 - Продукт: ${calculationData.productName || 'Товар'}
-- Цена за единицу: ${calculationData.pricePerUnit || 0} руб.
+- Цена за единицу: ${calculationData.pricePerUnit || 0} ${currency}
 - Количество: ${calculationData.quantity || 0} шт.
-- Общая сумма: ${calculationData.totalSaleAmount || calculationData.totalCost || 0} руб.
+- Общая сумма: ${calculationData.totalSaleAmount || calculationData.totalCost || 0} ${currency}
 
 ДЕТАЛЬНОЕ ОПИСАНИЕ ПРОДУКТА:
 ${productDescription}
 
 ДЕТАЛИЗАЦИЯ ЗАТРАТ:
-- Стоимость газа: ${calculationData.gasCost || 0} руб.
-- Стоимость баллонов: ${calculationData.cylinderCost || 0} руб.
-- Подготовка товара: ${calculationData.preparationCost || 0} руб.
-- Логистика: ${calculationData.logisticsCost || 0} руб.
-- Грузчики: ${calculationData.workersCost || 0} руб.
-- Откаты по сделке: ${calculationData.kickbacksCost || 0} руб.
+- Стоимость газа: ${calculationData.gasCost || 0} ${currency}
+- Стоимость баллонов: ${calculationData.cylinderCost || 0} ${currency}
+- Подготовка товара: ${calculationData.preparationCost || 0} ${currency}
+- Логистика: ${calculationData.logisticsCost || 0} ${currency}
+- Грузчики: ${calculationData.workersCost || 0} ${currency}
+- Откаты по сделке: ${calculationData.kickbacksCost || 0} ${currency}
 
 ПОКАЗАТЕЛИ ПРИБЫЛЬНОСТИ:
-- Общие затраты: ${calculationData.totalCostBreakdown || 0} руб.
-- Валовая прибыль: ${calculationData.grossProfit || 0} руб.
-- Чистая прибыль: ${calculationData.netProfit || 0} руб.
+- Общие затраты: ${calculationData.totalCostBreakdown || 0} ${currency}
+- Валовая прибыль: ${calculationData.grossProfit || 0} ${currency}
+- Чистая прибыль: ${calculationData.netProfit || 0} ${currency}
 - Рентабельность: ${calculationData.profitabilityPercent || 0}%
 
 УСЛОВИЯ ОПЛАТЫ И ДОСТАВКИ:
@@ -180,7 +265,7 @@ ${productDescription}
 
 КОНКУРЕНТНОЕ ПРЕДЛОЖЕНИЕ:
 - Это конкурентное предложение с наценкой ${markup}%
-- Скорректированная цена: ${adjustedPrice.toFixed(2)} руб.
+- Скорректированная цена: ${adjustedPrice.toFixed(2)} ${currency}
 - Подчеркните конкурентные преимущества компании "${companyTemplate.name}"`;
     }
 
@@ -234,14 +319,7 @@ ${customRequirements}`;
   }
 
   async getUsageStatistics(userId, dateFrom, dateTo) {
-    // This would typically be stored in database
-    // For now, return empty statistics
-    return {
-      totalRequests: 0,
-      totalTokens: 0,
-      estimatedCost: 0,
-      period: { from: dateFrom, to: dateTo }
-    };
+    return aiUsageService.getUsageStatistics(userId, dateFrom, dateTo);
   }
 }
 
@@ -0,0 +1,428 @@
+const cmsSignatureService = require('./cmsSignatures');
+
+// Место под CMS в /Contents (байт); сертификат и подпись RSA-2048 занимают около 2 КБ
+const SIGNATURE_PLACEHOLDER_BYTES = 8192;
+const BYTE_RANGE_PLACEHOLDER = '/ByteRange [0 ********** ********** **********]';
+
+class PdfSignatureService {
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * PDF text string in UTF-16BE with BOM (Cyrillic-safe)
+   * @param {string} value - Text
+   * @returns {string} Hex string literal
+   */
+  pdfString(value) {
+    const utf16 = Buffer.from(String(value), 'utf16le').swap16();
+    return `<FEFF${utf16.toString('hex').toUpperCase()}>`;
+  }
+
+  /**
+   * Decode a PDF text string: (literal) or <hex>, PDFDocEncoding or UTF-16BE
+   * @param {string} value - String as written in the PDF
+   * @returns {string|null} Text
+   */
+  decodePdfString(value) {
+    if (!value) {
+      return null;
+    }
+
+    let bytes;
+    if (value.startsWith('<')) {
+      bytes = Buffer.from(value.slice(1, -1).replace(/\s/g, ''), 'hex');
+    } else {
+      const literal = value.slice(1, -1).replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (match, escaped) => {
+        const special = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (special[escaped]) {
+          return special[escaped];
+        }
+        return /^[0-7]+$/.test(escaped) ? String.fromCharCode(parseInt(escaped, 8)) : escaped;
+      });
+      bytes = Buffer.from(literal, 'latin1');
+    }
+
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      return Buffer.from(bytes.subarray(2)).swap16().toString('utf16le');
+    }
+
+    return bytes.toString('latin1');
+  }
+
+  /**
+   * PDF date string
+   * @param {Date} date - Date
+   * @returns {string} D:YYYYMMDDHHmmSSZ
+   */
+  pdfDate(date) {
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+  }
+
+  /**
+   * Object offsets and the newest trailer from classic cross-reference tables
+   * (following /Prev through incremental updates)
+   * @param {string} text - PDF as latin1
+   * @returns {Object} { offsets: Map<number, number>, trailer, startxref }
+   */
+  readXref(text) {
+    const startMatch = text.slice(-1024).match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+    if (!startMatch) {
+      throw this.createError('Not a PDF file or the file is truncated');
+    }
+
+    const startxref = parseInt(startMatch[1]);
+    const offsets = new Map();
+    let trailer = null;
+    let position = startxref;
+    const visited = new Set();
+
+    while (position !== null && !visited.has(position)) {
+      visited.add(position);
+
+      if (text.slice(position, position + 4) !== 'xref') {
+        throw this.createError('PDF files with cross-reference streams are not supported');
+      }
+
+      const trailerIndex = text.indexOf('trailer', position);
+      const lines = text.slice(position + 4, trailerIndex).trim().split(/\r?\n|\r/);
+      let number = 0;
+      for (const line of lines) {
+        const section = line.trim().match(/^(\d+)\s+(\d+)$/);
+        if (section) {
+          number = parseInt(section[1]);
+          continue;
+        }
+
+        const entry = line.trim().match(/^(\d{10})\s+(\d{5})\s+([nf])$/);
+        if (entry) {
+          // Более новые таблицы прочитаны раньше и имеют приоритет
+          if (entry[3] === 'n' && !offsets.has(number)) {
+            offsets.set(number, parseInt(entry[1]));
+          }
+          number += 1;
+        }
+      }
+
+      const trailerText = text.slice(trailerIndex, text.indexOf('startxref', trailerIndex));
+      trailer = trailer || trailerText;
+      const prev = trailerText.match(/\/Prev\s+(\d+)/);
+      position = prev ? parseInt(prev[1]) : null;
+    }
+
+    return { offsets, trailer, startxref };
+  }
+
+  /**
+   * Dictionary of an indirect object
+   * @param {string} text - PDF as latin1
+   * @param {Map} offsets - Object offsets
+   * @param {number} number - Object number
+   * @returns {string} Object body between "obj" and "endobj"
+   */
+  readObject(text, offsets, number) {
+    const offset = offsets.get(number);
+    const match = offset !== undefined
+      ? text.slice(offset, text.indexOf('endobj', offset)).match(/^\s*\d+\s+\d+\s+obj([\s\S]*)$/)
+      : null;
+
+    if (!match) {
+      throw this.createError(`PDF object ${number} not found`);
+    }
+
+    const body = match[1].trim();
+    if (body.includes('stream')) {
+      throw this.createError(`PDF object ${number} is not a dictionary`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Add an entry before the closing ">>" of a dictionary
+   * @param {string} dictionary - Dictionary text
+   * @param {string} entry - Entry text
+   * @returns {string} Dictionary
+   */
+  addEntry(dictionary, entry) {
+    const end = dictionary.lastIndexOf('>>');
+    return `${dictionary.slice(0, end).trimEnd()}\n${entry}\n>>`;
+  }
+
+  /**
+   * Add an invisible signature field with a placeholder to a PDF as an incremental
+   * update: earlier revisions and their signatures stay intact
+   * @param {Buffer} pdf - PDF (classic cross-reference tables, as written by PDFKit)
+   * @param {Object} info - name, email, reason, location, signingTime
+   * @returns {Object} { pdf, byteRange, contentsStart, contentsEnd }
+   */
+  addPlaceholder(pdf, { name, email, reason, location, signingTime }) {
+    const text = pdf.toString('latin1');
+    const { offsets, trailer, startxref } = this.readXref(text);
+
+    const root = parseInt((trailer.match(/\/Root\s+(\d+)\s+\d+\s+R/) || [])[1]);
+    const size = parseInt((trailer.match(/\/Size\s+(\d+)/) || [])[1]);
+    if (!root || !size) {
+      throw this.createError('PDF trailer is malformed');
+    }
+
+    let catalog = this.readObject(text, offsets, root);
+    if (/\/AcroForm\s+\d+\s+\d+\s+R/.test(catalog)) {
+      throw this.createError('PDF files with an indirect AcroForm are not supported');
+    }
+
+    const pagesNumber = parseInt((catalog.match(/\/Pages\s+(\d+)\s+\d+\s+R/) || [])[1]);
+    const firstPage = parseInt((this.readObject(text, offsets, pagesNumber).match(/\/Kids\s*\[\s*(\d+)\s+\d+\s+R/) || [])[1]);
+    if (!firstPage) {
+      throw this.createError('PDF has no pages');
+    }
+
+    const acroForm = catalog.match(/\/AcroForm\s*<<([\s\S]*?)>>/);
+    const fields = acroForm ? ((acroForm[1].match(/\/Fields\s*\[([^\]]*)\]/) || [])[1] || '').trim() : '';
+    const fieldCount = (fields.match(/\d+\s+\d+\s+R/g) || []).length;
+
+    const signatureNumber = size;
+    const widgetNumber = size + 1;
+    const widgetRef = `${widgetNumber} 0 R`;
+
+    if (acroForm) {
+      catalog = catalog.replace(acroForm[0], '');
+    }
+    catalog = this.addEntry(catalog, `/AcroForm << /Fields [${fields ? `${fields} ` : ''}${widgetRef}] /SigFlags 3 >>`);
+
+    let page = this.readObject(text, offsets, firstPage);
+    if (/\/Annots\s+\d+\s+\d+\s+R/.test(page)) {
+      throw this.createError('PDF files with indirect page annotations are not supported');
+    }
+    page = /\/Annots\s*\[/.test(page)
+      ? page.replace(/\/Annots\s*\[([^\]]*)\]/, (match, refs) => `/Annots [${refs.trim()} ${widgetRef}]`)
+      : this.addEntry(page, `/Annots [${widgetRef}]`);
+
+    const signatureDictionary = [
+      '<<',
+      '/Type /Sig',
+      '/Filter /Adobe.PPKLite',
+      '/SubFilter /ETSI.CAdES.detached',
+      BYTE_RANGE_PLACEHOLDER,
+      `/Contents <${'0'.repeat(SIGNATURE_PLACEHOLDER_BYTES * 2)}>`,
+      `/Name ${this.pdfString(name)}`,
+      email ? `/ContactInfo ${this.pdfString(email)}` : null,
+      reason ? `/Reason ${this.pdfString(reason)}` : null,
+      location ? `/Location ${this.pdfString(location)}` : null,
+      `/M (${this.pdfDate(signingTime)})`,
+      '>>'
+    ].filter(Boolean).join('\n');
+
+    const widget = [
+      '<<',
+      '/Type /Annot',
+      '/Subtype /Widget',
+      '/FT /Sig',
+      `/T ${this.pdfString(`Signature${fieldCount + 1}`)}`,
+      `/V ${signatureNumber} 0 R`,
+      `/P ${firstPage} 0 R`,
+      '/Rect [0 0 0 0]',
+      '/F 132',
+      '>>'
+    ].join('\n');
+
+    const objects = [
+      [root, catalog],
+      [firstPage, page],
+      [signatureNumber, signatureDictionary],
+      [widgetNumber, widget]
+    ].sort((a, b) => a[0] - b[0]);
+
+    let update = text.endsWith('\n') ? '' : '\n';
+    const newOffsets = [];
+    for (const [number, body] of objects) {
+      newOffsets.push([number, pdf.length + update.length]);
+      update += `${number} 0 obj\n${body}\nendobj\n`;
+    }
+
+    const xrefOffset = pdf.length + update.length;
+    update += 'xref\n0 1\n0000000000 65535 f \n';
+    for (const [number, offset] of newOffsets) {
+      update += `${number} 1\n${String(offset).padStart(10, '0')} 00000 n \n`;
+    }
+
+    const info = trailer.match(/\/Info\s+\d+\s+\d+\s+R/);
+    const id = trailer.match(/\/ID\s*\[[^\]]*\]/);
+    update += [
+      'trailer',
+      '<<',
+      `/Size ${size + 2}`,
+      `/Root ${root} 0 R`,
+      info ? info[0] : null,
+      id ? id[0] : null,
+      `/Prev ${startxref}`,
+      '>>',
+      'startxref',
+      String(xrefOffset),
+      '%%EOF',
+      ''
+    ].filter(item => item !== null).join('\n');
+
+    const signed = Buffer.concat([pdf, Buffer.from(update, 'latin1')]);
+
+    const signatureOffset = newOffsets.find(([number]) => number === signatureNumber)[1];
+    const byteRangeStart = signed.indexOf(BYTE_RANGE_PLACEHOLDER, signatureOffset, 'latin1');
+    const contentsStart = signed.indexOf('/Contents <', signatureOffset, 'latin1') + '/Contents '.length;
+    const contentsEnd = contentsStart + SIGNATURE_PLACEHOLDER_BYTES * 2 + 2;
+    const byteRange = [0, contentsStart, contentsEnd, signed.length - contentsEnd];
+
+    signed.write(
+      `/ByteRange [${byteRange.join(' ')}]`.padEnd(BYTE_RANGE_PLACEHOLDER.length, ' '),
+      byteRangeStart,
+      'latin1'
+    );
+
+    return { pdf: signed, byteRange, contentsStart, contentsEnd };
+  }
+
+  /**
+   * Signed bytes of a PDF signature: everything except the /Contents value
+   * @param {Buffer} pdf - PDF
+   * @param {number[]} byteRange - [offset1, length1, offset2, length2]
+   * @returns {Buffer} Signed content
+   */
+  signedContent(pdf, byteRange) {
+    return Buffer.concat([
+      pdf.subarray(byteRange[0], byteRange[0] + byteRange[1]),
+      pdf.subarray(byteRange[2], byteRange[2] + byteRange[3])
+    ]);
+  }
+
+  /**
+   * Sign a PDF (PAdES baseline, ETSI.CAdES.detached)
+   * @param {Buffer} pdf - PDF to sign, possibly already signed
+   * @param {Object} info - name, email, reason, location, signingTime
+   * @param {Function} signContent - (content: Buffer) => CMS DER Buffer
+   * @returns {Buffer} Signed PDF
+   */
+  signPdf(pdf, info, signContent) {
+    const { pdf: prepared, byteRange, contentsStart } = this.addPlaceholder(pdf, info);
+    const cms = signContent(this.signedContent(prepared, byteRange));
+
+    if (cms.length > SIGNATURE_PLACEHOLDER_BYTES) {
+      throw this.createError('CMS signature does not fit into the PDF signature placeholder', 500);
+    }
+
+    prepared.write(cms.toString('hex').toUpperCase(), contentsStart + 1, 'latin1');
+    return prepared;
+  }
+
+  /**
+   * Signatures embedded in a PDF
+   * @param {Buffer} pdf - PDF
+   * @returns {Object[]} byteRange, cms, name, reason, location, contactInfo, subFilter, signedAt
+   */
+  extractSignatures(pdf) {
+    const text = pdf.toString('latin1');
+    const signatures = [];
+    const byteRangePattern = /\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g;
+    let match;
+
+    while ((match = byteRangePattern.exec(text)) !== null) {
+      const objectStart = text.lastIndexOf(' obj', match.index);
+      const objectEnd = text.indexOf('endobj', match.index);
+      const body = text.slice(objectStart, objectEnd);
+      const contents = body.match(/\/Contents\s*<([0-9A-Fa-f\s]*)>/);
+      const field = name => (body.match(new RegExp(`/${name}\\s*(\\((?:\\\\.|[^\\\\)])*\\)|<[0-9A-Fa-f\\s]*>)`)) || [])[1];
+
+      if (!contents) {
+        continue;
+      }
+
+      const signedAt = this.decodePdfString(field('M'));
+      signatures.push({
+        byteRange: match.slice(1, 5).map(Number),
+        cms: Buffer.from(contents[1].replace(/\s/g, ''), 'hex'),
+        name: this.decodePdfString(field('Name')),
+        contactInfo: this.decodePdfString(field('ContactInfo')),
+        reason: this.decodePdfString(field('Reason')),
+        location: this.decodePdfString(field('Location')),
+        subFilter: (body.match(/\/SubFilter\s*\/([\w.]+)/) || [])[1] || null,
+        signedAt
+      });
+    }
+
+    return signatures;
+  }
+
+  /**
+   * Verify all signatures of a PDF: coverage of the byte range, the digest of the
+   * covered bytes and the CMS signature
+   * @param {Buffer} pdf - PDF
+   * @returns {Object} { signatures, totalSignatures, allSignaturesValid, modifiedAfterLastSignature }
+   */
+  verifyPdf(pdf) {
+    if (pdf.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw this.createError('Not a PDF file');
+    }
+
+    const signatures = this.extractSignatures(pdf).map((signature, index) => {
+      const [start, firstLength, secondStart, secondLength] = signature.byteRange;
+      const rangeValid = start === 0 &&
+        firstLength < secondStart &&
+        secondStart + secondLength <= pdf.length &&
+        pdf[firstLength] === 0x3c && // '<' перед /Contents
+        pdf[secondStart - 1] === 0x3e; // '>' после
+
+      const base = {
+        index: index + 1,
+        name: signature.name,
+        contactInfo: signature.contactInfo,
+        reason: signature.reason,
+        location: signature.location,
+        subFilter: signature.subFilter,
+        byteRange: signature.byteRange,
+        coversWholeDocument: rangeValid && secondStart + secondLength === pdf.length
+      };
+
+      if (!rangeValid) {
+        return { ...base, valid: false, integrity: false, signatureValid: false, result: 'Invalid byte range' };
+      }
+
+      try {
+        const verification = cmsSignatureService.verifyDetached(signature.cms, this.signedContent(pdf, signature.byteRange));
+        return {
+          ...base,
+          valid: verification.valid,
+          integrity: verification.integrity,
+          signatureValid: verification.signatureValid,
+          signingTime: verification.signingTime,
+          signer: {
+            name: verification.certificate.commonName,
+            email: verification.certificate.email
+          },
+          certificate: verification.certificate,
+          result: verification.reason
+        };
+      } catch (error) {
+        return { ...base, valid: false, integrity: false, signatureValid: false, result: error.message };
+      }
+    });
+
+    const last = signatures[signatures.length - 1];
+
+    return {
+      signatures,
+      totalSignatures: signatures.length,
+      allSignaturesValid: signatures.length > 0 && signatures.every(signature => signature.valid),
+      modifiedAfterLastSignature: last ? !last.coversWholeDocument : null
+    };
+  }
+}
+
+const pdfSignatureService = new PdfSignatureService();
+
+module.exports = pdfSignatureService;
@@ -0,0 +1,255 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent } = require('../utils/logger');
+const currencyService = require('./currency');
+
+const prisma = new PrismaClient();
+
+const ITEMS_INCLUDE = {
+  items: {
+    include: { product: { select: { id: true, name: true, code: true, unit: true } } },
+    orderBy: [{ productId: 'asc' }, { minQuantity: 'asc' }]
+  }
+};
+
+class PriceListService {
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Price lists
+   * @param {Object} filters - clientGroup ('default' - base lists), includeInactive, activeOn (date)
+   * @returns {Promise<Object[]>} Price lists with item count
+   */
+  async getPriceLists(filters = {}) {
+    const where = filters.includeInactive ? {} : { isActive: true };
+
+    if (filters.clientGroup) {
+      where.clientGroup = filters.clientGroup === 'default' ? null : filters.clientGroup;
+    }
+
+    if (filters.activeOn) {
+      const date = new Date(filters.activeOn);
+      where.validFrom = { lte: date };
+      where.OR = [{ validTo: null }, { validTo: { gte: date } }];
+    }
+
+    return prisma.priceList.findMany({
+      where,
+      include: { _count: { select: { items: true } } },
+      orderBy: [{ clientGroup: 'asc' }, { validFrom: 'desc' }]
+    });
+  }
+
+  /**
+   * Get a price list with its tiers
+   * @param {string} id - Price list ID
+   * @returns {Promise<Object>} Price list
+   */
+  async getPriceList(id) {
+    const priceList = await prisma.priceList.findUnique({
+      where: { id },
+      include: ITEMS_INCLUDE
+    });
+
+    if (!priceList) {
+      throw this.createError('Прайс-лист не найден', 404);
+    }
+
+    return priceList;
+  }
+
+  /**
+   * Check price list fields and products of the tiers
+   * @param {Object} data - Price list data (merged with the stored list on update)
+   * @returns {Promise<void>}
+   */
+  async validatePriceList(data) {
+    if (data.validTo && new Date(data.validTo) < new Date(data.validFrom)) {
+      throw this.createError('Дата окончания действия раньше даты начала');
+    }
+
+    if (!data.items) {
+      return;
+    }
+
+    const seen = new Set();
+    for (const item of data.items) {
+      const key = `${item.productId}:${item.minQuantity || 0}`;
+      if (seen.has(key)) {
+        throw this.createError(`Повторяется цена товара ${item.productId} от количества ${item.minQuantity || 0}`);
+      }
+      seen.add(key);
+    }
+
+    const productIds = [...new Set(data.items.map(item => item.productId))];
+    const products = await prisma.product.findMany({
+      where: { id: { in: productIds } },
+      select: { id: true }
+    });
+
+    if (products.length !== productIds.length) {
+      const found = new Set(products.map(product => product.id));
+      throw this.createError(`Товары не найдены: ${productIds.filter(id => !found.has(id)).join(', ')}`);
+    }
+  }
+
+  /**
+   * Map tiers for Prisma
+   * @param {Object[]} items - productId, minQuantity, pricePerUnit
+   * @returns {Object[]} Item data
+   */
+  toItemsData(items) {
+    return items.map(item => ({
+      productId: item.productId,
+      minQuantity: item.minQuantity || 0,
+      pricePerUnit: item.pricePerUnit
+    }));
+  }
+
+  /**
+   * Create a price list
+   * @param {Object} data - name, clientGroup, currency, validFrom, validTo, items
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Created price list
+   */
+  async createPriceList(data, userId) {
+    const { items = [], ...fields } = data;
+    await this.validatePriceList(data);
+
+    const priceList = await prisma.priceList.create({
+      data: {
+        ...fields,
+        currency: await currencyService.assertCurrency(fields.currency || currencyService.baseCurrency),
+        validFrom: new Date(fields.validFrom),
+        validTo: fields.validTo ? new Date(fields.validTo) : null,
+        createdById: userId,
+        items: { create: this.toItemsData(items) }
+      },
+      include: ITEMS_INCLUDE
+    });
+
+    logBusinessEvent('price_list_created', null, {
+      priceListId: priceList.id,
+      clientGroup: priceList.clientGroup,
+      items: items.length,
+      userId
+    });
+
+    return priceList;
+  }
+
+  /**
+   * Update a price list. Given items replace all tiers of the list.
+   * @param {string} id - Price list ID
+   * @param {Object} data - Fields to change, items
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Updated price list
+   */
+  async updatePriceList(id, data, userId) {
+    const existing = await this.getPriceList(id);
+    const { items, ...fields } = data;
+    await this.validatePriceList({ ...existing, ...data });
+
+    if (fields.currency) {
+      fields.currency = await currencyService.assertCurrency(fields.currency);
+    }
+
+    const priceList = await prisma.$transaction(async (tx) => {
+      if (items) {
+        await tx.priceListItem.deleteMany({ where: { priceListId: id } });
+      }
+
+      return tx.priceList.update({
+        where: { id },
+        data: {
+          ...fields,
+          ...(fields.validFrom && { validFrom: new Date(fields.validFrom) }),
+          ...(fields.validTo !== undefined && { validTo: fields.validTo ? new Date(fields.validTo) : null }),
+          ...(items && { items: { create: this.toItemsData(items) } })
+        },
+        include: ITEMS_INCLUDE
+      });
+    });
+
+    logBusinessEvent('price_list_updated', null, { priceListId: id, userId, fields: Object.keys(data) });
+
+    return priceList;
+  }
+
+  /**
+   * Deactivate a price list. Calculations keep the link for history.
+   * @param {string} id - Price list ID
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Deactivated price list
+   */
+  async deactivatePriceList(id, userId) {
+    await this.getPriceList(id);
+
+    const priceList = await prisma.priceList.update({ where: { id }, data: { isActive: false } });
+
+    logBusinessEvent('price_list_deactivated', null, { priceListId: id, userId });
+
+    return priceList;
+  }
+
+  /**
+   * Price list in effect for a client group on a date: the newest list of the group
+   * that has any of the products, otherwise the newest base list (without group)
+   * @param {string} clientGroup - Client group
+   * @param {string[]} productIds - Products to price
+   * @param {Date} date - Calculation date
+   * @returns {Promise<Object|null>} Price list with tiers of the products or null
+   */
+  async findPriceList(clientGroup, productIds, date = new Date()) {
+    const when = new Date(date);
+
+    for (const group of [...(clientGroup ? [clientGroup] : []), null]) {
+      const priceList = await prisma.priceList.findFirst({
+        where: {
+          clientGroup: group,
+          isActive: true,
+          validFrom: { lte: when },
+          OR: [{ validTo: null }, { validTo: { gte: when } }],
+          items: { some: { productId: { in: productIds } } }
+        },
+        include: { items: { where: { productId: { in: productIds } } } },
+        orderBy: { validFrom: 'desc' }
+      });
+
+      if (priceList) {
+        return priceList;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Unit price of a product for a quantity: the tier with the largest
+   * minimum quantity not above the ordered quantity
+   * @param {Object} priceList - Price list with items
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Ordered quantity
+   * @returns {number|null} Price per unit in the list currency or null
+   */
+  getPrice(priceList, productId, quantity) {
+    const tier = (priceList.items || [])
+      .filter(item => item.productId === productId && (item.minQuantity || 0) <= quantity)
+      .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+
+    return tier ? tier.pricePerUnit : null;
+  }
+}
+
+const priceListService = new PriceListService();
+
+module.exports = priceListService;
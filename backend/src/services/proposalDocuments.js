@@ -0,0 +1,418 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  Table,
+  TableRow,
+  TableCell,
+  ImageRun,
+  WidthType,
+  AlignmentType
+} = require('docx');
+const { createPdfDocument, pdfToBuffer, mm } = require('../utils/pdf');
+const { logBusinessEvent, logError } = require('../utils/logger');
+const companyTemplatesService = require('./companyTemplates');
+const proposalService = require('./proposals');
+
+const prisma = new PrismaClient();
+
+const FORMATS = {
+  pdf: { mimetype: 'application/pdf', extension: 'pdf' },
+  docx: { mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' }
+};
+
+const TABLE_COLUMNS = ['№', 'Наименование', 'Кол-во', 'Цена', 'Сумма'];
+
+/**
+ * Branded PDF / DOCX documents for stored commercial proposals
+ */
+class ProposalDocumentService {
+  /**
+   * Format an amount for documents: 12 345,50
+   * @param {number} value - Amount
+   * @returns {string} Formatted amount
+   */
+  formatMoney(value) {
+    return (Math.round((value || 0) * 100) / 100).toLocaleString('ru-RU', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+  }
+
+  /**
+   * Price table rows from the calculation. Competitive versions scale prices
+   * by the adjusted/original ratio stored with the version.
+   * @param {Object} calculation - Calculation with items
+   * @param {Object|null} metadata - Version metadata
+   * @returns {Object} { rows: [{ name, quantity, unitPrice, total }], total }
+   */
+  buildPriceTable(calculation, metadata) {
+    let rows;
+
+    if (calculation.items && calculation.items.length > 0) {
+      rows = calculation.items.map(item => ({
+        name: item.name,
+        quantity: item.quantity,
+        unitPrice: item.finalPrice ?? item.cost
+      }));
+    } else {
+      // Расчет в упрощенном формате: один товар с ценой за штуку
+      rows = [{
+        name: calculation.productName || calculation.name,
+        quantity: calculation.quantity || 1,
+        unitPrice: calculation.pricePerUnit
+          ?? (calculation.totalSaleAmount || calculation.totalCost || 0) / (calculation.quantity || 1)
+      }];
+    }
+
+    const pricing = metadata?.pricing;
+    const ratio = pricing && pricing.original > 0 ? pricing.adjusted / pricing.original : 1;
+
+    rows = rows.map(row => {
+      const unitPrice = Math.round(row.unitPrice * ratio * 100) / 100;
+      return {
+        ...row,
+        unitPrice,
+        total: Math.round(unitPrice * row.quantity * 100) / 100
+      };
+    });
+
+    return {
+      rows,
+      total: rows.reduce((sum, row) => sum + row.total, 0)
+    };
+  }
+
+  /**
+   * Everything needed to render a proposal version
+   * @param {string} proposalId - Proposal ID
+   * @param {number|null} version - Version number (null - latest)
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Document context
+   */
+  async loadContext(proposalId, version, user) {
+    const proposal = await proposalService.getProposal(proposalId, user);
+    const proposalVersion = await proposalService.getVersion(proposalId, version, user);
+
+    const calculation = await prisma.calculation.findUnique({
+      where: { id: proposal.calculationId },
+      include: {
+        items: true,
+        client: { select: { name: true, contactPerson: true, address: true, inn: true } }
+      }
+    });
+
+    const template = await companyTemplatesService.getTemplate(proposal.companyId, { includeInactive: true });
+    const table = this.buildPriceTable(calculation, proposalVersion.metadata);
+    const terms = companyTemplatesService.formatPricing({}, template);
+
+    return {
+      proposal,
+      version: proposalVersion,
+      calculation,
+      template,
+      table,
+      terms,
+      currency: proposal.currency || calculation.currency || template.paymentTerms?.currency || 'RUB',
+      date: (proposalVersion.sentAt || proposalVersion.createdAt).toLocaleDateString('ru-RU')
+    };
+  }
+
+  /**
+   * Text blocks shared by PDF and DOCX
+   * @param {Object} context - Document context
+   * @returns {Object} Requisites, title, terms and contacts lines
+   */
+  buildSections(context) {
+    const { proposal, version, calculation, template, terms } = context;
+
+    return {
+      requisites: [
+        template.fullName,
+        template.inn ? `ИНН ${template.inn}` : null,
+        template.address,
+        [template.phone, template.email, template.website].filter(Boolean).join(' | ')
+      ].filter(Boolean),
+      title: `КОММЕРЧЕСКОЕ ПРЕДЛОЖЕНИЕ № ${proposal.number}/${version.version} от ${context.date}`,
+      recipient: calculation.client
+        ? `Для: ${calculation.client.name}${calculation.client.contactPerson ? `, ${calculation.client.contactPerson}` : ''}`
+        : null,
+      terms: [
+        `Условия оплаты: ${terms.paymentTerms.description}`,
+        `${terms.deliveryTerms.description}${terms.deliveryTerms.methods?.length ? ` (${terms.deliveryTerms.methods.join(', ')})` : ''}`,
+        terms.warranty ? `Гарантия: ${terms.warranty.period}. ${terms.warranty.conditions}` : null,
+        template.proposalTemplate?.validityPeriod
+          ? `Предложение действительно ${template.proposalTemplate.validityPeriod} дней`
+          : null
+      ].filter(Boolean),
+      contacts: (template.contacts || []).map(contact =>
+        [contact.name, contact.position, contact.phone, contact.email].filter(Boolean).join(', ')
+      )
+    };
+  }
+
+  /**
+   * Render a proposal as PDF
+   * @param {Object} context - Document context
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async renderPdf(context) {
+    const { version, template, table, currency } = context;
+    const sections = this.buildSections(context);
+    const doc = createPdfDocument({ margin: mm(20) });
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Шапка: логотип слева, реквизиты справа
+    const top = doc.y;
+    if (template.logoPath && fs.existsSync(template.logoPath)) {
+      doc.image(template.logoPath, left, top, { fit: [mm(40), mm(20)] });
+    }
+    doc.font('Bold').fontSize(10).text(sections.requisites[0], left, top, { width, align: 'right' });
+    doc.font('Regular').fontSize(8);
+    for (const line of sections.requisites.slice(1)) {
+      doc.text(line, { width, align: 'right' });
+    }
+    doc.y = Math.max(doc.y, top + mm(20));
+    doc.moveTo(left, doc.y + 4).lineTo(left + width, doc.y + 4).stroke();
+    doc.moveDown(1.5);
+
+    doc.font('Bold').fontSize(13).text(sections.title, left, doc.y, { width, align: 'center' });
+    if (sections.recipient) {
+      doc.font('Regular').fontSize(10).text(sections.recipient, { width, align: 'center' });
+    }
+    doc.moveDown();
+
+    doc.font('Regular').fontSize(10).text(version.text, left, doc.y, { width });
+    doc.moveDown();
+
+    // Таблица цен
+    const columnWidths = [0.06, 0.5, 0.12, 0.16, 0.16].map(share => share * width);
+    const drawRow = (cells, bold) => {
+      const y = doc.y;
+      doc.font(bold ? 'Bold' : 'Regular').fontSize(9);
+      const height = Math.max(...cells.map((cell, index) =>
+        doc.heightOfString(cell, { width: columnWidths[index] - 6 })
+      )) + 6;
+
+      if (y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        return drawRow(cells, bold);
+      }
+
+      let x = left;
+      cells.forEach((cell, index) => {
+        doc.rect(x, y, columnWidths[index], height).stroke();
+        doc.text(cell, x + 3, y + 3, {
+          width: columnWidths[index] - 6,
+          align: index >= 2 ? 'right' : 'left'
+        });
+        x += columnWidths[index];
+      });
+      doc.x = left;
+      doc.y = y + height;
+    };
+
+    drawRow(TABLE_COLUMNS, true);
+    table.rows.forEach((row, index) => drawRow([
+      String(index + 1),
+      row.name,
+      String(row.quantity),
+      this.formatMoney(row.unitPrice),
+      this.formatMoney(row.total)
+    ], false));
+    doc.moveDown(0.5);
+    doc.font('Bold').fontSize(10).text(`Итого: ${this.formatMoney(table.total)} ${currency}`, left, doc.y, { width, align: 'right' });
+    doc.moveDown();
+
+    doc.font('Regular').fontSize(9);
+    for (const line of sections.terms) {
+      doc.text(line, left, doc.y, { width });
+    }
+
+    if (sections.contacts.length > 0) {
+      doc.moveDown();
+      doc.font('Bold').text('Контактные лица:', left, doc.y, { width });
+      doc.font('Regular');
+      for (const line of sections.contacts) {
+        doc.text(line, { width });
+      }
+    }
+
+    return pdfToBuffer(doc);
+  }
+
+  /**
+   * Render a proposal as DOCX
+   * @param {Object} context - Document context
+   * @returns {Promise<Buffer>} DOCX bytes
+   */
+  async renderDocx(context) {
+    const { version, template, table, currency } = context;
+    const sections = this.buildSections(context);
+    const children = [];
+
+    if (template.logoPath && fs.existsSync(template.logoPath)) {
+      children.push(new Paragraph({
+        children: [new ImageRun({
+          type: path.extname(template.logoPath).toLowerCase() === '.png' ? 'png' : 'jpg',
+          data: fs.readFileSync(template.logoPath),
+          transformation: { width: 150, height: 75 }
+        })]
+      }));
+    }
+
+    sections.requisites.forEach((line, index) => children.push(new Paragraph({
+      alignment: AlignmentType.RIGHT,
+      children: [new TextRun({ text: line, bold: index === 0, size: index === 0 ? 20 : 16 })]
+    })));
+
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { before: 300 },
+      children: [new TextRun({ text: sections.title, bold: true, size: 26 })]
+    }));
+    if (sections.recipient) {
+      children.push(new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [new TextRun({ text: sections.recipient, size: 20 })]
+      }));
+    }
+
+    // Текст КП: каждая строка - отдельный абзац
+    version.text.split('\n').forEach((line, index) => children.push(new Paragraph({
+      spacing: index === 0 ? { before: 240 } : undefined,
+      children: [new TextRun({ text: line, size: 20 })]
+    })));
+
+    const cell = (text, options = {}) => new TableCell({
+      children: [new Paragraph({
+        alignment: options.right ? AlignmentType.RIGHT : AlignmentType.LEFT,
+        children: [new TextRun({ text, bold: options.bold, size: 18 })]
+      })]
+    });
+
+    children.push(new Paragraph({ text: '' }));
+    children.push(new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [
+        new TableRow({
+          tableHeader: true,
+          children: TABLE_COLUMNS.map((title, index) => cell(title, { bold: true, right: index >= 2 }))
+        }),
+        ...table.rows.map((row, index) => new TableRow({
+          children: [
+            cell(String(index + 1)),
+            cell(row.name),
+            cell(String(row.quantity), { right: true }),
+            cell(this.formatMoney(row.unitPrice), { right: true }),
+            cell(this.formatMoney(row.total), { right: true })
+          ]
+        }))
+      ]
+    }));
+    children.push(new Paragraph({
+      alignment: AlignmentType.RIGHT,
+      spacing: { before: 120, after: 240 },
+      children: [new TextRun({ text: `Итого: ${this.formatMoney(table.total)} ${currency}`, bold: true, size: 20 })]
+    }));
+
+    sections.terms.forEach(line => children.push(new Paragraph({
+      children: [new TextRun({ text: line, size: 18 })]
+    })));
+
+    if (sections.contacts.length > 0) {
+      children.push(new Paragraph({
+        spacing: { before: 240 },
+        children: [new TextRun({ text: 'Контактные лица:', bold: true, size: 18 })]
+      }));
+      sections.contacts.forEach(line => children.push(new Paragraph({
+        children: [new TextRun({ text: line, size: 18 })]
+      })));
+    }
+
+    const document = new Document({
+      creator: template.fullName,
+      title: sections.title,
+      styles: { default: { document: { run: { font: 'Arial' } } } },
+      sections: [{ children }]
+    });
+
+    return Packer.toBuffer(document);
+  }
+
+  /**
+   * Render a stored proposal version
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} options - format (pdf|docx), version
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} { buffer, fileName, mimetype, context }
+   */
+  async render(proposalId, options, user) {
+    try {
+      const format = FORMATS[options.format] ? options.format : 'pdf';
+      const context = await this.loadContext(proposalId, options.version, user);
+
+      const buffer = format === 'docx'
+        ? await this.renderDocx(context)
+        : await this.renderPdf(context);
+
+      return {
+        buffer,
+        mimetype: FORMATS[format].mimetype,
+        fileName: `${context.proposal.number}-v${context.version.version}.${FORMATS[format].extension}`,
+        context
+      };
+    } catch (error) {
+      logError(error, null, { operation: 'render_proposal_document', proposalId });
+      throw error;
+    }
+  }
+
+  /**
+   * Render a proposal and store it as a file of its calculation
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} options - format (pdf|docx), version
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created file record
+   */
+  async attachToCalculation(proposalId, options, user) {
+    const { buffer, mimetype, fileName, context } = await this.render(proposalId, options, user);
+
+    const uploadPath = process.env.UPLOAD_PATH || './uploads';
+    await fs.promises.mkdir(uploadPath, { recursive: true });
+
+    const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(fileName)}`;
+    const filePath = path.join(uploadPath, filename);
+    await fs.promises.writeFile(filePath, buffer);
+
+    const file = await prisma.file.create({
+      data: {
+        filename,
+        originalName: fileName,
+        path: filePath,
+        size: buffer.length,
+        mimetype,
+        relatedId: context.proposal.calculationId,
+        relatedType: 'CALCULATION'
+      }
+    });
+
+    logBusinessEvent('proposal_document_attached', null, {
+      proposalId,
+      version: context.version.version,
+      calculationId: context.proposal.calculationId,
+      fileId: file.id
+    });
+
+    return file;
+  }
+}
+
+const proposalDocumentService = new ProposalDocumentService();
+
+module.exports = proposalDocumentService;
@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent, logError } = require('../utils/logger');
+const { createNotification } = require('../utils/notifications');
+const proposalService = require('./proposals');
+const proposalDocumentService = require('./proposalDocuments');
+const companyTemplatesService = require('./companyTemplates');
+const reminderService = require('./reminderService');
+const stockReservationService = require('./stockReservations');
+
+const prisma = new PrismaClient();
+
+const RESPONSES = ['ACCEPTED', 'REJECTED'];
+
+class ProposalShareLinkService {
+  constructor() {
+    this.secret = process.env.SHARE_LINK_SECRET;
+    this.defaultExpiryDays = parseInt(process.env.SHARE_LINK_EXPIRY_DAYS) || 30;
+    this.publicUrl = process.env.PUBLIC_APP_URL || 'http://localhost:3000';
+  }
+
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * HMAC signature of a link. The expiry date is signed too,
+   * so a token can't be reused with another expiry.
+   * @param {string} linkId - Link ID
+   * @param {Date} expiresAt - Link expiry
+   * @returns {string} base64url signature
+   */
+  sign(linkId, expiresAt) {
+    if (!this.secret) {
+      throw this.createError('SHARE_LINK_SECRET is not configured', 500);
+    }
+
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${linkId}:${new Date(expiresAt).getTime()}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Public token of a link: "<linkId>.<signature>"
+   * @param {Object} link - ProposalShareLink
+   * @returns {string} Token
+   */
+  buildToken(link) {
+    return `${link.id}.${this.sign(link.id, link.expiresAt)}`;
+  }
+
+  /**
+   * Client-facing URL of a link
+   * @param {Object} link - ProposalShareLink
+   * @returns {string} URL
+   */
+  buildUrl(link) {
+    return `${this.publicUrl.replace(/\/$/, '')}/p/${this.buildToken(link)}`;
+  }
+
+  /**
+   * Find a link by token and check signature, revocation and expiry
+   * @param {string} token - Public token
+   * @returns {Promise<Object>} Link with proposal and author
+   */
+  async resolve(token) {
+    const [linkId, signature] = String(token || '').split('.');
+    const link = linkId && signature
+      ? await prisma.proposalShareLink.findUnique({
+        where: { id: linkId },
+        include: {
+          proposal: true,
+          createdBy: { select: { id: true, name: true, email: true, role: true } }
+        }
+      })
+      : null;
+
+    const expected = link ? Buffer.from(this.sign(link.id, link.expiresAt)) : null;
+    const actual = Buffer.from(signature || '');
+
+    if (!link || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw this.createError('Ссылка недействительна', 404);
+    }
+
+    if (link.revokedAt) {
+      throw this.createError('Ссылка отозвана', 410);
+    }
+
+    if (link.expiresAt < new Date()) {
+      throw this.createError('Срок действия ссылки истек', 410);
+    }
+
+    return link;
+  }
+
+  /**
+   * Create a share link for a stored proposal
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} options - version (null - latest), expiresInDays
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Link with token and url
+   */
+  async createLink(proposalId, options, user) {
+    const proposal = await proposalService.getProposal(proposalId, user);
+
+    if (options.version) {
+      await proposalService.getVersion(proposalId, options.version, user);
+    } else if (proposal.versions.length === 0) {
+      throw this.createError('У КП нет версий', 400);
+    }
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + (options.expiresInDays || this.defaultExpiryDays));
+
+    const link = await prisma.proposalShareLink.create({
+      data: {
+        proposalId,
+        version: options.version || null,
+        expiresAt,
+        createdById: user.id
+      }
+    });
+
+    logBusinessEvent('proposal_share_link_created', null, {
+      proposalId,
+      linkId: link.id,
+      version: link.version,
+      userId: user.id
+    });
+
+    return { ...link, token: this.buildToken(link), url: this.buildUrl(link) };
+  }
+
+  /**
+   * Share links of a proposal
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object[]>} Links with url
+   */
+  async getLinks(proposalId, user) {
+    await proposalService.getProposal(proposalId, user);
+
+    const links = await prisma.proposalShareLink.findMany({
+      where: { proposalId },
+      include: { createdBy: { select: { id: true, name: true } } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return links.map(link => ({ ...link, url: this.buildUrl(link) }));
+  }
+
+  /**
+   * Revoke a share link
+   * @param {string} proposalId - Proposal ID
+   * @param {string} linkId - Link ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Revoked link
+   */
+  async revokeLink(proposalId, linkId, user) {
+    await proposalService.getProposal(proposalId, user);
+
+    const link = await prisma.proposalShareLink.findFirst({ where: { id: linkId, proposalId } });
+    if (!link) {
+      throw this.createError('Ссылка не найдена', 404);
+    }
+
+    const revoked = await prisma.proposalShareLink.update({
+      where: { id: linkId },
+      data: { revokedAt: link.revokedAt || new Date() }
+    });
+
+    logBusinessEvent('proposal_share_link_revoked', null, { proposalId, linkId, userId: user.id });
+
+    return revoked;
+  }
+
+  /**
+   * Proposal as seen by the client. Each call counts as a view.
+   * @param {string} token - Public token
+   * @returns {Promise<Object>} Proposal text, company contacts and response state
+   */
+  async getPublicView(token) {
+    const link = await this.resolve(token);
+    const version = await proposalService.getVersion(link.proposalId, link.version, link.createdBy);
+    const template = await companyTemplatesService.getTemplate(link.proposal.companyId, { includeInactive: true });
+    const client = link.proposal.clientId
+      ? await prisma.client.findUnique({ where: { id: link.proposal.clientId }, select: { name: true } })
+      : null;
+
+    const now = new Date();
+    await prisma.proposalShareLink.update({
+      where: { id: link.id },
+      data: {
+        viewCount: { increment: 1 },
+        firstViewedAt: link.firstViewedAt || now,
+        lastViewedAt: now
+      }
+    });
+
+    return {
+      proposal: {
+        number: link.proposal.number,
+        status: link.proposal.status,
+        version: version.version,
+        language: version.language,
+        text: version.text,
+        date: version.sentAt || version.createdAt,
+        client: client?.name || null
+      },
+      company: {
+        name: template.name,
+        fullName: template.fullName,
+        phone: template.phone,
+        email: template.email,
+        website: template.website
+      },
+      manager: { name: link.createdBy.name, email: link.createdBy.email },
+      response: link.response
+        ? { response: link.response, comment: link.responseComment, respondedAt: link.respondedAt }
+        : null,
+      expiresAt: link.expiresAt
+    };
+  }
+
+  /**
+   * Render the shared proposal version. Access is checked with the link author's rights.
+   * @param {string} token - Public token
+   * @param {string} format - pdf or docx
+   * @returns {Promise<Object>} { buffer, mimetype, fileName }
+   */
+  async renderDocument(token, format) {
+    const link = await this.resolve(token);
+    return proposalDocumentService.render(link.proposalId, { format, version: link.version }, link.createdBy);
+  }
+
+  /**
+   * Record the client response: updates proposal, calculation and orders waiting for the
+   * response, stops follow-up reminders and notifies the responsible manager
+   * @param {string} token - Public token
+   * @param {Object} data - response (ACCEPTED/REJECTED), comment, name
+   * @param {Object} meta - ip
+   * @returns {Promise<Object>} { response, respondedAt, orders }
+   */
+  async respond(token, data, meta = {}) {
+    const { response, comment = null, name = null } = data;
+
+    if (!RESPONSES.includes(response)) {
+      throw this.createError(`Response must be one of: ${RESPONSES.join(', ')}`);
+    }
+
+    const link = await this.resolve(token);
+
+    if (link.response || RESPONSES.includes(link.proposal.status)) {
+      throw this.createError('Ответ на это КП уже получен', 409);
+    }
+
+    const calculation = await prisma.calculation.findUnique({
+      where: { id: link.proposal.calculationId },
+      include: { client: { select: { name: true } } }
+    });
+
+    // Заявки, ожидающие ответа: ссылающиеся на расчет и заявка, из которой расчет создан
+    const orders = await prisma.order.findMany({
+      where: {
+        status: 'PROPOSAL_SENT',
+        OR: [
+          { calculationId: calculation.id },
+          ...(calculation.orderId ? [{ id: calculation.orderId }] : [])
+        ]
+      },
+      include: { items: true }
+    });
+
+    const respondedAt = new Date();
+    const newOrderStatus = response === 'ACCEPTED' ? 'PROPOSAL_ACCEPTED' : 'PROPOSAL_REJECTED';
+    const note = `[Ответ на КП ${link.proposal.number}${name ? `, ${name}` : ''}]: ${comment || (response === 'ACCEPTED' ? 'принято' : 'отклонено')}`;
+    const warnings = [];
+
+    await prisma.$transaction(async (tx) => {
+      await tx.proposalShareLink.update({
+        where: { id: link.id },
+        data: {
+          response,
+          responseComment: comment,
+          respondentName: name,
+          respondentIp: meta.ip || null,
+          respondedAt
+        }
+      });
+
+      await tx.proposal.update({
+        where: { id: link.proposalId },
+        data: { status: response }
+      });
+
+      await tx.calculation.update({
+        where: { id: calculation.id },
+        data: { status: response }
+      });
+
+      await reminderService.stopFollowUpReminders(calculation.id, tx);
+
+      for (const order of orders) {
+        // Нехватка товара для резерва не должна мешать клиенту принять КП
+        try {
+          await stockReservationService.syncWithOrderStatus(order, newOrderStatus, tx);
+        } catch (error) {
+          warnings.push(`${order.number}: ${error.message}`);
+        }
+
+        await tx.order.update({
+          where: { id: order.id },
+          data: {
+            status: newOrderStatus,
+            notes: order.notes ? `${order.notes}\n\n${note}` : note
+          }
+        });
+      }
+    });
+
+    const clientName = calculation.client?.name || 'Клиент';
+    try {
+      await createNotification(
+        calculation.userId,
+        'SYSTEM',
+        `КП ${link.proposal.number} ${response === 'ACCEPTED' ? 'принято' : 'отклонено'} клиентом`,
+        `${clientName} ${response === 'ACCEPTED' ? 'принял' : 'отклонил'} КП ${link.proposal.number} по расчету "${calculation.name}"` +
+          `${comment ? `. Комментарий: ${comment}` : ''}` +
+          `${warnings.length > 0 ? `. Резерв не выполнен: ${warnings.join('; ')}` : ''}`,
+        {
+          relatedId: calculation.id,
+          relatedType: 'CALCULATION',
+          isUrgent: response === 'ACCEPTED',
+          metadata: { proposalId: link.proposalId, linkId: link.id, response }
+        }
+      );
+    } catch (error) {
+      logError(error, null, { operation: 'notify_proposal_response', proposalId: link.proposalId });
+    }
+
+    logBusinessEvent('proposal_client_response', null, {
+      proposalId: link.proposalId,
+      linkId: link.id,
+      calculationId: calculation.id,
+      response,
+      orders: orders.map(order => order.number)
+    });
+
+    return {
+      response,
+      respondedAt,
+      orders: orders.map(order => ({ number: order.number, status: newOrderStatus })),
+      warnings
+    };
+  }
+}
+
+const proposalShareLinkService = new ProposalShareLinkService();
+
+module.exports = proposalShareLinkService;
@@ -0,0 +1,416 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent, logError } = require('../utils/logger');
+const { nextNumber, withNumberRetry } = require('../utils/numbering');
+
+const prisma = new PrismaClient();
+
+// Поля версии без текста - для списков
+const VERSION_SUMMARY_SELECT = {
+  id: true,
+  version: true,
+  source: true,
+  language: true,
+  markup: true,
+  model: true,
+  tokensUsed: true,
+  baseVersion: true,
+  isSent: true,
+  sentAt: true,
+  createdAt: true,
+  createdBy: { select: { id: true, name: true } }
+};
+
+class ProposalService {
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Parse a JSON metadata column
+   * @param {string|null} value - Stored JSON
+   * @returns {Object|null} Parsed metadata
+   */
+  parseMetadata(value) {
+    if (!value) return null;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Proposal filter limiting managers to their own calculations
+   * @param {Object} user - Current user (id, role)
+   * @returns {Object} Prisma where clause
+   */
+  accessWhere(user) {
+    return user.role === 'ADMIN' ? {} : { calculation: { userId: user.id } };
+  }
+
+  /**
+   * Find the proposal a new version belongs to, creating it when needed.
+   * Without proposalId the latest proposal for the calculation and company is reused.
+   * @param {Object} calculation - Calculation (id, clientId, currency)
+   * @param {string} companyId - Company template ID
+   * @param {string} userId - Author
+   * @param {string|null} proposalId - Explicit proposal to append to
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Proposal
+   */
+  async getOrCreateProposal(calculation, companyId, userId, proposalId = null, client = prisma) {
+    if (proposalId) {
+      const proposal = await client.proposal.findUnique({ where: { id: proposalId } });
+
+      if (!proposal || proposal.calculationId !== calculation.id) {
+        throw this.createError('КП не найдено для этого расчета', 404);
+      }
+
+      return proposal;
+    }
+
+    const existing = await client.proposal.findFirst({
+      where: { calculationId: calculation.id, companyId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    return client.proposal.create({
+      data: {
+        number: await nextNumber(client.proposal, 'KP'),
+        calculationId: calculation.id,
+        clientId: calculation.clientId,
+        companyId,
+        currency: calculation.currency,
+        createdById: userId
+      }
+    });
+  }
+
+  /**
+   * Store a new version of a proposal text
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} data - Version data
+   * @param {string} data.text - Proposal text
+   * @param {string} data.source - GENERATED, COMPETITIVE or CUSTOMIZED
+   * @param {string} data.language - Language (ru, uk)
+   * @param {number} data.markup - Markup used for competitive proposals
+   * @param {string} data.model - AI model
+   * @param {number} data.tokensUsed - Tokens spent on generation
+   * @param {number} data.baseVersion - Version the customization started from
+   * @param {Object} data.metadata - Any other generation parameters
+   * @param {string} userId - Author
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Created version
+   */
+  async addVersion(proposalId, data, userId, client = prisma) {
+    const last = await client.proposalVersion.findFirst({
+      where: { proposalId },
+      orderBy: { version: 'desc' },
+      select: { version: true }
+    });
+
+    const version = await client.proposalVersion.create({
+      data: {
+        proposalId,
+        version: (last?.version || 0) + 1,
+        source: data.source,
+        text: data.text,
+        language: data.language || 'ru',
+        markup: data.markup ?? null,
+        model: data.model || null,
+        tokensUsed: data.tokensUsed ?? null,
+        baseVersion: data.baseVersion ?? null,
+        metadata: data.metadata ? JSON.stringify(data.metadata) : null,
+        createdById: userId
+      }
+    });
+
+    // Последняя правка поднимает КП в списке и выбирается по умолчанию при отправке
+    await client.proposal.update({
+      where: { id: proposalId },
+      data: { updatedAt: new Date() }
+    });
+
+    return version;
+  }
+
+  /**
+   * Save generated text as a new version of the calculation's proposal
+   * @param {Object} params - calculation, companyId, proposalId, userId and version data
+   * @returns {Promise<Object>} { proposal, version }
+   */
+  async saveGenerated(params) {
+    try {
+      const { calculation, companyId, proposalId, userId, ...data } = params;
+
+      // Номер нового КП мог занять параллельный запрос - транзакция повторяется
+      const result = await withNumberRetry(() => prisma.$transaction(async (tx) => {
+        const proposal = await this.getOrCreateProposal(calculation, companyId, userId, proposalId, tx);
+        const version = await this.addVersion(proposal.id, data, userId, tx);
+        return { proposal, version };
+      }));
+
+      logBusinessEvent('proposal_version_saved', null, {
+        proposalId: result.proposal.id,
+        calculationId: calculation.id,
+        version: result.version.version,
+        source: data.source
+      });
+
+      return result;
+    } catch (error) {
+      logError(error, null, { operation: 'save_proposal_version' });
+      throw error;
+    }
+  }
+
+  /**
+   * List proposals
+   * @param {Object} filters - calculationId, clientId, companyId, status
+   * @param {Object} pagination - page, limit
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Proposals with pagination
+   */
+  async getProposals(filters = {}, pagination = {}, user) {
+    const page = parseInt(pagination.page) || 1;
+    const limit = parseInt(pagination.limit) || 20;
+
+    const where = { ...this.accessWhere(user) };
+    if (filters.calculationId) where.calculationId = filters.calculationId;
+    if (filters.clientId) where.clientId = filters.clientId;
+    if (filters.companyId) where.companyId = filters.companyId;
+    if (filters.status) where.status = filters.status;
+
+    const [proposals, total] = await Promise.all([
+      prisma.proposal.findMany({
+        where,
+        include: {
+          calculation: { select: { id: true, name: true, status: true } },
+          client: { select: { id: true, name: true } },
+          createdBy: { select: { id: true, name: true } },
+          _count: { select: { versions: true } }
+        },
+        orderBy: { updatedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.proposal.count({ where })
+    ]);
+
+    return {
+      proposals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a proposal with its version history (without texts)
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Proposal
+   */
+  async getProposal(proposalId, user) {
+    const proposal = await prisma.proposal.findFirst({
+      where: { id: proposalId, ...this.accessWhere(user) },
+      include: {
+        calculation: { select: { id: true, name: true, status: true, sentDate: true } },
+        client: { select: { id: true, name: true } },
+        createdBy: { select: { id: true, name: true } },
+        versions: {
+          select: VERSION_SUMMARY_SELECT,
+          orderBy: { version: 'desc' }
+        }
+      }
+    });
+
+    if (!proposal) {
+      throw this.createError('КП не найдено', 404);
+    }
+
+    return proposal;
+  }
+
+  /**
+   * Get one version with text (latest when version is not given)
+   * @param {string} proposalId - Proposal ID
+   * @param {number|null} version - Version number
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Version
+   */
+  async getVersion(proposalId, version, user) {
+    await this.getProposal(proposalId, user);
+
+    const record = await prisma.proposalVersion.findFirst({
+      where: version ? { proposalId, version: parseInt(version) } : { proposalId },
+      include: {
+        createdBy: { select: { id: true, name: true } },
+        proposal: { select: { number: true, calculationId: true, companyId: true } }
+      },
+      orderBy: { version: 'desc' }
+    });
+
+    if (!record) {
+      throw this.createError('Версия КП не найдена', 404);
+    }
+
+    return { ...record, metadata: this.parseMetadata(record.metadata) };
+  }
+
+  /**
+   * Line diff of two texts (longest common subsequence)
+   * @param {string} before - Old text
+   * @param {string} after - New text
+   * @returns {Object[]} Lines: { type: equal|added|removed, text }
+   */
+  diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // lcs[i][j] - длина общей подпоследовательности a[i..] и b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        lines.push({ type: 'equal', text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        lines.push({ type: 'removed', text: a[i] });
+        i++;
+      } else {
+        lines.push({ type: 'added', text: b[j] });
+        j++;
+      }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+    return lines;
+  }
+
+  /**
+   * Compare two versions of a proposal
+   * @param {string} proposalId - Proposal ID
+   * @param {number} from - Old version
+   * @param {number} to - New version
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Diff with summary
+   */
+  async diffVersions(proposalId, from, to, user) {
+    const [before, after] = await Promise.all([
+      this.getVersion(proposalId, from, user),
+      this.getVersion(proposalId, to, user)
+    ]);
+
+    const lines = this.diffLines(before.text, after.text);
+
+    return {
+      proposalId,
+      from: before.version,
+      to: after.version,
+      summary: {
+        added: lines.filter(line => line.type === 'added').length,
+        removed: lines.filter(line => line.type === 'removed').length,
+        unchanged: lines.filter(line => line.type === 'equal').length
+      },
+      lines
+    };
+  }
+
+  /**
+   * Mark the version actually sent to the client.
+   * Without explicit proposalId/version the latest version of the calculation's
+   * latest proposal is used; calculations without proposals are left as is.
+   * @param {string} calculationId - Calculation ID
+   * @param {Object} selection - proposalId, version
+   * @returns {Promise<Object|null>} Sent version summary or null
+   */
+  async markSent(calculationId, selection = {}) {
+    const proposal = await prisma.proposal.findFirst({
+      where: selection.proposalId
+        ? { id: selection.proposalId, calculationId }
+        : { calculationId },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    if (!proposal) {
+      if (selection.proposalId) {
+        throw this.createError('КП не найдено для этого расчета', 404);
+      }
+      return null;
+    }
+
+    const version = await prisma.proposalVersion.findFirst({
+      where: selection.version
+        ? { proposalId: proposal.id, version: parseInt(selection.version) }
+        : { proposalId: proposal.id },
+      orderBy: { version: 'desc' }
+    });
+
+    if (!version) {
+      throw this.createError('Версия КП не найдена', 404);
+    }
+
+    const sentAt = new Date();
+
+    await prisma.$transaction([
+      prisma.proposalVersion.updateMany({
+        where: { proposalId: proposal.id, isSent: true },
+        data: { isSent: false }
+      }),
+      prisma.proposalVersion.update({
+        where: { id: version.id },
+        data: { isSent: true, sentAt }
+      }),
+      prisma.proposal.update({
+        where: { id: proposal.id },
+        data: { status: 'SENT', sentAt }
+      })
+    ]);
+
+    logBusinessEvent('proposal_marked_sent', null, {
+      proposalId: proposal.id,
+      calculationId,
+      version: version.version
+    });
+
+    return {
+      proposalId: proposal.id,
+      number: proposal.number,
+      version: version.version,
+      sentAt
+    };
+  }
+}
+
+const proposalService = new ProposalService();
+
+module.exports = proposalService;
@@ -0,0 +1,405 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent, logError } = require('../utils/logger');
+const { nextNumber, withNumberRetry } = require('../utils/numbering');
+const warehouseLocationService = require('./warehouseLocations');
+const certificationService = require('./certificationService');
+const costLayerService = require('./costLayers');
+
+const prisma = new PrismaClient();
+
+// Статусы, при которых товар считается "в заказе"
+const OPEN_STATUSES = ['ORDERED', 'PARTIALLY_RECEIVED'];
+
+// Допустимые ручные переходы статусов (приемка меняет статус сама)
+const STATUS_TRANSITIONS = {
+  DRAFT: ['ORDERED', 'CANCELLED'],
+  ORDERED: ['CANCELLED'],
+  PARTIALLY_RECEIVED: ['RECEIVED'], // Закрыть заказ с недопоставкой
+  RECEIVED: [],
+  CANCELLED: []
+};
+
+class PurchaseOrderService {
+  constructor() {
+    // MOVING_AVERAGE - скользящая средняя себестоимость, LAST - цена последней закупки
+    this.costMethod = process.env.PURCHASE_COST_METHOD || 'MOVING_AVERAGE';
+  }
+
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * New purchase price after receiving goods
+   * @param {number} onHand - Quantity in stock before receiving
+   * @param {number} currentPrice - Current purchase price
+   * @param {number} quantity - Received quantity
+   * @param {number} unitPrice - Price of received goods
+   * @returns {number} New purchase price
+   */
+  calculateCost(onHand, currentPrice, quantity, unitPrice) {
+    if (this.costMethod === 'LAST') {
+      return unitPrice;
+    }
+
+    const stock = Math.max(0, onHand);
+    if (stock + quantity <= 0) {
+      return unitPrice;
+    }
+
+    const cost = (stock * (currentPrice || 0) + quantity * unitPrice) / (stock + quantity);
+    return Math.round(cost * 100) / 100;
+  }
+
+  /**
+   * Quantities already ordered from suppliers but not yet received
+   * @param {string[]|null} productIds - Limit to these products (null - all)
+   * @returns {Promise<Map<string, number>>} productId -> quantity on order
+   */
+  async getOnOrderQuantities(productIds = null) {
+    const items = await prisma.purchaseOrderItem.findMany({
+      where: {
+        ...(productIds && { productId: { in: productIds } }),
+        purchaseOrder: { status: { in: OPEN_STATUSES } }
+      },
+      select: { productId: true, quantity: true, receivedQuantity: true }
+    });
+
+    const result = new Map();
+    for (const item of items) {
+      const remaining = Math.max(0, item.quantity - item.receivedQuantity);
+      result.set(item.productId, (result.get(item.productId) || 0) + remaining);
+    }
+
+    return result;
+  }
+
+  /**
+   * Include block for purchase order responses
+   * @returns {Object} Prisma include
+   */
+  orderInclude() {
+    return {
+      supplier: { select: { id: true, name: true } },
+      createdBy: { select: { name: true } },
+      items: {
+        include: {
+          product: { select: { name: true, code: true, unit: true } }
+        },
+        orderBy: { createdAt: 'asc' }
+      }
+    };
+  }
+
+  /**
+   * Validate supplier and products of a draft
+   * @param {string} supplierId - Supplier ID
+   * @param {Object[]} items - Items with productId
+   * @returns {Promise<void>}
+   */
+  async validateDraft(supplierId, items) {
+    const supplier = await prisma.supplier.findUnique({ where: { id: supplierId } });
+    if (!supplier || !supplier.isActive) {
+      throw this.createError('Supplier not found or inactive');
+    }
+
+    const productIds = [...new Set(items.map(item => item.productId))];
+    const products = await prisma.product.count({ where: { id: { in: productIds } } });
+    if (products !== productIds.length) {
+      throw this.createError('Some products not found');
+    }
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {Object} data - supplierId, expectedDate, notes, items
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Created purchase order
+   */
+  async createOrder(data, userId) {
+    try {
+      const { supplierId, expectedDate, notes, items } = data;
+      await this.validateDraft(supplierId, items);
+
+      const purchaseOrder = await withNumberRetry(() => prisma.$transaction(async (tx) => tx.purchaseOrder.create({
+        data: {
+          number: await nextNumber(tx.purchaseOrder, 'PO'),
+          supplierId,
+          expectedDate: expectedDate ? new Date(expectedDate) : null,
+          notes,
+          createdById: userId,
+          totalAmount: items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0),
+          items: {
+            create: items.map(item => ({
+              productId: item.productId,
+              quantity: item.quantity,
+              unitPrice: item.unitPrice
+            }))
+          }
+        },
+        include: this.orderInclude()
+      })));
+
+      logBusinessEvent('purchase_order_created', null, {
+        purchaseOrderId: purchaseOrder.id,
+        number: purchaseOrder.number,
+        supplierId,
+        totalAmount: purchaseOrder.totalAmount
+      });
+
+      return purchaseOrder;
+    } catch (error) {
+      logError(error, null, { operation: 'create_purchase_order' });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a draft purchase order. Items, if given, replace the current ones.
+   * @param {string} id - Purchase order ID
+   * @param {Object} data - supplierId, expectedDate, notes, items
+   * @returns {Promise<Object>} Updated purchase order
+   */
+  async updateOrder(id, data) {
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({ where: { id } });
+    if (!purchaseOrder) {
+      throw this.createError('Purchase order not found', 404);
+    }
+
+    if (purchaseOrder.status !== 'DRAFT') {
+      throw this.createError('Only draft purchase orders can be edited');
+    }
+
+    const { supplierId, expectedDate, notes, items } = data;
+    if (supplierId || items) {
+      await this.validateDraft(supplierId || purchaseOrder.supplierId, items || []);
+    }
+
+    return prisma.$transaction(async (tx) => {
+      if (items) {
+        await tx.purchaseOrderItem.deleteMany({ where: { purchaseOrderId: id } });
+      }
+
+      return tx.purchaseOrder.update({
+        where: { id },
+        data: {
+          ...(supplierId && { supplierId }),
+          ...(expectedDate !== undefined && { expectedDate: expectedDate ? new Date(expectedDate) : null }),
+          ...(notes !== undefined && { notes }),
+          ...(items && {
+            totalAmount: items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0),
+            items: {
+              create: items.map(item => ({
+                productId: item.productId,
+                quantity: item.quantity,
+                unitPrice: item.unitPrice
+              }))
+            }
+          })
+        },
+        include: this.orderInclude()
+      });
+    });
+  }
+
+  /**
+   * Manual status change (send to supplier, cancel, close with shortage)
+   * @param {string} id - Purchase order ID
+   * @param {string} status - New status
+   * @returns {Promise<Object>} Updated purchase order
+   */
+  async changeStatus(id, status) {
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({
+      where: { id },
+      include: { items: true }
+    });
+
+    if (!purchaseOrder) {
+      throw this.createError('Purchase order not found', 404);
+    }
+
+    if (!STATUS_TRANSITIONS[purchaseOrder.status].includes(status)) {
+      throw this.createError(`Cannot change status from ${purchaseOrder.status} to ${status}`);
+    }
+
+    if (status === 'ORDERED' && purchaseOrder.items.length === 0) {
+      throw this.createError('Purchase order has no items');
+    }
+
+    const updated = await prisma.purchaseOrder.update({
+      where: { id },
+      data: {
+        status,
+        ...(status === 'ORDERED' && { orderedAt: new Date() }),
+        ...(status === 'RECEIVED' && { receivedAt: new Date() })
+      },
+      include: this.orderInclude()
+    });
+
+    logBusinessEvent('purchase_order_status_changed', null, {
+      purchaseOrderId: id,
+      from: purchaseOrder.status,
+      to: status
+    });
+
+    return updated;
+  }
+
+  /**
+   * Receive goods against a purchase order: INCOMING transactions, serial numbers,
+   * stock and purchase price are updated in one database transaction
+   * @param {string} id - Purchase order ID
+   * @param {Object} data - Receiving data
+   * @param {Object[]} data.items - [{ itemId, quantity, unitPrice?, serialNumbers? }]
+   * @param {string} data.locationId - Receiving location (default bin if omitted)
+   * @param {string} userId - Receiving user
+   * @returns {Promise<Object>} Updated purchase order and transactions
+   */
+  async receive(id, data, userId) {
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        const purchaseOrder = await tx.purchaseOrder.findUnique({
+          where: { id },
+          include: { items: { include: { product: true } } }
+        });
+
+        if (!purchaseOrder) {
+          throw this.createError('Purchase order not found', 404);
+        }
+
+        if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+          throw this.createError(`Purchase order in status ${purchaseOrder.status} cannot be received`);
+        }
+
+        const location = await warehouseLocationService.resolveLocation(data.locationId, tx);
+        const transactions = [];
+
+        for (const receipt of data.items) {
+          const item = purchaseOrder.items.find(orderItem => orderItem.id === receipt.itemId);
+          if (!item) {
+            throw this.createError(`Item ${receipt.itemId} does not belong to this purchase order`);
+          }
+
+          const remaining = item.quantity - item.receivedQuantity;
+          if (receipt.quantity > remaining) {
+            throw this.createError(`Received quantity of "${item.product.name}" exceeds remaining ${remaining} ${item.product.unit}`);
+          }
+
+          const serialNumbers = receipt.serialNumbers || [];
+          if (serialNumbers.length > 0 && serialNumbers.length !== receipt.quantity) {
+            throw this.createError(`Serial numbers count (${serialNumbers.length}) does not match received quantity of "${item.product.name}" (${receipt.quantity})`);
+          }
+
+          const unitPrice = receipt.unitPrice !== undefined ? receipt.unitPrice : item.unitPrice;
+          const existingItem = await tx.warehouseItem.findUnique({ where: { productId: item.productId } });
+          const onHand = existingItem ? existingItem.quantity : 0;
+
+          const warehouseItem = await tx.warehouseItem.upsert({
+            where: { productId: item.productId },
+            create: { productId: item.productId, quantity: receipt.quantity },
+            update: { quantity: { increment: receipt.quantity } }
+          });
+          await warehouseLocationService.adjust(item.productId, location.id, receipt.quantity, tx);
+
+          if (serialNumbers.length > 0) {
+            const values = serialNumbers.map(serial => typeof serial === 'string' ? serial : serial.serialNumber);
+            const duplicates = await tx.serialNumber.findMany({
+              where: { productId: item.productId, serialNumber: { in: values } },
+              select: { serialNumber: true }
+            });
+
+            if (duplicates.length > 0 || new Set(values).size !== values.length) {
+              throw this.createError(`Duplicate serial numbers: ${duplicates.map(serial => serial.serialNumber).join(', ') || 'repeated in request'}`);
+            }
+
+            await tx.serialNumber.createMany({
+              data: serialNumbers.map(serial => {
+                const serialData = typeof serial === 'string' ? { serialNumber: serial } : serial;
+                return {
+                  productId: item.productId,
+                  warehouseItemId: warehouseItem.id,
+                  serialNumber: serialData.serialNumber,
+                  manufactureDate: certificationService.parseMonthYear(serialData.manufactureDate),
+                  certificationDate: certificationService.parseMonthYear(serialData.certificationDate),
+                  nextCertificationDate: certificationService.parseMonthYear(serialData.nextCertificationDate),
+                  status: 'IN_STOCK',
+                  locationId: location.isDefault ? null : location.id
+                };
+              })
+            });
+          }
+
+          // Цену читаем заново: товар мог встретиться в приемке несколько раз
+          const product = await tx.product.findUnique({ where: { id: item.productId } });
+          await tx.product.update({
+            where: { id: item.productId },
+            data: {
+              purchasePrice: this.calculateCost(onHand, product.purchasePrice, receipt.quantity, unitPrice)
+            }
+          });
+
+          await tx.purchaseOrderItem.update({
+            where: { id: item.id },
+            data: { receivedQuantity: { increment: receipt.quantity } }
+          });
+          item.receivedQuantity += receipt.quantity;
+
+          const transaction = await tx.transaction.create({
+            data: {
+              productId: item.productId,
+              userId,
+              type: 'INCOMING',
+              quantity: receipt.quantity,
+              locationId: location.id,
+              purchaseOrderId: purchaseOrder.id,
+              reason: `Приемка по заказу ${purchaseOrder.number}`
+            }
+          });
+          await costLayerService.addLayer(item.productId, receipt.quantity, {
+            transactionId: transaction.id,
+            sourceType: 'INCOMING',
+            unitCost: unitPrice
+          }, tx);
+          transactions.push(transaction);
+        }
+
+        const fullyReceived = purchaseOrder.items.every(item => item.receivedQuantity >= item.quantity);
+
+        const updated = await tx.purchaseOrder.update({
+          where: { id },
+          data: {
+            status: fullyReceived ? 'RECEIVED' : 'PARTIALLY_RECEIVED',
+            ...(fullyReceived && { receivedAt: new Date() })
+          },
+          include: this.orderInclude()
+        });
+
+        return { purchaseOrder: updated, transactions };
+      });
+
+      logBusinessEvent('purchase_order_received', null, {
+        purchaseOrderId: id,
+        status: result.purchaseOrder.status,
+        items: result.transactions.length,
+        userId
+      });
+
+      return result;
+    } catch (error) {
+      logError(error, null, { operation: 'receive_purchase_order', purchaseOrderId: id });
+      throw error;
+    }
+  }
+}
+
+const purchaseOrderService = new PurchaseOrderService();
+
+module.exports = purchaseOrderService;
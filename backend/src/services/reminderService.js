@@ -466,6 +466,35 @@ class ReminderService {
     }
   }
 
+  /**
+   * Stop follow-up reminders of a calculation after the client responded
+   * @param {string} calculationId - Calculation ID
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<number>} Number of cancelled reminders
+   */
+  async stopFollowUpReminders(calculationId, client = prisma) {
+    const { count } = await client.reminder.updateMany({
+      where: {
+        relatedId: calculationId,
+        relatedType: 'CALCULATION',
+        status: 'PENDING'
+      },
+      data: { status: 'CANCELLED' }
+    });
+
+    await client.calculation.update({
+      where: { id: calculationId },
+      data: {
+        reminderActive: false,
+        nextReminderDate: null
+      }
+    });
+
+    logBusinessEvent('follow_up_reminders_stopped', null, { calculationId, cancelled: count });
+
+    return count;
+  }
+
   /**
    * Get reminders for a user
    * @param {string} userId - User ID
@@ -0,0 +1,215 @@
+const { PrismaClient } = require('@prisma/client');
+const { createNotification } = require('../utils/notifications');
+const { logBusinessEvent, logError } = require('../utils/logger');
+const stockReservationService = require('./stockReservations');
+const purchaseOrderService = require('./purchaseOrders');
+
+const prisma = new PrismaClient();
+
+// Операции, которые считаются расходом товара
+const CONSUMPTION_TYPES = ['OUTGOING', 'SHIPMENT'];
+
+class ReorderPlanningService {
+  constructor() {
+    this.historyDays = parseInt(process.env.REORDER_HISTORY_DAYS) || 90;
+    this.leadTimeDays = parseInt(process.env.REORDER_LEAD_TIME_DAYS) || 14;
+    this.coverDays = parseInt(process.env.REORDER_COVER_DAYS) || 30;
+  }
+
+  /**
+   * Reorder figures for one product
+   * @param {Object} input - Stock figures
+   * @param {number} input.consumed - Quantity consumed over the history window
+   * @param {number} input.onHand - Quantity in stock
+   * @param {number} input.reserved - Quantity reserved for orders
+   * @param {number} input.onOrder - Quantity ordered from suppliers
+   * @param {number} input.minStock - Safety stock
+   * @param {Object} params - historyDays, leadTimeDays, coverDays
+   * @returns {Object} Consumption, days of cover and suggested quantity
+   */
+  calculateSuggestion(input, params) {
+    const { consumed, onHand, reserved, onOrder, minStock } = input;
+    const { historyDays, leadTimeDays, coverDays } = params;
+
+    const averageDailyConsumption = consumed / historyDays;
+    const available = onHand - reserved;
+    const projected = available + onOrder;
+
+    // Точка заказа: расход за время поставки плюс страховой запас
+    const reorderPoint = averageDailyConsumption * leadTimeDays + minStock;
+    // После поставки запаса должно хватить еще на coverDays
+    const targetStock = averageDailyConsumption * (leadTimeDays + coverDays) + minStock;
+
+    const needsReorder = projected <= reorderPoint && (averageDailyConsumption > 0 || projected < minStock);
+    const suggestedQuantity = needsReorder ? Math.max(0, Math.ceil(targetStock - projected)) : 0;
+
+    return {
+      averageDailyConsumption: Math.round(averageDailyConsumption * 1000) / 1000,
+      available,
+      projected,
+      daysOfCover: averageDailyConsumption > 0
+        ? Math.round((available / averageDailyConsumption) * 10) / 10
+        : null,
+      reorderPoint: Math.ceil(reorderPoint),
+      suggestedQuantity
+    };
+  }
+
+  /**
+   * Reorder suggestions for all products, grouped by supplier
+   * @param {Object} options - historyDays, leadTimeDays, coverDays, onlyNeeded, supplierId
+   * @returns {Promise<Object>} Suggestions
+   */
+  async getSuggestions(options = {}) {
+    try {
+      const params = {
+        historyDays: parseInt(options.historyDays) || this.historyDays,
+        leadTimeDays: options.leadTimeDays !== undefined && options.leadTimeDays !== ''
+          ? parseInt(options.leadTimeDays) || 0
+          : this.leadTimeDays,
+        coverDays: parseInt(options.coverDays) || this.coverDays
+      };
+      const since = new Date(Date.now() - params.historyDays * 24 * 60 * 60 * 1000);
+
+      const [products, consumption, reserved, onOrder] = await Promise.all([
+        prisma.product.findMany({
+          where: options.supplierId ? { supplierId: options.supplierId } : {},
+          include: {
+            warehouseItems: { select: { quantity: true } },
+            supplierRef: { select: { id: true, name: true } }
+          }
+        }),
+        prisma.transaction.groupBy({
+          by: ['productId', 'type'],
+          where: {
+            type: { in: CONSUMPTION_TYPES },
+            createdAt: { gte: since }
+          },
+          _sum: { quantity: true }
+        }),
+        stockReservationService.getReservedQuantities(),
+        purchaseOrderService.getOnOrderQuantities()
+      ]);
+
+      // OUTGOING хранится положительным числом, SHIPMENT - отрицательным
+      const consumed = new Map();
+      for (const group of consumption) {
+        consumed.set(group.productId, (consumed.get(group.productId) || 0) + Math.abs(group._sum.quantity || 0));
+      }
+
+      let items = products.map(product => {
+        const figures = this.calculateSuggestion({
+          consumed: consumed.get(product.id) || 0,
+          onHand: product.warehouseItems[0]?.quantity || 0,
+          reserved: reserved.get(product.id) || 0,
+          onOrder: onOrder.get(product.id) || 0,
+          minStock: product.minStock
+        }, params);
+
+        return {
+          productId: product.id,
+          productName: product.name,
+          productCode: product.code,
+          unit: product.unit,
+          supplierId: product.supplierRef?.id || null,
+          supplierName: product.supplierRef?.name || product.supplier || null,
+          onHand: product.warehouseItems[0]?.quantity || 0,
+          reserved: reserved.get(product.id) || 0,
+          onOrder: onOrder.get(product.id) || 0,
+          minStock: product.minStock,
+          consumed: consumed.get(product.id) || 0,
+          ...figures,
+          estimatedCost: Math.round(figures.suggestedQuantity * product.purchasePrice * 100) / 100
+        };
+      });
+
+      if (options.onlyNeeded !== false) {
+        items = items.filter(item => item.suggestedQuantity > 0);
+      }
+
+      items.sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity));
+
+      const bySupplier = new Map();
+      for (const item of items.filter(entry => entry.suggestedQuantity > 0)) {
+        const key = item.supplierId || item.supplierName || 'none';
+        const group = bySupplier.get(key) || {
+          supplierId: item.supplierId,
+          supplierName: item.supplierName || 'Поставщик не указан',
+          items: [],
+          totalCost: 0
+        };
+
+        group.items.push({
+          productId: item.productId,
+          productName: item.productName,
+          unit: item.unit,
+          suggestedQuantity: item.suggestedQuantity,
+          estimatedCost: item.estimatedCost
+        });
+        group.totalCost += item.estimatedCost;
+        bySupplier.set(key, group);
+      }
+
+      return {
+        parameters: params,
+        items,
+        suppliers: Array.from(bySupplier.values()),
+        summary: {
+          productsToReorder: items.filter(item => item.suggestedQuantity > 0).length,
+          totalEstimatedCost: items.reduce((sum, item) => sum + item.estimatedCost, 0)
+        }
+      };
+    } catch (error) {
+      logError(error, null, { operation: 'get_reorder_suggestions' });
+      throw error;
+    }
+  }
+
+  /**
+   * Send the reorder digest to administrators
+   * @returns {Promise<Object>} Notification results
+   */
+  async notifyAdmins() {
+    const suggestions = await this.getSuggestions();
+
+    if (suggestions.summary.productsToReorder === 0) {
+      return { notified: 0, ...suggestions.summary };
+    }
+
+    const admins = await prisma.user.findMany({
+      where: { role: 'ADMIN' },
+      select: { id: true }
+    });
+
+    const title = `Рекомендуется дозаказать: ${suggestions.summary.productsToReorder} товар(ов)`;
+    const content = suggestions.suppliers
+      .map(group => [
+        `${group.supplierName} (≈ ${Math.round(group.totalCost)}):`,
+        ...group.items.map(item => `  ${item.productName} - ${item.suggestedQuantity} ${item.unit}`)
+      ].join('\n'))
+      .join('\n');
+    const urgent = suggestions.items.filter(item => item.daysOfCover !== null && item.daysOfCover < this.leadTimeDays);
+
+    let notified = 0;
+    for (const admin of admins) {
+      await createNotification(admin.id, 'ALERT', title, content, {
+        relatedType: 'PRODUCT',
+        isUrgent: urgent.length > 0,
+        metadata: {
+          reminderType: 'REORDER_DIGEST',
+          productIds: suggestions.items.map(item => item.productId),
+          totalEstimatedCost: suggestions.summary.totalEstimatedCost
+        }
+      });
+      notified += 1;
+    }
+
+    logBusinessEvent('reorder_digest_sent', null, { notified, ...suggestions.summary });
+
+    return { notified, ...suggestions.summary };
+  }
+}
+
+const reorderPlanningService = new ReorderPlanningService();
+
+module.exports = reorderPlanningService;
@@ -1,8 +1,14 @@
 const { PrismaClient } = require('@prisma/client');
 const { logger } = require('../utils/logger');
+const costLayerService = require('./costLayers');
+const currencyService = require('./currency');
 
 const prisma = new PrismaClient();
 
+// Статусы документов, по которым считается выручка
+const ORDER_REVENUE_STATUSES = ['COMPLETED', 'SHIPPED', 'DELIVERED'];
+const CONTRACT_REVENUE_STATUSES = ['ACTIVE', 'COMPLETED', 'SIGNED'];
+
 class SalesAnalyticsService {
   constructor() {
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
@@ -17,37 +23,36 @@ class SalesAnalyticsService {
       if (cached) return cached;
 
       const whereClause = this.buildWhereClause(dateFrom, dateTo, filters);
+      const revenue = await this.getConvertedRevenue(whereClause, filters.currency);
 
       // Parallel queries for performance
       const [
-        totalRevenue,
         totalOrders,
         totalContracts,
         totalCalculations,
-        avgOrderValue,
         conversionRates,
         topProducts,
         topClients,
         profitabilityMetrics
       ] = await Promise.all([
-        this.getTotalRevenue(whereClause),
         this.getTotalOrders(whereClause),
         this.getTotalContracts(whereClause),
         this.getTotalCalculations(whereClause),
-        this.getAverageOrderValue(whereClause),
         this.getConversionRates(whereClause),
-        this.getTopProducts(whereClause, 10),
-        this.getTopClients(whereClause, 10),
-        this.getProfitabilityMetrics(whereClause)
+        this.getTopProducts(whereClause, 10, revenue.currency),
+        this.getTopClients(revenue, 10),
+        this.getProfitabilityMetrics(whereClause, revenue.currency)
       ]);
 
       const overview = {
         summary: {
-          totalRevenue: totalRevenue || 0,
+          totalRevenue: this.getTotalRevenue(revenue),
           totalOrders: totalOrders || 0,
           totalContracts: totalContracts || 0,
           totalCalculations: totalCalculations || 0,
-          averageOrderValue: avgOrderValue || 0,
+          averageOrderValue: this.getAverageOrderValue(revenue),
+          currency: revenue.currency,
+          missingRates: revenue.missingRates,
           period: { from: dateFrom, to: dateTo },
           generatedAt: new Date().toISOString()
         },
@@ -74,84 +79,44 @@ class SalesAnalyticsService {
   }
 
   // Get detailed revenue analytics
-  async getRevenueAnalytics(dateFrom, dateTo, groupBy = 'day') {
+  async getRevenueAnalytics(dateFrom, dateTo, groupBy = 'day', currency = null) {
     try {
-      const cacheKey = `revenue_analytics_${dateFrom}_${dateTo}_${groupBy}`;
+      const cacheKey = `revenue_analytics_${dateFrom}_${dateTo}_${groupBy}_${currency || ''}`;
       const cached = this.getFromCache(cacheKey);
       if (cached) return cached;
 
-      let groupQuery;
-      let dateFormat;
-
-      switch (groupBy) {
-        case 'hour':
-          groupQuery = "DATE_FORMAT(createdAt, '%Y-%m-%d %H:00:00')";
-          dateFormat = '%Y-%m-%d %H:00:00';
-          break;
-        case 'day':
-          groupQuery = "DATE_FORMAT(createdAt, '%Y-%m-%d')";
-          dateFormat = '%Y-%m-%d';
-          break;
-        case 'week':
-          groupQuery = "DATE_FORMAT(DATE_SUB(createdAt, INTERVAL WEEKDAY(createdAt) DAY), '%Y-%m-%d')";
-          dateFormat = '%Y-%m-%d';
-          break;
-        case 'month':
-          groupQuery = "DATE_FORMAT(createdAt, '%Y-%m-01')";
-          dateFormat = '%Y-%m';
-          break;
-        case 'quarter':
-          groupQuery = "CONCAT(YEAR(createdAt), '-Q', QUARTER(createdAt))";
-          dateFormat = 'YYYY-Q';
-          break;
-        default:
-          groupQuery = "DATE_FORMAT(createdAt, '%Y-%m-%d')";
-          dateFormat = '%Y-%m-%d';
-      }
+      const dateFormats = {
+        hour: '%Y-%m-%d %H:00:00',
+        day: '%Y-%m-%d',
+        week: '%Y-%m-%d',
+        month: '%Y-%m',
+        quarter: 'YYYY-Q'
+      };
+      const dateFormat = dateFormats[groupBy] || dateFormats.day;
 
-      // Revenue from orders
-      const orderRevenue = await prisma.$queryRaw`
-        SELECT 
-          ${groupQuery} as period,
-          SUM(totalAmount) as revenue,
-          COUNT(*) as orderCount,
-          AVG(totalAmount) as avgOrderValue
-        FROM \`Order\`
-        WHERE createdAt >= ${new Date(dateFrom)} 
-          AND createdAt <= ${new Date(dateTo)}
-          AND status IN ('COMPLETED', 'SHIPPED', 'DELIVERED')
-        GROUP BY ${groupQuery}
-        ORDER BY period
-      `;
+      // Суммы пересчитываются в валюту отчета по курсу на дату документа,
+      // поэтому группировка по периодам выполняется здесь, а не в SQL
+      const revenue = await this.getConvertedRevenue(this.buildWhereClause(dateFrom, dateTo, {}), currency);
 
-      // Revenue from contracts
-      const contractRevenue = await prisma.$queryRaw`
-        SELECT 
-          ${groupQuery} as period,
-          SUM(totalAmount) as revenue,
-          COUNT(*) as contractCount
-        FROM Contract
-        WHERE createdAt >= ${new Date(dateFrom)} 
-          AND createdAt <= ${new Date(dateTo)}
-          AND status IN ('ACTIVE', 'COMPLETED', 'SIGNED')
-        GROUP BY ${groupQuery}
-        ORDER BY period
-      `;
+      const orderRevenue = this.groupByPeriod(this.filterRevenue(revenue.orders, ORDER_REVENUE_STATUSES), groupBy);
+      const contractRevenue = this.groupByPeriod(this.filterRevenue(revenue.contracts, CONTRACT_REVENUE_STATUSES), groupBy);
 
       const analytics = {
         orderRevenue: orderRevenue.map(row => ({
           period: row.period,
-          revenue: parseFloat(row.revenue || 0),
-          orderCount: parseInt(row.orderCount || 0),
-          avgOrderValue: parseFloat(row.avgOrderValue || 0)
+          revenue: row.revenue,
+          orderCount: row.count,
+          avgOrderValue: row.count > 0 ? row.revenue / row.count : 0
         })),
         contractRevenue: contractRevenue.map(row => ({
           period: row.period,
-          revenue: parseFloat(row.revenue || 0),
-          contractCount: parseInt(row.contractCount || 0)
+          revenue: row.revenue,
+          contractCount: row.count
         })),
         groupBy,
         dateFormat,
+        currency: revenue.currency,
+        missingRates: revenue.missingRates,
         generatedAt: new Date().toISOString()
       };
 
@@ -253,13 +218,13 @@ class SalesAnalyticsService {
   }
 
   // Get client analytics and segmentation
-  async getClientAnalytics(dateFrom, dateTo, limit = 20) {
+  async getClientAnalytics(dateFrom, dateTo, limit = 20, currency = null) {
     try {
-      const cacheKey = `client_analytics_${dateFrom}_${dateTo}_${limit}`;
+      const cacheKey = `client_analytics_${dateFrom}_${dateTo}_${limit}_${currency || ''}`;
       const cached = this.getFromCache(cacheKey);
       if (cached) return cached;
 
-      const clientPerformance = await prisma.$queryRaw`
+      const clientRows = await prisma.$queryRaw`
         SELECT 
           c.id,
           c.name,
@@ -287,6 +252,11 @@ class SalesAnalyticsService {
         LIMIT ${limit}
       `;
 
+      // Выручка клиентов в валюте отчета
+      const revenue = await this.getConvertedRevenue(this.buildWhereClause(dateFrom, dateTo, {}), currency);
+      const clientRevenue = this.sumRevenueBy(revenue, order => order.clientId, contract => contract.clientId);
+      const clientPerformance = this.applyConvertedRevenue(clientRows, clientRevenue);
+
       // Calculate client segments
       const segments = this.segmentClients(clientPerformance);
 
@@ -311,6 +281,8 @@ class SalesAnalyticsService {
           segment: this.getClientSegment(client, segments.thresholds)
         })),
         segmentation: segments,
+        currency: revenue.currency,
+        missingRates: revenue.missingRates,
         cohortAnalysis: await this.getCohortAnalysis(dateFrom, dateTo),
         churnAnalysis: await this.getChurnAnalysis(dateTo),
         generatedAt: new Date().toISOString()
@@ -331,14 +303,14 @@ class SalesAnalyticsService {
   }
 
   // Get manager performance analytics
-  async getManagerAnalytics(dateFrom, dateTo) {
+  async getManagerAnalytics(dateFrom, dateTo, currency = null) {
     try {
-      const cacheKey = `manager_analytics_${dateFrom}_${dateTo}`;
+      const cacheKey = `manager_analytics_${dateFrom}_${dateTo}_${currency || ''}`;
       const cached = this.getFromCache(cacheKey);
       if (cached) return cached;
 
       // Get managers with their performance
-      const managerPerformance = await prisma.$queryRaw`
+      const managerRows = await prisma.$queryRaw`
         SELECT 
           u.id,
           u.name,
@@ -373,6 +345,11 @@ class SalesAnalyticsService {
         ORDER BY (COALESCE(totalOrderRevenue, 0) + COALESCE(totalContractRevenue, 0)) DESC
       `;
 
+      // Выручка менеджеров в валюте отчета
+      const revenue = await this.getConvertedRevenue(this.buildWhereClause(dateFrom, dateTo, {}), currency);
+      const managerRevenue = this.sumRevenueBy(revenue, order => order.userId, contract => contract.createdBy);
+      const managerPerformance = this.applyConvertedRevenue(managerRows, managerRevenue);
+
       const analytics = {
         managers: managerPerformance.map(manager => ({
           id: manager.id,
@@ -409,6 +386,8 @@ class SalesAnalyticsService {
             : 0
         },
         rankings: this.calculateManagerRankings(managerPerformance),
+        currency: revenue.currency,
+        missingRates: revenue.missingRates,
         generatedAt: new Date().toISOString()
       };
 
@@ -588,24 +567,50 @@ class SalesAnalyticsService {
     return where;
   }
 
-  async getTotalRevenue(whereClause) {
-    const orderRevenue = await prisma.order.aggregate({
-      where: {
-        ...whereClause,
-        status: { in: ['COMPLETED', 'SHIPPED', 'DELIVERED'] }
-      },
-      _sum: { totalAmount: true }
-    });
+  // Orders and contracts of the period with amounts converted to the reporting currency
+  // at the rate of the document date. Amounts without a rate are null and listed in missingRates.
+  async getConvertedRevenue(whereClause, currency = null) {
+    const [orders, contracts] = await Promise.all([
+      prisma.order.findMany({
+        where: whereClause,
+        select: { id: true, clientId: true, userId: true, status: true, totalAmount: true, currency: true, orderDate: true, createdAt: true }
+      }),
+      prisma.contract.findMany({
+        where: whereClause,
+        select: { id: true, clientId: true, createdBy: true, status: true, totalAmount: true, currency: true, contractDate: true, createdAt: true }
+      })
+    ]);
 
-    const contractRevenue = await prisma.contract.aggregate({
-      where: {
-        ...whereClause,
-        status: { in: ['ACTIVE', 'COMPLETED', 'SIGNED'] }
-      },
-      _sum: { totalAmount: true }
-    });
+    const converter = await currencyService.createConverter(
+      [...orders, ...contracts].map(record => record.currency),
+      currency || currencyService.reportingCurrency
+    );
 
-    return (orderRevenue._sum.totalAmount || 0) + (contractRevenue._sum.totalAmount || 0);
+    return {
+      currency: converter.currency,
+      orders: orders.map(order => ({
+        ...order,
+        amount: converter.convert(order.totalAmount, order.currency, order.orderDate)
+      })),
+      contracts: contracts.map(contract => ({
+        ...contract,
+        amount: converter.convert(contract.totalAmount, contract.currency, contract.contractDate)
+      })),
+      missingRates: converter.missingRates
+    };
+  }
+
+  filterRevenue(records, statuses) {
+    return records.filter(record => statuses.includes(record.status));
+  }
+
+  sumAmounts(records) {
+    return records.reduce((sum, record) => sum + (record.amount || 0), 0);
+  }
+
+  getTotalRevenue(revenue) {
+    return this.sumAmounts(this.filterRevenue(revenue.orders, ORDER_REVENUE_STATUSES)) +
+      this.sumAmounts(this.filterRevenue(revenue.contracts, CONTRACT_REVENUE_STATUSES));
   }
 
   async getTotalOrders(whereClause) {
@@ -620,12 +625,85 @@ class SalesAnalyticsService {
     return await prisma.calculation.count({ where: whereClause });
   }
 
-  async getAverageOrderValue(whereClause) {
-    const result = await prisma.order.aggregate({
-      where: whereClause,
-      _avg: { totalAmount: true }
+  getAverageOrderValue(revenue) {
+    const orders = revenue.orders.filter(order => order.amount !== null);
+    return orders.length > 0 ? this.sumAmounts(orders) / orders.length : 0;
+  }
+
+  // Converted order and contract revenue grouped by client or manager
+  sumRevenueBy(revenue, orderKey, contractKey) {
+    const totals = new Map();
+    const entry = (key) => {
+      if (!totals.has(key)) {
+        totals.set(key, { orderRevenue: 0, contractRevenue: 0, orderCount: 0, contractCount: 0 });
+      }
+      return totals.get(key);
+    };
+
+    revenue.orders.forEach(order => {
+      const total = entry(orderKey(order));
+      total.orderRevenue += order.amount || 0;
+      total.orderCount++;
+    });
+
+    revenue.contracts.forEach(contract => {
+      const total = entry(contractKey(contract));
+      total.contractRevenue += contract.amount || 0;
+      total.contractCount++;
+    });
+
+    return totals;
+  }
+
+  // Replace revenue sums of raw SQL rows with converted ones and re-sort by revenue
+  applyConvertedRevenue(rows, totals) {
+    return rows
+      .map(row => {
+        const total = totals.get(row.id) || { orderRevenue: 0, contractRevenue: 0, orderCount: 0 };
+        return {
+          ...row,
+          totalOrderRevenue: total.orderRevenue,
+          totalContractRevenue: total.contractRevenue,
+          avgOrderValue: total.orderCount > 0 ? total.orderRevenue / total.orderCount : 0
+        };
+      })
+      .sort((a, b) => (b.totalOrderRevenue + b.totalContractRevenue) - (a.totalOrderRevenue + a.totalContractRevenue));
+  }
+
+  getPeriodKey(date, groupBy) {
+    const value = new Date(date);
+    const pad = (number) => String(number).padStart(2, '0');
+    const day = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+
+    switch (groupBy) {
+      case 'hour':
+        return `${day} ${pad(value.getHours())}:00:00`;
+      case 'week': {
+        const monday = new Date(value);
+        monday.setDate(value.getDate() - ((value.getDay() + 6) % 7));
+        return this.getPeriodKey(monday, 'day');
+      }
+      case 'month':
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-01`;
+      case 'quarter':
+        return `${value.getFullYear()}-Q${Math.floor(value.getMonth() / 3) + 1}`;
+      default:
+        return day;
+    }
+  }
+
+  groupByPeriod(records, groupBy) {
+    const groups = new Map();
+
+    records.forEach(record => {
+      const period = this.getPeriodKey(record.createdAt, groupBy);
+      const group = groups.get(period) || { period, revenue: 0, count: 0 };
+      group.revenue += record.amount || 0;
+      group.count++;
+      groups.set(period, group);
     });
-    return result._avg.totalAmount || 0;
+
+    return Array.from(groups.values()).sort((a, b) => a.period.localeCompare(b.period));
   }
 
   async getConversionRates(whereClause) {
@@ -664,7 +742,7 @@ class SalesAnalyticsService {
   async getSalesTrends(dateFrom, dateTo, filters) {
     try {
       // Get revenue data for trend analysis
-      const revenueData = await this.getRevenueAnalytics(dateFrom, dateTo, 'day');
+      const revenueData = await this.getRevenueAnalytics(dateFrom, dateTo, 'day', filters?.currency);
       const revenues = revenueData.combinedRevenue.map(day => day.totalRevenue);
       
       if (revenues.length === 0) {
@@ -691,95 +769,120 @@ class SalesAnalyticsService {
     }
   }
 
-  async getTopProducts(whereClause, limit) {
+  async getTopProducts(whereClause, limit, currency = null) {
     try {
-      const products = await prisma.$queryRaw`
-        SELECT 
-          p.id,
-          p.name,
-          p.category,
-          COUNT(oi.id) as salesCount,
-          SUM(oi.totalPrice) as totalRevenue,
-          SUM(oi.quantity) as totalQuantity
-        FROM Product p
-        JOIN OrderItem oi ON p.id = oi.productId
-        JOIN \`Order\` o ON oi.orderId = o.id
-        WHERE o.createdAt >= ${whereClause.createdAt.gte}
-          AND o.createdAt <= ${whereClause.createdAt.lte}
-          AND o.status IN ('COMPLETED', 'SHIPPED', 'DELIVERED')
-        GROUP BY p.id, p.name, p.category
-        ORDER BY totalRevenue DESC
-        LIMIT ${limit}
-      `;
+      const items = await prisma.orderItem.findMany({
+        where: {
+          order: {
+            createdAt: whereClause.createdAt,
+            status: { in: ORDER_REVENUE_STATUSES }
+          }
+        },
+        select: {
+          quantity: true,
+          total: true,
+          currency: true,
+          product: { select: { id: true, name: true } },
+          order: { select: { orderDate: true } }
+        }
+      });
 
-      return products.map(product => ({
-        id: product.id,
-        name: product.name,
-        category: product.category || 'Uncategorized',
-        salesCount: parseInt(product.salesCount || 0),
-        totalRevenue: parseFloat(product.totalRevenue || 0),
-        totalQuantity: parseInt(product.totalQuantity || 0)
-      }));
+      const converter = await currencyService.createConverter(
+        items.map(item => item.currency),
+        currency || currencyService.reportingCurrency
+      );
+
+      const products = new Map();
+      items.forEach(item => {
+        const product = products.get(item.product.id) || {
+          id: item.product.id,
+          name: item.product.name,
+          category: 'Uncategorized',
+          salesCount: 0,
+          totalRevenue: 0,
+          totalQuantity: 0
+        };
+        product.salesCount++;
+        product.totalRevenue += converter.convert(item.total, item.currency, item.order.orderDate) || 0;
+        product.totalQuantity += item.quantity;
+        products.set(item.product.id, product);
+      });
+
+      return Array.from(products.values())
+        .sort((a, b) => b.totalRevenue - a.totalRevenue)
+        .slice(0, limit);
     } catch (error) {
       logger.error('Failed to get top products', { error: error.message });
       return [];
     }
   }
 
-  async getTopClients(whereClause, limit) {
+  async getTopClients(revenue, limit) {
     try {
-      const clients = await prisma.$queryRaw`
-        SELECT 
-          c.id,
-          c.name,
-          c.email,
-          COUNT(DISTINCT o.id) as orderCount,
-          COUNT(DISTINCT ct.id) as contractCount,
-          SUM(COALESCE(o.totalAmount, 0)) as orderRevenue,
-          SUM(COALESCE(ct.totalAmount, 0)) as contractRevenue,
-          (SUM(COALESCE(o.totalAmount, 0)) + SUM(COALESCE(ct.totalAmount, 0))) as totalRevenue
-        FROM Client c
-        LEFT JOIN \`Order\` o ON c.id = o.clientId 
-          AND o.createdAt >= ${whereClause.createdAt.gte}
-          AND o.createdAt <= ${whereClause.createdAt.lte}
-        LEFT JOIN Contract ct ON c.id = ct.clientId 
-          AND ct.createdAt >= ${whereClause.createdAt.gte}
-          AND ct.createdAt <= ${whereClause.createdAt.lte}
-        GROUP BY c.id, c.name, c.email
-        HAVING totalRevenue > 0
-        ORDER BY totalRevenue DESC
-        LIMIT ${limit}
-      `;
+      const totals = this.sumRevenueBy(revenue, order => order.clientId, contract => contract.clientId);
+      const top = Array.from(totals.entries())
+        .map(([id, total]) => ({ id, ...total, totalRevenue: total.orderRevenue + total.contractRevenue }))
+        .filter(client => client.totalRevenue > 0)
+        .sort((a, b) => b.totalRevenue - a.totalRevenue)
+        .slice(0, limit);
+
+      const clients = await prisma.client.findMany({
+        where: { id: { in: top.map(client => client.id) } },
+        select: { id: true, name: true, email: true }
+      });
 
-      return clients.map(client => ({
-        id: client.id,
-        name: client.name,
-        email: client.email,
-        orderCount: parseInt(client.orderCount || 0),
-        contractCount: parseInt(client.contractCount || 0),
-        totalRevenue: parseFloat(client.totalRevenue || 0)
-      }));
+      return top.map(client => {
+        const info = clients.find(c => c.id === client.id);
+        return {
+          id: client.id,
+          name: info?.name,
+          email: info?.email,
+          orderCount: client.orderCount,
+          contractCount: client.contractCount,
+          totalRevenue: client.totalRevenue
+        };
+      });
     } catch (error) {
       logger.error('Failed to get top clients', { error: error.message });
       return [];
     }
   }
 
-  async getProfitabilityMetrics(whereClause) {
+  async getProfitabilityMetrics(whereClause, currency = null) {
     try {
       // Get calculations with profitability data
-      const calculations = await prisma.calculation.findMany({
-        where: whereClause,
-        select: {
-          totalSaleAmount: true,
-          totalCostBreakdown: true,
-          grossProfit: true,
-          netProfit: true,
-          profitabilityPercent: true
-        }
+      const [rows, actual] = await Promise.all([
+        prisma.calculation.findMany({
+          where: whereClause,
+          select: {
+            totalSaleAmount: true,
+            totalCostBreakdown: true,
+            grossProfit: true,
+            netProfit: true,
+            profitabilityPercent: true,
+            currency: true,
+            createdAt: true
+          }
+        }),
+        this.getActualCogsMetrics(whereClause, undefined, currency)
+      ]);
+
+      // Суммы расчетов в валюте отчета по курсу на дату расчета
+      const converter = await currencyService.createConverter(
+        rows.map(calc => calc.currency),
+        currency || currencyService.reportingCurrency
+      );
+      const calculations = rows.map(calc => {
+        const convert = (amount) => converter.convert(amount || 0, calc.currency, calc.createdAt) || 0;
+        return {
+          totalSaleAmount: convert(calc.totalSaleAmount),
+          totalCostBreakdown: convert(calc.totalCostBreakdown),
+          grossProfit: convert(calc.grossProfit),
+          netProfit: convert(calc.netProfit)
+        };
       });
 
-      if (calculations.length === 0) {
+      if (calculations.length === 0 && actual.ordersAnalyzed === 0) {
         return { grossMargin: 0, netMargin: 0, roi: 0, calculationsAnalyzed: 0 };
       }
 
@@ -787,16 +890,25 @@ class SalesAnalyticsService {
       const totalCost = calculations.reduce((sum, calc) => sum + (calc.totalCostBreakdown || 0), 0);
       const totalGrossProfit = calculations.reduce((sum, calc) => sum + (calc.grossProfit || 0), 0);
       const totalNetProfit = calculations.reduce((sum, calc) => sum + (calc.netProfit || 0), 0);
+      const estimatedGrossMargin = totalRevenue > 0 ? (totalGrossProfit / totalRevenue * 100) : 0;
+
+      // Фактическая себестоимость отгрузок точнее оценок из расчетов
+      const useActual = actual.ordersAnalyzed > 0;
 
       return {
-        grossMargin: totalRevenue > 0 ? (totalGrossProfit / totalRevenue * 100) : 0,
+        grossMargin: useActual ? actual.grossMargin : estimatedGrossMargin,
+        estimatedGrossMargin,
         netMargin: totalRevenue > 0 ? (totalNetProfit / totalRevenue * 100) : 0,
         roi: totalCost > 0 ? (totalNetProfit / totalCost * 100) : 0,
         calculationsAnalyzed: calculations.length,
         totalRevenue,
         totalCost,
         totalGrossProfit,
-        totalNetProfit
+        totalNetProfit,
+        cogsSource: useActual ? 'ACTUAL' : 'ESTIMATE',
+        currency: converter.currency,
+        missingRates: converter.missingRates,
+        actual
       };
     } catch (error) {
       logger.error('Failed to get profitability metrics', { error: error.message });
@@ -804,6 +916,41 @@ class SalesAnalyticsService {
     }
   }
 
+  // Revenue and cost of goods sold of shipped orders from cost layers.
+  // Cost layers are kept in the base currency; both sides are converted to the reporting currency.
+  async getActualCogsMetrics(whereClause, method, currency = null) {
+    const orders = await prisma.order.findMany({
+      where: {
+        ...whereClause,
+        status: { in: ['SHIPPED', 'CLOSED'] }
+      },
+      select: { id: true, totalAmount: true, currency: true, orderDate: true }
+    });
+
+    const cogsByOrder = await costLayerService.getOrdersCogs(orders.map(order => order.id), method);
+    const costedOrders = orders.filter(order => cogsByOrder.has(order.id));
+
+    const converter = await currencyService.createConverter(
+      [...costedOrders.map(order => order.currency), currencyService.baseCurrency],
+      currency || currencyService.reportingCurrency
+    );
+
+    const revenue = costedOrders.reduce(
+      (sum, order) => sum + (converter.convert(order.totalAmount, order.currency, order.orderDate) || 0), 0);
+    const cogs = costedOrders.reduce(
+      (sum, order) => sum + (converter.convert(cogsByOrder.get(order.id), currencyService.baseCurrency, order.orderDate) || 0), 0);
+
+    return {
+      method: costLayerService.resolveMethod(method),
+      currency: converter.currency,
+      ordersAnalyzed: costedOrders.length,
+      revenue,
+      cogs,
+      grossProfit: revenue - cogs,
+      grossMargin: revenue > 0 ? ((revenue - cogs) / revenue * 100) : 0
+    };
+  }
+
   // Helper methods for complex calculations
   detectSeasonality(revenues) {
     if (revenues.length < 7) return 'insufficient-data';
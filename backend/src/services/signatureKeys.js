@@ -1,16 +1,124 @@
+const crypto = require('crypto');
 const { PrismaClient } = require('@prisma/client');
 const digitalSignatureService = require('./digitalSignature');
+const cmsSignatureService = require('./cmsSignatures');
 const { logger } = require('../utils/logger');
 
 const prisma = new PrismaClient();
 
+const USER_SELECT = { select: { id: true, name: true, email: true, role: true } };
+
 class SignatureKeysService {
   constructor() {
-    this.keyStorage = new Map(); // In-memory storage for demo, should use secure storage in production
+    // Мастер-ключ шифрования закрытых ключей (если пользователь не задал парольную фразу).
+    // Без SIGNATURE_MASTER_KEY работают только ключи с парольной фразой
+    this.masterKey = process.env.SIGNATURE_MASTER_KEY;
+    this.cipherAlgorithm = 'aes-256-gcm';
+  }
+
+  // Build an error with HTTP status
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  // Encrypt private key with the master key or the user's passphrase (scrypt + AES-256-GCM)
+  encryptPrivateKey(privateKey, passphrase) {
+    const secret = passphrase || this.masterKey;
+    if (!secret) {
+      throw this.createError('SIGNATURE_MASTER_KEY is not configured', 500);
+    }
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = crypto.scryptSync(secret, salt, 32);
+    const cipher = crypto.createCipheriv(this.cipherAlgorithm, key, iv);
+    const data = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    });
+  }
+
+  // Decrypt private key. A wrong passphrase fails the GCM tag check.
+  decryptPrivateKey(encryptedPrivateKey, passphrase) {
+    const secret = passphrase || this.masterKey;
+    if (!secret) {
+      throw this.createError('SIGNATURE_MASTER_KEY is not configured', 500);
+    }
+
+    const { salt, iv, tag, data } = JSON.parse(encryptedPrivateKey);
+    const key = crypto.scryptSync(secret, Buffer.from(salt, 'base64'), 32);
+
+    try {
+      const decipher = crypto.createDecipheriv(this.cipherAlgorithm, key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      if (passphrase) {
+        throw this.createError('Invalid passphrase', 400);
+      }
+      throw new Error('Failed to decrypt private key: check SIGNATURE_MASTER_KEY');
+    }
+  }
+
+  // Public part of a stored key
+  toKeyInfo(keyData) {
+    return {
+      keyId: keyData.keyId,
+      publicKey: keyData.publicKey,
+      algorithm: keyData.algorithm,
+      protection: keyData.protection,
+      status: keyData.status,
+      createdAt: keyData.createdAt,
+      previousKeyId: keyData.previousKeyId || null,
+      rotatedAt: keyData.rotatedAt || null,
+      revokedAt: keyData.revokedAt || null,
+      revokeReason: keyData.revokeReason || null,
+      lastUsedAt: keyData.lastUsedAt || null,
+      ...(keyData.user && {
+        userInfo: {
+          name: keyData.user.name,
+          email: keyData.user.email,
+          role: keyData.user.role
+        }
+      })
+    };
+  }
+
+  // Generate a key pair and store it encrypted
+  async createKey(userId, options = {}, client = prisma) {
+    const keyPair = digitalSignatureService.generateKeyPair();
+
+    return client.signatureKey.create({
+      data: {
+        keyId: keyPair.keyId,
+        userId,
+        algorithm: digitalSignatureService.signatureAlgorithm,
+        publicKey: keyPair.publicKey,
+        encryptedPrivateKey: this.encryptPrivateKey(keyPair.privateKey, options.passphrase),
+        protection: options.passphrase ? 'PASSPHRASE' : 'MASTER_KEY',
+        previousKeyId: options.previousKeyId || null,
+        createdAt: new Date(keyPair.createdAt)
+      }
+    });
+  }
+
+  // Active key record of a user
+  async findActiveKey(userId) {
+    return prisma.signatureKey.findFirst({
+      where: { userId, status: 'ACTIVE' },
+      include: { user: USER_SELECT },
+      orderBy: { createdAt: 'desc' }
+    });
   }
 
   // Generate and store user's signature keys
-  async generateUserKeys(userId, userInfo) {
+  async generateUserKeys(userId, options = {}) {
     try {
       const existingKeys = await this.getUserKeys(userId);
       if (existingKeys) {
@@ -18,38 +126,15 @@ class SignatureKeysService {
         return existingKeys;
       }
 
-      const keyPair = digitalSignatureService.generateKeyPair();
-      
-      // In production, private keys should be encrypted and stored securely
-      const keyData = {
-        userId,
-        keyId: keyPair.keyId,
-        publicKey: keyPair.publicKey,
-        privateKey: keyPair.privateKey, // Should be encrypted in production
-        createdAt: keyPair.createdAt,
-        status: 'ACTIVE',
-        userInfo: {
-          name: userInfo.name,
-          email: userInfo.email,
-          role: userInfo.role || 'USER'
-        }
-      };
-
-      // Store in memory (in production, use secure database storage)
-      this.keyStorage.set(userId, keyData);
+      const keyData = await this.createKey(userId, options);
 
       logger.info('Generated signature keys for user', {
         userId,
-        keyId: keyPair.keyId,
-        userName: userInfo.name
+        keyId: keyData.keyId,
+        protection: keyData.protection
       });
 
-      return {
-        keyId: keyPair.keyId,
-        publicKey: keyPair.publicKey,
-        createdAt: keyPair.createdAt,
-        status: 'ACTIVE'
-      };
+      return this.toKeyInfo(keyData);
 
     } catch (error) {
       logger.error('Failed to generate user signature keys', {
@@ -61,21 +146,46 @@ class SignatureKeysService {
     }
   }
 
-  // Get user's signature keys
-  async getUserKeys(userId) {
+  // Replace user's active key with a new one. The old public key stays for verification.
+  async rotateUserKeys(userId, options = {}) {
     try {
-      const keyData = this.keyStorage.get(userId);
-      if (!keyData) {
-        return null;
-      }
+      const current = await this.findActiveKey(userId);
+
+      const keyData = await prisma.$transaction(async (tx) => {
+        if (current) {
+          await tx.signatureKey.update({
+            where: { id: current.id },
+            data: { status: 'ROTATED', rotatedAt: new Date() }
+          });
+        }
 
-      return {
+        return this.createKey(userId, { ...options, previousKeyId: current?.keyId }, tx);
+      });
+
+      logger.info('Rotated signature keys for user', {
+        userId,
         keyId: keyData.keyId,
-        publicKey: keyData.publicKey,
-        createdAt: keyData.createdAt,
-        status: keyData.status,
-        userInfo: keyData.userInfo
-      };
+        previousKeyId: current?.keyId || null,
+        reason: options.reason
+      });
+
+      return this.toKeyInfo(keyData);
+
+    } catch (error) {
+      logger.error('Failed to rotate user signature keys', {
+        error: error.message,
+        stack: error.stack,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  // Get user's active signature keys
+  async getUserKeys(userId) {
+    try {
+      const keyData = await this.findActiveKey(userId);
+      return keyData ? this.toKeyInfo(keyData) : null;
     } catch (error) {
       logger.error('Failed to get user signature keys', {
         error: error.message,
@@ -85,17 +195,45 @@ class SignatureKeysService {
     }
   }
 
+  // Get all user's keys: active, rotated and revoked
+  async getUserKeyHistory(userId) {
+    const keys = await prisma.signatureKey.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return keys.map(keyData => this.toKeyInfo(keyData));
+  }
+
   // Get user's private key (for signing)
-  async getUserPrivateKey(userId) {
+  async getUserPrivateKey(userId, passphrase) {
     try {
-      const keyData = this.keyStorage.get(userId);
-      if (!keyData || keyData.status !== 'ACTIVE') {
-        throw new Error('No valid private key found for user');
+      const keyData = await this.findActiveKey(userId);
+      if (!keyData || !keyData.encryptedPrivateKey) {
+        throw this.createError('No valid private key found for user', 400);
+      }
+
+      if (keyData.protection === 'PASSPHRASE' && !passphrase) {
+        throw this.createError('Passphrase is required to use the signature key', 400);
       }
 
+      const privateKey = this.decryptPrivateKey(
+        keyData.encryptedPrivateKey,
+        keyData.protection === 'PASSPHRASE' ? passphrase : null
+      );
+
+      await prisma.signatureKey.update({
+        where: { id: keyData.id },
+        data: { lastUsedAt: new Date() }
+      });
+
       return {
-        privateKey: keyData.privateKey,
-        keyId: keyData.keyId
+        privateKey,
+        keyId: keyData.keyId,
+        publicKey: keyData.publicKey,
+        certificate: keyData.certificate,
+        createdAt: keyData.createdAt,
+        user: keyData.user
       };
     } catch (error) {
       logger.error('Failed to get user private key', {
@@ -106,20 +244,46 @@ class SignatureKeysService {
     }
   }
 
-  // Get public key by key ID
+  // X.509 certificate of a key for CMS/PAdES signatures, created and stored on first use
+  async getCertificate(userKeys) {
+    if (userKeys.certificate) {
+      return userKeys.certificate;
+    }
+
+    const certificate = cmsSignatureService.createCertificate(userKeys, {
+      name: userKeys.user.name,
+      email: userKeys.user.email
+    });
+
+    await prisma.signatureKey.update({
+      where: { keyId: userKeys.keyId },
+      data: { certificate }
+    });
+
+    return certificate;
+  }
+
+  // Get public key by key ID (any status, for verification of old signatures)
   async getPublicKey(keyId) {
     try {
-      for (const [userId, keyData] of this.keyStorage.entries()) {
-        if (keyData.keyId === keyId) {
-          return {
-            publicKey: keyData.publicKey,
-            userId: keyData.userId,
-            userInfo: keyData.userInfo,
-            createdAt: keyData.createdAt
-          };
-        }
+      const keyData = await prisma.signatureKey.findUnique({
+        where: { keyId },
+        include: { user: USER_SELECT }
+      });
+
+      if (!keyData) {
+        return null;
       }
-      return null;
+
+      return {
+        publicKey: keyData.publicKey,
+        userId: keyData.userId,
+        userInfo: this.toKeyInfo(keyData).userInfo,
+        createdAt: keyData.createdAt,
+        status: keyData.status,
+        revokedAt: keyData.revokedAt,
+        revokeReason: keyData.revokeReason
+      };
     } catch (error) {
       logger.error('Failed to get public key', {
         error: error.message,
@@ -129,60 +293,74 @@ class SignatureKeysService {
     }
   }
 
-  // Revoke user's signature keys
-  async revokeUserKeys(userId, reason = 'User request') {
+  // Revoke a key by ID (active or rotated, e.g. when compromised)
+  async revokeKey(keyId, reason, revokedById) {
     try {
-      const keyData = this.keyStorage.get(userId);
+      const keyData = await prisma.signatureKey.findUnique({ where: { keyId } });
       if (!keyData) {
-        throw new Error('No keys found for user');
+        throw this.createError('Signature key not found', 404);
       }
 
-      keyData.status = 'REVOKED';
-      keyData.revokedAt = new Date().toISOString();
-      keyData.revokeReason = reason;
+      if (keyData.status === 'REVOKED') {
+        throw this.createError('Signature key is already revoked', 400);
+      }
 
-      this.keyStorage.set(userId, keyData);
+      const revoked = await prisma.signatureKey.update({
+        where: { keyId },
+        data: {
+          status: 'REVOKED',
+          revokedAt: new Date(),
+          revokeReason: reason,
+          revokedById: revokedById || null
+        }
+      });
 
-      logger.info('Revoked signature keys for user', {
-        userId,
-        keyId: keyData.keyId,
+      logger.info('Revoked signature key', {
+        userId: keyData.userId,
+        keyId,
+        revokedById,
         reason
       });
 
       return {
         success: true,
-        keyId: keyData.keyId,
-        revokedAt: keyData.revokedAt,
+        keyId,
+        revokedAt: revoked.revokedAt,
         reason
       };
 
     } catch (error) {
-      logger.error('Failed to revoke user signature keys', {
+      logger.error('Failed to revoke signature key', {
         error: error.message,
-        userId,
+        keyId,
         reason
       });
       throw error;
     }
   }
 
-  // List all users with signature keys
+  // Revoke user's active signature keys
+  async revokeUserKeys(userId, reason = 'User request', revokedById = userId) {
+    const keyData = await this.findActiveKey(userId);
+    if (!keyData) {
+      throw this.createError('No keys found for user', 404);
+    }
+
+    return this.revokeKey(keyData.keyId, reason, revokedById);
+  }
+
+  // List all signature keys with their owners
   async listUsersWithKeys() {
     try {
-      const users = [];
-      for (const [userId, keyData] of this.keyStorage.entries()) {
-        users.push({
-          userId,
-          keyId: keyData.keyId,
-          status: keyData.status,
-          createdAt: keyData.createdAt,
-          userInfo: keyData.userInfo,
-          revokedAt: keyData.revokedAt || null,
-          revokeReason: keyData.revokeReason || null
-        });
-      }
+      const keys = await prisma.signatureKey.findMany({
+        include: { user: USER_SELECT },
+        orderBy: { createdAt: 'desc' }
+      });
 
-      return users.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      return keys.map(keyData => ({
+        userId: keyData.userId,
+        ...this.toKeyInfo(keyData)
+      }));
     } catch (error) {
       logger.error('Failed to list users with signature keys', {
         error: error.message
@@ -194,8 +372,8 @@ class SignatureKeysService {
   // Verify key ownership
   async verifyKeyOwnership(userId, keyId) {
     try {
-      const keyData = this.keyStorage.get(userId);
-      return keyData && keyData.keyId === keyId && keyData.status === 'ACTIVE';
+      const keyData = await prisma.signatureKey.findUnique({ where: { keyId } });
+      return Boolean(keyData && keyData.userId === userId && keyData.status === 'ACTIVE');
     } catch (error) {
       logger.error('Failed to verify key ownership', {
         error: error.message,
@@ -209,31 +387,17 @@ class SignatureKeysService {
   // Get key statistics
   async getKeyStatistics() {
     try {
-      let totalKeys = 0;
-      let activeKeys = 0;
-      let revokedKeys = 0;
-      const userRoles = {};
-
-      for (const [userId, keyData] of this.keyStorage.entries()) {
-        totalKeys++;
-        
-        if (keyData.status === 'ACTIVE') {
-          activeKeys++;
-        } else if (keyData.status === 'REVOKED') {
-          revokedKeys++;
+      const keys = await prisma.signatureKey.findMany({
+        select: {
+          userId: true,
+          status: true,
+          protection: true,
+          encryptedPrivateKey: true,
+          user: { select: { role: true } }
         }
+      });
 
-        const role = keyData.userInfo?.role || 'UNKNOWN';
-        userRoles[role] = (userRoles[role] || 0) + 1;
-      }
-
-      return {
-        totalKeys,
-        activeKeys,
-        revokedKeys,
-        keysByRole: userRoles,
-        generatedAt: new Date().toISOString()
-      };
+      return this.summarizeKeys(keys);
     } catch (error) {
       logger.error('Failed to get key statistics', {
         error: error.message
@@ -242,6 +406,46 @@ class SignatureKeysService {
     }
   }
 
+  // Statistics of stored keys
+  summarizeKeys(keys) {
+    const statuses = { ACTIVE: 0, ROTATED: 0, REVOKED: 0 };
+    const keysByRole = {};
+    const keysByProtection = {};
+    const users = new Set();
+    const usersWithActiveKeys = new Set();
+    let purgedPrivateKeys = 0;
+
+    for (const keyData of keys) {
+      statuses[keyData.status] = (statuses[keyData.status] || 0) + 1;
+      users.add(keyData.userId);
+
+      if (keyData.status === 'ACTIVE') {
+        usersWithActiveKeys.add(keyData.userId);
+      }
+
+      if (!keyData.encryptedPrivateKey) {
+        purgedPrivateKeys++;
+      }
+
+      const role = keyData.user?.role || 'UNKNOWN';
+      keysByRole[role] = (keysByRole[role] || 0) + 1;
+      keysByProtection[keyData.protection] = (keysByProtection[keyData.protection] || 0) + 1;
+    }
+
+    return {
+      totalKeys: keys.length,
+      activeKeys: statuses.ACTIVE,
+      rotatedKeys: statuses.ROTATED,
+      revokedKeys: statuses.REVOKED,
+      usersWithKeys: users.size,
+      usersWithActiveKeys: usersWithActiveKeys.size,
+      purgedPrivateKeys,
+      keysByRole,
+      keysByProtection,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
   // Validate key format and integrity
   validateKeyFormat(publicKey) {
     try {
@@ -258,30 +462,36 @@ class SignatureKeysService {
     }
   }
 
-  // Cleanup expired or inactive keys (maintenance function)
+  // Erase private keys of rotated and revoked keys (maintenance function).
+  // Public keys are kept so old signatures stay verifiable.
   async cleanupKeys(olderThanDays = 365) {
     try {
       const cutoffDate = new Date(Date.now() - (olderThanDays * 24 * 60 * 60 * 1000));
-      let cleanedCount = 0;
-
-      for (const [userId, keyData] of this.keyStorage.entries()) {
-        if (keyData.status === 'REVOKED' && 
-            keyData.revokedAt && 
-            new Date(keyData.revokedAt) < cutoffDate) {
-          this.keyStorage.delete(userId);
-          cleanedCount++;
-        }
-      }
+
+      const result = await prisma.signatureKey.updateMany({
+        where: {
+          encryptedPrivateKey: { not: null },
+          OR: [
+            { status: 'REVOKED', revokedAt: { lt: cutoffDate } },
+            { status: 'ROTATED', rotatedAt: { lt: cutoffDate } }
+          ]
+        },
+        data: { encryptedPrivateKey: null }
+      });
+
+      const remainingKeys = await prisma.signatureKey.count({
+        where: { encryptedPrivateKey: { not: null } }
+      });
 
       logger.info('Cleaned up signature keys', {
-        cleanedCount,
+        cleanedCount: result.count,
         olderThanDays,
-        remainingKeys: this.keyStorage.size
+        remainingKeys
       });
 
       return {
-        cleanedCount,
-        remainingKeys: this.keyStorage.size,
+        cleanedCount: result.count,
+        remainingKeys,
         cutoffDate: cutoffDate.toISOString()
       };
 
@@ -297,4 +507,4 @@ class SignatureKeysService {
 // Singleton instance
 const signatureKeysService = new SignatureKeysService();
 
-module.exports = signatureKeysService;
\ No newline at end of file
+module.exports = signatureKeysService;
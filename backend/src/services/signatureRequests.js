@@ -0,0 +1,924 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent, logError } = require('../utils/logger');
+const { createNotification } = require('../utils/notifications');
+const { sendMail } = require('../utils/mailer');
+const digitalSignatureService = require('./digitalSignature');
+const contractSignatureService = require('./contractSignatures');
+
+const prisma = new PrismaClient();
+
+const SIGNING_ORDERS = ['PARALLEL', 'SEQUENTIAL'];
+
+// Статусы договора, которые запрос подписи переводит в SENT и обратно
+const DRAFT_STATUSES = ['DRAFT', 'SENT'];
+
+// Подпись по ссылке действительна, если подписанный payload выдан не раньше создания запроса
+const PAYLOAD_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const SIGNER_INCLUDE = {
+  contract: {
+    include: { client: { select: { name: true, email: true } } }
+  },
+  createdBy: { select: { id: true, name: true, email: true } },
+  signers: { orderBy: { position: 'asc' } }
+};
+
+class SignatureRequestService {
+  constructor() {
+    this.secret = process.env.SHARE_LINK_SECRET;
+    this.publicUrl = process.env.PUBLIC_APP_URL || 'http://localhost:3000';
+    this.defaultExpirationHours = 72;
+    this.reminderHours = parseInt(process.env.SIGNATURE_REMINDER_HOURS) || 24;
+  }
+
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * HMAC signature of a signer link. The request expiry is signed too.
+   * @param {string} signerId - SignatureRequestSigner ID
+   * @param {Date} expiresAt - Request expiry
+   * @returns {string} base64url signature
+   */
+  sign(signerId, expiresAt) {
+    if (!this.secret) {
+      throw this.createError('SHARE_LINK_SECRET is not configured', 500);
+    }
+
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`signature-request:${signerId}:${new Date(expiresAt).getTime()}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Public token of a signer: "<signerId>.<signature>"
+   * @param {Object} signer - SignatureRequestSigner
+   * @param {Object} request - SignatureRequest
+   * @returns {string} Token
+   */
+  buildToken(signer, request) {
+    return `${signer.id}.${this.sign(signer.id, request.expiresAt)}`;
+  }
+
+  /**
+   * Signer-facing URL
+   * @param {Object} signer - SignatureRequestSigner
+   * @param {Object} request - SignatureRequest
+   * @returns {string} URL
+   */
+  buildUrl(signer, request) {
+    return `${this.publicUrl.replace(/\/$/, '')}/signature/${this.buildToken(signer, request)}`;
+  }
+
+  /**
+   * Signers who may sign now: all pending signers in parallel order, in sequential
+   * order only those with no pending required signer before them
+   * @param {Object} request - SignatureRequest with signers
+   * @returns {Object[]} Signers
+   */
+  getCurrentSigners(request) {
+    const signers = [...request.signers].sort((a, b) => a.position - b.position);
+
+    if (request.signingOrder !== 'SEQUENTIAL') {
+      return signers.filter(signer => signer.status === 'PENDING');
+    }
+
+    const current = [];
+    for (const signer of signers) {
+      if (signer.status !== 'PENDING') {
+        continue;
+      }
+      current.push(signer);
+      if (signer.required) {
+        break;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Check that a signer may sign or decline now
+   * @param {Object} request - SignatureRequest with signers
+   * @param {Object} signer - SignatureRequestSigner
+   */
+  assertCanSign(request, signer) {
+    if (request.status !== 'PENDING') {
+      throw this.createError(`Signature request is ${request.status.toLowerCase()}`, 409);
+    }
+
+    if (new Date(request.expiresAt) < new Date()) {
+      throw this.createError('Signature request has expired', 410);
+    }
+
+    if (signer.status !== 'PENDING') {
+      throw this.createError(`Signer has already ${signer.status === 'SIGNED' ? 'signed' : 'declined'}`, 409);
+    }
+
+    if (!this.getCurrentSigners(request).some(current => current.id === signer.id)) {
+      throw this.createError('Waiting for previous signers', 409);
+    }
+  }
+
+  /**
+   * Signer of a request matching a user or e-mail
+   * @param {Object} request - SignatureRequest with signers
+   * @param {Object} identity - userId, email
+   * @returns {Object|null} SignatureRequestSigner
+   */
+  findSigner(request, { userId, email }) {
+    const normalizedEmail = String(email || '').toLowerCase();
+
+    return request.signers.find(signer => signer.userId && signer.userId === userId) ||
+      request.signers.find(signer => signer.email.toLowerCase() === normalizedEmail) ||
+      null;
+  }
+
+  /**
+   * Pending, not expired request of a contract
+   * @param {string} contractId - Contract ID
+   * @returns {Promise<Object|null>} SignatureRequest with signers
+   */
+  async findActiveRequest(contractId) {
+    return prisma.signatureRequest.findFirst({
+      where: { contractId, status: 'PENDING', expiresAt: { gt: new Date() } },
+      include: SIGNER_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Latest request of a contract in any status
+   * @param {string} contractId - Contract ID
+   * @returns {Promise<Object|null>} SignatureRequest with signers
+   */
+  async findLatestRequest(contractId) {
+    return prisma.signatureRequest.findFirst({
+      where: { contractId },
+      include: SIGNER_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Required signers of a request in the form used by the signature workflow
+   * @param {Object|null} request - SignatureRequest with signers
+   * @returns {Object[]|null} Signers or null without a request
+   */
+  toWorkflowSigners(request) {
+    if (!request) {
+      return null;
+    }
+
+    return request.signers.map(signer => ({
+      userId: signer.userId,
+      email: signer.email,
+      name: signer.name,
+      role: signer.role,
+      required: signer.required
+    }));
+  }
+
+  /**
+   * Request as returned by the API, with signer links
+   * @param {Object} request - SignatureRequest with signers
+   * @returns {Object} Request without the document content
+   */
+  formatRequest(request) {
+    const { documentData, contract, ...rest } = request;
+
+    return {
+      ...rest,
+      hasDocument: Boolean(documentData),
+      contract: contract
+        ? { id: contract.id, contractNumber: contract.contractNumber, status: contract.status, client: contract.client }
+        : undefined,
+      currentSigners: request.status === 'PENDING' ? this.getCurrentSigners(request).map(signer => signer.id) : [],
+      signers: request.signers.map(signer => ({
+        ...signer,
+        signatureUrl: signer.status === 'PENDING' ? this.buildUrl(signer, request) : null
+      }))
+    };
+  }
+
+  /**
+   * Create a signature request and invite the first signers
+   * @param {Object} contract - Contract
+   * @param {Object} data - requiredSigners, signingOrder, expirationHours, message, documentData, documentName
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} Formatted request
+   */
+  async createRequest(contract, data, user) {
+    const signingOrder = data.signingOrder || 'PARALLEL';
+    if (!SIGNING_ORDERS.includes(signingOrder)) {
+      throw this.createError(`Signing order must be one of: ${SIGNING_ORDERS.join(', ')}`);
+    }
+
+    const emails = data.requiredSigners.map(signer => signer.email.toLowerCase());
+    if (new Set(emails).size !== emails.length) {
+      throw this.createError('Each signer must have a unique e-mail');
+    }
+
+    if (!data.requiredSigners.some(signer => signer.required !== false)) {
+      throw this.createError('At least one signer must be required');
+    }
+
+    if (!DRAFT_STATUSES.includes(contract.status)) {
+      throw this.createError(`Contract in status ${contract.status} can't be sent for signing`, 409);
+    }
+
+    if (await this.findActiveRequest(contract.id)) {
+      throw this.createError('Contract already has an active signature request', 409);
+    }
+
+    // Подписанты-пользователи системы определяются по e-mail, если ID не передан
+    const users = await prisma.user.findMany({
+      where: { email: { in: data.requiredSigners.map(signer => signer.email) } },
+      select: { id: true, email: true }
+    });
+    const userIds = new Map(users.map(found => [found.email.toLowerCase(), found.id]));
+
+    const documentHash = data.documentData
+      ? digitalSignatureService.createDocumentHash(Buffer.from(data.documentData, 'base64'))
+      : null;
+    const expiresAt = new Date(Date.now() + (data.expirationHours || this.defaultExpirationHours) * 60 * 60 * 1000);
+
+    const request = await prisma.$transaction(async (tx) => {
+      const created = await tx.signatureRequest.create({
+        data: {
+          contractId: contract.id,
+          signingOrder,
+          message: data.message || null,
+          documentName: data.documentData ? (data.documentName || `${contract.contractNumber}.pdf`) : null,
+          documentData: data.documentData || null,
+          documentHash,
+          expiresAt,
+          createdById: user.id,
+          signers: {
+            create: data.requiredSigners.map((signer, index) => ({
+              position: index + 1,
+              userId: signer.userId || userIds.get(signer.email.toLowerCase()) || null,
+              email: signer.email,
+              name: signer.name,
+              role: signer.role || 'Signer',
+              required: signer.required !== false
+            }))
+          }
+        },
+        include: SIGNER_INCLUDE
+      });
+
+      if (contract.status !== 'SENT') {
+        await tx.contract.update({
+          where: { id: contract.id },
+          data: { status: 'SENT' }
+        });
+      }
+
+      return created;
+    });
+
+    await this.notifySigners(request, this.getCurrentSigners(request), 'INVITATION');
+
+    logBusinessEvent('signature_request_created', null, {
+      contractId: contract.id,
+      requestId: request.id,
+      signingOrder,
+      signers: request.signers.length,
+      userId: user.id
+    });
+
+    return this.formatRequest({ ...request, contract: { ...request.contract, status: 'SENT' } });
+  }
+
+  /**
+   * Signature requests of a contract
+   * @param {string} contractId - Contract ID
+   * @returns {Promise<Object[]>} Formatted requests
+   */
+  async getRequests(contractId) {
+    const requests = await prisma.signatureRequest.findMany({
+      where: { contractId },
+      include: SIGNER_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return requests.map(request => this.formatRequest(request));
+  }
+
+  /**
+   * Signature request by ID
+   * @param {string} requestId - SignatureRequest ID
+   * @returns {Promise<Object>} SignatureRequest with signers and contract
+   */
+  async getRequest(requestId) {
+    const request = await prisma.signatureRequest.findUnique({
+      where: { id: requestId },
+      include: SIGNER_INCLUDE
+    });
+
+    if (!request) {
+      throw this.createError('Signature request not found', 404);
+    }
+
+    return request;
+  }
+
+  /**
+   * Find a signer by token and check the link signature
+   * @param {string} token - Public token
+   * @returns {Promise<Object>} Signer with request (signers, contract, author)
+   */
+  async resolve(token) {
+    const [signerId, signature] = String(token || '').split('.');
+    const signer = signerId && signature
+      ? await prisma.signatureRequestSigner.findUnique({
+        where: { id: signerId },
+        include: { request: { include: SIGNER_INCLUDE } }
+      })
+      : null;
+
+    const expected = signer ? Buffer.from(this.sign(signer.id, signer.request.expiresAt)) : null;
+    const actual = Buffer.from(signature || '');
+
+    if (!signer || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw this.createError('Ссылка недействительна', 404);
+    }
+
+    if (signer.request.status === 'CANCELLED') {
+      throw this.createError('Запрос подписи отменен', 410);
+    }
+
+    if (signer.request.status === 'EXPIRED' || (signer.request.status === 'PENDING' && signer.request.expiresAt < new Date())) {
+      throw this.createError('Срок действия ссылки истек', 410);
+    }
+
+    return signer;
+  }
+
+  /**
+   * Exact payload an external signer signs with their own key
+   * @param {Object} request - SignatureRequest
+   * @param {Object} signer - SignatureRequestSigner
+   * @returns {string} JSON payload
+   */
+  buildSigningPayload(request, signer) {
+    return JSON.stringify({
+      documentHash: request.documentHash,
+      signerInfo: {
+        userId: signer.userId || null,
+        name: signer.name,
+        email: signer.email,
+        role: signer.role,
+        timestamp: new Date().toISOString(),
+        ipAddress: null,
+        userAgent: null
+      },
+      algorithm: digitalSignatureService.signatureAlgorithm,
+      version: '1.0'
+    });
+  }
+
+  /**
+   * Request as seen by a signer via the link. The first call records the view.
+   * @param {string} token - Public token
+   * @returns {Promise<Object>} Contract summary, signer state and payload to sign
+   */
+  async getPublicView(token) {
+    const signer = await this.resolve(token);
+    const { request } = signer;
+
+    if (!signer.viewedAt) {
+      await prisma.signatureRequestSigner.update({
+        where: { id: signer.id },
+        data: { viewedAt: new Date() }
+      });
+    }
+
+    let canSign = true;
+    try {
+      this.assertCanSign(request, signer);
+    } catch (error) {
+      canSign = false;
+    }
+
+    return {
+      contract: {
+        contractNumber: request.contract.contractNumber,
+        contractDate: request.contract.contractDate,
+        contractType: request.contract.contractType,
+        totalAmount: request.contract.totalAmount,
+        currency: request.contract.currency,
+        client: request.contract.client?.name || null
+      },
+      request: {
+        status: request.status,
+        signingOrder: request.signingOrder,
+        message: request.message,
+        expiresAt: request.expiresAt,
+        requestedBy: { name: request.createdBy.name, email: request.createdBy.email },
+        signers: request.signers.map(item => ({
+          position: item.position,
+          name: item.name,
+          role: item.role,
+          required: item.required,
+          status: item.status,
+          signedAt: item.signedAt
+        }))
+      },
+      signer: {
+        name: signer.name,
+        email: signer.email,
+        role: signer.role,
+        status: signer.status,
+        signedAt: signer.signedAt,
+        declinedAt: signer.declinedAt
+      },
+      document: request.documentHash
+        ? { name: request.documentName, hash: request.documentHash }
+        : null,
+      canSign: canSign && Boolean(request.documentHash),
+      signingPayload: canSign && request.documentHash ? this.buildSigningPayload(request, signer) : null,
+      algorithm: digitalSignatureService.signatureAlgorithm
+    };
+  }
+
+  /**
+   * Document attached to the request
+   * @param {string} token - Public token
+   * @returns {Promise<Object>} { buffer, mimetype, fileName }
+   */
+  async getDocument(token) {
+    const { request } = await this.resolve(token);
+
+    if (!request.documentData) {
+      throw this.createError('Document is not attached to the signature request', 404);
+    }
+
+    const fileName = request.documentName || `${request.contract.contractNumber}.pdf`;
+
+    return {
+      buffer: Buffer.from(request.documentData, 'base64'),
+      mimetype: fileName.toLowerCase().endsWith('.pdf') ? 'application/pdf' : 'application/octet-stream',
+      fileName
+    };
+  }
+
+  /**
+   * Append a signature to the contract ledger within the active request of the contract:
+   * checks the signing order, marks the signer as signed and completes the request
+   * @param {Object} contract - Contract
+   * @param {Object} data - recordSignature data of contractSignatureService
+   * @param {Object} requestSigner - Signer with request (from resolve); found by signer info when omitted
+   * @param {Function} afterRecord - async (tx, result) run in the ledger transaction
+   * @returns {Promise<Object>} recordSignature result with request and requestSigner
+   */
+  async recordSignature(contract, data, requestSigner = null, afterRecord = null) {
+    const request = requestSigner ? requestSigner.request : await this.findActiveRequest(contract.id);
+    const signer = requestSigner || (request ? this.findSigner(request, data.signerInfo) : null);
+
+    if (signer) {
+      this.assertCanSign(request, signer);
+
+      if (request.documentHash && data.signature.payload.documentHash !== request.documentHash) {
+        throw this.createError('Signed document differs from the document of the signature request');
+      }
+    }
+
+    const result = await contractSignatureService.recordSignature(contract, data, {
+      requiredSigners: this.toWorkflowSigners(request),
+      requestSignerId: signer?.id,
+      afterRecord: async (tx, recorded) => {
+        const { record, complete } = recorded;
+
+        if (signer) {
+          await tx.signatureRequestSigner.update({
+            where: { id: signer.id },
+            data: { status: 'SIGNED', signedAt: record.signedAt, signatureId: record.signatureId }
+          });
+        }
+
+        if (request && complete) {
+          await tx.signatureRequest.update({
+            where: { id: request.id },
+            data: { status: 'COMPLETED', completedAt: new Date() }
+          });
+        }
+
+        if (afterRecord) {
+          await afterRecord(tx, recorded);
+        }
+      }
+    });
+
+    if (request) {
+      const updated = {
+        ...request,
+        status: result.complete ? 'COMPLETED' : request.status,
+        signers: request.signers.map(item => (item.id === signer?.id ? { ...item, status: 'SIGNED' } : item))
+      };
+
+      if (result.complete) {
+        await this.notifyCreator(
+          updated,
+          `Договор ${contract.contractNumber} подписан`,
+          `Все обязательные подписанты подписали договор ${contract.contractNumber}`
+        );
+        logBusinessEvent('signature_request_completed', null, { requestId: request.id, contractId: contract.id });
+      } else if (signer && request.signingOrder === 'SEQUENTIAL') {
+        // Следующие по очереди получают приглашение только сейчас
+        const invited = new Set(this.getCurrentSigners(request).map(item => item.id));
+        await this.notifySigners(
+          updated,
+          this.getCurrentSigners(updated).filter(item => !invited.has(item.id)),
+          'INVITATION'
+        );
+      }
+
+      return { ...result, request: updated, requestSigner: signer };
+    }
+
+    return { ...result, request: null, requestSigner: null };
+  }
+
+  /**
+   * Sign via the public link with the signer's own key. The signer signs the payload
+   * from getPublicView; the public key is stored with the ledger entry.
+   * @param {string} token - Public token
+   * @param {Object} data - payload (JSON string), signature (base64), publicKey (PEM)
+   * @param {Object} meta - ip, userAgent
+   * @returns {Promise<Object>} recordSignature result with certificate
+   */
+  async signExternal(token, { payload, signature, publicKey }, meta = {}) {
+    const signer = await this.resolve(token);
+    const { request } = signer;
+
+    this.assertCanSign(request, signer);
+
+    if (!request.documentData) {
+      throw this.createError('Document is not attached to the signature request');
+    }
+
+    let parsedPayload;
+    try {
+      parsedPayload = JSON.parse(payload);
+    } catch (error) {
+      throw this.createError('Payload must be the JSON issued for signing');
+    }
+
+    const timestamp = new Date(parsedPayload.signerInfo?.timestamp);
+    if (
+      parsedPayload.documentHash !== request.documentHash ||
+      String(parsedPayload.signerInfo?.email || '').toLowerCase() !== signer.email.toLowerCase() ||
+      Number.isNaN(timestamp.getTime()) ||
+      timestamp < new Date(request.createdAt) ||
+      timestamp.getTime() > Date.now() + PAYLOAD_CLOCK_SKEW_MS
+    ) {
+      throw this.createError('Payload does not match the signature request');
+    }
+
+    const documentBuffer = Buffer.from(request.documentData, 'base64');
+    const verification = digitalSignatureService.verifySignature(
+      documentBuffer,
+      { signature, payload: parsedPayload },
+      publicKey
+    );
+
+    if (!verification.valid) {
+      throw this.createError(verification.reason || 'Invalid signature');
+    }
+
+    const signatureData = {
+      signatureId: digitalSignatureService.generateSignatureId(Buffer.from(signature, 'base64')),
+      signature,
+      payload: parsedPayload,
+      createdAt: new Date().toISOString()
+    };
+    const certificate = digitalSignatureService.createSignatureCertificate(signatureData, {
+      title: `Contract ${request.contract.contractNumber}`,
+      type: 'CONTRACT',
+      contractNumber: request.contract.contractNumber,
+      documentId: request.contractId
+    });
+
+    const result = await this.recordSignature(request.contract, {
+      signature: signatureData,
+      certificate,
+      keyId: digitalSignatureService.generateKeyId(publicKey),
+      publicKey,
+      signerInfo: {
+        userId: signer.userId,
+        name: signer.name,
+        email: signer.email,
+        role: signer.role,
+        ipAddress: meta.ip || null,
+        userAgent: meta.userAgent || null
+      }
+    }, signer);
+
+    logBusinessEvent('contract_signed_by_link', null, {
+      contractId: request.contractId,
+      requestId: request.id,
+      signerId: signer.id,
+      signatureId: signatureData.signatureId
+    });
+
+    return { ...result, certificate };
+  }
+
+  /**
+   * Return a contract sent for signing back to draft when its request ends unsigned
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} request - SignatureRequest with contract
+   */
+  async releaseContract(tx, request) {
+    if (request.contract?.status === 'SENT') {
+      await tx.contract.update({
+        where: { id: request.contractId },
+        data: { status: 'DRAFT' }
+      });
+    }
+  }
+
+  /**
+   * Decline signing. A required signer declining ends the whole request.
+   * @param {Object} request - SignatureRequest with signers and contract
+   * @param {Object} signer - SignatureRequestSigner
+   * @param {string} reason - Decline reason
+   * @returns {Promise<Object>} { request, signer } statuses
+   */
+  async decline(request, signer, reason = null) {
+    this.assertCanSign(request, signer);
+
+    const declinedAt = new Date();
+    const requestStatus = signer.required ? 'DECLINED' : request.status;
+
+    await prisma.$transaction(async (tx) => {
+      await tx.signatureRequestSigner.update({
+        where: { id: signer.id },
+        data: { status: 'DECLINED', declinedAt, declineReason: reason }
+      });
+
+      if (signer.required) {
+        await tx.signatureRequest.update({
+          where: { id: request.id },
+          data: { status: 'DECLINED' }
+        });
+        await this.releaseContract(tx, request);
+      }
+    });
+
+    await this.notifyCreator(
+      request,
+      `${signer.name} отказался подписать договор ${request.contract.contractNumber}`,
+      `${signer.name} (${signer.email}) отказался подписать договор ${request.contract.contractNumber}` +
+        `${reason ? `. Причина: ${reason}` : ''}` +
+        `${signer.required ? '. Запрос подписи завершен' : ''}`,
+      true
+    );
+
+    logBusinessEvent('signature_request_declined', null, {
+      requestId: request.id,
+      contractId: request.contractId,
+      signerId: signer.id,
+      required: signer.required
+    });
+
+    return {
+      request: { id: request.id, status: requestStatus },
+      signer: { id: signer.id, status: 'DECLINED', declinedAt, declineReason: reason }
+    };
+  }
+
+  /**
+   * Decline via the public link
+   * @param {string} token - Public token
+   * @param {string} reason - Decline reason
+   * @returns {Promise<Object>} decline result
+   */
+  async declineByToken(token, reason = null) {
+    const signer = await this.resolve(token);
+    return this.decline(signer.request, signer, reason);
+  }
+
+  /**
+   * Decline as a signed-in user
+   * @param {string} requestId - SignatureRequest ID
+   * @param {Object} user - Current user
+   * @param {string} reason - Decline reason
+   * @returns {Promise<Object>} decline result
+   */
+  async declineByUser(requestId, user, reason = null) {
+    const request = await this.getRequest(requestId);
+    const signer = this.findSigner(request, { userId: user.id, email: user.email });
+
+    if (!signer) {
+      throw this.createError('You are not a signer of this request', 403);
+    }
+
+    return this.decline(request, signer, reason);
+  }
+
+  /**
+   * Cancel a pending request (its author or an admin)
+   * @param {string} requestId - SignatureRequest ID
+   * @param {Object} user - Current user
+   * @param {string} reason - Cancel reason
+   * @returns {Promise<Object>} Formatted request
+   */
+  async cancelRequest(requestId, user, reason = null) {
+    const request = await this.getRequest(requestId);
+
+    if (request.createdById !== user.id && user.role !== 'ADMIN') {
+      throw this.createError('Only the author of the request or an admin can cancel it', 403);
+    }
+
+    if (request.status !== 'PENDING') {
+      throw this.createError(`Signature request is ${request.status.toLowerCase()}`, 409);
+    }
+
+    const cancelledAt = new Date();
+    await prisma.$transaction(async (tx) => {
+      await tx.signatureRequest.update({
+        where: { id: request.id },
+        data: { status: 'CANCELLED', cancelledAt, cancelReason: reason }
+      });
+      await this.releaseContract(tx, request);
+    });
+
+    for (const signer of request.signers.filter(item => item.status === 'PENDING' && item.userId)) {
+      await this.notify(
+        signer.userId,
+        `Запрос подписи договора ${request.contract.contractNumber} отменен`,
+        `${request.createdBy.name} отменил запрос подписи${reason ? `. Причина: ${reason}` : ''}`,
+        request
+      );
+    }
+
+    logBusinessEvent('signature_request_cancelled', null, { requestId: request.id, contractId: request.contractId, userId: user.id });
+
+    return this.formatRequest({
+      ...request,
+      status: 'CANCELLED',
+      cancelledAt,
+      cancelReason: reason,
+      contract: { ...request.contract, status: request.contract.status === 'SENT' ? 'DRAFT' : request.contract.status }
+    });
+  }
+
+  /**
+   * In-app notification; failures are logged, not thrown
+   * @param {string} userId - Recipient
+   * @param {string} title - Title
+   * @param {string} content - Text
+   * @param {Object} request - SignatureRequest
+   * @param {boolean} isUrgent - Urgent notification
+   */
+  async notify(userId, title, content, request, isUrgent = false) {
+    try {
+      await createNotification(userId, 'REMINDER', title, content, {
+        relatedId: request.contractId,
+        relatedType: 'CONTRACT',
+        isUrgent,
+        metadata: { signatureRequestId: request.id }
+      });
+    } catch (error) {
+      logError(error, null, { operation: 'notify_signature_request', requestId: request.id, userId });
+    }
+  }
+
+  /**
+   * Notify the author of a request
+   * @param {Object} request - SignatureRequest with createdBy
+   * @param {string} title - Title
+   * @param {string} content - Text
+   * @param {boolean} isUrgent - Urgent notification
+   */
+  async notifyCreator(request, title, content, isUrgent = false) {
+    await this.notify(request.createdById, title, content, request, isUrgent);
+  }
+
+  /**
+   * Send signing invitations or reminders: an in-app notification for system users
+   * and an e-mail with the personal link for everyone
+   * @param {Object} request - SignatureRequest with contract and createdBy
+   * @param {Object[]} signers - Signers to notify
+   * @param {string} kind - INVITATION or REMINDER
+   * @returns {Promise<number>} Signers notified
+   */
+  async notifySigners(request, signers, kind) {
+    const contractNumber = request.contract.contractNumber;
+    const expiresAt = new Date(request.expiresAt).toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' });
+    const subject = kind === 'REMINDER'
+      ? `Напоминание: подпишите договор ${contractNumber}`
+      : `Договор ${contractNumber} ожидает вашей подписи`;
+
+    for (const signer of signers) {
+      const url = this.buildUrl(signer, request);
+      const text = [
+        `${signer.name}, ${request.createdBy.name} просит подписать договор ${contractNumber}.`,
+        request.message || null,
+        `Подписать или отказаться: ${url}`,
+        `Ссылка действует до ${expiresAt}.`
+      ].filter(Boolean).join('\n\n');
+
+      if (signer.userId) {
+        await this.notify(signer.userId, subject, `Подпишите договор ${contractNumber} до ${expiresAt}`, request, kind === 'REMINDER');
+      }
+
+      await sendMail({ to: signer.email, subject, text });
+
+      await prisma.signatureRequestSigner.update({
+        where: { id: signer.id },
+        data: {
+          lastNotifiedAt: new Date(),
+          ...(kind === 'REMINDER' && { remindersSent: { increment: 1 } })
+        }
+      });
+    }
+
+    return signers.length;
+  }
+
+  /**
+   * Resend invitations to the signers whose turn it is
+   * @param {string} requestId - SignatureRequest ID
+   * @param {Object} user - Current user
+   * @returns {Promise<number>} Signers notified
+   */
+  async remind(requestId, user) {
+    const request = await this.getRequest(requestId);
+
+    if (request.status !== 'PENDING' || request.expiresAt < new Date()) {
+      throw this.createError('Signature request is not pending', 409);
+    }
+
+    const reminded = await this.notifySigners(request, this.getCurrentSigners(request), 'REMINDER');
+    logBusinessEvent('signature_request_reminded', null, { requestId, reminded, userId: user.id });
+
+    return reminded;
+  }
+
+  /**
+   * Periodic processing: expire overdue requests and remind signers of requests
+   * expiring within SIGNATURE_REMINDER_HOURS (at most once per that period)
+   * @returns {Promise<Object>} { expired, reminded }
+   */
+  async processDueRequests() {
+    const now = new Date();
+
+    const overdue = await prisma.signatureRequest.findMany({
+      where: { status: 'PENDING', expiresAt: { lte: now } },
+      include: SIGNER_INCLUDE
+    });
+
+    for (const request of overdue) {
+      await prisma.$transaction(async (tx) => {
+        await tx.signatureRequest.update({
+          where: { id: request.id },
+          data: { status: 'EXPIRED' }
+        });
+        await this.releaseContract(tx, request);
+      });
+
+      const pending = request.signers.filter(signer => signer.status === 'PENDING' && signer.required);
+      await this.notifyCreator(
+        request,
+        `Истек срок подписания договора ${request.contract.contractNumber}`,
+        `Не подписали: ${pending.map(signer => signer.name).join(', ') || 'нет'}`,
+        true
+      );
+    }
+
+    const reminderWindow = this.reminderHours * 60 * 60 * 1000;
+    const expiring = await prisma.signatureRequest.findMany({
+      where: { status: 'PENDING', expiresAt: { gt: now, lte: new Date(now.getTime() + reminderWindow) } },
+      include: SIGNER_INCLUDE
+    });
+
+    let reminded = 0;
+    for (const request of expiring) {
+      const due = this.getCurrentSigners(request).filter(signer =>
+        !signer.lastNotifiedAt || now - new Date(signer.lastNotifiedAt) >= reminderWindow
+      );
+      reminded += await this.notifySigners(request, due, 'REMINDER');
+    }
+
+    return { expired: overdue.length, reminded };
+  }
+}
+
+const signatureRequestService = new SignatureRequestService();
+
+module.exports = signatureRequestService;
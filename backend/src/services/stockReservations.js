@@ -0,0 +1,329 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent, logError } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Статусы заявки, при которых товар удерживается под клиента
+const RESERVING_STATUSES = ['PROPOSAL_ACCEPTED', 'PAID', 'FOR_SHIPMENT_UNPAID', 'PICKING'];
+
+class StockReservationService {
+  constructor() {
+    this.defaultExpiryDays = parseInt(process.env.RESERVATION_EXPIRY_DAYS) || 14;
+  }
+
+  /**
+   * Where-clause for reservations that currently hold stock
+   * @returns {Object} Prisma where fragment
+   */
+  activeWhere() {
+    return {
+      status: 'ACTIVE',
+      OR: [
+        { expiresAt: null },
+        { expiresAt: { gt: new Date() } }
+      ]
+    };
+  }
+
+  /**
+   * Default expiry date for a new reservation
+   * @returns {Date} Expiry date
+   */
+  getDefaultExpiryDate() {
+    return new Date(Date.now() + this.defaultExpiryDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Get reserved quantities grouped by product
+   * @param {string[]|null} productIds - Limit to these products (null - all)
+   * @param {Object} options - Additional options
+   * @param {string} options.excludeOrderId - Ignore reservations of this order
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Map<string, number>>} productId -> reserved quantity
+   */
+  async getReservedQuantities(productIds = null, options = {}, client = prisma) {
+    const where = this.activeWhere();
+
+    if (productIds) {
+      where.productId = { in: productIds };
+    }
+
+    if (options.excludeOrderId) {
+      where.orderId = { not: options.excludeOrderId };
+    }
+
+    const grouped = await client.stockReservation.groupBy({
+      by: ['productId'],
+      where,
+      _sum: { quantity: true }
+    });
+
+    return new Map(grouped.map(group => [group.productId, group._sum.quantity || 0]));
+  }
+
+  /**
+   * Get on-hand / reserved / available quantities for a product
+   * @param {string} productId - Product ID
+   * @param {Object} options - Same options as getReservedQuantities
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object|null>} Availability or null if product is not in warehouse
+   */
+  async getAvailability(productId, options = {}, client = prisma) {
+    const warehouseItem = await client.warehouseItem.findUnique({
+      where: { productId },
+      include: { product: { select: { name: true, unit: true } } }
+    });
+
+    if (!warehouseItem) {
+      return null;
+    }
+
+    const reserved = await this.getReservedQuantities([productId], options, client);
+
+    return this.buildAvailability(warehouseItem, reserved.get(productId) || 0);
+  }
+
+  /**
+   * Combine a warehouse item with its reserved quantity
+   * @param {Object} warehouseItem - Warehouse item (with optional product)
+   * @param {number} reservedQuantity - Reserved quantity
+   * @returns {Object} Availability
+   */
+  buildAvailability(warehouseItem, reservedQuantity) {
+    return {
+      productId: warehouseItem.productId,
+      productName: warehouseItem.product?.name,
+      unit: warehouseItem.product?.unit,
+      onHand: warehouseItem.quantity,
+      reserved: reservedQuantity,
+      available: Math.max(0, warehouseItem.quantity - reservedQuantity)
+    };
+  }
+
+  /**
+   * Reserve stock for every item of an order.
+   * Existing active reservations of the order are replaced, so the call is safe
+   * to repeat after the order items change.
+   * @param {Object} order - Order with items
+   * @param {Object} options - Additional options
+   * @param {Date|null} options.expiresAt - Expiry date (null - until shipment)
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object[]>} Created reservations
+   */
+  async reserveOrder(order, options = {}, client = prisma) {
+    const expiresAt = options.expiresAt !== undefined ? options.expiresAt : this.getDefaultExpiryDate();
+
+    // Суммируем позиции по товару - в заявке товар может повторяться
+    const quantities = new Map();
+    for (const item of order.items) {
+      quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+    }
+
+    const productIds = Array.from(quantities.keys());
+    const [warehouseItems, reserved] = await Promise.all([
+      client.warehouseItem.findMany({
+        where: { productId: { in: productIds } },
+        include: { product: { select: { name: true, unit: true } } }
+      }),
+      this.getReservedQuantities(productIds, { excludeOrderId: order.id }, client)
+    ]);
+
+    for (const [productId, quantity] of quantities) {
+      const warehouseItem = warehouseItems.find(item => item.productId === productId);
+      const onHand = warehouseItem?.quantity || 0;
+      const available = Math.max(0, onHand - (reserved.get(productId) || 0));
+
+      if (quantity > available) {
+        const error = new Error(
+          `Недостаточно свободного товара "${warehouseItem?.product.name || productId}" для резерва. ` +
+          `На складе: ${onHand}, в резерве: ${reserved.get(productId) || 0}, доступно: ${available}, требуется: ${quantity}`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    await this.releaseOrder(order.id, 'Резерв пересоздан', client);
+
+    const reservations = [];
+    for (const [productId, quantity] of quantities) {
+      reservations.push(await client.stockReservation.create({
+        data: {
+          orderId: order.id,
+          productId,
+          quantity,
+          expiresAt
+        }
+      }));
+    }
+
+    logBusinessEvent('stock_reserved', null, {
+      orderId: order.id,
+      items: reservations.length,
+      expiresAt
+    });
+
+    return reservations;
+  }
+
+  /**
+   * Re-reserve an order after its items changed, keeping the current expiry.
+   * Orders without active reservations are left untouched.
+   * @param {Object} order - Order with (new) items
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object[]>} Created reservations
+   */
+  async refreshOrder(order, client = prisma) {
+    const current = await client.stockReservation.findFirst({
+      where: { orderId: order.id, status: 'ACTIVE' }
+    });
+
+    if (!current) {
+      return [];
+    }
+
+    return this.reserveOrder(order, { expiresAt: current.expiresAt }, client);
+  }
+
+  /**
+   * Release active reservations of an order
+   * @param {string} orderId - Order ID
+   * @param {string} reason - Release reason
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<number>} Number of released reservations
+   */
+  async releaseOrder(orderId, reason, client = prisma) {
+    const result = await client.stockReservation.updateMany({
+      where: { orderId, status: 'ACTIVE' },
+      data: {
+        status: 'RELEASED',
+        releasedAt: new Date(),
+        releaseReason: reason
+      }
+    });
+
+    if (result.count > 0) {
+      logBusinessEvent('stock_reservation_released', null, { orderId, reason, count: result.count });
+    }
+
+    return result.count;
+  }
+
+  /**
+   * Mark active reservations of an order as consumed by shipment
+   * @param {string} orderId - Order ID
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<number>} Number of consumed reservations
+   */
+  async consumeOrder(orderId, client = prisma) {
+    const result = await client.stockReservation.updateMany({
+      where: { orderId, status: 'ACTIVE' },
+      data: {
+        status: 'CONSUMED',
+        releasedAt: new Date(),
+        releaseReason: 'Отгружено'
+      }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Sync reservations with an order status change
+   * @param {Object} order - Order with items (state before the change)
+   * @param {string} newStatus - New order status
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<void>}
+   */
+  async syncWithOrderStatus(order, newStatus, client = prisma) {
+    if (newStatus === 'PROPOSAL_ACCEPTED') {
+      await this.reserveOrder(order, {}, client);
+    } else if (['PAID', 'FOR_SHIPMENT_UNPAID'].includes(newStatus)) {
+      // Оплаченная (или одобренная к отгрузке) заявка держит резерв до отгрузки
+      await this.reserveOrder(order, { expiresAt: null }, client);
+    } else if (newStatus === 'SHIPPED') {
+      await this.consumeOrder(order.id, client);
+    } else if (!RESERVING_STATUSES.includes(newStatus)) {
+      await this.releaseOrder(order.id, `Статус заявки изменен на ${newStatus}`, client);
+    }
+  }
+
+  /**
+   * Mark overdue reservations as expired
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<number>} Number of expired reservations
+   */
+  async expireReservations(client = prisma) {
+    try {
+      const result = await client.stockReservation.updateMany({
+        where: {
+          status: 'ACTIVE',
+          expiresAt: { lte: new Date() }
+        },
+        data: {
+          status: 'EXPIRED',
+          releasedAt: new Date(),
+          releaseReason: 'Истек срок резерва'
+        }
+      });
+
+      logBusinessEvent('stock_reservations_expired', null, { count: result.count });
+
+      return result.count;
+    } catch (error) {
+      logError(error, null, { operation: 'expire_stock_reservations' });
+      throw error;
+    }
+  }
+
+  /**
+   * List reservations
+   * @param {Object} filters - productId, orderId, status
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>} Reservations with pagination
+   */
+  async getReservations(filters = {}, pagination = {}) {
+    const { productId, orderId, status } = filters;
+    const page = parseInt(pagination.page) || 1;
+    const limit = parseInt(pagination.limit) || 50;
+
+    const where = {};
+    if (productId) where.productId = productId;
+    if (orderId) where.orderId = orderId;
+    if (status) where.status = status;
+
+    const [reservations, total] = await Promise.all([
+      prisma.stockReservation.findMany({
+        where,
+        include: {
+          product: { select: { name: true, unit: true } },
+          order: {
+            select: {
+              number: true,
+              status: true,
+              client: { select: { name: true } }
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.stockReservation.count({ where })
+    ]);
+
+    return {
+      reservations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+const stockReservationService = new StockReservationService();
+
+module.exports = stockReservationService;
@@ -0,0 +1,440 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent, logError } = require('../utils/logger');
+const { nextNumber, withNumberRetry } = require('../utils/numbering');
+const warehouseLocationService = require('./warehouseLocations');
+const costLayerService = require('./costLayers');
+
+const prisma = new PrismaClient();
+
+class StocktakeService {
+  /**
+   * Build an error with HTTP status for invalid session operations
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Parse a JSON array column
+   * @param {string|null} value - Stored JSON
+   * @returns {string[]} Parsed array
+   */
+  parseList(value) {
+    if (!value) return [];
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Get an open session or throw
+   * @param {string} sessionId - Session ID
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Session
+   */
+  async getOpenSession(sessionId, client = prisma) {
+    const session = await client.stocktakeSession.findUnique({ where: { id: sessionId } });
+
+    if (!session) {
+      throw this.createError('Stocktake session not found', 404);
+    }
+
+    if (session.status !== 'OPEN') {
+      throw this.createError(`Stocktake session is ${session.status.toLowerCase()}`);
+    }
+
+    return session;
+  }
+
+  /**
+   * System quantity of a product within the session scope
+   * @param {Object} session - Stocktake session
+   * @param {string} productId - Product ID
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<number>} System quantity
+   */
+  async getSystemQuantity(session, productId, client = prisma) {
+    if (session.locationId) {
+      return warehouseLocationService.getQuantityAt(productId, session.locationId, client);
+    }
+
+    const warehouseItem = await client.warehouseItem.findUnique({ where: { productId } });
+    return warehouseItem ? warehouseItem.quantity : 0;
+  }
+
+  /**
+   * Compare scanned serial numbers with serials the system expects in stock
+   * @param {Object} session - Stocktake session
+   * @param {string} productId - Product ID
+   * @param {string[]} scanned - Scanned serial numbers
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Missing and unexpected serial numbers
+   */
+  async compareSerials(session, productId, scanned, client = prisma) {
+    const where = { productId, status: 'IN_STOCK' };
+
+    if (session.locationId) {
+      const location = await warehouseLocationService.resolveLocation(session.locationId, client);
+      // Серийные номера без ячейки лежат в ячейке по умолчанию
+      where.locationId = location.isDefault ? null : location.id;
+    }
+
+    const expected = await client.serialNumber.findMany({
+      where,
+      select: { serialNumber: true }
+    });
+    const expectedSet = new Set(expected.map(serial => serial.serialNumber));
+    const scannedSet = new Set(scanned);
+
+    return {
+      missing: [...expectedSet].filter(value => !scannedSet.has(value)),
+      unexpected: [...scannedSet].filter(value => !expectedSet.has(value))
+    };
+  }
+
+  /**
+   * Open a new stocktake session
+   * @param {Object} data - locationId, notes
+   * @param {string} userId - User opening the session
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession(data, userId) {
+    try {
+      if (data.locationId) {
+        await warehouseLocationService.resolveLocation(data.locationId);
+      }
+
+      // Две открытые инвентаризации одной области дали бы двойную корректировку
+      const openSession = await prisma.stocktakeSession.findFirst({
+        where: { status: 'OPEN', locationId: data.locationId || null }
+      });
+      if (openSession) {
+        throw this.createError(`Stocktake ${openSession.number} is already open for this scope`);
+      }
+
+      const session = await withNumberRetry(() => prisma.$transaction(async (tx) => tx.stocktakeSession.create({
+        data: {
+          number: await nextNumber(tx.stocktakeSession, 'INV'),
+          locationId: data.locationId || null,
+          notes: data.notes,
+          createdById: userId
+        },
+        include: {
+          location: { include: { warehouse: { select: { name: true } } } },
+          createdBy: { select: { name: true } }
+        }
+      })));
+
+      logBusinessEvent('stocktake_opened', null, { sessionId: session.id, number: session.number, userId });
+
+      return session;
+    } catch (error) {
+      logError(error, null, { operation: 'create_stocktake_session' });
+      throw error;
+    }
+  }
+
+  /**
+   * Enter (or re-enter) the counted quantity of a product
+   * @param {string} sessionId - Session ID
+   * @param {Object} data - productId, countedQuantity, serialNumbers, notes
+   * @param {string} userId - Counting user
+   * @returns {Promise<Object>} Stocktake line
+   */
+  async recordCount(sessionId, data, userId) {
+    const session = await this.getOpenSession(sessionId);
+    const { productId, serialNumbers, notes } = data;
+
+    const product = await prisma.product.findUnique({ where: { id: productId } });
+    if (!product) {
+      throw this.createError('Product not found', 404);
+    }
+
+    // Без количества считаем по отсканированным номерам
+    const countedQuantity = data.countedQuantity !== undefined && data.countedQuantity !== null
+      ? data.countedQuantity
+      : (serialNumbers || []).length;
+
+    if (serialNumbers && new Set(serialNumbers).size !== serialNumbers.length) {
+      throw this.createError('Duplicate serial numbers in count');
+    }
+
+    const systemQuantity = await this.getSystemQuantity(session, productId);
+    const serialCheck = serialNumbers
+      ? await this.compareSerials(session, productId, serialNumbers)
+      : null;
+
+    const lineData = {
+      systemQuantity,
+      countedQuantity,
+      variance: countedQuantity - systemQuantity,
+      scannedSerials: serialNumbers ? JSON.stringify(serialNumbers) : null,
+      missingSerials: serialCheck ? JSON.stringify(serialCheck.missing) : null,
+      unexpectedSerials: serialCheck ? JSON.stringify(serialCheck.unexpected) : null,
+      notes,
+      countedById: userId,
+      countedAt: new Date()
+    };
+
+    const line = await prisma.stocktakeLine.upsert({
+      where: { sessionId_productId: { sessionId, productId } },
+      create: { sessionId, productId, ...lineData },
+      update: lineData,
+      include: {
+        product: { select: { name: true, code: true, unit: true } },
+        countedBy: { select: { name: true } }
+      }
+    });
+
+    return this.formatLine(line);
+  }
+
+  /**
+   * Remove a product from an open session
+   * @param {string} sessionId - Session ID
+   * @param {string} productId - Product ID
+   * @returns {Promise<void>}
+   */
+  async removeLine(sessionId, productId) {
+    await this.getOpenSession(sessionId);
+
+    const result = await prisma.stocktakeLine.deleteMany({ where: { sessionId, productId } });
+    if (result.count === 0) {
+      throw this.createError('Product is not counted in this session', 404);
+    }
+  }
+
+  /**
+   * Convert JSON columns of a line into arrays
+   * @param {Object} line - Stocktake line
+   * @returns {Object} Line for API response
+   */
+  formatLine(line) {
+    return {
+      ...line,
+      scannedSerials: this.parseList(line.scannedSerials),
+      missingSerials: this.parseList(line.missingSerials),
+      unexpectedSerials: this.parseList(line.unexpectedSerials)
+    };
+  }
+
+  /**
+   * Get a session with lines and variance summary.
+   * For open sessions variance is recalculated against current stock.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async getSession(sessionId) {
+    const session = await prisma.stocktakeSession.findUnique({
+      where: { id: sessionId },
+      include: {
+        location: { include: { warehouse: { select: { name: true } } } },
+        createdBy: { select: { name: true } },
+        approvedBy: { select: { name: true } },
+        lines: {
+          include: {
+            product: { select: { name: true, code: true, unit: true, purchasePrice: true } },
+            countedBy: { select: { name: true } }
+          },
+          orderBy: { countedAt: 'asc' }
+        },
+        transactions: {
+          select: { id: true, productId: true, quantity: true, createdAt: true }
+        }
+      }
+    });
+
+    if (!session) {
+      return null;
+    }
+
+    let lines = session.lines.map(line => this.formatLine(line));
+
+    if (session.status === 'OPEN') {
+      lines = await Promise.all(lines.map(async line => {
+        const systemQuantity = await this.getSystemQuantity(session, line.productId);
+        return { ...line, systemQuantity, variance: line.countedQuantity - systemQuantity };
+      }));
+    }
+
+    const withVariance = lines.filter(line => line.variance !== 0);
+
+    return {
+      ...session,
+      lines,
+      summary: {
+        counted: lines.length,
+        withVariance: withVariance.length,
+        surplus: withVariance.filter(line => line.variance > 0).reduce((sum, line) => sum + line.variance, 0),
+        shortage: withVariance.filter(line => line.variance < 0).reduce((sum, line) => sum - line.variance, 0),
+        varianceValue: lines.reduce((sum, line) => sum + line.variance * (line.product.purchasePrice || 0), 0),
+        missingSerials: lines.reduce((sum, line) => sum + line.missingSerials.length, 0),
+        unexpectedSerials: lines.reduce((sum, line) => sum + line.unexpectedSerials.length, 0)
+      }
+    };
+  }
+
+  /**
+   * List sessions
+   * @param {Object} filters - status
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>} Sessions with pagination
+   */
+  async getSessions(filters = {}, pagination = {}) {
+    const page = parseInt(pagination.page) || 1;
+    const limit = parseInt(pagination.limit) || 20;
+    const where = filters.status ? { status: filters.status } : {};
+
+    const [sessions, total] = await Promise.all([
+      prisma.stocktakeSession.findMany({
+        where,
+        include: {
+          location: { include: { warehouse: { select: { name: true } } } },
+          createdBy: { select: { name: true } },
+          approvedBy: { select: { name: true } },
+          _count: { select: { lines: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.stocktakeSession.count({ where })
+    ]);
+
+    return {
+      sessions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Approve a session: fix variances against current stock and post
+   * INVENTORY transactions, all in one database transaction
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Approving user
+   * @param {Object} client - Prisma client
+   * @returns {Promise<Object>} Approved session with posted transactions
+   */
+  async approveSession(sessionId, userId, client = prisma) {
+    try {
+      const result = await client.$transaction(async (tx) => {
+        const session = await this.getOpenSession(sessionId, tx);
+        const lines = await tx.stocktakeLine.findMany({
+          where: { sessionId },
+          include: { product: { select: { name: true, unit: true } } }
+        });
+
+        if (lines.length === 0) {
+          throw this.createError('Stocktake session has no counted products');
+        }
+
+        const transactions = [];
+
+        for (const line of lines) {
+          const systemQuantity = await this.getSystemQuantity(session, line.productId, tx);
+          const variance = line.countedQuantity - systemQuantity;
+
+          await tx.stocktakeLine.update({
+            where: { id: line.id },
+            data: { systemQuantity, variance }
+          });
+
+          if (variance === 0) {
+            continue;
+          }
+
+          if (!session.locationId) {
+            const allocated = await warehouseLocationService.getAllocatedQuantity(line.productId, tx);
+            if (line.countedQuantity < allocated) {
+              throw this.createError(
+                `Counted quantity of "${line.product.name}" is less than stock allocated to storage locations (${allocated} ${line.product.unit})`
+              );
+            }
+          }
+
+          await tx.warehouseItem.upsert({
+            where: { productId: line.productId },
+            create: { productId: line.productId, quantity: variance },
+            update: { quantity: { increment: variance } }
+          });
+          await warehouseLocationService.adjust(line.productId, session.locationId, variance, tx);
+
+          const transaction = await tx.transaction.create({
+            data: {
+              productId: line.productId,
+              userId,
+              type: 'INVENTORY',
+              quantity: line.countedQuantity, // Пересчитанный остаток, как в POST /warehouse/transactions
+              locationId: session.locationId,
+              stocktakeId: session.id,
+              reason: `Инвентаризация ${session.number}`
+            }
+          });
+          await costLayerService.recordMovement(line.productId, variance, {
+            transactionId: transaction.id,
+            sourceType: 'INVENTORY'
+          }, tx);
+          transactions.push(transaction);
+        }
+
+        const approved = await tx.stocktakeSession.update({
+          where: { id: sessionId },
+          data: {
+            status: 'APPROVED',
+            approvedById: userId,
+            approvedAt: new Date()
+          }
+        });
+
+        return { session: approved, transactions };
+      });
+
+      logBusinessEvent('stocktake_approved', null, {
+        sessionId,
+        number: result.session.number,
+        adjustments: result.transactions.length,
+        userId
+      });
+
+      return result;
+    } catch (error) {
+      logError(error, null, { operation: 'approve_stocktake_session', sessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an open session without touching stock
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Cancelled session
+   */
+  async cancelSession(sessionId) {
+    await this.getOpenSession(sessionId);
+
+    const session = await prisma.stocktakeSession.update({
+      where: { id: sessionId },
+      data: { status: 'CANCELLED', cancelledAt: new Date() }
+    });
+
+    logBusinessEvent('stocktake_cancelled', null, { sessionId, number: session.number });
+
+    return session;
+  }
+}
+
+const stocktakeService = new StocktakeService();
+
+module.exports = stocktakeService;
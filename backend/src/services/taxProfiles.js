@@ -0,0 +1,301 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent } = require('../utils/logger');
+const { TAX_REGIMES, DEFAULT_TAXES, calculateProfitabilityMetrics } = require('../utils/profitability');
+const companyTemplatesService = require('./companyTemplates');
+
+const prisma = new PrismaClient();
+
+// Налоговые поля расчета
+const TAX_FIELDS = ['taxRegime', 'vatPercent', 'incomeTaxPercent', 'pricesIncludeVat'];
+
+class TaxProfileService {
+  /**
+   * Build an error with HTTP status
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status
+   * @returns {Error} Error with statusCode
+   */
+  createError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Tax profiles
+   * @param {Object} filters - companyCode ('default' - profiles without company), includeInactive
+   * @returns {Promise<Object[]>} Profiles, newest first within a company
+   */
+  async getProfiles(filters = {}) {
+    const where = filters.includeInactive ? {} : { isActive: true };
+
+    if (filters.companyCode) {
+      where.companyCode = filters.companyCode === 'default' ? null : filters.companyCode;
+    }
+
+    return prisma.taxProfile.findMany({
+      where,
+      orderBy: [{ companyCode: 'asc' }, { validFrom: 'desc' }]
+    });
+  }
+
+  /**
+   * Get a tax profile
+   * @param {string} id - Profile ID
+   * @returns {Promise<Object>} Profile
+   */
+  async getProfile(id) {
+    const profile = await prisma.taxProfile.findUnique({ where: { id } });
+
+    if (!profile) {
+      throw this.createError('Налоговый профиль не найден', 404);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Check profile fields that Joi can't check alone
+   * @param {Object} data - Profile data (merged with the stored profile on update)
+   * @returns {Promise<void>}
+   */
+  async validateProfile(data) {
+    if (!TAX_REGIMES.includes(data.regime)) {
+      throw this.createError(`Regime must be one of: ${TAX_REGIMES.join(', ')}`);
+    }
+
+    if (data.validTo && new Date(data.validTo) < new Date(data.validFrom)) {
+      throw this.createError('Дата окончания действия раньше даты начала');
+    }
+
+    if (data.companyCode) {
+      await companyTemplatesService.getTemplate(data.companyCode, { includeInactive: true });
+    }
+  }
+
+  /**
+   * Create a tax profile
+   * @param {Object} data - name, companyCode, regime, vatPercent, pricesIncludeVat, incomeTaxPercent, validFrom, validTo
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Created profile
+   */
+  async createProfile(data, userId) {
+    const profile = { regime: 'GENERAL', ...data };
+    await this.validateProfile(profile);
+
+    const created = await prisma.taxProfile.create({
+      data: {
+        ...profile,
+        validFrom: new Date(profile.validFrom),
+        validTo: profile.validTo ? new Date(profile.validTo) : null,
+        createdById: userId
+      }
+    });
+
+    logBusinessEvent('tax_profile_created', null, {
+      profileId: created.id,
+      companyCode: created.companyCode,
+      regime: created.regime,
+      userId
+    });
+
+    return created;
+  }
+
+  /**
+   * Update a tax profile. Stored calculations keep their taxes until recalculated.
+   * @param {string} id - Profile ID
+   * @param {Object} data - Fields to change
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Updated profile
+   */
+  async updateProfile(id, data, userId) {
+    const existing = await this.getProfile(id);
+    await this.validateProfile({ ...existing, ...data });
+
+    const updated = await prisma.taxProfile.update({
+      where: { id },
+      data: {
+        ...data,
+        ...(data.validFrom && { validFrom: new Date(data.validFrom) }),
+        ...(data.validTo !== undefined && { validTo: data.validTo ? new Date(data.validTo) : null })
+      }
+    });
+
+    logBusinessEvent('tax_profile_updated', null, { profileId: id, userId, fields: Object.keys(data) });
+
+    return updated;
+  }
+
+  /**
+   * Deactivate a tax profile. Calculations keep the link for history.
+   * @param {string} id - Profile ID
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} Deactivated profile
+   */
+  async deactivateProfile(id, userId) {
+    await this.getProfile(id);
+
+    const profile = await prisma.taxProfile.update({ where: { id }, data: { isActive: false } });
+
+    logBusinessEvent('tax_profile_deactivated', null, { profileId: id, userId });
+
+    return profile;
+  }
+
+  /**
+   * Profile in effect for a selling company on a date. Falls back to the default
+   * profile (without company) when the company has none.
+   * @param {string} sellingCompany - Calculation sellingCompany (name or template code)
+   * @param {Date} date - Calculation date
+   * @returns {Promise<Object|null>} Profile or null
+   */
+  async findEffectiveProfile(sellingCompany, date = new Date()) {
+    const template = await companyTemplatesService.findBySellingCompany(sellingCompany);
+    const when = new Date(date);
+
+    for (const companyCode of [...(template ? [template.id] : []), null]) {
+      const profile = await prisma.taxProfile.findFirst({
+        where: {
+          companyCode,
+          isActive: true,
+          validFrom: { lte: when },
+          OR: [{ validTo: null }, { validTo: { gte: when } }]
+        },
+        orderBy: { validFrom: 'desc' }
+      });
+
+      if (profile) {
+        return profile;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Calculation tax fields from a profile
+   * @param {Object} profile - TaxProfile
+   * @returns {Object} taxProfileId, taxRegime, vatPercent, incomeTaxPercent, pricesIncludeVat
+   */
+  toCalculationFields(profile) {
+    return {
+      taxProfileId: profile.id,
+      taxRegime: profile.regime,
+      vatPercent: profile.vatPercent,
+      incomeTaxPercent: profile.incomeTaxPercent,
+      pricesIncludeVat: profile.pricesIncludeVat
+    };
+  }
+
+  /**
+   * Whether the data sets taxes explicitly
+   * @param {Object} data - Calculation data
+   * @returns {boolean} True when a profile or any tax field is given
+   */
+  hasTaxInput(data) {
+    return Boolean(data.taxProfileId) || TAX_FIELDS.some(field => data[field] !== undefined);
+  }
+
+  /**
+   * Taxes of a calculation. A chosen profile wins, then rates entered manually
+   * (missing ones taken from `current`), then the selling company profile in effect
+   * on the date, then the defaults.
+   * @param {Object} data - taxProfileId, tax fields, sellingCompany
+   * @param {Object} options - date (calculation date), current (taxes to keep for fields not entered)
+   * @returns {Promise<Object>} Calculation tax fields
+   */
+  async resolveTaxes(data, options = {}) {
+    const { date = new Date(), current = DEFAULT_TAXES } = options;
+
+    if (data.taxProfileId) {
+      const profile = await this.getProfile(data.taxProfileId);
+      return this.toCalculationFields(profile);
+    }
+
+    if (TAX_FIELDS.some(field => data[field] !== undefined)) {
+      const taxes = { taxProfileId: null };
+      for (const field of TAX_FIELDS) {
+        taxes[field] = data[field] !== undefined ? data[field] : (current[field] ?? DEFAULT_TAXES[field]);
+      }
+      return taxes;
+    }
+
+    const profile = await this.findEffectiveProfile(data.sellingCompany, date);
+
+    return profile
+      ? this.toCalculationFields(profile)
+      : { taxProfileId: null, ...DEFAULT_TAXES };
+  }
+
+  /**
+   * Recalculate stored calculations with the tax profiles in effect on their dates
+   * (or with one chosen profile). Calculations without a profile to apply are skipped.
+   * @param {Object} filters - calculationIds, sellingCompany, dateFrom, dateTo, taxProfileId, dryRun
+   * @param {string} userId - User running the recalculation
+   * @returns {Promise<Object>} { updated, skipped, dryRun, changes }
+   */
+  async recalculate(filters, userId) {
+    const where = {};
+    if (filters.calculationIds?.length > 0) where.id = { in: filters.calculationIds };
+    if (filters.sellingCompany) where.sellingCompany = filters.sellingCompany;
+    if (filters.dateFrom || filters.dateTo) {
+      where.createdAt = {
+        ...(filters.dateFrom && { gte: new Date(filters.dateFrom) }),
+        ...(filters.dateTo && { lte: new Date(filters.dateTo) })
+      };
+    }
+
+    const forced = filters.taxProfileId ? await this.getProfile(filters.taxProfileId) : null;
+    const calculations = await prisma.calculation.findMany({ where });
+
+    const changes = [];
+    let skipped = 0;
+
+    for (const calculation of calculations) {
+      const profile = forced || await this.findEffectiveProfile(calculation.sellingCompany, calculation.createdAt);
+
+      if (!profile) {
+        skipped++;
+        continue;
+      }
+
+      const taxes = this.toCalculationFields(profile);
+      const metrics = calculateProfitabilityMetrics({ ...calculation, ...taxes });
+
+      changes.push({
+        id: calculation.id,
+        name: calculation.name,
+        taxProfileId: profile.id,
+        before: { netProfit: calculation.netProfit, profitabilityPercent: calculation.profitabilityPercent },
+        after: { netProfit: metrics.netProfit, profitabilityPercent: metrics.profitabilityPercent },
+        data: { ...taxes, ...metrics }
+      });
+    }
+
+    if (!filters.dryRun && changes.length > 0) {
+      await prisma.$transaction(changes.map(change => prisma.calculation.update({
+        where: { id: change.id },
+        data: change.data
+      })));
+
+      logBusinessEvent('calculations_tax_recalculated', null, {
+        userId,
+        updated: changes.length,
+        skipped,
+        taxProfileId: forced?.id || null
+      });
+    }
+
+    return {
+      updated: filters.dryRun ? 0 : changes.length,
+      skipped,
+      dryRun: Boolean(filters.dryRun),
+      changes: changes.map(({ data, ...change }) => change)
+    };
+  }
+}
+
+const taxProfileService = new TaxProfileService();
+
+module.exports = taxProfileService;
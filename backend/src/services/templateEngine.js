@@ -0,0 +1,463 @@
+// Template engine for contract documents
+//
+// {name}, {client.name}           - variable (dotted path)
+// {totalAmount | money}           - variable with filters: money, number, words[:currency], date[:long], upper, default:text;
+//                                   a filter argument is a variable when such variable exists, "quoted" is always literal
+// {#if name}...{#else}...{/if}    - conditional, {#if !name} for negation; empty strings and arrays are false
+// {#each items}...{/each}         - loop; item fields are available by name, {@number} is 1-based, {@index} 0-based
+//
+// Block tags on a line of their own do not leave an empty line in the output.
+
+const MONTHS = [
+  'января', 'февраля', 'марта', 'апреля', 'мая', 'июня',
+  'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря'
+];
+
+const UNITS = ['', 'один', 'два', 'три', 'четыре', 'пять', 'шесть', 'семь', 'восемь', 'девять'];
+const UNITS_FEMININE = ['', 'одна', 'две', 'три', 'четыре', 'пять', 'шесть', 'семь', 'восемь', 'девять'];
+const TEENS = [
+  'десять', 'одиннадцать', 'двенадцать', 'тринадцать', 'четырнадцать',
+  'пятнадцать', 'шестнадцать', 'семнадцать', 'восемнадцать', 'девятнадцать'
+];
+const TENS = ['', '', 'двадцать', 'тридцать', 'сорок', 'пятьдесят', 'шестьдесят', 'семьдесят', 'восемьдесят', 'девяносто'];
+const HUNDREDS = ['', 'сто', 'двести', 'триста', 'четыреста', 'пятьсот', 'шестьсот', 'семьсот', 'восемьсот', 'девятьсот'];
+
+// Разряды: формы для 1, 2-4, 5-20 и род
+const SCALES = [
+  { forms: ['', '', ''], feminine: false },
+  { forms: ['тысяча', 'тысячи', 'тысяч'], feminine: true },
+  { forms: ['миллион', 'миллиона', 'миллионов'], feminine: false },
+  { forms: ['миллиард', 'миллиарда', 'миллиардов'], feminine: false },
+  { forms: ['триллион', 'триллиона', 'триллионов'], feminine: false }
+];
+
+const CURRENCIES = {
+  RUB: { major: ['рубль', 'рубля', 'рублей'], minor: ['копейка', 'копейки', 'копеек'], feminine: false },
+  USD: { major: ['доллар США', 'доллара США', 'долларов США'], minor: ['цент', 'цента', 'центов'], feminine: false },
+  EUR: { major: ['евро', 'евро', 'евро'], minor: ['цент', 'цента', 'центов'], feminine: false },
+  CNY: { major: ['юань', 'юаня', 'юаней'], minor: ['фэнь', 'фэня', 'фэней'], feminine: false }
+};
+
+const TAG_PATTERN = /\{([^{}\n]+)\}/g;
+const VARIABLE_PATTERN = /^@?[\w.]+$/;
+
+/**
+ * Template syntax error with the line of the template
+ */
+function createTemplateError(message, line) {
+  const error = new Error(line ? `${message} (line ${line})` : message);
+  error.statusCode = 400;
+  error.line = line || null;
+  return error;
+}
+
+/**
+ * Russian plural form for a number: 1 рубль, 2 рубля, 5 рублей
+ */
+function pluralize(number, forms) {
+  const value = Math.abs(number) % 100;
+  if (value >= 11 && value <= 19) {
+    return forms[2];
+  }
+
+  const last = value % 10;
+  if (last === 1) {
+    return forms[0];
+  }
+  if (last >= 2 && last <= 4) {
+    return forms[1];
+  }
+  return forms[2];
+}
+
+/**
+ * Words for 1..999
+ */
+function tripletToWords(number, feminine) {
+  const words = [HUNDREDS[Math.floor(number / 100)]];
+  const rest = number % 100;
+
+  if (rest >= 10 && rest < 20) {
+    words.push(TEENS[rest - 10]);
+  } else {
+    words.push(TENS[Math.floor(rest / 10)]);
+    words.push((feminine ? UNITS_FEMININE : UNITS)[rest % 10]);
+  }
+
+  return words.filter(Boolean).join(' ');
+}
+
+/**
+ * Integer in Russian words: 21 -> "двадцать один" (feminine: "двадцать одна")
+ */
+function numberToWords(value, feminine = false) {
+  let number = Math.trunc(Number(value));
+  if (!Number.isFinite(number)) {
+    return '';
+  }
+  if (number === 0) {
+    return 'ноль';
+  }
+
+  const negative = number < 0;
+  number = Math.abs(number);
+
+  const words = [];
+  for (let scale = 0; number > 0; scale++) {
+    const triplet = number % 1000;
+    number = Math.floor(number / 1000);
+
+    if (triplet === 0) {
+      continue;
+    }
+    if (scale >= SCALES.length) {
+      throw createTemplateError('Number is too large to convert to words');
+    }
+
+    const { forms, feminine: scaleFeminine } = SCALES[scale];
+    const part = [tripletToWords(triplet, scale === 0 ? feminine : scaleFeminine), pluralize(triplet, forms)];
+    words.unshift(part.filter(Boolean).join(' '));
+  }
+
+  return `${negative ? 'минус ' : ''}${words.join(' ')}`;
+}
+
+/**
+ * Amount in words for contracts: 12000.5 -> "Двенадцать тысяч рублей 50 копеек"
+ */
+function amountToWords(value, currency = 'RUB') {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) {
+    return '';
+  }
+
+  const minorTotal = Math.round(Math.abs(amount) * 100);
+  const major = Math.floor(minorTotal / 100) * (amount < 0 ? -1 : 1);
+  const minor = minorTotal % 100;
+  const forms = CURRENCIES[currency];
+
+  const words = numberToWords(major, forms ? forms.feminine : false);
+  const text = forms
+    ? `${words} ${pluralize(major, forms.major)} ${String(minor).padStart(2, '0')} ${pluralize(minor, forms.minor)}`
+    : `${words} ${currency} ${String(minor).padStart(2, '0')}`;
+
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Date for documents: DD.MM.YYYY, or «DD» месяца YYYY г. for the long format
+ */
+function formatDate(value, format = null) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+
+  if (format === 'long') {
+    return `«${String(date.getDate()).padStart(2, '0')}» ${MONTHS[date.getMonth()]} ${date.getFullYear()} г.`;
+  }
+
+  return date.toLocaleDateString('ru-RU');
+}
+
+/**
+ * Amount with two decimals: 12 000,00
+ */
+function formatMoney(value) {
+  return Number(value || 0).toLocaleString('ru-RU', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+const FILTERS = {
+  money: value => formatMoney(value),
+  number: value => Number(value || 0).toLocaleString('ru-RU'),
+  words: (value, currency) => amountToWords(value, currency || 'RUB'),
+  date: (value, format) => formatDate(value, format),
+  upper: value => String(value).toUpperCase(),
+  default: (value, fallback) => (isEmpty(value) ? fallback : value)
+};
+
+/**
+ * Value that counts as missing in output and as false in conditions
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Line number of a position in the template
+ */
+function lineAt(template, index) {
+  return template.slice(0, index).split('\n').length;
+}
+
+/**
+ * "{name | filter:arg | ...}" -> { path, filters }
+ */
+function parseExpression(expression, line) {
+  const [path, ...filterParts] = expression.split('|').map(part => part.trim());
+
+  const filters = filterParts.map(part => {
+    const separator = part.indexOf(':');
+    const name = separator === -1 ? part : part.slice(0, separator).trim();
+    const arg = separator === -1 ? null : part.slice(separator + 1).trim();
+    const quoted = arg !== null && /^".*"$/.test(arg);
+
+    if (!FILTERS[name]) {
+      throw createTemplateError(`Unknown filter "${name}"`, line);
+    }
+
+    return { name, arg: quoted ? arg.slice(1, -1) : arg, quoted };
+  });
+
+  return { path, filters };
+}
+
+/**
+ * Parse a template into a tree of text, variable, if and each nodes
+ */
+function parseTemplate(template) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.type === 'if' && node.inElse ? node.otherwise : node.children;
+  };
+
+  let position = 0;
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const tag = match[1].trim();
+    const line = lineAt(template, match.index);
+    const isBlock = tag.startsWith('#') || tag.startsWith('/');
+
+    if (!isBlock && !VARIABLE_PATTERN.test(tag.split('|')[0].trim())) {
+      continue; // Фигурные скобки в тексте договора
+    }
+
+    let text = template.slice(position, match.index);
+    let end = match.index + match[0].length;
+
+    if (isBlock) {
+      // Тег на отдельной строке убирается вместе со строкой
+      const lineStart = text.lastIndexOf('\n') + 1;
+      const atLineStart = lineStart > 0 || position === 0 || template[position - 1] === '\n';
+      const after = /^[ \t]*(\r?\n|$)/.exec(template.slice(end));
+      if (after && atLineStart && /^[ \t]*$/.test(text.slice(lineStart))) {
+        text = text.slice(0, lineStart);
+        end += after[0].length;
+      }
+    }
+
+    if (text) {
+      current().push({ type: 'text', value: text });
+    }
+    position = end;
+    TAG_PATTERN.lastIndex = end;
+
+    if (!isBlock) {
+      current().push({ type: 'variable', line, ...parseExpression(tag, line) });
+      continue;
+    }
+
+    const [keyword, argument] = tag.split(/\s+/);
+
+    if (keyword === '#if' || keyword === '#each') {
+      if (!argument || !VARIABLE_PATTERN.test(argument.replace(/^!/, ''))) {
+        throw createTemplateError(`${keyword} requires a variable`, line);
+      }
+
+      const node = keyword === '#if'
+        ? { type: 'if', line, negate: argument.startsWith('!'), path: argument.replace(/^!/, ''), children: [], otherwise: [], inElse: false }
+        : { type: 'each', line, path: argument, children: [] };
+
+      current().push(node);
+      stack.push(node);
+    } else if (keyword === '#else') {
+      const node = stack[stack.length - 1];
+      if (node.type !== 'if' || node.inElse) {
+        throw createTemplateError('{#else} outside of {#if}', line);
+      }
+      node.inElse = true;
+    } else if (keyword === '/if' || keyword === '/each') {
+      const node = stack[stack.length - 1];
+      if (node.type !== keyword.slice(1)) {
+        throw createTemplateError(`Unexpected {${keyword}}`, line);
+      }
+      stack.pop();
+    } else {
+      throw createTemplateError(`Unknown block {${tag}}`, line);
+    }
+  }
+
+  if (stack.length > 1) {
+    const node = stack[stack.length - 1];
+    throw createTemplateError(`{#${node.type}} is not closed`, node.line);
+  }
+
+  const rest = template.slice(position);
+  if (rest) {
+    root.children.push({ type: 'text', value: rest });
+  }
+
+  return root.children;
+}
+
+/**
+ * Resolve a dotted path in the scope chain (innermost loop item first)
+ */
+function lookup(scopes, path) {
+  const [head, ...rest] = path.split('.');
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope && typeof scope === 'object' && head in scope) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[head]);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Name of a missing variable; loop item fields are reported as items[].name
+ */
+function missingName(scopes, loops, path) {
+  const head = path.split('.')[0];
+  return loops.length > 0 && !(head in scopes[0]) ? `${loops.join('[].')}[].${path}` : path;
+}
+
+/**
+ * Render nodes, collecting variables that resolved to empty values
+ */
+function renderNodes(nodes, scopes, missing, loops = []) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'variable': {
+        const value = node.filters.reduce((result, filter) => {
+          if (filter.name !== 'default' && isEmpty(result)) {
+            return result;
+          }
+
+          const variable = filter.quoted || filter.arg === null ? undefined : lookup(scopes, filter.arg);
+          return FILTERS[filter.name](result, isEmpty(variable) ? filter.arg : variable);
+        }, lookup(scopes, node.path));
+
+        if (isEmpty(value)) {
+          missing.push({ name: missingName(scopes, loops, node.path), line: node.line });
+          return '';
+        }
+        return String(value);
+      }
+
+      case 'if': {
+        const value = lookup(scopes, node.path);
+        const condition = !isEmpty(value) && value !== false;
+        return renderNodes(condition !== node.negate ? node.children : node.otherwise, scopes, missing, loops);
+      }
+
+      case 'each': {
+        const items = lookup(scopes, node.path);
+        if (!Array.isArray(items) || items.length === 0) {
+          missing.push({ name: missingName(scopes, loops, node.path), line: node.line });
+          return '';
+        }
+
+        return items.map((item, index) =>
+          renderNodes(node.children, [...scopes, { '@index': index, '@number': index + 1 }, item], missing, [...loops, node.path])
+        ).join('');
+      }
+
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Render a template and report empty variables: { text, missing: [{ name, line }] }
+ */
+function evaluateTemplate(template, variables) {
+  const missing = [];
+  const text = renderNodes(parseTemplate(template), [variables], missing);
+
+  const unique = [];
+  for (const item of missing) {
+    if (!unique.some(existing => existing.name === item.name)) {
+      unique.push(item);
+    }
+  }
+
+  return { text: text.trim(), missing: unique };
+}
+
+/**
+ * Render a template; empty variables are rendered as empty strings
+ */
+function renderTemplate(template, variables) {
+  return evaluateTemplate(template, variables).text;
+}
+
+/**
+ * Check a template against variables before generating a document:
+ * syntax errors and variables that would be rendered empty (skipped branches are not checked)
+ */
+function validateTemplate(template, variables) {
+  try {
+    const { missing } = evaluateTemplate(template, variables);
+    return { valid: missing.length === 0, errors: [], missing };
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    return { valid: false, errors: [{ message: error.message, line: error.line }], missing: [] };
+  }
+}
+
+/**
+ * Top-level variables used by a template (loop item fields are not included)
+ */
+function collectVariables(template) {
+  const variables = new Set();
+
+  const visit = (nodes, inLoop) => {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        continue;
+      }
+      if (!inLoop && !node.path.startsWith('@')) {
+        variables.add(node.path.split('.')[0]);
+      }
+      if (node.type === 'if') {
+        visit(node.children, inLoop);
+        visit(node.otherwise, inLoop);
+      } else if (node.type === 'each') {
+        visit(node.children, true);
+      }
+    }
+  };
+
+  visit(parseTemplate(template), false);
+
+  return [...variables];
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  evaluateTemplate,
+  validateTemplate,
+  collectVariables,
+  numberToWords,
+  amountToWords,
+  formatDate,
+  formatMoney
+};
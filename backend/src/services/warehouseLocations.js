@@ -0,0 +1,373 @@
+const { PrismaClient } = require('@prisma/client');
+const { logBusinessEvent, logError } = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Storage locations (bins) and per-location stock.
+ *
+ * WarehouseItem.quantity stays the product total across all warehouses, so existing
+ * code that only knows about the total keeps working. LocationStock rows are kept
+ * for every bin except the default one: the default bin holds whatever part of the
+ * total is not allocated to other bins.
+ */
+class WarehouseLocationService {
+  constructor() {
+    this.defaultWarehouseName = process.env.DEFAULT_WAREHOUSE_NAME || 'Основной склад';
+    this.defaultLocationCode = process.env.DEFAULT_LOCATION_CODE || 'MAIN';
+  }
+
+  /**
+   * Get (or create on first use) the default bin of the default warehouse.
+   * prisma/seed.js creates it upfront; creation here goes through the unique
+   * warehouse code and (warehouseId, code) keys, so concurrent first calls end
+   * up with the same rows.
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Default storage location with warehouse
+   */
+  async getDefaultLocation(client = prisma) {
+    const existing = await client.storageLocation.findFirst({
+      where: { isDefault: true },
+      include: { warehouse: true }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      const warehouse = await client.warehouse.findFirst({ where: { isDefault: true } }) ||
+        await client.warehouse.upsert({
+          where: { code: this.defaultLocationCode },
+          create: {
+            name: this.defaultWarehouseName,
+            code: this.defaultLocationCode,
+            isDefault: true
+          },
+          update: { isDefault: true }
+        });
+
+      const location = await client.storageLocation.upsert({
+        where: { warehouseId_code: { warehouseId: warehouse.id, code: this.defaultLocationCode } },
+        create: {
+          warehouseId: warehouse.id,
+          code: this.defaultLocationCode,
+          name: 'Нераспределенный остаток',
+          isDefault: true
+        },
+        update: { isDefault: true },
+        include: { warehouse: true }
+      });
+
+      logBusinessEvent('default_storage_location_created', null, { locationId: location.id });
+
+      return location;
+    } catch (error) {
+      // Параллельный запрос успел создать склад или ячейку - берем созданную им запись
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+
+      return client.storageLocation.findFirst({
+        where: { isDefault: true },
+        include: { warehouse: true }
+      });
+    }
+  }
+
+  /**
+   * Resolve a location id, falling back to the default bin
+   * @param {string|null} locationId - Requested location ID
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Active storage location
+   */
+  async resolveLocation(locationId, client = prisma) {
+    if (!locationId) {
+      return this.getDefaultLocation(client);
+    }
+
+    const location = await client.storageLocation.findUnique({
+      where: { id: locationId },
+      include: { warehouse: true }
+    });
+
+    if (!location || !location.isActive || !location.warehouse.isActive) {
+      const error = new Error('Место хранения не найдено или неактивно');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return location;
+  }
+
+  /**
+   * Quantities of products by location, including the implicit default bin
+   * @param {string[]|null} productIds - Limit to these products (null - all)
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Map<string, Object[]>>} productId -> [{ locationId, quantity }]
+   */
+  async getLocationQuantities(productIds = null, client = prisma) {
+    const productWhere = productIds ? { productId: { in: productIds } } : {};
+    const defaultLocation = await this.getDefaultLocation(client);
+
+    const [warehouseItems, rows] = await Promise.all([
+      client.warehouseItem.findMany({
+        where: productWhere,
+        select: { productId: true, quantity: true }
+      }),
+      client.locationStock.findMany({
+        where: {
+          ...productWhere,
+          locationId: { not: defaultLocation.id },
+          quantity: { not: 0 }
+        },
+        select: { productId: true, locationId: true, quantity: true }
+      })
+    ]);
+
+    const result = new Map();
+    for (const item of warehouseItems) {
+      const allocated = rows.filter(row => row.productId === item.productId);
+      const allocatedTotal = allocated.reduce((sum, row) => sum + row.quantity, 0);
+
+      result.set(item.productId, [
+        { locationId: defaultLocation.id, quantity: item.quantity - allocatedTotal },
+        ...allocated.map(row => ({ locationId: row.locationId, quantity: row.quantity }))
+      ]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Quantity of a product in one location
+   * @param {string} productId - Product ID
+   * @param {string|null} locationId - Location ID (null - default bin)
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<number>} Quantity
+   */
+  async getQuantityAt(productId, locationId, client = prisma) {
+    const location = await this.resolveLocation(locationId, client);
+    const quantities = await this.getLocationQuantities([productId], client);
+    const entry = (quantities.get(productId) || []).find(row => row.locationId === location.id);
+
+    return entry ? entry.quantity : 0;
+  }
+
+  /**
+   * Quantity of a product allocated to bins other than the default one
+   * @param {string} productId - Product ID
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<number>} Allocated quantity
+   */
+  async getAllocatedQuantity(productId, client = prisma) {
+    const defaultLocation = await this.getDefaultLocation(client);
+    const result = await client.locationStock.aggregate({
+      where: { productId, locationId: { not: defaultLocation.id } },
+      _sum: { quantity: true }
+    });
+
+    return result._sum.quantity || 0;
+  }
+
+  /**
+   * Change the quantity of a product in a location.
+   * Only LocationStock is touched: the caller keeps WarehouseItem.quantity in sync,
+   * the default bin follows it automatically.
+   * @param {string} productId - Product ID
+   * @param {string|null} locationId - Location ID (null - default bin)
+   * @param {number} delta - Quantity change
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Resolved location
+   */
+  async adjust(productId, locationId, delta, client = prisma) {
+    const location = await this.resolveLocation(locationId, client);
+
+    if (location.isDefault || delta === 0) {
+      return location;
+    }
+
+    const row = await client.locationStock.upsert({
+      where: { productId_locationId: { productId, locationId: location.id } },
+      create: { productId, locationId: location.id, quantity: delta },
+      update: { quantity: { increment: delta } }
+    });
+
+    if (row.quantity < 0) {
+      const error = new Error(`Недостаточно товара в ячейке ${location.warehouse.name} / ${location.code}. Не хватает: ${-row.quantity}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return location;
+  }
+
+  /**
+   * Take shipped stock out of a location: checks the quantity in the bin and
+   * decreases it. Call before decrementing WarehouseItem.quantity, the default
+   * bin quantity is derived from it.
+   * @param {string} productId - Product ID
+   * @param {string|null} locationId - Location ID (null - default bin)
+   * @param {number} quantity - Shipped quantity
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Resolved location
+   */
+  async pick(productId, locationId, quantity, client = prisma) {
+    const location = await this.resolveLocation(locationId, client);
+    const available = await this.getQuantityAt(productId, location.id, client);
+
+    if (available < quantity) {
+      const error = new Error(`Недостаточно товара в ячейке ${location.warehouse.name} / ${location.code}. Доступно: ${available}, отгружается: ${quantity}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return this.adjust(productId, location.id, -quantity, client);
+  }
+
+  /**
+   * Move stock between two locations (TRANSFER). The product total does not change.
+   * @param {Object} params - Transfer parameters
+   * @param {string} params.productId - Product ID
+   * @param {string} params.userId - User performing the transfer
+   * @param {number} params.quantity - Quantity to move
+   * @param {string|null} params.fromLocationId - Source location (null - default bin)
+   * @param {string|null} params.toLocationId - Target location (null - default bin)
+   * @param {string[]} params.serialNumbers - Serial numbers moved with the stock
+   * @param {string} params.reason - Transaction reason
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<Object>} Created transaction
+   */
+  async transfer(params, client = prisma) {
+    const {
+      productId,
+      userId,
+      quantity,
+      serialNumbers = [],
+      reason
+    } = params;
+
+    const from = await this.resolveLocation(params.fromLocationId, client);
+    const to = await this.resolveLocation(params.toLocationId, client);
+
+    if (from.id === to.id) {
+      const error = new Error('Ячейки отправления и назначения совпадают');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const available = await this.getQuantityAt(productId, from.id, client);
+    if (quantity > available) {
+      const error = new Error(`Недостаточно товара в ячейке ${from.warehouse.name} / ${from.code}. Доступно: ${available}, требуется: ${quantity}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (serialNumbers.length > 0) {
+      if (serialNumbers.length !== quantity) {
+        const error = new Error(`Количество серийных номеров (${serialNumbers.length}) не совпадает с количеством (${quantity})`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const defaultLocation = await this.getDefaultLocation(client);
+      const records = await client.serialNumber.findMany({
+        where: { productId, serialNumber: { in: serialNumbers }, status: 'IN_STOCK' }
+      });
+      // Серийный номер без ячейки лежит в ячейке по умолчанию
+      const misplaced = records.filter(record => (record.locationId || defaultLocation.id) !== from.id);
+
+      if (records.length !== serialNumbers.length || misplaced.length > 0) {
+        const error = new Error('Серийные номера не найдены на складе в ячейке отправления');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      await client.serialNumber.updateMany({
+        where: { id: { in: records.map(record => record.id) } },
+        data: { locationId: to.isDefault ? null : to.id }
+      });
+    }
+
+    await this.adjust(productId, from.id, -quantity, client);
+    await this.adjust(productId, to.id, quantity, client);
+
+    const transaction = await client.transaction.create({
+      data: {
+        productId,
+        userId,
+        type: 'TRANSFER',
+        quantity,
+        locationId: from.id,
+        toLocationId: to.id,
+        reason: reason || `Перемещение: ${from.code} → ${to.code}`
+      },
+      include: {
+        product: { select: { name: true, unit: true } },
+        user: { select: { name: true } },
+        location: { select: { code: true, warehouse: { select: { name: true } } } },
+        toLocation: { select: { code: true, warehouse: { select: { name: true } } } }
+      }
+    });
+
+    logBusinessEvent('stock_transferred', null, {
+      productId,
+      quantity,
+      fromLocationId: from.id,
+      toLocationId: to.id
+    });
+
+    return transaction;
+  }
+
+  /**
+   * Location ids matching a warehouse/location filter
+   * @param {Object} filters - warehouseId, locationId
+   * @returns {Promise<string[]|null>} Location IDs or null when no filter is set
+   */
+  async getScopeLocationIds(filters = {}) {
+    if (filters.locationId) {
+      return [filters.locationId];
+    }
+
+    if (filters.warehouseId) {
+      const locations = await prisma.storageLocation.findMany({
+        where: { warehouseId: filters.warehouseId },
+        select: { id: true }
+      });
+      return locations.map(location => location.id);
+    }
+
+    return null;
+  }
+
+  /**
+   * List warehouses with their bins
+   * @param {Object} filters - includeInactive
+   * @returns {Promise<Object[]>} Warehouses
+   */
+  async getWarehouses(filters = {}) {
+    try {
+      // Гарантируем наличие основного склада, чтобы список не был пустым
+      await this.getDefaultLocation();
+
+      return await prisma.warehouse.findMany({
+        where: filters.includeInactive ? {} : { isActive: true },
+        include: {
+          locations: {
+            where: filters.includeInactive ? {} : { isActive: true },
+            orderBy: { code: 'asc' }
+          }
+        },
+        orderBy: [{ isDefault: 'desc' }, { name: 'asc' }]
+      });
+    } catch (error) {
+      logError(error, null, { operation: 'get_warehouses' });
+      throw error;
+    }
+  }
+}
+
+const warehouseLocationService = new WarehouseLocationService();
+
+module.exports = warehouseLocationService;
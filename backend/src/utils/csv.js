@@ -0,0 +1,122 @@
+/**
+ * Parse CSV text. The delimiter (";" from Excel or ",") is detected from the header line;
+ * quoted fields may contain delimiters, doubled quotes and line breaks.
+ * @param {string} text - CSV content
+ * @returns {Object[]} Rows keyed by trimmed header names, with the source line number in `_line`
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ values: record, line: recordLine });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ values: record, line: recordLine });
+  }
+
+  const [header, ...rows] = records.filter(({ values }) => values.some(value => value.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.values.map(name => name.trim());
+
+  return rows.map(({ values, line: rowLine }) => {
+    const row = { _line: rowLine };
+    columns.forEach((column, index) => {
+      row[column] = (values[index] || '').trim();
+    });
+    return row;
+  });
+}
+
+/**
+ * Parse a number written as "1 200,50" or "1200.50"
+ * @param {string} value - Raw value
+ * @returns {number} Number or NaN
+ */
+function parseNumber(value) {
+  const normalized = String(value || '').replace(/\s/g, '').replace(',', '.');
+  return normalized === '' ? NaN : Number(normalized);
+}
+
+/**
+ * Parse a date written as "2024-05-31" or "31.05.2024"
+ * @param {string} value - Raw value
+ * @returns {Date|null} Date or null when invalid
+ */
+function parseDate(value) {
+  const russian = String(value || '').match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  const date = russian
+    ? new Date(Number(russian[3]), Number(russian[2]) - 1, Number(russian[1]))
+    : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Map CSV row columns to fields. Column names are compared in lower case
+ * without spaces and underscores.
+ * @param {Object} row - Parsed CSV row
+ * @param {Object} columns - Field name => accepted column names
+ * @returns {Object} Fields by column keys, '' when the column is missing
+ */
+function mapColumns(row, columns) {
+  const byName = {};
+  for (const [column, value] of Object.entries(row)) {
+    byName[column.toLowerCase().replace(/[\s_]/g, '')] = value;
+  }
+
+  const fields = {};
+  for (const [field, aliases] of Object.entries(columns)) {
+    const alias = aliases.find(name => byName[name] !== undefined);
+    fields[field] = alias ? byName[alias] : '';
+  }
+
+  return fields;
+}
+
+module.exports = {
+  parseCsv,
+  parseNumber,
+  parseDate,
+  mapColumns
+};
@@ -0,0 +1,69 @@
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+// Общая отправка писем через SMTP (те же SMTP_* переменные, что и у уведомлений о бэкапах)
+let transporter = null;
+
+/**
+ * Whether SMTP is configured
+ * @returns {boolean} True when SMTP_HOST and SMTP_USER are set
+ */
+function isMailConfigured() {
+  return Boolean(process.env.SMTP_HOST && process.env.SMTP_USER);
+}
+
+/**
+ * Lazily created SMTP transporter
+ * @returns {Object|null} nodemailer transporter or null without SMTP settings
+ */
+function getTransporter() {
+  if (!isMailConfigured()) {
+    return null;
+  }
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      }
+    });
+  }
+
+  return transporter;
+}
+
+/**
+ * Send an e-mail. Failures are logged, not thrown: e-mail is a secondary channel
+ * @param {Object} mail - to, subject, text, html
+ * @returns {Promise<boolean>} True when the message was sent
+ */
+async function sendMail({ to, subject, text, html }) {
+  const mailTransporter = getTransporter();
+  if (!mailTransporter) {
+    logger.debug('SMTP is not configured, e-mail skipped', { to, subject });
+    return false;
+  }
+
+  try {
+    await mailTransporter.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text,
+      html
+    });
+    return true;
+  } catch (error) {
+    logger.error('Failed to send e-mail', { error: error.message, to, subject });
+    return false;
+  }
+}
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
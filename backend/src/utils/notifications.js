@@ -29,7 +29,7 @@ async function createNotification(userId, type, title, content, options = {}) {
 
     // Validate notification type
     const validTypes = ['MESSAGE', 'REMINDER', 'ALERT', 'SYSTEM'];
-    if (\!validTypes.includes(type)) {
+    if (!validTypes.includes(type)) {
       throw new Error('Invalid notification type: ' + type + '. Must be one of: ' + validTypes.join(', '));
     }
 
@@ -290,4 +290,3 @@ module.exports = {
   getNotificationCounts,
   markNotificationsRead
 };
-ENDOFFILE < /dev/null
\ No newline at end of file
@@ -0,0 +1,43 @@
+// Сколько раз повторять создание документа, если номер занял параллельный запрос
+const NUMBER_ATTEMPTS = 3;
+
+/**
+ * Next document number after the last issued one: "<prefix>-<n + 1>".
+ * Call inside the transaction that creates the document.
+ * @param {Object} delegate - Prisma model delegate with a unique number (tx.purchaseOrder, ...)
+ * @param {string} prefix - Number prefix (PO, INV, KP)
+ * @returns {Promise<string>} Document number
+ */
+async function nextNumber(delegate, prefix) {
+  const last = await delegate.findFirst({
+    where: { number: { startsWith: `${prefix}-` } },
+    orderBy: { createdAt: 'desc' },
+    select: { number: true }
+  });
+
+  const lastNumber = last ? parseInt(last.number.slice(prefix.length + 1)) || 0 : 0;
+  return `${prefix}-${lastNumber + 1}`;
+}
+
+/**
+ * Run a numbered document creation, repeating it when the unique number
+ * was taken by a concurrent request (P2002)
+ * @param {Function} create - Async function creating the document
+ * @returns {Promise<*>} Result of create
+ */
+async function withNumberRetry(create) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await create();
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= NUMBER_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  nextNumber,
+  withNumberRetry
+};
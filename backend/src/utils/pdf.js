@@ -0,0 +1,68 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+// Стандартные шрифты PDF не содержат кириллицу, поэтому подключаем TTF
+const FONT_REGULAR = process.env.PDF_FONT_PATH || '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+const FONT_BOLD = process.env.PDF_FONT_BOLD_PATH || '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf';
+
+/**
+ * Path of a Cyrillic TTF font. Without it PDFKit falls back to Helvetica
+ * and Russian text comes out unreadable, so a missing file is an error.
+ * @param {string} fontPath - Font file path
+ * @param {string} envName - Environment variable overriding the path
+ * @returns {string} Font path
+ */
+function resolveFont(fontPath, envName) {
+  if (!fs.existsSync(fontPath)) {
+    const error = new Error(`PDF font not found: ${fontPath}. Install DejaVu fonts or set ${envName}`);
+    error.statusCode = 500;
+    throw error;
+  }
+
+  return fontPath;
+}
+
+/**
+ * Create a PDF document with "Regular" and "Bold" fonts registered
+ * @param {Object} options - PDFKit document options
+ * @returns {PDFDocument} Document
+ */
+function createPdfDocument(options = {}) {
+  const doc = new PDFDocument({ size: 'A4', ...options });
+
+  doc.registerFont('Regular', resolveFont(FONT_REGULAR, 'PDF_FONT_PATH'));
+  doc.registerFont('Bold', resolveFont(FONT_BOLD, 'PDF_FONT_BOLD_PATH'));
+  doc.font('Regular');
+
+  return doc;
+}
+
+/**
+ * Finish a document and collect it into a buffer
+ * @param {PDFDocument} doc - Document with all content written
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function pdfToBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/**
+ * Convert millimetres to PDF points
+ * @param {number} value - Millimetres
+ * @returns {number} Points
+ */
+function mm(value) {
+  return value * 72 / 25.4;
+}
+
+module.exports = {
+  createPdfDocument,
+  pdfToBuffer,
+  mm
+};
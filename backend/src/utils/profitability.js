@@ -0,0 +1,83 @@
+// Налоговые режимы: общий, УСН «доходы», УСН «доходы минус расходы»
+const TAX_REGIMES = ['GENERAL', 'SIMPLIFIED_INCOME', 'SIMPLIFIED_PROFIT'];
+
+// Налоги расчета без налогового профиля
+const DEFAULT_TAXES = {
+  taxRegime: 'GENERAL',
+  vatPercent: 12,
+  incomeTaxPercent: 20,
+  pricesIncludeVat: false
+};
+
+// Минимальный налог УСН «доходы минус расходы», % от доходов
+const SIMPLIFIED_MIN_TAX_PERCENT = 1;
+
+/**
+ * Profitability of a calculation (себестоимость, прибыль, налоги)
+ * @param {Object} data - Cost breakdown, pricePerUnit, quantity and taxes:
+ *   taxRegime, vatPercent, incomeTaxPercent, pricesIncludeVat
+ * @returns {Object} Totals, gross/net profit and profitability percent
+ */
+function calculateProfitabilityMetrics(data) {
+  const {
+    gasCost = 0,
+    cylinderCost = 0,
+    preparationCost = 0,
+    logisticsCost = 0,
+    workersCost = 0,
+    kickbacksCost = 0,
+    pricePerUnit = 0,
+    quantity = 0,
+    vatPercent = DEFAULT_TAXES.vatPercent,
+    incomeTaxPercent = DEFAULT_TAXES.incomeTaxPercent,
+    taxRegime = DEFAULT_TAXES.taxRegime,
+    pricesIncludeVat = DEFAULT_TAXES.pricesIncludeVat
+  } = data;
+
+  // Calculate totals according to customer requirements
+  const totalCostBreakdown = gasCost + cylinderCost + preparationCost + logisticsCost + workersCost + kickbacksCost;
+  const totalSaleAmount = pricePerUnit * quantity;
+  const grossProfit = totalSaleAmount - totalCostBreakdown;
+
+  // НДС с валовой прибыли: сверх цены - по ставке, в т.ч. в цене - выделяется из нее
+  const vatAmount = pricesIncludeVat
+    ? grossProfit * vatPercent / (100 + vatPercent)
+    : grossProfit * (vatPercent / 100);
+
+  // Доходы для УСН - выручка без НДС
+  const income = pricesIncludeVat ? totalSaleAmount * 100 / (100 + vatPercent) : totalSaleAmount;
+
+  let incomeTaxAmount;
+  switch (taxRegime) {
+    case 'SIMPLIFIED_INCOME':
+      incomeTaxAmount = income * (incomeTaxPercent / 100);
+      break;
+    case 'SIMPLIFIED_PROFIT':
+      incomeTaxAmount = Math.max(
+        (grossProfit - vatAmount) * (incomeTaxPercent / 100),
+        income * (SIMPLIFIED_MIN_TAX_PERCENT / 100)
+      );
+      break;
+    default:
+      incomeTaxAmount = (pricesIncludeVat ? grossProfit - vatAmount : grossProfit) * (incomeTaxPercent / 100);
+  }
+
+  const netProfit = grossProfit - vatAmount - incomeTaxAmount;
+  const profitabilityPercent = totalCostBreakdown > 0 ? (netProfit / totalCostBreakdown) * 100 : 0;
+
+  return {
+    totalCostBreakdown,
+    totalSaleAmount,
+    grossProfit,
+    vatAmount,
+    incomeTaxAmount,
+    netProfit,
+    profitabilityPercent
+  };
+}
+
+module.exports = {
+  TAX_REGIMES,
+  DEFAULT_TAXES,
+  calculateProfitabilityMetrics
+};
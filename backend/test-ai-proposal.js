@@ -1,23 +1,28 @@
 const OpenAI = require('openai');
+const { PrismaClient } = require('@prisma/client');
 const companyTemplatesService = require('./src/services/companyTemplates');
 
+// Шаблоны компаний хранятся в БД
+const prisma = new PrismaClient();
+
 async function testAIProposalIntegration() {
   console.log('🔍 Testing AI Proposal Integration...\n');
 
   // Test 1: Company Templates Service
   console.log('1. Testing Company Templates Service:');
   try {
-    const templates = companyTemplatesService.getAllTemplates();
+    await prisma.$connect();
+    const templates = await companyTemplatesService.getAllTemplates();
     console.log(`✅ Found ${templates.length} company templates`);
     
     templates.forEach(template => {
       console.log(`   - ${template.name}: ${template.descriptionStyle}`);
     });
 
-    const novaTemplate = companyTemplatesService.getTemplate('nova');
+    const novaTemplate = await companyTemplatesService.getTemplate('nova');
     console.log(`✅ Nova template loaded: ${novaTemplate.fullName}`);
     
-    const coLabTemplate = companyTemplatesService.getTemplate('co-lab');
+    const coLabTemplate = await companyTemplatesService.getTemplate('co-lab');
     console.log(`✅ CO-LAB template loaded: ${coLabTemplate.fullName}`);
   } catch (error) {
     console.error('❌ Company templates test failed:', error.message);
@@ -72,7 +77,7 @@ async function testAIProposalIntegration() {
 
   try {
     const openaiService = require('./src/services/openaiService');
-    const novaTemplate = companyTemplatesService.getTemplate('nova');
+    const novaTemplate = await companyTemplatesService.getTemplate('nova');
     
     const prompt = openaiService.buildProposalPrompt(mockCalculation, novaTemplate, {
       competitive: false,
@@ -108,7 +113,7 @@ async function testAIProposalIntegration() {
     console.log(`✅ Price difference: ${priceDifference} руб.`);
 
     const openaiService = require('./src/services/openaiService');
-    const coLabTemplate = companyTemplatesService.getTemplate('co-lab');
+    const coLabTemplate = await companyTemplatesService.getTemplate('co-lab');
     const competitivePrompt = openaiService.buildProposalPrompt(mockCalculation, coLabTemplate, {
       competitive: true,
       markup: markup,
@@ -137,7 +142,9 @@ async function testAIProposalIntegration() {
 
 // Run the test
 if (require.main === module) {
-  testAIProposalIntegration().catch(console.error);
+  testAIProposalIntegration()
+    .catch(console.error)
+    .finally(() => prisma.$disconnect());
 }
 
 module.exports = testAIProposalIntegration;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const digitalSignatureService = require('./src/services/digitalSignature');
 const signatureKeysService = require('./src/services/signatureKeys');
+const signatureRequestService = require('./src/services/signatureRequests');
 
 async function testDigitalSignatureIntegration() {
   console.log('🔍 Testing Digital Signature Integration...\n');
@@ -179,40 +180,46 @@ async function testDigitalSignatureIntegration() {
   // Test 6: Signature request workflow
   console.log('\n6. Testing Signature Request Workflow:');
   try {
-    const requiredSigners = [
-      { userId: 'user1', email: 'john@example.com', name: 'John Doe', required: true },
-      { userId: 'user2', email: 'jane@example.com', name: 'Jane Smith', required: false }
-    ];
-
-    const requestingUser = {
-      userId: 'admin',
-      name: 'Admin User',
-      email: 'admin@example.com'
+    // Запрос подписи в памяти: ссылки подписантов не требуют записи в БД
+    const signatureRequest = {
+      id: 'request-123',
+      contractId: 'contract-123',
+      status: 'PENDING',
+      signingOrder: 'SEQUENTIAL',
+      expiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000), // 48 hours
+      signers: [
+        { id: 'signer-1', userId: 'user1', email: 'john@example.com', name: 'John Doe', required: true, position: 1, status: 'PENDING' },
+        { id: 'signer-2', userId: 'user2', email: 'jane@example.com', name: 'Jane Smith', required: false, position: 2, status: 'PENDING' }
+      ]
     };
+    const [firstSigner, secondSigner] = signatureRequest.signers;
 
-    const signatureRequest = digitalSignatureService.generateSignatureRequest(
-      'contract-123',
-      requiredSigners,
-      requestingUser,
-      48 // 48 hours
-    );
+    const token = signatureRequestService.buildToken(firstSigner, signatureRequest);
 
     console.log('✅ Signature request generated');
-    console.log(`   Request ID: ${signatureRequest.requestId}`);
-    console.log(`   Required signers: ${signatureRequest.requiredSigners.length}`);
-    console.log(`   Expires at: ${signatureRequest.expiresAt}`);
-    console.log(`   Signature URL: ${signatureRequest.signatureUrl}`);
-    console.log(`   Token length: ${signatureRequest.token.length} characters`);
-
-    // Test token validation
-    const tokenValidation = digitalSignatureService.validateSignatureRequestToken(
-      signatureRequest.token,
-      'contract-123'
-    );
+    console.log(`   Request ID: ${signatureRequest.id}`);
+    console.log(`   Signers: ${signatureRequest.signers.length}`);
+    console.log(`   Current signers: ${signatureRequestService.getCurrentSigners(signatureRequest).map(signer => signer.name).join(', ')}`);
+    console.log(`   Expires at: ${signatureRequest.expiresAt.toISOString()}`);
+    console.log(`   Signature URL: ${signatureRequestService.buildUrl(firstSigner, signatureRequest)}`);
+    console.log(`   Token length: ${token.length} characters`);
+
+    // Test token validation: подпись ссылки зависит от срока действия запроса
+    const [signerId, signature] = token.split('.');
+    const tokenValid = signerId === firstSigner.id &&
+      signature === signatureRequestService.sign(signerId, signatureRequest.expiresAt);
+    const extendedValid = signature === signatureRequestService.sign(signerId, new Date(signatureRequest.expiresAt.getTime() + 1000));
 
     console.log('✅ Token validation completed');
-    console.log(`   Token valid: ${tokenValidation.valid}`);
-    console.log(`   Message: ${tokenValidation.message || tokenValidation.reason}`);
+    console.log(`   Token valid: ${tokenValid}`);
+    console.log(`   Token valid after changing expiry: ${extendedValid}`);
+
+    try {
+      signatureRequestService.assertCanSign(signatureRequest, secondSigner);
+      console.log('   Second signer can sign before the first: true');
+    } catch (error) {
+      console.log(`   Second signer before the first: ${error.message}`);
+    }
   } catch (error) {
     console.error('❌ Signature request workflow test failed:', error.message);
   }